@@ -5,9 +5,11 @@ import { MapExplorer } from './components/MapExplorer.jsx';
 import { LandRecords } from './components/LandRecords.jsx';
 import { LandClaims } from './components/LandClaims.jsx';
 import { SettingsPanel } from './components/SettingsPanel.jsx';
+import { LedgerExplorer } from './components/LedgerExplorer.jsx';
 import { AppView } from './constants.js';
 import { Icons } from './components/Icons.jsx';
 import { AuthScreen } from './components/AuthScreen.jsx';
+import { RECEIPT_VERIFY_PATH, ReceiptVerification } from './components/ReceiptVerification.jsx';
 import { clearSession, fetchCurrentUser, loadSession, saveSession, verifyAuthChain } from './services/authService.js';
 
 const THEME_STORAGE_KEY = 'root_theme_mode_v1';
@@ -29,6 +31,10 @@ const viewMeta = {
     title: 'Land Claims',
     subtitle: 'Citizen claim query submission and government PID verification.'
   },
+  [AppView.LEDGER]: {
+    title: 'Ledger Explorer',
+    subtitle: 'Browse chain blocks and follow every event touching a record.'
+  },
   [AppView.SETTINGS]: {
     title: 'Settings',
     subtitle: 'Manage workspace preferences and integrations.'
@@ -132,9 +138,11 @@ function App() {
       case AppView.EXPLORER:
         return <MapExplorer />;
       case AppView.RECORDS:
-        return <LandRecords role={session?.user?.role || 'USER'} />;
+        return <LandRecords role={session?.user?.role || 'USER'} userId={session?.user?.id || ''} />;
       case AppView.DISPUTES:
         return <LandClaims role={session?.user?.role || 'USER'} />;
+      case AppView.LEDGER:
+        return session?.user?.role === 'EMPLOYEE' ? <LedgerExplorer /> : <Dashboard role="USER" />;
       case AppView.SETTINGS:
         return (
           <SettingsPanel
@@ -148,6 +156,10 @@ function App() {
     }
   };
 
+  if (window.location.pathname.replace(/\/+$/, '') === RECEIPT_VERIFY_PATH) {
+    return <ReceiptVerification />;
+  }
+
   if (isAuthChecking) {
     return (
       <div className="grid min-h-screen place-items-center">
@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Blobs are stored under their SHA-256, so a key always names the exact bytes it returns and
+// identical uploads share one object.
+export const sha256Buffer = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const BLOB_KEY_REGEX = /^[a-f0-9]{64}$/;
+
+const assertBlobKey = (key) => {
+  if (!BLOB_KEY_REGEX.test(String(key || ''))) {
+    throw new Error('Invalid blob key.');
+  }
+};
+
+export const createLocalBlobStore = ({ root }) => {
+  const blobPath = (key) => path.join(root, key.slice(0, 2), key);
+
+  return {
+    kind: 'local',
+    async put(buffer) {
+      const key = sha256Buffer(buffer);
+      const target = blobPath(key);
+      if (fs.existsSync(target)) return key;
+
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      const staging = `${target}.${process.pid}.${crypto.randomUUID()}.tmp`;
+      await fs.promises.writeFile(staging, buffer, { mode: 0o600 });
+      await fs.promises.rename(staging, target);
+      return key;
+    },
+    async get(key) {
+      assertBlobKey(key);
+      try {
+        return await fs.promises.readFile(blobPath(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async delete(key) {
+      assertBlobKey(key);
+      await fs.promises.rm(blobPath(key), { force: true });
+    },
+  };
+};
+
+export const createMemoryBlobStore = () => {
+  const blobs = new Map();
+  return {
+    kind: 'memory',
+    async put(buffer) {
+      const key = sha256Buffer(buffer);
+      blobs.set(key, Buffer.from(buffer));
+      return key;
+    },
+    async get(key) {
+      assertBlobKey(key);
+      const blob = blobs.get(key);
+      return blob ? Buffer.from(blob) : null;
+    },
+    async delete(key) {
+      assertBlobKey(key);
+      blobs.delete(key);
+    },
+  };
+};
+
+const blobStoreFactories = new Map([
+  ['local', createLocalBlobStore],
+  ['memory', createMemoryBlobStore],
+]);
+
+// Other backends (S3, GCS, ...) register a factory returning `{ kind, put(buffer), get(key), delete(key) }`.
+export const registerBlobStore = (name, factory) => {
+  blobStoreFactories.set(String(name).trim().toLowerCase(), factory);
+};
+
+export const createBlobStore = (name, options = {}) => {
+  const factory = blobStoreFactories.get(String(name || 'local').trim().toLowerCase());
+  if (!factory) {
+    throw new Error(`Unknown blob store "${name}". Registered stores: ${[...blobStoreFactories.keys()].join(', ')}.`);
+  }
+  return factory(options);
+};
@@ -1,3 +1,4 @@
+import { AsyncLocalStorage } from 'async_hooks';
 import os from 'os';
 import { Pool } from 'pg';
 import { newDb } from 'pg-mem';
@@ -190,18 +191,49 @@ const ensurePool = () => {
 export const query = (text, params = []) => ensurePool().query(text, params);
 export const getPersistenceMode = () => persistenceMode;
 
+const transactionEndHooks = new WeakMap();
+const transactionScope = new AsyncLocalStorage();
+
+// Transactions that were open, in this async call chain, when `client`'s transaction began.
+export const enclosingTransactions = (client) => (transactionScope.getStore() || []).filter((item) => item !== client);
+
+export const onTransactionEnd = (client, hook) => {
+  const hooks = transactionEndHooks.get(client);
+  if (!hooks) {
+    throw new Error('onTransactionEnd requires a client from withTransaction.');
+  }
+  hooks.push(hook);
+};
+
 export const withTransaction = async (handler) => {
   const client = await ensurePool().connect();
+  // pg-mem hands every caller the same connection, so handlers get a per-transaction handle
+  // that transaction-scoped state (end hooks, the ledger append gate) can be keyed on.
+  const transaction = { query: (text, params) => client.query(text, params) };
+  const hooks = [];
+  let committed = false;
+  transactionEndHooks.set(transaction, hooks);
   try {
     await client.query('BEGIN');
-    const result = await handler(client);
+    const result = await transactionScope.run([...(transactionScope.getStore() || []), transaction], () =>
+      handler(transaction)
+    );
     await client.query('COMMIT');
+    committed = true;
     return result;
   } catch (error) {
     await client.query('ROLLBACK');
     throw error;
   } finally {
+    transactionEndHooks.delete(transaction);
     client.release();
+    for (const hook of hooks) {
+      try {
+        hook(committed);
+      } catch (hookError) {
+        console.error(`Transaction end hook failed: ${hookError.message}`);
+      }
+    }
   }
 };
 
@@ -273,6 +305,93 @@ const bootstrapSchema = async () => {
     );
   `);
 
+  await query(`
+    ALTER TABLE chain_blocks
+    ADD COLUMN IF NOT EXISTS signature TEXT NULL;
+  `);
+
+  await query(`
+    ALTER TABLE chain_blocks
+    ADD COLUMN IF NOT EXISTS key_id TEXT NULL;
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS ledger_signing_keys (
+      key_id TEXT PRIMARY KEY,
+      algorithm TEXT NOT NULL DEFAULT 'ed25519',
+      public_key TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'ACTIVE',
+      activation_block_index INTEGER NOT NULL,
+      retired_at_block_index INTEGER NULL,
+      activated_at TIMESTAMPTZ NOT NULL,
+      retired_at TIMESTAMPTZ NULL
+    );
+  `);
+
+  await query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS chain_blocks_previous_hash_unique_idx
+    ON chain_blocks (previous_hash);
+  `);
+
+  // Parcel history looks blocks up by the entity they record instead of scanning the chain.
+  for (const key of ['parcelId', 'claimId', 'disputeId', 'boundaryId']) {
+    await query(`
+      CREATE INDEX IF NOT EXISTS chain_blocks_${key.toLowerCase()}_idx
+      ON chain_blocks ((payload->>'${key}'));
+    `);
+  }
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS ledger_commitment_salts (
+      commitment TEXT PRIMARY KEY,
+      block_index INTEGER NOT NULL REFERENCES chain_blocks(block_index),
+      field TEXT NOT NULL,
+      salt TEXT NOT NULL,
+      value TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL
+    );
+  `);
+
+  await query(`
+    CREATE INDEX IF NOT EXISTS ledger_commitment_salts_block_idx
+    ON ledger_commitment_salts (block_index);
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS spatial_cells (
+      layer TEXT NOT NULL,
+      cell TEXT NOT NULL,
+      entity_id UUID NOT NULL,
+      PRIMARY KEY (layer, cell, entity_id)
+    );
+  `);
+
+  await query(`
+    CREATE INDEX IF NOT EXISTS spatial_cells_entity_idx
+    ON spatial_cells (layer, entity_id);
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS chain_head (
+      id SMALLINT PRIMARY KEY CHECK (id = 1),
+      block_index INTEGER NOT NULL,
+      hash TEXT NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL
+    );
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS chain_checkpoints (
+      checkpoint_index INTEGER PRIMARY KEY,
+      start_block_index INTEGER NOT NULL,
+      end_block_index INTEGER NOT NULL UNIQUE,
+      end_block_hash TEXT NOT NULL,
+      leaf_count INTEGER NOT NULL,
+      merkle_root TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL
+    );
+  `);
+
   await query(`
     CREATE TABLE IF NOT EXISTS agri_insights (
       id UUID PRIMARY KEY,
@@ -356,6 +475,176 @@ const bootstrapSchema = async () => {
     ON land_claims (status);
   `);
 
+  await query(`
+    ALTER TABLE land_claims
+    ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+  `);
+
+  await query(`
+    ALTER TABLE land_claims
+    ADD COLUMN IF NOT EXISTS documents JSONB NOT NULL DEFAULT '[]'::jsonb;
+  `);
+
+  await query(`
+    ALTER TABLE land_claims
+    ADD COLUMN IF NOT EXISTS owner_shares JSONB NOT NULL DEFAULT '[]'::jsonb;
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS claim_documents (
+      id UUID PRIMARY KEY,
+      claim_id UUID NULL REFERENCES land_claims(id) ON DELETE CASCADE,
+      uploaded_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      file_name TEXT NOT NULL,
+      mime_type TEXT NOT NULL,
+      size_bytes INTEGER NOT NULL,
+      kind TEXT NOT NULL,
+      sha256 TEXT NOT NULL,
+      storage_key TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL,
+      attached_at TIMESTAMPTZ NULL
+    );
+  `);
+
+  await query(`
+    CREATE INDEX IF NOT EXISTS claim_documents_claim_idx
+    ON claim_documents (claim_id);
+  `);
+
+  await query(`
+    CREATE INDEX IF NOT EXISTS claim_documents_uploader_idx
+    ON claim_documents (uploaded_by, created_at);
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS claim_document_blobs (
+      storage_key TEXT PRIMARY KEY,
+      locked_at TIMESTAMPTZ NOT NULL
+    );
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS claim_events (
+      id UUID PRIMARY KEY,
+      claim_id UUID NOT NULL REFERENCES land_claims(id) ON DELETE CASCADE,
+      actor_user_id UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+      event_type TEXT NOT NULL,
+      from_status TEXT NULL,
+      to_status TEXT NULL,
+      note TEXT NULL,
+      evidence_urls JSONB NOT NULL DEFAULT '[]'::jsonb,
+      created_at TIMESTAMPTZ NOT NULL,
+      ledger_block_index INTEGER NOT NULL REFERENCES chain_blocks(block_index),
+      ledger_block_hash TEXT NOT NULL
+    );
+  `);
+
+  await query(`
+    CREATE INDEX IF NOT EXISTS claim_events_claim_idx
+    ON claim_events (claim_id, created_at);
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS claim_approvals (
+      id UUID PRIMARY KEY,
+      claim_id UUID NOT NULL REFERENCES land_claims(id) ON DELETE CASCADE,
+      approver_user_id UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+      level INTEGER NOT NULL,
+      required_approvals INTEGER NOT NULL,
+      verified_pid TEXT NOT NULL,
+      note TEXT NULL,
+      created_at TIMESTAMPTZ NOT NULL,
+      ledger_block_index INTEGER NOT NULL REFERENCES chain_blocks(block_index),
+      ledger_block_hash TEXT NOT NULL
+    );
+  `);
+
+  await query(`
+    CREATE INDEX IF NOT EXISTS claim_approvals_claim_idx
+    ON claim_approvals (claim_id, created_at);
+  `);
+
+  await query(`
+    ALTER TABLE claim_approvals
+    ADD COLUMN IF NOT EXISTS voided_at TIMESTAMPTZ NULL;
+  `);
+
+  await query(`
+    ALTER TABLE claim_approvals
+    ADD COLUMN IF NOT EXISTS voided_block_index INTEGER NULL;
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS claim_assignments (
+      id UUID PRIMARY KEY,
+      claim_id UUID NOT NULL REFERENCES land_claims(id) ON DELETE CASCADE,
+      assignee_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      assigned_by UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+      method TEXT NOT NULL,
+      escalated_to UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+      escalated_at TIMESTAMPTZ NULL,
+      released_at TIMESTAMPTZ NULL,
+      created_at TIMESTAMPTZ NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL,
+      ledger_block_index INTEGER NOT NULL REFERENCES chain_blocks(block_index),
+      ledger_block_hash TEXT NOT NULL
+    );
+  `);
+
+  await query(`
+    CREATE INDEX IF NOT EXISTS claim_assignments_claim_idx
+    ON claim_assignments (claim_id, released_at);
+  `);
+
+  await query(`
+    CREATE INDEX IF NOT EXISTS claim_assignments_assignee_idx
+    ON claim_assignments (assignee_user_id, released_at);
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS claim_appeals (
+      id UUID PRIMARY KEY,
+      claim_id UUID NOT NULL REFERENCES land_claims(id) ON DELETE CASCADE,
+      appellant_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      rejection_block_index INTEGER NOT NULL REFERENCES chain_blocks(block_index),
+      original_reviewer_id UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+      grounds TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'OPEN',
+      heard_by UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+      decision_note TEXT NULL,
+      created_at TIMESTAMPTZ NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL,
+      decided_at TIMESTAMPTZ NULL,
+      ledger_block_index INTEGER NOT NULL REFERENCES chain_blocks(block_index),
+      ledger_block_hash TEXT NOT NULL,
+      UNIQUE (claim_id, rejection_block_index)
+    );
+  `);
+
+  await query(`
+    CREATE INDEX IF NOT EXISTS claim_appeals_status_idx
+    ON claim_appeals (status, created_at);
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS land_claim_versions (
+      claim_id UUID NOT NULL REFERENCES land_claims(id) ON DELETE CASCADE,
+      version INTEGER NOT NULL,
+      claim_note TEXT NOT NULL,
+      polygon JSONB NOT NULL,
+      centroid_lat DOUBLE PRECISION NOT NULL,
+      centroid_lng DOUBLE PRECISION NOT NULL,
+      area_sq_m DOUBLE PRECISION NOT NULL,
+      status TEXT NOT NULL,
+      overlap_flags JSONB NOT NULL DEFAULT '[]'::jsonb,
+      created_by UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ NOT NULL,
+      ledger_block_index INTEGER NOT NULL REFERENCES chain_blocks(block_index),
+      ledger_block_hash TEXT NOT NULL,
+      PRIMARY KEY (claim_id, version)
+    );
+  `);
+
   await query(`
     CREATE TABLE IF NOT EXISTS owned_parcels (
       id UUID PRIMARY KEY,
@@ -379,6 +668,134 @@ const bootstrapSchema = async () => {
     ON owned_parcels (owner_user_id, created_at DESC);
   `);
 
+  await query(`
+    ALTER TABLE owned_parcels
+    ADD COLUMN IF NOT EXISTS owner_shares JSONB NOT NULL DEFAULT '[]'::jsonb;
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS parcel_transfers (
+      id UUID PRIMARY KEY,
+      parcel_id UUID NOT NULL REFERENCES owned_parcels(id) ON DELETE CASCADE,
+      seller_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      buyer_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      transfer_type TEXT NOT NULL,
+      consideration_amount NUMERIC NULL,
+      note TEXT NULL,
+      status TEXT NOT NULL DEFAULT 'PENDING_BUYER',
+      buyer_responded_at TIMESTAMPTZ NULL,
+      reviewed_by UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+      review_note TEXT NULL,
+      reviewed_at TIMESTAMPTZ NULL,
+      created_at TIMESTAMPTZ NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL,
+      ledger_block_index INTEGER NOT NULL REFERENCES chain_blocks(block_index),
+      ledger_block_hash TEXT NOT NULL
+    );
+  `);
+
+  await query(`
+    CREATE INDEX IF NOT EXISTS parcel_transfers_parcel_idx
+    ON parcel_transfers (parcel_id, created_at);
+  `);
+
+  await query(`
+    CREATE INDEX IF NOT EXISTS parcel_transfers_status_idx
+    ON parcel_transfers (status, created_at);
+  `);
+
+  await query(`
+    ALTER TABLE parcel_transfers
+    ADD COLUMN IF NOT EXISTS share TEXT NOT NULL DEFAULT '1/1';
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS parcel_owners (
+      id UUID PRIMARY KEY,
+      parcel_id UUID NOT NULL REFERENCES owned_parcels(id) ON DELETE CASCADE,
+      owner_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      acquired_via TEXT NOT NULL,
+      transfer_id UUID NULL REFERENCES parcel_transfers(id) ON DELETE SET NULL,
+      started_at TIMESTAMPTZ NOT NULL,
+      ended_at TIMESTAMPTZ NULL,
+      ledger_block_index INTEGER NOT NULL REFERENCES chain_blocks(block_index),
+      ledger_block_hash TEXT NOT NULL
+    );
+  `);
+
+  await query(`
+    CREATE INDEX IF NOT EXISTS parcel_owners_parcel_idx
+    ON parcel_owners (parcel_id, started_at);
+  `);
+
+  await query(`
+    ALTER TABLE parcel_owners
+    ADD COLUMN IF NOT EXISTS share TEXT NOT NULL DEFAULT '1/1';
+  `);
+
+  await query(`
+    ALTER TABLE parcel_owners
+    ADD COLUMN IF NOT EXISTS ended_block_index INTEGER NULL;
+  `);
+
+  await query(`
+    CREATE INDEX IF NOT EXISTS parcel_owners_owner_idx
+    ON parcel_owners (owner_user_id, ended_at);
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS parcel_lineage (
+      id UUID PRIMARY KEY,
+      operation_id UUID NOT NULL,
+      operation TEXT NOT NULL,
+      parent_parcel_id UUID NOT NULL REFERENCES owned_parcels(id) ON DELETE CASCADE,
+      child_parcel_id UUID NOT NULL REFERENCES owned_parcels(id) ON DELETE CASCADE,
+      created_by UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+      note TEXT NULL,
+      created_at TIMESTAMPTZ NOT NULL,
+      ledger_block_index INTEGER NOT NULL REFERENCES chain_blocks(block_index),
+      ledger_block_hash TEXT NOT NULL
+    );
+  `);
+
+  await query(`
+    CREATE INDEX IF NOT EXISTS parcel_lineage_parent_idx
+    ON parcel_lineage (parent_parcel_id);
+  `);
+
+  await query(`
+    CREATE INDEX IF NOT EXISTS parcel_lineage_child_idx
+    ON parcel_lineage (child_parcel_id);
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS parcel_encumbrances (
+      id UUID PRIMARY KEY,
+      parcel_id UUID NOT NULL REFERENCES owned_parcels(id) ON DELETE CASCADE,
+      encumbrance_type TEXT NOT NULL,
+      holder_name TEXT NOT NULL,
+      holder_reference TEXT NULL,
+      amount NUMERIC NULL,
+      starts_at TIMESTAMPTZ NOT NULL,
+      ends_at TIMESTAMPTZ NULL,
+      note TEXT NULL,
+      status TEXT NOT NULL DEFAULT 'ACTIVE',
+      registered_by UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+      released_by UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+      release_note TEXT NULL,
+      released_at TIMESTAMPTZ NULL,
+      created_at TIMESTAMPTZ NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL,
+      ledger_block_index INTEGER NOT NULL REFERENCES chain_blocks(block_index),
+      ledger_block_hash TEXT NOT NULL
+    );
+  `);
+
+  await query(`
+    CREATE INDEX IF NOT EXISTS parcel_encumbrances_parcel_idx
+    ON parcel_encumbrances (parcel_id, status);
+  `);
+
   await query(`
     CREATE TABLE IF NOT EXISTS gov_boundaries (
       id UUID PRIMARY KEY,
@@ -0,0 +1,262 @@
+import {
+  buildVerificationKeys,
+  collectMigrationAnchors,
+  verifyChainIntegrity,
+} from './ledger.js';
+
+const API_URL = String(process.env.LOAD_TEST_API_URL || 'http://127.0.0.1:4000').replace(/\/+$/, '');
+const CONCURRENCY = Math.max(1, Number(process.env.LOAD_TEST_CONCURRENCY || 20));
+const REQUESTS = Math.max(1, Number(process.env.LOAD_TEST_REQUESTS || 200));
+const CITIZENS = Math.max(1, Number(process.env.LOAD_TEST_CITIZENS || 8));
+const EMPLOYEE_CODE = String(process.env.LOAD_TEST_EMPLOYEE_CODE || process.env.EMPLOYEE_SIGNUP_CODE || '').trim();
+const OVERLAP_ROUNDS = Math.max(0, Number(process.env.LOAD_TEST_OVERLAP_ROUNDS || 10));
+const REQUEST_TIMEOUT_MS = Math.max(1000, Number(process.env.LOAD_TEST_TIMEOUT_MS || 30000));
+const RUN_ID = Date.now().toString(36);
+
+const callApi = async (path, { method = 'GET', token, body } = {}) => {
+  const startedAt = performance.now();
+  const response = await fetch(`${API_URL}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  const text = await response.text();
+  let json = null;
+  try {
+    json = text ? JSON.parse(text) : null;
+  } catch (_error) {
+    json = null;
+  }
+  return { status: response.status, ok: response.ok, json, text, elapsedMs: performance.now() - startedAt };
+};
+
+const signup = async (body) => {
+  const result = await callApi('/api/auth/signup', { method: 'POST', body: { password: 'load-test-1', ...body } });
+  if (!result.ok) throw new Error(`Signup failed (${result.status}): ${result.json?.message || result.text}`);
+  return result.json.token;
+};
+
+const squareAround = (position) => {
+  const lat = 22.5 + Math.floor(position / 40) * 0.004;
+  const lng = 88.0 + (position % 40) * 0.004;
+  return [
+    [lat, lng],
+    [lat, lng + 0.001],
+    [lat - 0.001, lng + 0.001],
+    [lat - 0.001, lng],
+  ];
+};
+
+// Mixes the write paths that append ledger blocks so they contend for the chain head.
+const buildRequest = (position, citizens) => {
+  const token = citizens[position % citizens.length];
+  switch (position % 4) {
+    case 0:
+      return {
+        kind: 'claim',
+        path: '/api/land/claims',
+        method: 'POST',
+        token,
+        body: {
+          pid: `LT-${RUN_ID}-${position}`,
+          claimNote: `Load test claim ${position} for ledger contention`,
+          polygon: squareAround(position),
+        },
+      };
+    case 1:
+      return {
+        kind: 'dispute',
+        path: '/api/disputes',
+        method: 'POST',
+        token,
+        body: {
+          parcelRef: `LT-${RUN_ID}-${position}`,
+          disputeType: 'BOUNDARY',
+          description: `Load test dispute ${position} for ledger contention`,
+          coords: squareAround(position)[0],
+        },
+      };
+    case 2:
+      return {
+        kind: 'profile',
+        path: '/api/settings/profile',
+        method: 'PUT',
+        token,
+        body: { name: `Load Citizen ${position}` },
+      };
+    default:
+      return {
+        kind: 'signup',
+        path: '/api/auth/signup',
+        method: 'POST',
+        body: { name: `Load Signup ${position}`, email: `lt-${RUN_ID}-${position}@example.com`, password: 'load-test-1' },
+      };
+  }
+};
+
+// A claim overlapping a pending one locks and flags it, while a review of the pending claim locks
+// it and appends. Both must finish, whichever gets the row first; a hang shows up as a timeout.
+const runOverlapRace = async (citizens, employeeToken, receipts, failures) => {
+  for (let round = 0; round < OVERLAP_ROUNDS; round += 1) {
+    const polygon = squareAround(4000 + round * 3);
+    const first = await callApi('/api/land/claims', {
+      method: 'POST',
+      token: citizens[round % citizens.length],
+      body: { pid: `LT-${RUN_ID}-race-${round}`, claimNote: `Load test race claim ${round}`, polygon },
+    });
+    if (!first.ok) {
+      failures.push(`race #${round} setup: ${first.status} ${first.json?.message || ''}`);
+      continue;
+    }
+    if (first.json?.ledgerBlock?.hash) receipts.push(first.json.ledgerBlock);
+
+    const overlapping = polygon.map(([lat, lng]) => [lat - 0.0004, lng + 0.0004]);
+    const results = await Promise.all([
+      callApi('/api/land/claims', {
+        method: 'POST',
+        token: citizens[(round + 1) % citizens.length],
+        body: { pid: `LT-${RUN_ID}-race-${round}-b`, claimNote: `Load test overlapping claim ${round}`, polygon: overlapping },
+      }),
+      callApi(`/api/land/claims/${first.json.item.id}/review`, {
+        method: 'PATCH',
+        token: employeeToken,
+        body: { action: 'REJECT', reviewNote: `Load test race review ${round}` },
+      }),
+    ].map((request) => request.catch((error) => ({ ok: false, status: 0, json: { message: error.message } }))));
+    for (const [position, result] of results.entries()) {
+      const kind = position === 0 ? 'overlapping claim' : 'review';
+      if (result.ok) {
+        if (result.json?.ledgerBlock?.hash) receipts.push(result.json.ledgerBlock);
+      } else if (result.status === 0 || result.status >= 500) {
+        failures.push(`race #${round} ${kind}: ${result.status} ${result.json?.error || result.json?.message || ''}`);
+      }
+    }
+  }
+};
+
+const runPool = async (total, worker) => {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(CONCURRENCY, total) }, async () => {
+    while (next < total) {
+      const position = next;
+      next += 1;
+      await worker(position);
+    }
+  });
+  await Promise.all(runners);
+};
+
+const percentile = (values, ratio) => {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * ratio))];
+};
+
+const readExport = async (token) => {
+  const result = await callApi('/api/ledger/export', { token });
+  if (!result.ok) throw new Error(`Ledger export failed (${result.status}): ${result.json?.message || result.text}`);
+  const [manifest, ...blocks] = result.text
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+  return { manifest, chain: blocks.map(({ type: _type, ...block }) => block) };
+};
+
+const checkChainShape = (chain) => {
+  const problems = [];
+  const seenPrevious = new Map();
+  chain.forEach((block, position) => {
+    if (block.index !== position) {
+      problems.push(`Gap: expected block ${position} but found ${block.index}`);
+    }
+    if (seenPrevious.has(block.previousHash)) {
+      problems.push(`Fork: blocks ${seenPrevious.get(block.previousHash)} and ${block.index} share a parent`);
+    }
+    seenPrevious.set(block.previousHash, block.index);
+    if (position > 0 && block.previousHash !== chain[position - 1].hash) {
+      problems.push(`Broken link at block ${block.index}`);
+    }
+  });
+  return problems;
+};
+
+const checkReceipts = (chain, receipts) => {
+  const problems = [];
+  const seen = new Set();
+  for (const receipt of receipts) {
+    if (seen.has(receipt.index)) problems.push(`Block ${receipt.index} was returned to two requests`);
+    seen.add(receipt.index);
+    if (chain[receipt.index]?.hash !== receipt.hash) {
+      problems.push(`Receipt for block ${receipt.index} is not on the exported chain`);
+    }
+  }
+  return problems;
+};
+
+const main = async () => {
+  console.log(`Ledger load test against ${API_URL}: ${REQUESTS} requests, concurrency ${CONCURRENCY}`);
+
+  const employeeToken = await signup({
+    name: 'Load Test Auditor',
+    email: `lt-${RUN_ID}-auditor@load.gov.in`,
+    role: 'EMPLOYEE',
+    employeeId: `1947${Date.now() % 100000000}`,
+    employeeAccessCode: EMPLOYEE_CODE,
+  });
+  const citizens = [];
+  for (let position = 0; position < CITIZENS; position += 1) {
+    citizens.push(await signup({ name: `Load Citizen ${position}`, email: `lt-${RUN_ID}-c${position}@example.com` }));
+  }
+  const before = await readExport(employeeToken);
+
+  const receipts = [];
+  const latencies = [];
+  const failures = [];
+  const byKind = {};
+  const startedAt = performance.now();
+  await runPool(REQUESTS, async (position) => {
+    const request = buildRequest(position, citizens);
+    const result = await callApi(request.path, request).catch((error) => ({ ok: false, status: 0, json: { message: error.message } }));
+    byKind[request.kind] = (byKind[request.kind] || 0) + 1;
+    if (!result.ok) {
+      failures.push(`${request.kind} #${position}: ${result.status} ${result.json?.error || result.json?.message || ''}`);
+      return;
+    }
+    latencies.push(result.elapsedMs);
+    if (result.json?.ledgerBlock?.hash) receipts.push(result.json.ledgerBlock);
+  });
+  const elapsedSeconds = (performance.now() - startedAt) / 1000;
+  await runOverlapRace(citizens, employeeToken, receipts, failures);
+
+  const { manifest, chain } = await readExport(employeeToken);
+  const integrity = verifyChainIntegrity(chain, buildVerificationKeys(manifest.signingKeys || [], chain), {
+    acceptLegacyHashes: manifest.acceptLegacyHashes !== false,
+    migrationAnchors: collectMigrationAnchors(chain),
+  });
+  const problems = [
+    ...failures.map((failure) => `Request failed: ${failure}`),
+    ...checkChainShape(chain),
+    ...checkReceipts(chain, receipts),
+    ...(integrity.valid ? [] : [`verifyChainIntegrity: ${integrity.reason}`]),
+  ];
+
+  console.log(`Requests:     ${JSON.stringify(byKind)}`);
+  console.log(`Throughput:   ${(REQUESTS / elapsedSeconds).toFixed(1)} req/s over ${elapsedSeconds.toFixed(2)}s`);
+  console.log(`Latency:      p50 ${percentile(latencies, 0.5).toFixed(0)}ms, p95 ${percentile(latencies, 0.95).toFixed(0)}ms`);
+  console.log(`Overlap race: ${OVERLAP_ROUNDS} submission and review pair(s)`);
+  console.log(`Blocks added: ${chain.length - before.chain.length} (receipts checked: ${receipts.length})`);
+  console.log(`Chain:        ${chain.length} blocks, ${integrity.valid ? 'valid' : `INVALID - ${integrity.reason}`}`);
+  for (const problem of problems.slice(0, 50)) console.log(`  ${problem}`);
+  if (problems.length > 50) console.log(`  ...and ${problems.length - 50} more`);
+  console.log(problems.length ? 'Result: FAILED' : 'Result: no forks, gaps or lost receipts.');
+  process.exit(problems.length ? 1 : 0);
+};
+
+main().catch((error) => {
+  console.error(`Load test aborted: ${error.message}`);
+  process.exit(2);
+});
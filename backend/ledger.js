@@ -0,0 +1,249 @@
+import crypto from 'crypto';
+
+export const LEDGER_EXPORT_FORMAT = 'root-ledger-export/1';
+
+export const stableStringify = (value) => {
+  if (value === undefined) return 'null';
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => stableStringify(item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `"${key}":${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const hashBlockPayload = (block, serializer) =>
+  `${block.index}|${block.timestamp}|${block.eventType}|${serializer(block.payload)}|${block.previousHash}|${block.nonce}`;
+
+export const hashBlock = (block) =>
+  crypto
+    .createHash('sha256')
+    .update(hashBlockPayload(block, stableStringify))
+    .digest('hex');
+
+export const hashBlockLegacy = (block) =>
+  crypto
+    .createHash('sha256')
+    .update(hashBlockPayload(block, (payload) => JSON.stringify(payload)))
+    .digest('hex');
+
+// A commitment binds one payload field to a random salt, so the chain can be shared without
+// the value while anyone holding the salt can still prove what was recorded.
+export const commitLedgerValue = (field, value, salt) =>
+  crypto
+    .createHash('sha256')
+    .update(`${salt}|${field}|${stableStringify(value)}`)
+    .digest('hex');
+
+export const isLedgerCommitment = (value) =>
+  Boolean(value) &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  typeof value.commitment === 'string' &&
+  Object.keys(value).length === 1;
+
+export const ledgerKeyIdFor = (publicKey) =>
+  `ed25519:${crypto.createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex').slice(0, 16)}`;
+
+// The statement a retiring key signs to hand the chain over to its successor. It names the
+// rotation block's position, so an endorsement cannot be replayed elsewhere in the chain.
+export const keyRotationStatement = ({ index, previousHash, keyId }) => `LEDGER_KEY_ROTATED|${index}|${previousHash}|${keyId}`;
+
+const verifyEd25519 = (message, publicKey, signature) => {
+  try {
+    return crypto.verify(null, Buffer.from(message, 'utf8'), publicKey, Buffer.from(String(signature || ''), 'base64'));
+  } catch (_error) {
+    return false;
+  }
+};
+
+const checkKeyRotation = (block, trusted, activeKeyId, scheduled) => {
+  const keyId = block.payload?.keyId;
+  const publicKey = trusted.get(keyId);
+  if (!publicKey) return `Rotation to untrusted signing key ${keyId}`;
+  if (scheduled.has(keyId)) return `Signing key ${keyId} was already retired`;
+  if (block.keyId !== keyId) return 'Rotation block is not signed by its new key';
+  if (block.hash !== hashBlock(toHashBase(block)) || !verifyEd25519(block.hash, publicKey, block.signature)) {
+    return 'Rotation block signature is invalid';
+  }
+  if (!activeKeyId) return null;
+
+  const endorsement = block.payload.endorsement;
+  const valid =
+    endorsement?.keyId === activeKeyId &&
+    verifyEd25519(keyRotationStatement({ ...block, keyId }), trusted.get(activeKeyId), endorsement.signature);
+  return valid ? null : `Rotation is not counter-signed by previous key ${activeKeyId}`;
+};
+
+// Trust comes from the pinned public keys alone. Which key signed which block range is read
+// from the LEDGER_KEY_ROTATED blocks, each signed by the new key and, after the first,
+// counter-signed by the key it retires. A rotation that fails those checks activates nothing.
+export const buildVerificationKeys = (trustedKeys = [], rotationBlocks = []) => {
+  const trusted = new Map();
+  for (const key of trustedKeys) {
+    const publicKey = crypto.createPublicKey(key.publicKey);
+    const keyId = ledgerKeyIdFor(publicKey);
+    if (key.keyId && key.keyId !== keyId) throw new Error(`Key id ${key.keyId} does not match its public key.`);
+    trusted.set(keyId, publicKey);
+  }
+
+  const keys = new Map();
+  const rejected = new Map();
+  let activeKeyId = null;
+  const rotations = rotationBlocks
+    .filter((block) => block.eventType === 'LEDGER_KEY_ROTATED')
+    .sort((left, right) => left.index - right.index);
+  for (const block of rotations) {
+    const issue = checkKeyRotation(block, trusted, activeKeyId, keys);
+    if (issue) {
+      rejected.set(block.index, issue);
+      continue;
+    }
+    if (activeKeyId) keys.get(activeKeyId).retiredAtBlockIndex = block.index;
+    activeKeyId = block.payload.keyId;
+    keys.set(activeKeyId, { publicKey: trusted.get(activeKeyId), activationBlockIndex: block.index, retiredAtBlockIndex: null });
+  }
+  return { trustedCount: trusted.size, keys, rejected };
+};
+
+const EMPTY_VERIFICATION_KEYS = { trustedCount: 0, keys: new Map(), rejected: new Map() };
+
+// Blocks from the first key activation onwards must carry a valid signature from a key
+// that was active at that index; earlier blocks predate signing and are hash-checked only.
+// Without any activated trusted key nothing can be vouched for, so every block fails.
+export const verifyBlockSignature = (block, verificationKeys = EMPTY_VERIFICATION_KEYS) => {
+  const { keys, rejected } = verificationKeys;
+  if (!verificationKeys.trustedCount) return 'No trusted signing keys configured';
+  if (!keys.size) return 'No trusted signing key is activated on the chain';
+  if (rejected.has(block.index)) return rejected.get(block.index);
+
+  const signaturesRequiredFrom = Math.min(...Array.from(keys.values()).map((key) => key.activationBlockIndex));
+  if (!block.signature || !block.keyId) {
+    return block.index >= signaturesRequiredFrom ? 'Missing signature' : null;
+  }
+
+  const key = keys.get(block.keyId);
+  if (!key) return `Unknown signing key ${block.keyId}`;
+  if (block.index < key.activationBlockIndex) return `Signing key ${block.keyId} not yet active`;
+  if (key.retiredAtBlockIndex !== null && block.index >= key.retiredAtBlockIndex) {
+    return `Signing key ${block.keyId} already retired`;
+  }
+  return verifyEd25519(block.hash, key.publicKey, block.signature) ? null : 'Invalid signature';
+};
+
+// Collects the { legacyHash, stableHash } pairs recorded by LEDGER_MIGRATION blocks, keyed by
+// the migrated block index. An anchored block keeps its original hash and chain links, but its
+// content is now pinned by the stable-format hash inside a later stable-hashed, signed block.
+export const collectMigrationAnchors = (blocks = []) => {
+  const anchors = new Map();
+  for (const block of blocks) {
+    if (block.eventType !== 'LEDGER_MIGRATION' || !Array.isArray(block.payload?.blocks)) continue;
+    for (const entry of block.payload.blocks) {
+      anchors.set(Number(entry.index), { legacyHash: entry.legacyHash, stableHash: entry.stableHash });
+    }
+  }
+  return anchors;
+};
+
+const toHashBase = (block) => ({
+  index: block.index,
+  timestamp: block.timestamp,
+  eventType: block.eventType,
+  payload: block.payload,
+  previousHash: block.previousHash,
+  nonce: block.nonce,
+});
+
+export const isLegacyOnlyBlock = (block) => {
+  const base = toHashBase(block);
+  return block.hash !== hashBlock(base) && block.hash === hashBlockLegacy(base);
+};
+
+export const isBlockHashValid = (block, { acceptLegacyHashes = true, migrationAnchors = new Map() } = {}) => {
+  const base = toHashBase(block);
+  const stableHash = hashBlock(base);
+  if (block.hash === stableHash) return true;
+
+  const anchor = migrationAnchors.get(block.index);
+  if (anchor && anchor.legacyHash === block.hash && anchor.stableHash === stableHash) return true;
+  return acceptLegacyHashes && block.hash === hashBlockLegacy(base);
+};
+
+const inspectChainBlock = (current, previous, keys, options) => {
+  const issues = [];
+  if (!isBlockHashValid(current, options)) {
+    issues.push('Hash mismatch');
+  }
+
+  const signatureIssue = verifyBlockSignature(current, keys);
+  if (signatureIssue) issues.push(signatureIssue);
+
+  if (previous && current.previousHash !== previous.hash) {
+    issues.push('Broken previousHash link');
+  }
+  return issues;
+};
+
+export const verifyChainIntegrity = (chain, keys = EMPTY_VERIFICATION_KEYS, options = {}) => {
+  if (!Array.isArray(chain) || !chain.length) {
+    return { valid: false, reason: 'Chain is empty' };
+  }
+
+  for (let i = 0; i < chain.length; i += 1) {
+    const [issue] = inspectChainBlock(chain[i], i > 0 ? chain[i - 1] : null, keys, options);
+    if (issue) {
+      return { valid: false, reason: `${issue} at block ${chain[i].index}` };
+    }
+  }
+
+  return { valid: true, reason: null };
+};
+
+// Unlike verifyChainIntegrity this keeps going after the first failure, so an auditor
+// sees every affected block. Its verdict is always the same as verifyChainIntegrity.
+export const collectChainIssues = (chain, keys = EMPTY_VERIFICATION_KEYS, options = {}) => {
+  if (!Array.isArray(chain) || !chain.length) return [];
+
+  const issues = [];
+  for (let i = 0; i < chain.length; i += 1) {
+    for (const reason of inspectChainBlock(chain[i], i > 0 ? chain[i - 1] : null, keys, options)) {
+      issues.push({ blockIndex: chain[i].index, reason });
+    }
+  }
+  return issues;
+};
+
+export const buildLedgerManifest = ({
+  chain,
+  signingKeys = [],
+  acceptLegacyHashes = true,
+  exportedAt = new Date().toISOString(),
+}) => ({
+  format: LEDGER_EXPORT_FORMAT,
+  exportedAt,
+  blockCount: chain.length,
+  genesisHash: chain[0]?.hash || null,
+  lastHash: chain[chain.length - 1]?.hash || null,
+  lastIndex: chain[chain.length - 1]?.index ?? null,
+  acceptLegacyHashes,
+  signingKeys: signingKeys.map((key) => ({
+    keyId: key.keyId,
+    algorithm: key.algorithm,
+    publicKey: key.publicKey,
+    activationBlockIndex: key.activationBlockIndex ?? null,
+    retiredAtBlockIndex: key.retiredAtBlockIndex ?? null,
+  })),
+  verdict: verifyChainIntegrity(chain, buildVerificationKeys(signingKeys, chain), {
+    acceptLegacyHashes,
+    migrationAnchors: collectMigrationAnchors(chain),
+  }),
+});
+
+export const toLedgerExportLines = (manifest, chain) => [
+  JSON.stringify({ type: 'manifest', ...manifest }),
+  ...chain.map((block) => JSON.stringify({ type: 'block', ...block })),
+];
@@ -1,4 +1,7 @@
 import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 
 import bcrypt from 'bcryptjs';
 import cors from 'cors';
@@ -6,7 +9,33 @@ import dotenv from 'dotenv';
 import express from 'express';
 import jwt from 'jsonwebtoken';
 
-import { closeDatabase, getPersistenceMode, initDatabase, query, withTransaction } from './db.js';
+import { createBlobStore, sha256Buffer } from './blob-store.js';
+import {
+  closeDatabase,
+  enclosingTransactions,
+  getPersistenceMode,
+  initDatabase,
+  onTransactionEnd,
+  query,
+  withTransaction,
+} from './db.js';
+import {
+  buildLedgerManifest,
+  buildVerificationKeys,
+  collectChainIssues,
+  collectMigrationAnchors,
+  commitLedgerValue,
+  hashBlock,
+  isBlockHashValid,
+  isLedgerCommitment,
+  isLegacyOnlyBlock,
+  keyRotationStatement,
+  ledgerKeyIdFor,
+  stableStringify,
+  toLedgerExportLines,
+  verifyBlockSignature,
+  verifyChainIntegrity,
+} from './ledger.js';
 
 dotenv.config();
 
@@ -22,6 +51,61 @@ const EARTH_SEARCH_BASE_URL = process.env.EARTH_SEARCH_BASE_URL || 'https://eart
 const TITILER_STATS_URL = process.env.TITILER_STATS_URL || 'https://titiler.xyz/stac/statistics';
 const NOMINATIM_SEARCH_URL = process.env.NOMINATIM_SEARCH_URL || 'https://nominatim.openstreetmap.org/search';
 const NDVI_TIMELINE_YEARS = Math.max(3, Math.min(Number(process.env.NDVI_TIMELINE_YEARS || 5), 10));
+const CHAIN_CHECKPOINT_INTERVAL = Math.max(4, Math.min(Number(process.env.CHAIN_CHECKPOINT_INTERVAL || 64), 4096));
+const CHAIN_CHECKPOINT_AUDIT_INTERVAL_MS =
+  Math.max(1, Number(process.env.CHAIN_CHECKPOINT_AUDIT_INTERVAL_MINUTES || 10)) * 60 * 1000;
+const CHAIN_CHECKPOINT_AUDIT_CYCLE_RUNS = Math.max(1, Math.floor(Number(process.env.CHAIN_CHECKPOINT_AUDIT_CYCLE_RUNS || 6)));
+const LEDGER_ACCEPT_LEGACY_HASHES = !['0', 'false', 'no'].includes(
+  String(process.env.LEDGER_ACCEPT_LEGACY_HASHES || 'true').trim().toLowerCase()
+);
+const LEDGER_MIGRATION_BATCH_SIZE = 500;
+const OVERLAP_TOLERANCE_SQ_M = Math.max(0, Number(process.env.OVERLAP_TOLERANCE_SQ_M ?? 1) || 0);
+const OVERLAP_TOLERANCE_PERCENT = Math.max(0, Math.min(Number(process.env.OVERLAP_TOLERANCE_PERCENT ?? 5) || 0, 100));
+const PARCEL_AREA_TOLERANCE_PERCENT = Math.max(0, Math.min(Number(process.env.PARCEL_AREA_TOLERANCE_PERCENT ?? 0.5) || 0, 10));
+const CLAIM_APPEAL_WINDOW_DAYS = Math.max(1, Math.min(Number(process.env.CLAIM_APPEAL_WINDOW_DAYS || 30), 365));
+const SECOND_APPROVAL_AREA_HECTARES = Math.max(0, Number(process.env.SECOND_APPROVAL_AREA_HECTARES ?? 5) || 0);
+const DEFAULT_CLAIM_SLA_HOURS = { PENDING: 72, FLAGGED: 120, AWAITING_SECOND_APPROVAL: 48 };
+const CLAIM_SLA_HOURS = String(process.env.CLAIM_SLA_HOURS || '')
+  .split(',')
+  .map((item) => item.split('='))
+  .reduce(
+    (hours, [status, value]) => {
+      const key = String(status || '').trim().toUpperCase();
+      const parsed = Number(value);
+      if (key && Number.isFinite(parsed) && parsed > 0) hours[key] = parsed;
+      return hours;
+    },
+    { ...DEFAULT_CLAIM_SLA_HOURS }
+  );
+const CLAIM_SUPERVISOR_EMPLOYEE_IDS = new Set(
+  String(process.env.CLAIM_SUPERVISOR_EMPLOYEE_IDS || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+);
+const CLAIM_ESCALATION_INTERVAL_MS = Math.max(1, Number(process.env.CLAIM_ESCALATION_INTERVAL_MINUTES || 5)) * 60 * 1000;
+const SECOND_APPROVAL_FLAG_TYPES = new Set(
+  String(process.env.SECOND_APPROVAL_FLAG_TYPES ?? 'GOV_BOUNDARY_OVERLAP')
+    .split(',')
+    .map((item) => item.trim().toUpperCase())
+    .filter(Boolean)
+);
+const LEDGER_SIGNING_KEY_FILE =
+  process.env.LEDGER_SIGNING_KEY_FILE ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'ledger-signing-key.pem');
+const LEDGER_TRUSTED_KEYS_FILE =
+  process.env.LEDGER_TRUSTED_KEYS_FILE ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'ledger-trusted-keys.json');
+const CLAIM_DOCUMENT_MAX_BYTES = Math.max(1, Math.min(Number(process.env.CLAIM_DOCUMENT_MAX_MB || 10), 50)) * 1024 * 1024;
+const CLAIM_DOCUMENT_MAX_COUNT = 10;
+const CLAIM_DOCUMENT_UNATTACHED_MAX = Math.max(1, Number(process.env.CLAIM_DOCUMENT_UNATTACHED_MAX || 20));
+const CLAIM_DOCUMENT_UNATTACHED_TTL_MS = Math.max(1, Number(process.env.CLAIM_DOCUMENT_UNATTACHED_TTL_HOURS || 24)) * 60 * 60 * 1000;
+const CLAIM_DOCUMENT_CLEANUP_INTERVAL_MS = Math.min(CLAIM_DOCUMENT_UNATTACHED_TTL_MS, 60 * 60 * 1000);
+const CLAIM_DOCUMENT_KINDS = new Set(['DEED', 'TAX_RECEIPT', 'SURVEY_SKETCH', 'OTHER']);
+const CLAIM_BULK_REVIEW_MAX = 50;
+const claimDocumentStore = createBlobStore(process.env.CLAIM_DOCUMENT_STORE || 'local', {
+  root: process.env.CLAIM_DOCUMENT_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'claim-documents'),
+});
 
 const app = express();
 
@@ -36,6 +120,7 @@ app.use(
       callback(new Error(`CORS blocked for origin: ${origin}`));
     },
     credentials: true,
+    exposedHeaders: ['X-Content-SHA256', 'X-Content-Verified'],
   })
 );
 
@@ -43,7 +128,42 @@ let databaseReady = false;
 const USER_ROLES = new Set(['USER', 'EMPLOYEE']);
 const EMPLOYEE_SIGNUP_CODE = String(process.env.EMPLOYEE_SIGNUP_CODE || '').trim();
 const EMPLOYEE_ID_REGEX = /^1947\d{4,}$/;
-const CLAIM_STATUSES = new Set(['PENDING', 'FLAGGED', 'APPROVED', 'REJECTED']);
+const CLAIM_STATUSES = new Set([
+  'PENDING',
+  'FLAGGED',
+  'NEEDS_INFO',
+  'AWAITING_SECOND_APPROVAL',
+  'APPROVED',
+  'REJECTED',
+  'WITHDRAWN',
+]);
+const CLAIM_OPEN_STATUSES = new Set(['PENDING', 'FLAGGED', 'NEEDS_INFO']);
+const CLAIM_QUEUE_STATUSES = ['PENDING', 'FLAGGED', 'NEEDS_INFO', 'AWAITING_SECOND_APPROVAL'];
+const CLAIM_QUEUE_STATUS_SQL = CLAIM_QUEUE_STATUSES.map((status) => `'${status}'`).join(', ');
+const CLAIM_APPEAL_STATUSES = new Set(['OPEN', 'UPHELD', 'REOPENED']);
+const PARCEL_TRANSFER_TYPES = new Set(['SALE', 'GIFT', 'INHERITANCE']);
+const PARCEL_TRANSFER_STATUSES = new Set(['PENDING_BUYER', 'PENDING_APPROVAL', 'COMPLETED', 'DECLINED', 'CANCELLED', 'REJECTED']);
+const PARCEL_TRANSFER_OPEN_STATUSES = ['PENDING_BUYER', 'PENDING_APPROVAL'];
+const PARCEL_TRANSFER_OPEN_STATUS_SQL = PARCEL_TRANSFER_OPEN_STATUSES.map((status) => `'${status}'`).join(', ');
+const PARCEL_MAX_OWNERS = 20;
+const PARCEL_TRANSFER_ACTIONS = {
+  ACCEPT: { actor: 'BUYER', from: ['PENDING_BUYER'], to: 'PENDING_APPROVAL', eventType: 'PARCEL_TRANSFER_ACCEPTED' },
+  DECLINE: { actor: 'BUYER', from: ['PENDING_BUYER'], to: 'DECLINED', eventType: 'PARCEL_TRANSFER_DECLINED' },
+  CANCEL: { actor: 'SELLER', from: PARCEL_TRANSFER_OPEN_STATUSES, to: 'CANCELLED', eventType: 'PARCEL_TRANSFER_CANCELLED' },
+  APPROVE: { actor: 'EMPLOYEE', from: ['PENDING_APPROVAL'], to: 'COMPLETED', eventType: 'PARCEL_TRANSFER_APPROVED' },
+  REJECT: { actor: 'EMPLOYEE', from: ['PENDING_APPROVAL'], to: 'REJECTED', eventType: 'PARCEL_TRANSFER_REJECTED' },
+};
+// Liens secure a debt or a court order against the title, so they block transfers. A lease binds
+// whoever owns the land and does not.
+const PARCEL_ENCUMBRANCE_TYPES = {
+  MORTGAGE: { lien: true },
+  COURT_ATTACHMENT: { lien: true },
+  LEASE: { lien: false },
+};
+const PARCEL_LIEN_TYPE_SQL = Object.keys(PARCEL_ENCUMBRANCE_TYPES)
+  .filter((type) => PARCEL_ENCUMBRANCE_TYPES[type].lien)
+  .map((type) => `'${type}'`)
+  .join(', ');
 const BOUNDARY_STATUSES = new Set(['ACTIVE', 'REMOVED']);
 const CHANDANNAGAR_PRESET_BOUNDARIES = [
   {
@@ -97,35 +217,6 @@ const httpError = (status, message) => {
   return error;
 };
 
-const stableStringify = (value) => {
-  if (value === undefined) return 'null';
-  if (Array.isArray(value)) {
-    return `[${value.map((item) => stableStringify(item)).join(',')}]`;
-  }
-  if (value && typeof value === 'object') {
-    const entries = Object.keys(value)
-      .sort()
-      .map((key) => `"${key}":${stableStringify(value[key])}`);
-    return `{${entries.join(',')}}`;
-  }
-  return JSON.stringify(value);
-};
-
-const hashBlockPayload = (block, serializer) =>
-  `${block.index}|${block.timestamp}|${block.eventType}|${serializer(block.payload)}|${block.previousHash}|${block.nonce}`;
-
-const hashBlock = (block) =>
-  crypto
-    .createHash('sha256')
-    .update(hashBlockPayload(block, stableStringify))
-    .digest('hex');
-
-const hashBlockLegacy = (block) =>
-  crypto
-    .createHash('sha256')
-    .update(hashBlockPayload(block, (payload) => JSON.stringify(payload)))
-    .digest('hex');
-
 const createGenesisBlock = () => {
   const base = {
     index: 0,
@@ -166,6 +257,18 @@ const toChainBlock = (row) => ({
   previousHash: row.previous_hash,
   nonce: row.nonce,
   hash: row.hash,
+  signature: row.signature || null,
+  keyId: row.key_id || null,
+});
+
+const toChainCheckpoint = (row) => ({
+  checkpointIndex: row.checkpoint_index,
+  startIndex: row.start_block_index,
+  endIndex: row.end_block_index,
+  endHash: row.end_block_hash,
+  leafCount: row.leaf_count,
+  merkleRoot: row.merkle_root,
+  createdAt: toIso(row.created_at),
 });
 
 const createToken = (user) =>
@@ -182,11 +285,280 @@ const createToken = (user) =>
     { expiresIn: TOKEN_EXPIRY }
   );
 
+let ledgerSigner = null;
+let ledgerTrustedKeys = [];
+let ledgerVerificationKeys = buildVerificationKeys();
+let ledgerMigrationAnchors = new Map();
+
+const ledgerHashPolicy = () => ({
+  acceptLegacyHashes: LEDGER_ACCEPT_LEGACY_HASHES,
+  migrationAnchors: ledgerMigrationAnchors,
+});
+
+const readLedgerSigningKeyPem = () => {
+  const fromEnv = String(process.env.LEDGER_SIGNING_KEY || '').trim();
+  if (fromEnv) return fromEnv.replaceAll('\\n', '\n');
+
+  if (fs.existsSync(LEDGER_SIGNING_KEY_FILE)) {
+    return fs.readFileSync(LEDGER_SIGNING_KEY_FILE, 'utf8');
+  }
+
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  const pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+  fs.mkdirSync(path.dirname(LEDGER_SIGNING_KEY_FILE), { recursive: true });
+  fs.writeFileSync(LEDGER_SIGNING_KEY_FILE, pem, { mode: 0o600 });
+  console.warn(`Generated ledger signing key at ${LEDGER_SIGNING_KEY_FILE}. Set LEDGER_SIGNING_KEY in production.`);
+  return pem;
+};
+
+const toLedgerSigner = (pem, variable) => {
+  const privateKey = crypto.createPrivateKey(pem);
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error(`${variable} must be an Ed25519 private key.`);
+  }
+  const publicKey = crypto.createPublicKey(privateKey);
+  return {
+    keyId: ledgerKeyIdFor(publicKey),
+    privateKey,
+    publicKey,
+    publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+  };
+};
+
+const loadLedgerSigner = () => toLedgerSigner(readLedgerSigningKeyPem(), 'LEDGER_SIGNING_KEY');
+
+// Needed only while rotating: the retiring key counter-signs its successor.
+const loadPreviousLedgerSigner = () => {
+  const fromEnv = String(process.env.LEDGER_PREVIOUS_SIGNING_KEY || '').trim();
+  if (fromEnv) return toLedgerSigner(fromEnv.replaceAll('\\n', '\n'), 'LEDGER_PREVIOUS_SIGNING_KEY');
+  const filePath = process.env.LEDGER_PREVIOUS_SIGNING_KEY_FILE;
+  return filePath ? toLedgerSigner(fs.readFileSync(filePath, 'utf8'), 'LEDGER_PREVIOUS_SIGNING_KEY_FILE') : null;
+};
+
+// The public keys verification trusts are pinned outside the database, so write access to
+// ledger_signing_keys or chain_blocks cannot introduce a key. The same file is what
+// verify-ledger.js takes with --keys.
+const readLedgerTrustedKeys = (signer) => {
+  const fromEnv = String(process.env.LEDGER_TRUSTED_KEYS || '').trim();
+  let published;
+  if (fromEnv) {
+    published = JSON.parse(fromEnv);
+  } else if (fs.existsSync(LEDGER_TRUSTED_KEYS_FILE)) {
+    published = JSON.parse(fs.readFileSync(LEDGER_TRUSTED_KEYS_FILE, 'utf8'));
+  } else {
+    published = { keys: [{ keyId: signer.keyId, algorithm: 'ed25519', publicKey: signer.publicKeyPem }] };
+    fs.mkdirSync(path.dirname(LEDGER_TRUSTED_KEYS_FILE), { recursive: true });
+    fs.writeFileSync(LEDGER_TRUSTED_KEYS_FILE, `${JSON.stringify(published, null, 2)}\n`);
+    console.warn(`Pinned ledger key ${signer.keyId} in ${LEDGER_TRUSTED_KEYS_FILE}. Set LEDGER_TRUSTED_KEYS in production.`);
+  }
+
+  const keys = (Array.isArray(published) ? published : published.keys || []).map((key) => ({
+    keyId: ledgerKeyIdFor(crypto.createPublicKey(key.publicKey)),
+    algorithm: key.algorithm || 'ed25519',
+    publicKey: key.publicKey,
+  }));
+  if (!keys.some((key) => key.keyId === signer.keyId)) {
+    throw new Error(`Ledger signing key ${signer.keyId} is not a trusted key. Add its public key to LEDGER_TRUSTED_KEYS.`);
+  }
+  return keys;
+};
+
+const signBlockHash = (hash) =>
+  ledgerSigner ? crypto.sign(null, Buffer.from(hash, 'utf8'), ledgerSigner.privateKey).toString('base64') : null;
+
+const loadLedgerVerificationKeys = async (executor = { query }) => {
+  const result = await executor.query(
+    "SELECT * FROM chain_blocks WHERE event_type = 'LEDGER_KEY_ROTATED' ORDER BY block_index ASC"
+  );
+  return buildVerificationKeys(ledgerTrustedKeys, result.rows.map(toChainBlock));
+};
+
+// Publishes the pinned keys with the block range the chain's rotation blocks give each one.
+const listTrustedLedgerKeys = () =>
+  ledgerTrustedKeys.map((key) => {
+    const scheduled = ledgerVerificationKeys.keys.get(key.keyId);
+    return {
+      ...key,
+      publicKeyJwk: crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }),
+      status: !scheduled ? 'PINNED' : scheduled.retiredAtBlockIndex === null ? 'ACTIVE' : 'RETIRED',
+      activationBlockIndex: scheduled?.activationBlockIndex ?? null,
+      retiredAtBlockIndex: scheduled?.retiredAtBlockIndex ?? null,
+    };
+  });
+
+const ensureLedgerSigningKey = async () => {
+  const signer = loadLedgerSigner();
+  ledgerTrustedKeys = readLedgerTrustedKeys(signer);
+
+  await withTransaction(async (client) => {
+    const head = await lockChainHead(client);
+    const schedule = await loadLedgerVerificationKeys(client);
+    const scheduled = schedule.keys.get(signer.keyId);
+    if (scheduled && scheduled.retiredAtBlockIndex !== null) {
+      throw new Error(`Configured ledger signing key ${signer.keyId} was retired. Configure a new key.`);
+    }
+    if (scheduled) {
+      ledgerSigner = signer;
+      return;
+    }
+
+    const previousKeyIds = Array.from(schedule.keys)
+      .filter(([, key]) => key.retiredAtBlockIndex === null)
+      .map(([keyId]) => keyId);
+    let endorsement;
+    if (previousKeyIds.length) {
+      const previous = loadPreviousLedgerSigner();
+      if (!previous || !previousKeyIds.includes(previous.keyId)) {
+        throw new Error(
+          `Rotating away from ${previousKeyIds.join(', ')} needs that key in LEDGER_PREVIOUS_SIGNING_KEY to counter-sign ${signer.keyId}.`
+        );
+      }
+      const statement = keyRotationStatement({ index: head.index + 1, previousHash: head.hash, keyId: signer.keyId });
+      endorsement = {
+        keyId: previous.keyId,
+        signature: crypto.sign(null, Buffer.from(statement, 'utf8'), previous.privateKey).toString('base64'),
+      };
+    }
+
+    ledgerSigner = signer;
+    const block = await insertChainBlock(client, 'LEDGER_KEY_ROTATED', {
+      keyId: signer.keyId,
+      algorithm: 'ed25519',
+      publicKey: signer.publicKeyPem,
+      previousKeyIds,
+      ...(endorsement ? { endorsement } : {}),
+    });
+    const now = new Date().toISOString();
+
+    await client.query(
+      `
+        UPDATE ledger_signing_keys
+        SET status = 'RETIRED', retired_at = $1, retired_at_block_index = $2
+        WHERE status = 'ACTIVE'
+      `,
+      [now, block.index]
+    );
+    await client.query(
+      `
+        INSERT INTO ledger_signing_keys
+        (key_id, algorithm, public_key, status, activation_block_index, retired_at_block_index, activated_at, retired_at)
+        VALUES ($1, 'ed25519', $2, 'ACTIVE', $3, NULL, $4, NULL)
+      `,
+      [signer.keyId, signer.publicKeyPem, block.index, now]
+    );
+    console.log(`Ledger signing key ${signer.keyId} activated at block ${block.index}.`);
+  });
+
+  ledgerVerificationKeys = await loadLedgerVerificationKeys();
+};
+
+const loadLedgerMigrationAnchors = async (executor = { query }) => {
+  const result = await executor.query(
+    "SELECT * FROM chain_blocks WHERE event_type = 'LEDGER_MIGRATION' ORDER BY block_index ASC"
+  );
+  return collectMigrationAnchors(result.rows.map(toChainBlock));
+};
+
+const findUnanchoredLegacyBlocks = (chain, anchors = ledgerMigrationAnchors) =>
+  chain.filter((block) => !anchors.has(block.index) && isLegacyOnlyBlock(block));
+
+const ensureLedgerHashPolicy = async () => {
+  ledgerMigrationAnchors = await loadLedgerMigrationAnchors();
+  if (LEDGER_ACCEPT_LEGACY_HASHES) return;
+
+  const pending = findUnanchoredLegacyBlocks(await getChainBlocks());
+  if (pending.length) {
+    console.warn(
+      `${pending.length} legacy-hashed block(s) are not migrated and will fail verification because LEDGER_ACCEPT_LEGACY_HASHES=false. ` +
+        'Run POST /api/ledger/migrations/legacy-hashes with legacy acceptance enabled first.'
+    );
+  }
+};
+
+// Re-anchors every legacy-only block by recording its stable-format hash in LEDGER_MIGRATION
+// events. The migrated blocks are not rewritten, so previousHash links and receipts stay valid.
+const migrateLegacyHashedBlocks = async ({ actorUserId, dryRun = false }) =>
+  withTransaction(async (client) => {
+    await lockChainHead(client);
+    const chainResult = await client.query('SELECT * FROM chain_blocks ORDER BY block_index ASC');
+    const chain = chainResult.rows.map(toChainBlock);
+    const integrity = verifyChainIntegrity(chain, ledgerVerificationKeys, {
+      acceptLegacyHashes: true,
+      migrationAnchors: ledgerMigrationAnchors,
+    });
+    if (!integrity.valid) {
+      throw httpError(409, `Chain must verify before migration: ${integrity.reason}`);
+    }
+
+    const entries = findUnanchoredLegacyBlocks(chain).map((block) => ({
+      index: block.index,
+      legacyHash: block.hash,
+      stableHash: hashBlock(block),
+    }));
+    if (dryRun || !entries.length) {
+      return { dryRun, pendingCount: entries.length, pending: entries, events: [] };
+    }
+
+    const migrationId = crypto.randomUUID();
+    const batchCount = Math.ceil(entries.length / LEDGER_MIGRATION_BATCH_SIZE);
+    const events = [];
+    // Anchors only take effect once the LEDGER_MIGRATION blocks that record them are committed.
+    onTransactionEnd(client, (committed) => {
+      if (!committed) return;
+      for (const entry of entries) {
+        ledgerMigrationAnchors.set(entry.index, { legacyHash: entry.legacyHash, stableHash: entry.stableHash });
+      }
+    });
+    for (let batch = 0; batch < batchCount; batch += 1) {
+      const blocks = entries.slice(batch * LEDGER_MIGRATION_BATCH_SIZE, (batch + 1) * LEDGER_MIGRATION_BATCH_SIZE);
+      const block = await insertChainBlock(client, 'LEDGER_MIGRATION', {
+        migrationId,
+        kind: 'LEGACY_HASH_REANCHOR',
+        fromFormat: 'json-stringify',
+        toFormat: 'stable-stringify',
+        batch: batch + 1,
+        batchCount,
+        migratedBy: actorUserId,
+        blocks,
+      });
+      events.push({ index: block.index, hash: block.hash, count: blocks.length });
+    }
+
+    return { dryRun, migrationId, pendingCount: 0, migratedCount: entries.length, migrated: entries, events };
+  });
+
 const getChainBlocks = async () => {
   const result = await query('SELECT * FROM chain_blocks ORDER BY block_index ASC');
   return result.rows.map(toChainBlock);
 };
 
+const ensureChainHead = async () => {
+  await withTransaction(async (client) => {
+    const latestResult = await client.query(
+      'SELECT block_index, hash FROM chain_blocks ORDER BY block_index DESC LIMIT 1'
+    );
+    const latest = latestResult.rows[0];
+    if (!latest) return;
+
+    const headResult = await client.query('SELECT block_index FROM chain_head WHERE id = 1 FOR UPDATE');
+    const head = headResult.rows[0];
+    const now = new Date().toISOString();
+    if (!head) {
+      await client.query('INSERT INTO chain_head (id, block_index, hash, updated_at) VALUES (1, $1, $2, $3)', [
+        latest.block_index,
+        latest.hash,
+        now,
+      ]);
+    } else if (Number(head.block_index) < Number(latest.block_index)) {
+      await client.query('UPDATE chain_head SET block_index = $1, hash = $2, updated_at = $3 WHERE id = 1', [
+        latest.block_index,
+        latest.hash,
+        now,
+      ]);
+    }
+  });
+};
+
 const ensureGenesisBlock = async () => {
   const countResult = await query('SELECT COUNT(*)::int AS count FROM chain_blocks');
   const count = countResult.rows[0]?.count || 0;
@@ -211,18 +583,122 @@ const ensureGenesisBlock = async () => {
   );
 };
 
-const insertChainBlock = async (client, eventType, payload) => {
-  const latestResult = await client.query(
-    'SELECT block_index, hash FROM chain_blocks ORDER BY block_index DESC LIMIT 1 FOR UPDATE'
+// Requests run concurrently up to their first append. From there until commit, the chain_head
+// row lock taken by UPDATE ... RETURNING orders them: a block's hash covers the previous block's
+// hash, and it commits with the rows that record it. That lock lives in Postgres, so a cycle with
+// a row lock is detected and one side is rolled back instead of both hanging. Handlers take
+// their row locks before the first append anyway, so the chain head is held only for the writes.
+// pg-mem has no row locks and shares one connection, so there a FIFO gate in this process hands
+// the head to one transaction at a time. The unique previous_hash index rejects any fork.
+let ledgerAppendTail = Promise.resolve();
+const ledgerAppendHolders = new WeakSet();
+
+const acquireLedgerAppendGate = async (client) => {
+  if (ledgerAppendHolders.has(client)) return;
+  // The enclosing transaction holds the chain head until it commits, which waits for this one.
+  if (enclosingTransactions(client).some((outer) => ledgerAppendHolders.has(outer))) {
+    throw new Error('Cannot append to the ledger from a transaction nested inside one that is already appending.');
+  }
+  if (getPersistenceMode() !== 'memory') {
+    ledgerAppendHolders.add(client);
+    onTransactionEnd(client, () => ledgerAppendHolders.delete(client));
+    return;
+  }
+
+  let release;
+  const turn = new Promise((resolve) => {
+    release = resolve;
+  });
+  const previous = ledgerAppendTail;
+  ledgerAppendTail = previous.then(() => turn);
+  await previous;
+
+  ledgerAppendHolders.add(client);
+  onTransactionEnd(client, () => {
+    ledgerAppendHolders.delete(client);
+    release();
+  });
+};
+
+const lockChainHead = async (client) => {
+  await acquireLedgerAppendGate(client);
+  const result = await client.query('SELECT block_index, hash FROM chain_head WHERE id = 1 FOR UPDATE');
+  if (!result.rows[0]) throw new Error('Chain head is not initialized.');
+  return { index: Number(result.rows[0].block_index), hash: result.rows[0].hash };
+};
+
+// Personal fields are written on-chain as salted commitments; the salt and value live in
+// ledger_commitment_salts, which is never exported. Boundary and ledger maintenance events
+// describe public records and are left in the clear.
+const LEDGER_COMMITTED_FIELDS = new Set([
+  'userId',
+  'ownerUserId',
+  'claimantUserId',
+  'reviewerUserId',
+  'assigneeUserId',
+  'assignedByUserId',
+  'supervisorUserId',
+  'sellerUserId',
+  'buyerUserId',
+  'previousOwnerUserId',
+  'ownerShares',
+  'considerationAmount',
+  'holderName',
+  'holderReference',
+  'amount',
+  'disputeOwnerId',
+  'email',
+  'name',
+  'employeeId',
+  'walletAddress',
+  'pid',
+  'parcelRef',
+  'lat',
+  'lng',
+  'coords',
+  'note',
+  'claimNote',
+  'reviewNote',
+  'releaseNote',
+  'description',
+]);
+const LEDGER_PUBLIC_EVENT_PREFIXES = ['GENESIS', 'GOV_BOUNDARY_', 'LEDGER_'];
+
+const commitLedgerPayload = (eventType, payload) => {
+  if (!payload || LEDGER_PUBLIC_EVENT_PREFIXES.some((prefix) => eventType.startsWith(prefix))) {
+    return { payload, salts: [] };
+  }
+
+  const salts = [];
+  const committed = {};
+  for (const [field, value] of Object.entries(payload)) {
+    if (!LEDGER_COMMITTED_FIELDS.has(field) || value === null || value === undefined || isLedgerCommitment(value)) {
+      committed[field] = value;
+      continue;
+    }
+    const salt = crypto.randomBytes(16).toString('hex');
+    const commitment = commitLedgerValue(field, value, salt);
+    committed[field] = { commitment };
+    salts.push({ commitment, field, salt, value });
+  }
+  return { payload: committed, salts };
+};
+
+const insertChainBlock = async (client, eventType, rawPayload) => {
+  const { payload, salts } = commitLedgerPayload(eventType, rawPayload);
+  await acquireLedgerAppendGate(client);
+  const headResult = await client.query(
+    'UPDATE chain_head SET block_index = block_index + 1 WHERE id = 1 RETURNING block_index, hash'
   );
-  const latest = latestResult.rows[0];
+  const head = headResult.rows[0];
+  if (!head) throw new Error('Chain head is not initialized.');
 
   const blockBase = {
-    index: latest ? Number(latest.block_index) + 1 : 0,
+    index: Number(head.block_index),
     timestamp: new Date().toISOString(),
     eventType,
     payload,
-    previousHash: latest ? latest.hash : '0',
+    previousHash: head.hash,
     nonce: 0,
   };
   const hash = hashBlock(blockBase);
@@ -230,8 +706,8 @@ const insertChainBlock = async (client, eventType, payload) => {
   const insertResult = await client.query(
     `
       INSERT INTO chain_blocks
-      (block_index, block_timestamp, event_type, payload, previous_hash, nonce, hash)
-      VALUES ($1, $2, $3, $4::jsonb, $5, $6, $7)
+      (block_index, block_timestamp, event_type, payload, previous_hash, nonce, hash, signature, key_id)
+      VALUES ($1, $2, $3, $4::jsonb, $5, $6, $7, $8, $9)
       RETURNING *
     `,
     [
@@ -242,45 +718,303 @@ const insertChainBlock = async (client, eventType, payload) => {
       blockBase.previousHash,
       blockBase.nonce,
       hash,
+      signBlockHash(hash),
+      ledgerSigner?.keyId || null,
     ]
   );
+  await client.query('UPDATE chain_head SET hash = $1, updated_at = $2 WHERE id = 1', [hash, blockBase.timestamp]);
+  for (const entry of salts) {
+    await client.query(
+      `
+        INSERT INTO ledger_commitment_salts (commitment, block_index, field, salt, value, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `,
+      [entry.commitment, blockBase.index, entry.field, entry.salt, stableStringify(entry.value), blockBase.timestamp]
+    );
+  }
 
-  return toChainBlock(insertResult.rows[0]);
+  const block = toChainBlock(insertResult.rows[0]);
+  if (block.index % CHAIN_CHECKPOINT_INTERVAL === CHAIN_CHECKPOINT_INTERVAL - 1) {
+    onTransactionEnd(client, (committed) => {
+      if (committed) scheduleChainCheckpointSealing();
+    });
+  }
+  return block;
 };
 
 const appendChainBlock = async (eventType, payload) =>
   withTransaction((client) => insertChainBlock(client, eventType, payload));
 
-const verifyChainIntegrity = (chain) => {
-  if (!Array.isArray(chain) || !chain.length) {
-    return { valid: false, reason: 'Chain is empty' };
+// Merkle tree over block hashes. Leaves and inner nodes use distinct prefixes so a
+// leaf can never be replayed as a node; an odd trailing node is promoted unchanged.
+const merkleLeafHash = (blockHash) => sha256Hex(`leaf|${blockHash}`);
+const merkleNodeHash = (left, right) => sha256Hex(`node|${left}|${right}`);
+
+const buildMerkleLevels = (blockHashes) => {
+  const levels = [blockHashes.map(merkleLeafHash)];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? merkleNodeHash(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
   }
+  return levels;
+};
 
-  for (let i = 0; i < chain.length; i += 1) {
-    const current = chain[i];
-    const base = {
-      index: current.index,
-      timestamp: current.timestamp,
-      eventType: current.eventType,
-      payload: current.payload,
-      previousHash: current.previousHash,
-      nonce: current.nonce,
-    };
-    const expectedHash = hashBlock(base);
-    const legacyExpectedHash = hashBlockLegacy(base);
+const buildMerkleRoot = (blockHashes) => {
+  if (!Array.isArray(blockHashes) || !blockHashes.length) return null;
+  const levels = buildMerkleLevels(blockHashes);
+  return levels[levels.length - 1][0];
+};
 
-    if (current.hash !== expectedHash && current.hash !== legacyExpectedHash) {
-      return { valid: false, reason: `Hash mismatch at block ${i}` };
+const buildMerkleProof = (blockHashes, position) => {
+  const levels = buildMerkleLevels(blockHashes);
+  const proof = [];
+  let cursor = position;
+  for (let depth = 0; depth < levels.length - 1; depth += 1) {
+    const level = levels[depth];
+    const isLeftNode = cursor % 2 === 0;
+    const siblingIndex = isLeftNode ? cursor + 1 : cursor - 1;
+    if (siblingIndex < level.length) {
+      proof.push({ position: isLeftNode ? 'RIGHT' : 'LEFT', hash: level[siblingIndex] });
     }
+    cursor = Math.floor(cursor / 2);
+  }
+  return proof;
+};
+
+const verifyMerkleProof = (blockHash, proof, merkleRoot) => {
+  if (!Array.isArray(proof) || !merkleRoot) return false;
+  const computedRoot = proof.reduce(
+    (acc, step) => (step?.position === 'LEFT' ? merkleNodeHash(step.hash, acc) : merkleNodeHash(acc, step?.hash)),
+    merkleLeafHash(blockHash)
+  );
+  return computedRoot === merkleRoot;
+};
 
-    if (i > 0 && current.previousHash !== chain[i - 1].hash) {
-      return { valid: false, reason: `Broken previousHash link at block ${i}` };
+const getLatestChainCheckpoint = async (executor = { query }) => {
+  const result = await executor.query(
+    'SELECT * FROM chain_checkpoints ORDER BY checkpoint_index DESC LIMIT 1'
+  );
+  return result.rows[0] ? toChainCheckpoint(result.rows[0]) : null;
+};
+
+const sealChainCheckpoints = async (client) => {
+  const { index: latestBlockIndex } = await lockChainHead(client);
+  const sealed = [];
+  for (;;) {
+    const last = await getLatestChainCheckpoint(client);
+    const startIndex = last ? last.endIndex + 1 : 0;
+    const endIndex = startIndex + CHAIN_CHECKPOINT_INTERVAL - 1;
+    if (endIndex > latestBlockIndex) return sealed;
+
+    const segmentResult = await client.query(
+      'SELECT * FROM chain_blocks WHERE block_index >= $1 AND block_index <= $2 ORDER BY block_index ASC',
+      [Math.max(startIndex - 1, 0), endIndex]
+    );
+    const segment = segmentResult.rows.map(toChainBlock);
+    const integrity = verifyChainIntegrity(segment, ledgerVerificationKeys, ledgerHashPolicy());
+    if (!integrity.valid) {
+      console.warn(`Chain checkpoint for blocks ${startIndex}-${endIndex} not sealed: ${integrity.reason}`);
+      return sealed;
     }
+
+    const leaves = segment.filter((block) => block.index >= startIndex).map((block) => block.hash);
+    const insertResult = await client.query(
+      `
+        INSERT INTO chain_checkpoints
+        (checkpoint_index, start_block_index, end_block_index, end_block_hash, leaf_count, merkle_root, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `,
+      [
+        last ? last.checkpointIndex + 1 : 0,
+        startIndex,
+        endIndex,
+        leaves[leaves.length - 1],
+        leaves.length,
+        buildMerkleRoot(leaves),
+        new Date().toISOString(),
+      ]
+    );
+    sealed.push(toChainCheckpoint(insertResult.rows[0]));
+  }
+};
+
+const ensureChainCheckpoints = async () => {
+  const sealed = await withTransaction((client) => sealChainCheckpoints(client));
+  if (sealed.length) {
+    console.log(`Sealed ${sealed.length} chain checkpoint(s) up to block ${sealed[sealed.length - 1].endIndex}.`);
   }
+};
+
+// Sealing runs after the append that completes a segment has committed, outside its transaction.
+let chainCheckpointSealing = null;
+let chainCheckpointSealingRequested = false;
+
+const scheduleChainCheckpointSealing = () => {
+  chainCheckpointSealingRequested = true;
+  if (chainCheckpointSealing) return;
 
+  chainCheckpointSealing = (async () => {
+    while (chainCheckpointSealingRequested) {
+      chainCheckpointSealingRequested = false;
+      await withTransaction((client) => sealChainCheckpoints(client)).catch((error) => {
+        console.warn(`Chain checkpoint sealing failed: ${error.message}`);
+      });
+    }
+  })().finally(() => {
+    chainCheckpointSealing = null;
+  });
+};
+
+const verifyChainCheckpoints = (chain, checkpoints) => {
+  for (const checkpoint of checkpoints) {
+    const leaves = chain
+      .filter((block) => block.index >= checkpoint.startIndex && block.index <= checkpoint.endIndex)
+      .map((block) => block.hash);
+    if (leaves.length !== checkpoint.leafCount || buildMerkleRoot(leaves) !== checkpoint.merkleRoot) {
+      return { valid: false, reason: `Merkle root mismatch at checkpoint ${checkpoint.checkpointIndex}` };
+    }
+  }
   return { valid: true, reason: null };
 };
 
+// Incremental verification skips sealed ranges, so a timer re-hashes them against their Merkle
+// roots: the latest range on every run, plus a share of the older ranges in turn, newest to oldest,
+// sized so every one is re-checked within CHAIN_CHECKPOINT_AUDIT_CYCLE_RUNS runs. A range that
+// fails stays failed, and fails incremental verification, until a later run passes it.
+const chainCheckpointAuditFailures = new Map();
+let chainCheckpointAuditCursor = null;
+let chainCheckpointLastAudit = null;
+
+const auditChainCheckpoint = async (checkpoint) => {
+  const segmentResult = await query(
+    'SELECT * FROM chain_blocks WHERE block_index >= $1 AND block_index <= $2 ORDER BY block_index ASC',
+    [Math.max(checkpoint.startIndex - 1, 0), checkpoint.endIndex]
+  );
+  const segment = segmentResult.rows.map(toChainBlock);
+  const integrity = verifyChainIntegrity(segment, ledgerVerificationKeys, ledgerHashPolicy());
+  const result = integrity.valid ? verifyChainCheckpoints(segment, [checkpoint]) : integrity;
+  if (result.valid) {
+    chainCheckpointAuditFailures.delete(checkpoint.checkpointIndex);
+  } else {
+    chainCheckpointAuditFailures.set(
+      checkpoint.checkpointIndex,
+      `Sealed range ${checkpoint.startIndex}-${checkpoint.endIndex}: ${result.reason}`
+    );
+  }
+  return result;
+};
+
+const auditChainCheckpoints = async () => {
+  const latest = await getLatestChainCheckpoint();
+  if (!latest) return null;
+  if (chainCheckpointAuditCursor === null || chainCheckpointAuditCursor < 0) {
+    chainCheckpointAuditCursor = latest.checkpointIndex - 1;
+  }
+  const olderCount = Math.ceil(latest.checkpointIndex / CHAIN_CHECKPOINT_AUDIT_CYCLE_RUNS);
+  const olderResult =
+    chainCheckpointAuditCursor >= 0
+      ? await query(
+          `
+            SELECT *
+            FROM chain_checkpoints
+            WHERE checkpoint_index <= $1 AND checkpoint_index > $2
+            ORDER BY checkpoint_index DESC
+          `,
+          [chainCheckpointAuditCursor, chainCheckpointAuditCursor - olderCount]
+        )
+      : { rows: [] };
+  const checkpoints = [latest, ...olderResult.rows.map(toChainCheckpoint)];
+  chainCheckpointAuditCursor -= olderCount;
+
+  for (const checkpoint of checkpoints) {
+    await auditChainCheckpoint(checkpoint);
+  }
+  chainCheckpointLastAudit = {
+    auditedAt: new Date().toISOString(),
+    checkpointIndexes: checkpoints.map((checkpoint) => checkpoint.checkpointIndex),
+    failedCheckpointIndexes: [...chainCheckpointAuditFailures.keys()],
+  };
+  return chainCheckpointLastAudit;
+};
+
+let chainCheckpointAuditRunning = false;
+
+const runChainCheckpointAudit = async () => {
+  if (chainCheckpointAuditRunning) return;
+  chainCheckpointAuditRunning = true;
+  try {
+    const audit = await auditChainCheckpoints();
+    if (audit?.failedCheckpointIndexes.length) {
+      console.warn(`Sealed chain range(s) failed re-verification: ${[...chainCheckpointAuditFailures.values()].join('; ')}`);
+    }
+  } catch (error) {
+    console.warn(`Chain checkpoint audit failed: ${error.message}`);
+  } finally {
+    chainCheckpointAuditRunning = false;
+  }
+};
+
+const startChainCheckpointAuditTimer = () => {
+  void runChainCheckpointAudit();
+  setInterval(() => void runChainCheckpointAudit(), CHAIN_CHECKPOINT_AUDIT_INTERVAL_MS).unref();
+};
+
+// Re-hashes only the blocks after the latest sealed checkpoint. Sealed ranges were verified
+// when their checkpoint was written and are re-checked by the audit timer above;
+// `verifyChainFull` re-checks them all against their roots.
+const verifyChainFromCheckpoint = async () => {
+  const checkpoint = await getLatestChainCheckpoint();
+  const tailResult = await query(
+    'SELECT * FROM chain_blocks WHERE block_index >= $1 ORDER BY block_index ASC',
+    [checkpoint ? checkpoint.endIndex : 0]
+  );
+  const tail = tailResult.rows.map(toChainBlock);
+  const lastBlock = tail[tail.length - 1];
+  const summary = {
+    mode: 'INCREMENTAL',
+    checkpoint,
+    verifiedBlocks: tail.length,
+    lastHash: lastBlock?.hash || null,
+    sealedAudit: chainCheckpointLastAudit,
+  };
+
+  if (checkpoint && tail[0]?.hash !== checkpoint.endHash) {
+    return { ...summary, valid: false, reason: `Checkpoint anchor mismatch at block ${checkpoint.endIndex}` };
+  }
+  const [sealedFailure] = chainCheckpointAuditFailures.values();
+  if (sealedFailure) {
+    return { ...summary, valid: false, reason: sealedFailure };
+  }
+  return { ...summary, ...verifyChainIntegrity(tail, ledgerVerificationKeys, ledgerHashPolicy()) };
+};
+
+const verifyChainFull = async () => {
+  const [chain, checkpointResult] = await Promise.all([
+    getChainBlocks(),
+    query('SELECT * FROM chain_checkpoints ORDER BY checkpoint_index ASC'),
+  ]);
+  const checkpoints = checkpointResult.rows.map(toChainCheckpoint);
+  const integrity = verifyChainIntegrity(chain, ledgerVerificationKeys, ledgerHashPolicy());
+  const lastBlock = chain[chain.length - 1];
+  return {
+    mode: 'FULL',
+    checkpoint: checkpoints[checkpoints.length - 1] || null,
+    verifiedBlocks: chain.length,
+    lastHash: lastBlock?.hash || null,
+    ...(integrity.valid ? verifyChainCheckpoints(chain, checkpoints) : integrity),
+  };
+};
+
+const countChainBlocks = async () => {
+  const result = await query('SELECT COUNT(*)::int AS count FROM chain_blocks');
+  return result.rows[0]?.count || 0;
+};
+
 const clampNumber = (value, min, max) => Math.max(min, Math.min(max, value));
 
 const average = (values = []) => {
@@ -584,52 +1318,773 @@ const polygonsOverlap = (polygonA, polygonB) => {
   return false;
 };
 
-const buildDisputeSnapshot = ({
-  parcelRef,
-  disputeType,
-  description,
-  coords,
-  selectionBounds,
-  status,
-  priority,
-  evidenceUrls,
-  resolutionNote,
-}) => ({
-  parcelRef: String(parcelRef || '').trim(),
-  disputeType: normalizeToken(disputeType),
-  description: String(description || '').trim(),
-  coords: toCoordPair(coords) || null,
-  selectionBounds: sanitizeSelectionBounds(selectionBounds),
-  status: normalizeToken(status || 'OPEN'),
-  priority: normalizeToken(priority || 'MEDIUM'),
-  evidenceUrls: sanitizeEvidenceUrls(evidenceUrls),
-  resolutionNote: String(resolutionNote || '').trim() || null,
-});
+const planarCross = (origin, a, b) =>
+  (a[1] - origin[1]) * (b[0] - origin[0]) - (a[0] - origin[0]) * (b[1] - origin[1]);
 
-const disputeSnapshotHash = (snapshot) => sha256Hex(snapshot);
+const signedPlanarArea = (polygon) => {
+  let area2 = 0;
+  for (let i = 0; i < polygon.length; i += 1) {
+    const a = polygon[i];
+    const b = polygon[(i + 1) % polygon.length];
+    area2 += a[1] * b[0] - b[1] * a[0];
+  }
+  return area2 / 2;
+};
 
-const disputeRowToSnapshot = (row) =>
-  buildDisputeSnapshot({
-    parcelRef: row.parcel_ref,
-    disputeType: row.dispute_type,
-    description: row.description,
-    coords: [row.latitude, row.longitude],
-    selectionBounds: row.selection_bounds,
-    status: row.status,
-    priority: row.priority,
-    evidenceUrls: row.evidence_urls,
-    resolutionNote: row.resolution_note,
-  });
+const isConvexPolygon = (polygon) => {
+  let sign = 0;
+  for (let i = 0; i < polygon.length; i += 1) {
+    const cross = planarCross(polygon[i], polygon[(i + 1) % polygon.length], polygon[(i + 2) % polygon.length]);
+    if (Math.abs(cross) < 1e-14) continue;
+    const nextSign = cross > 0 ? 1 : -1;
+    if (sign && nextSign !== sign) return false;
+    sign = nextSign;
+  }
+  return true;
+};
 
-const toDisputeRecord = (row) => {
-  const hasCoords = Number.isFinite(Number(row.latitude)) && Number.isFinite(Number(row.longitude));
-  const snapshotHash = disputeSnapshotHash(disputeRowToSnapshot(row));
-  return {
-    id: row.id,
-    parcelRef: row.parcel_ref,
-    disputeType: row.dispute_type,
-    description: row.description,
-    coords: hasCoords ? [Number(row.latitude), Number(row.longitude)] : null,
+// Sutherland-Hodgman: exact for any simple subject as long as the clip polygon is convex.
+const clipPolygonToConvex = (subject, clip) => {
+  const direction = signedPlanarArea(clip) >= 0 ? 1 : -1;
+  const inside = (point, a, b) => direction * planarCross(a, b, point) >= -1e-14;
+  const lineIntersection = (p1, p2, a, b) => {
+    const d1 = planarCross(a, b, p1);
+    const d2 = planarCross(a, b, p2);
+    const t = d1 / ((d1 - d2) || 1e-18);
+    return [p1[0] + (p2[0] - p1[0]) * t, p1[1] + (p2[1] - p1[1]) * t];
+  };
+
+  let output = subject;
+  for (let i = 0; i < clip.length && output.length; i += 1) {
+    const a = clip[i];
+    const b = clip[(i + 1) % clip.length];
+    const input = output;
+    output = [];
+    for (let j = 0; j < input.length; j += 1) {
+      const current = input[j];
+      const previous = input[(j + input.length - 1) % input.length];
+      const currentInside = inside(current, a, b);
+      const previousInside = inside(previous, a, b);
+      if (currentInside) {
+        if (!previousInside) output.push(lineIntersection(previous, current, a, b));
+        output.push(current);
+      } else if (previousInside) {
+        output.push(lineIntersection(previous, current, a, b));
+      }
+    }
+  }
+  return output;
+};
+
+// Ear clipping, so a concave clip polygon can be applied one convex triangle at a time.
+const triangulatePolygon = (polygon) => {
+  const direction = signedPlanarArea(polygon) >= 0 ? 1 : -1;
+  const remaining = polygon.map((_, index) => index);
+  const triangles = [];
+  const pointInTriangle = (point, a, b, c) =>
+    direction * planarCross(a, b, point) >= 0 &&
+    direction * planarCross(b, c, point) >= 0 &&
+    direction * planarCross(c, a, point) >= 0;
+
+  let guard = remaining.length * remaining.length;
+  while (remaining.length > 3 && guard > 0) {
+    guard -= 1;
+    let clipped = false;
+    for (let i = 0; i < remaining.length; i += 1) {
+      const prev = polygon[remaining[(i + remaining.length - 1) % remaining.length]];
+      const curr = polygon[remaining[i]];
+      const next = polygon[remaining[(i + 1) % remaining.length]];
+      if (direction * planarCross(prev, curr, next) <= 0) continue;
+      const blocked = remaining.some((index) => {
+        const point = polygon[index];
+        return point !== prev && point !== curr && point !== next && pointInTriangle(point, prev, curr, next);
+      });
+      if (blocked) continue;
+      triangles.push([prev, curr, next]);
+      remaining.splice(i, 1);
+      clipped = true;
+      break;
+    }
+    if (!clipped) break;
+  }
+  if (remaining.length === 3) {
+    triangles.push(remaining.map((index) => polygon[index]));
+  }
+  return triangles;
+};
+
+const roundPolygonCoords = (polygon) =>
+  polygon.map(([lat, lng]) => [Number(lat.toFixed(7)), Number(lng.toFixed(7))]);
+
+// Returns the intersection of two simple polygons as a list of polygons (several pieces when
+// both inputs are concave). Shared edges and corners produce no pieces.
+const polygonIntersection = (polygonA, polygonB) => {
+  if (!polygonsOverlap(polygonA, polygonB)) return [];
+  let pieces;
+  if (isConvexPolygon(polygonB)) {
+    pieces = [clipPolygonToConvex(polygonA, polygonB)];
+  } else if (isConvexPolygon(polygonA)) {
+    pieces = [clipPolygonToConvex(polygonB, polygonA)];
+  } else {
+    pieces = triangulatePolygon(polygonB).map((triangle) => clipPolygonToConvex(polygonA, triangle));
+  }
+  return pieces
+    .filter((piece) => piece.length >= 3 && polygonAreaSqM(piece) > 1e-6)
+    .map(roundPolygonCoords);
+};
+
+const measurePolygonOverlap = (polygon, targetPolygon) => {
+  const intersection = polygonIntersection(polygon, targetPolygon);
+  const overlapAreaSqM = intersection.reduce((sum, piece) => sum + polygonAreaSqM(piece), 0);
+  const sharePercent = (area) => (area > 0 ? Number(Math.min(100, (overlapAreaSqM / area) * 100).toFixed(3)) : 0);
+  return {
+    overlapAreaSqM: Number(overlapAreaSqM.toFixed(3)),
+    claimOverlapPercent: sharePercent(polygonAreaSqM(polygon)),
+    targetOverlapPercent: sharePercent(polygonAreaSqM(targetPolygon)),
+    intersection,
+  };
+};
+
+// Overlaps within both tolerances (shared edges, digitizing slivers) are kept as warnings and do not
+// flag the claim or block approval.
+const classifyOverlap = ({ overlapAreaSqM, claimOverlapPercent, targetOverlapPercent }) =>
+  overlapAreaSqM <= OVERLAP_TOLERANCE_SQ_M &&
+  Math.max(claimOverlapPercent, targetOverlapPercent) <= OVERLAP_TOLERANCE_PERCENT
+    ? 'WARNING'
+    : 'CONFLICT';
+
+const isBlockingOverlapFlag = (flag) => flag?.severity !== 'WARNING';
+
+// Dry runs cost nothing and write nothing, so a citizen only learns how much a drawing
+// overlaps and where, never whose parcel, claim or PID it touches.
+const toAnonymousOverlapFlag = ({ type, severity, overlapAreaSqM, claimOverlapPercent, targetOverlapPercent, intersection }) => ({
+  type,
+  severity,
+  overlapAreaSqM,
+  claimOverlapPercent,
+  targetOverlapPercent,
+  intersection,
+});
+
+// A submission or amendment tells the claimant which parcel or claim their drawing overlaps, but
+// not who holds it. The stored flags keep the contact details for reviewers.
+const withoutOverlapContacts = ({
+  ownerUserId,
+  ownerName,
+  ownerEmail,
+  claimantUserId,
+  claimantName,
+  claimantEmail,
+  ...flag
+}) => flag;
+
+// Number of times the infinite line through `a` and `b` crosses the polygon boundary.
+const countLineCrossings = (polygon, a, b) => {
+  const sides = polygon.map((point) => Math.sign(planarCross(a, b, point))).filter(Boolean);
+  let crossings = 0;
+  for (let i = 0; i < sides.length; i += 1) {
+    if (sides[i] !== sides[(i + 1) % sides.length]) crossings += 1;
+  }
+  return crossings;
+};
+
+// Splits a polygon along the line through `a` and `b` by clipping it to the half-plane on each side.
+const splitPolygonByLine = (polygon, a, b) => {
+  const bounds = polygonBounds([...polygon, a, b]);
+  const reach = 10 * (Math.hypot(bounds.maxLat - bounds.minLat, bounds.maxLng - bounds.minLng) + 1);
+  const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+  const direction = [(b[0] - a[0]) / length, (b[1] - a[1]) / length];
+  const start = [a[0] - direction[0] * reach, a[1] - direction[1] * reach];
+  const end = [a[0] + direction[0] * reach, a[1] + direction[1] * reach];
+  return [1, -1]
+    .map((side) => {
+      const normal = [-direction[1] * side * reach, direction[0] * side * reach];
+      const halfPlane = [start, end, [end[0] + normal[0], end[1] + normal[1]], [start[0] + normal[0], start[1] + normal[1]]];
+      return sanitizePolygon(clipPolygonToConvex(polygon, halfPlane));
+    })
+    .filter((piece) => piece && polygonAreaSqM(piece) > 1e-6);
+};
+
+// Union of parcels that share boundaries: edges are split at every vertex of the other parcels, edges
+// that appear in both directions are interior and cancel, and what is left must chain into one ring.
+// Returns null when the parcels do not form a single outline (not adjacent, or enclosing a hole).
+const mergeAdjacentPolygons = (polygons) => {
+  const rings = polygons.map((polygon) => (signedPlanarArea(polygon) >= 0 ? polygon : [...polygon].reverse()));
+  const allPoints = rings.flat();
+  const pointKey = (point) => `${point[0].toFixed(6)},${point[1].toFixed(6)}`;
+  const edgeCounts = new Map();
+  const pointsByKey = new Map();
+
+  for (const ring of rings) {
+    for (let i = 0; i < ring.length; i += 1) {
+      const a = ring[i];
+      const b = ring[(i + 1) % ring.length];
+      const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+      const stops = allPoints
+        .filter((point) => {
+          if (pointKey(point) === pointKey(a) || pointKey(point) === pointKey(b)) return false;
+          if (Math.abs(planarCross(a, b, point)) > length * 1e-7) return false;
+          const t = ((point[0] - a[0]) * (b[0] - a[0]) + (point[1] - a[1]) * (b[1] - a[1])) / (length * length);
+          return t > 0 && t < 1;
+        })
+        .sort((p, q) => Math.hypot(p[0] - a[0], p[1] - a[1]) - Math.hypot(q[0] - a[0], q[1] - a[1]));
+      const path = [a, ...stops, b];
+      for (let j = 0; j < path.length - 1; j += 1) {
+        const from = pointKey(path[j]);
+        const to = pointKey(path[j + 1]);
+        if (from === to) continue;
+        pointsByKey.set(from, path[j]);
+        const reverse = `${to}|${from}`;
+        if (edgeCounts.get(reverse)) {
+          edgeCounts.set(reverse, edgeCounts.get(reverse) - 1);
+        } else {
+          edgeCounts.set(`${from}|${to}`, (edgeCounts.get(`${from}|${to}`) || 0) + 1);
+        }
+      }
+    }
+  }
+
+  const nextByKey = new Map();
+  let edgeTotal = 0;
+  for (const [edge, count] of edgeCounts) {
+    if (!count) continue;
+    const [from, to] = edge.split('|');
+    if (count > 1 || nextByKey.has(from)) return null;
+    nextByKey.set(from, to);
+    edgeTotal += 1;
+  }
+  if (!edgeTotal) return null;
+
+  const startKey = nextByKey.keys().next().value;
+  const ring = [];
+  let key = startKey;
+  do {
+    ring.push(pointsByKey.get(key));
+    key = nextByKey.get(key);
+  } while (key && key !== startKey && ring.length <= edgeTotal);
+  if (key !== startKey || ring.length !== edgeTotal) return null;
+
+  const simplified = ring.filter((point, index) => {
+    const previous = ring[(index + ring.length - 1) % ring.length];
+    const next = ring[(index + 1) % ring.length];
+    return Math.abs(planarCross(previous, point, next)) > 1e-14;
+  });
+  return sanitizePolygon(simplified);
+};
+
+const areaDriftPercent = (expectedSqM, actualSqM) =>
+  expectedSqM > 0 ? Number(((Math.abs(actualSqM - expectedSqM) / expectedSqM) * 100).toFixed(4)) : 0;
+
+// Grid index for overlap candidates. Every polygon is registered in spatial_cells under each
+// SPATIAL_CELL_DEGREES cell its bounding box touches, so two polygons that overlap always share
+// a cell and a lookup is a handful of indexed equality matches instead of a table scan.
+const SPATIAL_CELL_DEGREES = 0.01;
+const SPATIAL_MAX_QUERY_CELLS = 2500;
+const SPATIAL_INSERT_BATCH = 500;
+const SPATIAL_LAYERS = {
+  PARCEL: 'owned_parcels',
+  BOUNDARY: 'gov_boundaries',
+  CLAIM: 'land_claims',
+};
+
+const polygonCells = (polygon) => {
+  const bounds = polygonBounds(polygon);
+  const cells = [];
+  const maxLatCell = Math.floor(bounds.maxLat / SPATIAL_CELL_DEGREES);
+  const maxLngCell = Math.floor(bounds.maxLng / SPATIAL_CELL_DEGREES);
+  for (let latCell = Math.floor(bounds.minLat / SPATIAL_CELL_DEGREES); latCell <= maxLatCell; latCell += 1) {
+    for (let lngCell = Math.floor(bounds.minLng / SPATIAL_CELL_DEGREES); lngCell <= maxLngCell; lngCell += 1) {
+      cells.push(`${latCell}:${lngCell}`);
+    }
+  }
+  return cells;
+};
+
+const indexPolygonCells = async (executor, layer, entityId, polygon) => {
+  await executor.query('DELETE FROM spatial_cells WHERE layer = $1 AND entity_id = $2', [layer, entityId]);
+  if (!Array.isArray(polygon) || polygon.length < 3) return;
+
+  const cells = polygonCells(polygon);
+  for (let start = 0; start < cells.length; start += SPATIAL_INSERT_BATCH) {
+    const batch = cells.slice(start, start + SPATIAL_INSERT_BATCH);
+    const params = [layer, entityId];
+    const values = batch.map((cell) => {
+      params.push(cell);
+      return `($1, $${params.length}, $2)`;
+    });
+    await executor.query(
+      `INSERT INTO spatial_cells (layer, cell, entity_id) VALUES ${values.join(', ')} ON CONFLICT DO NOTHING`,
+      params
+    );
+  }
+};
+
+// Returns a WHERE fragment limiting `idColumn` to rows sharing a cell with `polygon`, pushing its
+// values onto `params`. Polygons wider than SPATIAL_MAX_QUERY_CELLS fall back to scanning the layer.
+const spatialCandidateFilter = (layer, idColumn, polygon, params) => {
+  const cells = polygonCells(polygon);
+  if (cells.length > SPATIAL_MAX_QUERY_CELLS) return 'TRUE';
+
+  params.push(layer);
+  const layerPlaceholder = `$${params.length}`;
+  const cellPlaceholders = cells.map((cell) => {
+    params.push(cell);
+    return `$${params.length}`;
+  });
+  return `${idColumn} IN (
+    SELECT entity_id FROM spatial_cells
+    WHERE layer = ${layerPlaceholder} AND cell IN (${cellPlaceholders.join(', ')})
+  )`;
+};
+
+const ensureSpatialIndex = async () => {
+  for (const [layer, table] of Object.entries(SPATIAL_LAYERS)) {
+    const missing = await query(
+      `SELECT id, polygon FROM ${table} WHERE id NOT IN (SELECT entity_id FROM spatial_cells WHERE layer = $1)`,
+      [layer]
+    );
+    for (const row of missing.rows) {
+      await indexPolygonCells({ query }, layer, row.id, row.polygon);
+    }
+    if (missing.rows.length) {
+      console.log(`Spatial index: registered ${missing.rows.length} ${table} row(s).`);
+    }
+  }
+};
+
+const buildDisputeSnapshot = ({
+  parcelRef,
+  disputeType,
+  description,
+  coords,
+  selectionBounds,
+  status,
+  priority,
+  evidenceUrls,
+  resolutionNote,
+}) => ({
+  parcelRef: String(parcelRef || '').trim(),
+  disputeType: normalizeToken(disputeType),
+  description: String(description || '').trim(),
+  coords: toCoordPair(coords) || null,
+  selectionBounds: sanitizeSelectionBounds(selectionBounds),
+  status: normalizeToken(status || 'OPEN'),
+  priority: normalizeToken(priority || 'MEDIUM'),
+  evidenceUrls: sanitizeEvidenceUrls(evidenceUrls),
+  resolutionNote: String(resolutionNote || '').trim() || null,
+});
+
+const disputeSnapshotHash = (snapshot) => sha256Hex(snapshot);
+
+const disputeRowToSnapshot = (row) =>
+  buildDisputeSnapshot({
+    parcelRef: row.parcel_ref,
+    disputeType: row.dispute_type,
+    description: row.description,
+    coords: [row.latitude, row.longitude],
+    selectionBounds: row.selection_bounds,
+    status: row.status,
+    priority: row.priority,
+    evidenceUrls: row.evidence_urls,
+    resolutionNote: row.resolution_note,
+  });
+
+// Ownership shares are exact fractions stored as "numerator/denominator" text, so a 1/3 + 2/3
+// split sums to exactly one. Arithmetic runs on BigInt to keep sums of many shares exact.
+const gcdBigInt = (a, b) => (b === 0n ? a : gcdBigInt(b, a % b));
+
+const makeShare = (numerator, denominator) => {
+  const divisor = gcdBigInt(numerator < 0n ? -numerator : numerator, denominator) || 1n;
+  return { numerator: numerator / divisor, denominator: denominator / divisor };
+};
+
+const WHOLE_SHARE = makeShare(1n, 1n);
+
+// Accepts "1/3", "0.25" or 0.25; returns null unless the share is above 0 and at most 1.
+const parseShare = (input) => {
+  const text = String(input ?? '').trim();
+  const fraction = text.match(/^(\d{1,7})\s*\/\s*(\d{1,7})$/);
+  const decimal = text.match(/^(\d)?(?:\.(\d{1,6}))?$/);
+  let share = null;
+  if (fraction && BigInt(fraction[2]) > 0n) {
+    share = makeShare(BigInt(fraction[1]), BigInt(fraction[2]));
+  } else if (decimal && text) {
+    const digits = decimal[2] || '';
+    share = makeShare(BigInt(`${decimal[1] || 0}${digits}`), 10n ** BigInt(digits.length));
+  }
+  if (!share || share.numerator <= 0n || share.numerator > share.denominator) return null;
+  return share;
+};
+
+const addShares = (a, b) => makeShare(a.numerator * b.denominator + b.numerator * a.denominator, a.denominator * b.denominator);
+
+const subtractShares = (a, b) =>
+  makeShare(a.numerator * b.denominator - b.numerator * a.denominator, a.denominator * b.denominator);
+
+const compareShares = (a, b) => {
+  const diff = a.numerator * b.denominator - b.numerator * a.denominator;
+  return diff === 0n ? 0 : diff > 0n ? 1 : -1;
+};
+
+const formatShare = (share) => `${share.numerator}/${share.denominator}`;
+
+const toLedgerOwnerShares = (ownerShares) =>
+  (Array.isArray(ownerShares) ? ownerShares : [])
+    .map((item) => ({ userId: item.userId, share: item.share, ...(item.consent ? { consent: item.consent } : {}) }))
+    .sort((a, b) => String(a.userId).localeCompare(String(b.userId)));
+
+// Holdings map userId -> share. A parcel held whole by one owner keeps an empty owner_shares
+// list, which is also how every parcel registered before co-ownership looks.
+const parcelHoldings = (row) =>
+  new Map(
+    Array.isArray(row.owner_shares) && row.owner_shares.length
+      ? row.owner_shares.map((item) => [item.userId, parseShare(item.share) || WHOLE_SHARE])
+      : [[row.owner_user_id, WHOLE_SHARE]]
+  );
+
+const holdingsToOwnerShares = (holdings) =>
+  holdings.size > 1
+    ? toLedgerOwnerShares([...holdings].map(([userId, share]) => ({ userId, share: formatShare(share) })))
+    : [];
+
+// The holder with the largest share is kept in owner_user_id; ties stay with the preferred holder.
+const primaryHolder = (holdings, preferredUserId = null) => {
+  let primary = null;
+  for (const [userId, share] of holdings) {
+    if (!primary) {
+      primary = [userId, share];
+      continue;
+    }
+    const order = compareShares(share, primary[1]);
+    if (order > 0 || (order === 0 && (userId === preferredUserId || (primary[0] !== preferredUserId && userId < primary[0])))) {
+      primary = [userId, share];
+    }
+  }
+  return primary ? primary[0] : null;
+};
+
+// Claim and parcel blocks record the snapshot format they were hashed with as `snapshotVersion`.
+// Version 2 adds the centroid, and for claims a hash of the overlap flags. Blocks without a
+// version are checked against version 1, so rows snapshotted earlier keep verifying.
+const LEDGER_SNAPSHOT_VERSION = 2;
+
+const snapshotCentroid = (centroid) => [roundOrNull(centroid?.[0], 7), roundOrNull(centroid?.[1], 7)];
+
+const buildClaimSnapshot = ({
+  userId,
+  pid,
+  claimNote,
+  polygon,
+  areaSqM,
+  status,
+  reviewNote,
+  verifiedPid,
+  reviewedBy,
+  documents = [],
+  ownerShares = [],
+  centroid = null,
+  overlapFlags = [],
+  version = LEDGER_SNAPSHOT_VERSION,
+}) => ({
+  userId: userId || null,
+  pid: String(pid || '').trim(),
+  claimNote: String(claimNote || '').trim(),
+  polygon: sanitizePolygon(polygon),
+  areaSqM: Number(Number(areaSqM || 0).toFixed(3)),
+  status: normalizeToken(status || 'PENDING'),
+  reviewNote: String(reviewNote || '').trim() || null,
+  verifiedPid: String(verifiedPid || '').trim() || null,
+  reviewedBy: reviewedBy || null,
+  // Omitted when empty so snapshots of claims filed before attachments keep their hash.
+  ...(Array.isArray(documents) && documents.length ? { documentHashes: documents.map((item) => item.sha256) } : {}),
+  ...(Array.isArray(ownerShares) && ownerShares.length ? { ownerShares: toLedgerOwnerShares(ownerShares) } : {}),
+  ...(version >= 2
+    ? {
+        centroid: snapshotCentroid(centroid),
+        overlapFlagsHash: sha256Hex(Array.isArray(overlapFlags) ? overlapFlags : []),
+      }
+    : {}),
+});
+
+const claimRowToSnapshot = (row, version = LEDGER_SNAPSHOT_VERSION) =>
+  buildClaimSnapshot({
+    userId: row.user_id,
+    pid: row.pid,
+    claimNote: row.claim_note,
+    polygon: row.polygon,
+    areaSqM: row.area_sq_m,
+    status: row.status,
+    reviewNote: row.review_note,
+    verifiedPid: row.verified_pid,
+    reviewedBy: row.reviewed_by,
+    documents: row.documents,
+    ownerShares: row.owner_shares,
+    centroid: [row.centroid_lat, row.centroid_lng],
+    overlapFlags: row.overlap_flags,
+    version,
+  });
+
+const buildClaimAppealSnapshot = ({
+  claimId,
+  appellantUserId,
+  rejectionBlockIndex,
+  originalReviewerId,
+  grounds,
+  status,
+  heardBy,
+  decisionNote,
+}) => ({
+  claimId,
+  appellantUserId: appellantUserId || null,
+  rejectionBlockIndex: Number(rejectionBlockIndex),
+  originalReviewerId: originalReviewerId || null,
+  grounds: String(grounds || '').trim(),
+  status: normalizeToken(status || 'OPEN'),
+  heardBy: heardBy || null,
+  decisionNote: String(decisionNote || '').trim() || null,
+});
+
+const claimAppealRowToSnapshot = (row) =>
+  buildClaimAppealSnapshot({
+    claimId: row.claim_id,
+    appellantUserId: row.appellant_user_id,
+    rejectionBlockIndex: row.rejection_block_index,
+    originalReviewerId: row.original_reviewer_id,
+    grounds: row.grounds,
+    status: row.status,
+    heardBy: row.heard_by,
+    decisionNote: row.decision_note,
+  });
+
+// A claim needs a second approver when it is larger than SECOND_APPROVAL_AREA_HECTARES (0 disables
+// the area rule) or carries an overlap flag whose type is listed in SECOND_APPROVAL_FLAG_TYPES.
+const claimApprovalPolicy = (row) => {
+  const reasons = [];
+  const areaHectares = Number(row.area_sq_m || 0) / 10000;
+  if (SECOND_APPROVAL_AREA_HECTARES > 0 && areaHectares > SECOND_APPROVAL_AREA_HECTARES) {
+    reasons.push(`Area ${areaHectares.toFixed(2)} ha exceeds ${SECOND_APPROVAL_AREA_HECTARES} ha.`);
+  }
+  const flagTypes = new Set(
+    (Array.isArray(row.overlap_flags) ? row.overlap_flags : [])
+      .map((flag) => flag?.type)
+      .filter((type) => SECOND_APPROVAL_FLAG_TYPES.has(type))
+  );
+  for (const type of flagTypes) {
+    reasons.push(`Claim carries a ${type} flag.`);
+  }
+  return { requiredApprovals: reasons.length ? 2 : 1, reasons };
+};
+
+const buildClaimAssignmentSnapshot = ({ claimId, assigneeUserId, assignedBy, method, escalatedTo, escalated, released }) => ({
+  claimId,
+  assigneeUserId: assigneeUserId || null,
+  assignedBy: assignedBy || null,
+  method: normalizeToken(method || 'MANUAL'),
+  escalatedTo: escalatedTo || null,
+  escalated: Boolean(escalated),
+  released: Boolean(released),
+});
+
+const claimAssignmentRowToSnapshot = (row) =>
+  buildClaimAssignmentSnapshot({
+    claimId: row.claim_id,
+    assigneeUserId: row.assignee_user_id,
+    assignedBy: row.assigned_by,
+    method: row.method,
+    escalatedTo: row.escalated_to,
+    escalated: row.escalated_at,
+    released: row.released_at,
+  });
+
+// The review clock restarts whenever the claim changes; NEEDS_INFO has no SLA because it waits on the claimant.
+const claimDueAt = (row) => {
+  const hours = CLAIM_SLA_HOURS[row.status];
+  if (!hours || !row.updated_at) return null;
+  const since = new Date(row.updated_at).getTime();
+  return Number.isFinite(since) ? new Date(since + hours * 60 * 60 * 1000) : null;
+};
+
+const isClaimOverdue = (row) => {
+  const dueAt = claimDueAt(row);
+  return Boolean(dueAt) && dueAt.getTime() < Date.now();
+};
+
+const isClaimSupervisor = (employeeId) => CLAIM_SUPERVISOR_EMPLOYEE_IDS.has(String(employeeId || '').trim());
+
+const claimAppealDeadline = (row) => {
+  if (row.status !== 'REJECTED' || !row.reviewed_at) return null;
+  const reviewedAt = new Date(row.reviewed_at).getTime();
+  if (!Number.isFinite(reviewedAt)) return null;
+  return new Date(reviewedAt + CLAIM_APPEAL_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+};
+
+const buildClaimVersionSnapshot = ({ claimId, version, claimNote, polygon, areaSqM }) => ({
+  claimId,
+  version: Number(version),
+  claimNote: String(claimNote || '').trim(),
+  polygon: sanitizePolygon(polygon),
+  areaSqM: Number(Number(areaSqM || 0).toFixed(3)),
+});
+
+const claimVersionRowToSnapshot = (row) =>
+  buildClaimVersionSnapshot({
+    claimId: row.claim_id,
+    version: row.version,
+    claimNote: row.claim_note,
+    polygon: row.polygon,
+    areaSqM: row.area_sq_m,
+  });
+
+const buildParcelSnapshot = ({
+  ownerUserId,
+  pid,
+  polygon,
+  areaSqM,
+  assignedClaimId,
+  status,
+  ownerShares = [],
+  centroid = null,
+  version = LEDGER_SNAPSHOT_VERSION,
+}) => ({
+  ownerUserId: ownerUserId || null,
+  pid: String(pid || '').trim(),
+  polygon: sanitizePolygon(polygon),
+  areaSqM: Number(Number(areaSqM || 0).toFixed(3)),
+  assignedClaimId: assignedClaimId || null,
+  status: normalizeToken(status || 'ACTIVE'),
+  // Sole-owner parcels leave this out, so their snapshots match the ones recorded before co-ownership.
+  ...(Array.isArray(ownerShares) && ownerShares.length ? { ownerShares: toLedgerOwnerShares(ownerShares) } : {}),
+  ...(version >= 2 ? { centroid: snapshotCentroid(centroid) } : {}),
+});
+
+const parcelRowToSnapshot = (row, version = LEDGER_SNAPSHOT_VERSION) =>
+  buildParcelSnapshot({
+    ownerUserId: row.owner_user_id,
+    pid: row.pid,
+    polygon: row.polygon,
+    areaSqM: row.area_sq_m,
+    assignedClaimId: row.assigned_claim_id,
+    status: row.status,
+    ownerShares: row.owner_shares,
+    centroid: [row.centroid_lat, row.centroid_lng],
+    version,
+  });
+
+const buildParcelTransferSnapshot = ({
+  parcelId,
+  sellerUserId,
+  buyerUserId,
+  transferType,
+  considerationAmount,
+  note,
+  status,
+  reviewedBy,
+  reviewNote,
+  share = '1/1',
+}) => ({
+  parcelId,
+  sellerUserId: sellerUserId || null,
+  buyerUserId: buyerUserId || null,
+  transferType: normalizeToken(transferType),
+  considerationAmount:
+    considerationAmount === null || considerationAmount === undefined ? null : Number(Number(considerationAmount).toFixed(2)),
+  note: String(note || '').trim() || null,
+  status: normalizeToken(status || 'PENDING_BUYER'),
+  reviewedBy: reviewedBy || null,
+  reviewNote: String(reviewNote || '').trim() || null,
+  ...(share && share !== '1/1' ? { share } : {}),
+});
+
+const parcelTransferRowToSnapshot = (row) =>
+  buildParcelTransferSnapshot({
+    parcelId: row.parcel_id,
+    sellerUserId: row.seller_user_id,
+    buyerUserId: row.buyer_user_id,
+    transferType: row.transfer_type,
+    considerationAmount: row.consideration_amount,
+    note: row.note,
+    status: row.status,
+    reviewedBy: row.reviewed_by,
+    reviewNote: row.review_note,
+    share: row.share,
+  });
+
+const buildParcelEncumbranceSnapshot = ({
+  parcelId,
+  encumbranceType,
+  holderName,
+  holderReference,
+  amount,
+  startsAt,
+  endsAt,
+  note,
+  status,
+  registeredBy,
+  releasedBy,
+  releaseNote,
+}) => ({
+  parcelId,
+  encumbranceType: normalizeToken(encumbranceType),
+  holderName: String(holderName || '').trim(),
+  holderReference: String(holderReference || '').trim() || null,
+  amount: amount === null || amount === undefined ? null : Number(Number(amount).toFixed(2)),
+  startsAt: toIso(startsAt),
+  endsAt: toIso(endsAt),
+  note: String(note || '').trim() || null,
+  status: normalizeToken(status || 'ACTIVE'),
+  registeredBy: registeredBy || null,
+  releasedBy: releasedBy || null,
+  releaseNote: String(releaseNote || '').trim() || null,
+});
+
+const parcelEncumbranceRowToSnapshot = (row) =>
+  buildParcelEncumbranceSnapshot({
+    parcelId: row.parcel_id,
+    encumbranceType: row.encumbrance_type,
+    holderName: row.holder_name,
+    holderReference: row.holder_reference,
+    amount: row.amount,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    note: row.note,
+    status: row.status,
+    registeredBy: row.registered_by,
+    releasedBy: row.released_by,
+    releaseNote: row.release_note,
+  });
+
+const buildBoundarySnapshot = ({ code, name, location, polygon, areaSqM, status, isPreset, createdBy }) => ({
+  code: String(code || '').trim(),
+  name: String(name || '').trim(),
+  location: String(location || '').trim(),
+  polygon: sanitizePolygon(polygon),
+  areaSqM: Number(Number(areaSqM || 0).toFixed(3)),
+  status: normalizeToken(status || 'ACTIVE'),
+  isPreset: Boolean(isPreset),
+  createdBy: createdBy || null,
+});
+
+const boundaryRowToSnapshot = (row) =>
+  buildBoundarySnapshot({
+    code: row.code,
+    name: row.name,
+    location: row.location,
+    polygon: row.polygon,
+    areaSqM: row.area_sq_m,
+    status: row.status,
+    isPreset: row.is_preset,
+    createdBy: row.created_by,
+  });
+
+const toDisputeRecord = (row) => {
+  const hasCoords = Number.isFinite(Number(row.latitude)) && Number.isFinite(Number(row.longitude));
+  const snapshotHash = disputeSnapshotHash(disputeRowToSnapshot(row));
+  return {
+    id: row.id,
+    parcelRef: row.parcel_ref,
+    disputeType: row.dispute_type,
+    description: row.description,
+    coords: hasCoords ? [Number(row.latitude), Number(row.longitude)] : null,
     selectionBounds:
       row.selection_bounds && typeof row.selection_bounds === 'object' && !Array.isArray(row.selection_bounds)
         ? row.selection_bounds
@@ -657,6 +2112,10 @@ const toDisputeRecord = (row) => {
   };
 };
 
+const findHolderUser = (row, userId) =>
+  (Array.isArray(row.holder_users) ? row.holder_users : []).find((item) => item.id === userId) ||
+  (userId === row.owner_user_id ? { name: row.owner_name, email: row.owner_email } : null);
+
 const toOwnedParcelRecord = (row) => ({
   id: row.id,
   pid: row.pid,
@@ -669,11 +2128,22 @@ const toOwnedParcelRecord = (row) => ({
   owner: row.owner_user_id
     ? {
         id: row.owner_user_id,
-        name: row.owner_name || 'Unknown owner',
-        email: row.owner_email || null,
+        name: findHolderUser(row, row.owner_user_id)?.name || 'Unknown owner',
+        email: findHolderUser(row, row.owner_user_id)?.email || null,
       }
     : null,
+  owners: row.owner_user_id
+    ? [...parcelHoldings(row)].map(([userId, share]) => ({
+        id: userId,
+        name: findHolderUser(row, userId)?.name || 'Unknown owner',
+        email: findHolderUser(row, userId)?.email || null,
+        share: formatShare(share),
+      }))
+    : [],
   assignedClaimId: row.assigned_claim_id || null,
+  encumbranceTypes: Array.isArray(row.encumbrance_types) ? row.encumbrance_types : [],
+  underLien: Array.isArray(row.encumbrance_types) && row.encumbrance_types.some((type) => PARCEL_ENCUMBRANCE_TYPES[type]?.lien),
+  snapshotHash: sha256Hex(parcelRowToSnapshot(row)),
   ledgerBlock: {
     index: row.ledger_block_index,
     hash: row.ledger_block_hash,
@@ -688,12 +2158,47 @@ const toLandClaimRecord = (row) => ({
   centroid: [Number(row.centroid_lat), Number(row.centroid_lng)],
   areaSqM: Number(row.area_sq_m || 0),
   status: row.status || 'PENDING',
+  version: Number(row.version || 1),
   overlapFlags: Array.isArray(row.overlap_flags) ? row.overlap_flags : [],
+  documents: Array.isArray(row.documents) ? row.documents : [],
+  ownerShares: Array.isArray(row.owner_shares) ? row.owner_shares : [],
   reviewNote: row.review_note || null,
   verifiedPid: row.verified_pid || null,
   createdAt: toIso(row.created_at),
   updatedAt: toIso(row.updated_at),
   reviewedAt: toIso(row.reviewed_at),
+  appealDeadline: toIso(claimAppealDeadline(row)),
+  approvalPolicy: claimApprovalPolicy(row),
+  dueAt: toIso(claimDueAt(row)),
+  overdue: isClaimOverdue(row),
+  assignment: row.assignment_id
+    ? {
+        id: row.assignment_id,
+        method: row.assignment_method,
+        assignedAt: toIso(row.assigned_at),
+        assignee: {
+          id: row.assignee_user_id,
+          name: row.assignee_name || 'Unknown reviewer',
+        },
+        escalatedAt: toIso(row.escalated_at),
+        escalatedTo: row.escalated_to
+          ? {
+              id: row.escalated_to,
+              name: row.escalated_to_name || 'Unknown supervisor',
+            }
+          : null,
+      }
+    : null,
+  firstApproval: row.first_approver_id
+    ? {
+        approver: {
+          id: row.first_approver_id,
+          name: row.first_approver_name || 'Unknown reviewer',
+        },
+        approvedAt: toIso(row.first_approved_at),
+      }
+    : null,
+  snapshotHash: sha256Hex(claimRowToSnapshot(row)),
   claimant: row.user_id
     ? {
         id: row.user_id,
@@ -714,35 +2219,297 @@ const toLandClaimRecord = (row) => ({
   },
 });
 
-const toGovBoundaryRecord = (row) => ({
+const toSubmittedClaimRecord = (row) => {
+  const item = toLandClaimRecord(row);
+  return { ...item, overlapFlags: item.overlapFlags.map(withoutOverlapContacts) };
+};
+
+const toLandClaimVersionRecord = (row, previousRow, block) => {
+  const polygon = Array.isArray(row.polygon) ? row.polygon : [];
+  const versionHash = sha256Hex(claimVersionRowToSnapshot(row));
+  const recordedVersionHash = block?.payload?.versionHash || null;
+  let diff = null;
+  if (previousRow) {
+    const previousPolygon = Array.isArray(previousRow.polygon) ? previousRow.polygon : [];
+    const sharedAreaSqM = polygonIntersection(polygon, previousPolygon).reduce(
+      (sum, piece) => sum + polygonAreaSqM(piece),
+      0
+    );
+    diff = {
+      fromVersion: Number(previousRow.version),
+      polygonChanged: stableStringify(polygon) !== stableStringify(previousPolygon),
+      noteChanged: String(row.claim_note || '') !== String(previousRow.claim_note || ''),
+      areaDeltaSqM: Number((Number(row.area_sq_m || 0) - Number(previousRow.area_sq_m || 0)).toFixed(3)),
+      sharedAreaSqM: Number(sharedAreaSqM.toFixed(3)),
+      addedAreaSqM: Number(Math.max(0, Number(row.area_sq_m || 0) - sharedAreaSqM).toFixed(3)),
+      removedAreaSqM: Number(Math.max(0, Number(previousRow.area_sq_m || 0) - sharedAreaSqM).toFixed(3)),
+      previousPolygon,
+    };
+  }
+
+  return {
+    version: Number(row.version),
+    claimNote: row.claim_note || '',
+    polygon,
+    centroid: [Number(row.centroid_lat), Number(row.centroid_lng)],
+    areaSqM: Number(row.area_sq_m || 0),
+    status: row.status,
+    overlapFlags: Array.isArray(row.overlap_flags) ? row.overlap_flags : [],
+    createdAt: toIso(row.created_at),
+    createdBy: row.created_by
+      ? {
+          id: row.created_by,
+          name: row.created_by_name || 'Unknown user',
+        }
+      : null,
+    versionHash,
+    ledgerBlock: {
+      index: row.ledger_block_index,
+      hash: row.ledger_block_hash,
+      eventType: block?.eventType || null,
+    },
+    ledgerMatch: !block || block.hash !== row.ledger_block_hash
+      ? false
+      : recordedVersionHash
+        ? recordedVersionHash === versionHash
+        : null,
+    diff,
+  };
+};
+
+const toClaimEventRecord = (row) => ({
   id: row.id,
-  code: row.code || '',
-  name: row.name || 'Unnamed boundary',
-  location: row.location || 'Unknown location',
-  polygon: Array.isArray(row.polygon) ? row.polygon : [],
-  centroid: [Number(row.centroid_lat), Number(row.centroid_lng)],
-  areaSqM: Number(row.area_sq_m || 0),
-  status: row.status || 'ACTIVE',
-  isPreset: Boolean(row.is_preset),
-  createdBy: row.created_by
+  claimId: row.claim_id,
+  eventType: row.event_type,
+  fromStatus: row.from_status || null,
+  toStatus: row.to_status || null,
+  note: row.note || null,
+  evidenceUrls: Array.isArray(row.evidence_urls) ? row.evidence_urls : [],
+  actor: row.actor_user_id
     ? {
-        id: row.created_by,
-        name: row.creator_name || 'Unknown',
-        email: row.creator_email || null,
+        id: row.actor_user_id,
+        name: row.actor_name || 'Unknown user',
+        role: normalizeRole(row.actor_role),
       }
     : null,
   createdAt: toIso(row.created_at),
+  ledgerBlock: {
+    index: row.ledger_block_index,
+    hash: row.ledger_block_hash,
+  },
+});
+
+const toClaimAppealRecord = (row) => ({
+  id: row.id,
+  claimId: row.claim_id,
+  pid: row.claim_pid || null,
+  grounds: row.grounds || '',
+  status: row.status || 'OPEN',
+  rejectionBlockIndex: Number(row.rejection_block_index),
+  decisionNote: row.decision_note || null,
+  createdAt: toIso(row.created_at),
   updatedAt: toIso(row.updated_at),
+  decidedAt: toIso(row.decided_at),
+  snapshotHash: sha256Hex(claimAppealRowToSnapshot(row)),
+  appellant: row.appellant_user_id
+    ? {
+        id: row.appellant_user_id,
+        name: row.appellant_name || 'Unknown user',
+      }
+    : null,
+  originalReviewer: row.original_reviewer_id
+    ? {
+        id: row.original_reviewer_id,
+        name: row.original_reviewer_name || 'Unknown reviewer',
+      }
+    : null,
+  heardBy: row.heard_by
+    ? {
+        id: row.heard_by,
+        name: row.heard_by_name || 'Unknown reviewer',
+      }
+    : null,
   ledgerBlock: {
     index: row.ledger_block_index,
     hash: row.ledger_block_hash,
   },
 });
 
-const loadGovBoundaries = async ({ includeRemoved = false } = {}) => {
-  const whereSql = includeRemoved ? '' : "WHERE gb.status = 'ACTIVE'";
-  const result = await query(
-    `
+const CLAIM_APPEAL_SELECT = `
+  SELECT
+    ca.*,
+    lc.pid AS claim_pid,
+    au.name AS appellant_name,
+    ru.name AS original_reviewer_name,
+    hu.name AS heard_by_name
+  FROM claim_appeals ca
+  JOIN land_claims lc ON lc.id = ca.claim_id
+  LEFT JOIN users au ON au.id = ca.appellant_user_id
+  LEFT JOIN users ru ON ru.id = ca.original_reviewer_id
+  LEFT JOIN users hu ON hu.id = ca.heard_by
+`;
+
+const toParcelTransferRecord = (row) => ({
+  id: row.id,
+  parcelId: row.parcel_id,
+  pid: row.parcel_pid || null,
+  transferType: row.transfer_type,
+  considerationAmount:
+    row.consideration_amount === null || row.consideration_amount === undefined ? null : Number(row.consideration_amount),
+  share: row.share || '1/1',
+  note: row.note || null,
+  status: row.status,
+  reviewNote: row.review_note || null,
+  createdAt: toIso(row.created_at),
+  updatedAt: toIso(row.updated_at),
+  buyerRespondedAt: toIso(row.buyer_responded_at),
+  reviewedAt: toIso(row.reviewed_at),
+  snapshotHash: sha256Hex(parcelTransferRowToSnapshot(row)),
+  seller: row.seller_user_id
+    ? {
+        id: row.seller_user_id,
+        name: row.seller_name || 'Unknown user',
+        email: row.seller_email || null,
+      }
+    : null,
+  buyer: row.buyer_user_id
+    ? {
+        id: row.buyer_user_id,
+        name: row.buyer_name || 'Unknown user',
+        email: row.buyer_email || null,
+      }
+    : null,
+  reviewedBy: row.reviewed_by
+    ? {
+        id: row.reviewed_by,
+        name: row.reviewed_by_name || 'Unknown reviewer',
+      }
+    : null,
+  ledgerBlock: {
+    index: row.ledger_block_index,
+    hash: row.ledger_block_hash,
+  },
+});
+
+const PARCEL_TRANSFER_SELECT = `
+  SELECT
+    pt.*,
+    op.pid AS parcel_pid,
+    su.name AS seller_name,
+    su.email AS seller_email,
+    bu.name AS buyer_name,
+    bu.email AS buyer_email,
+    ru.name AS reviewed_by_name
+  FROM parcel_transfers pt
+  JOIN owned_parcels op ON op.id = pt.parcel_id
+  LEFT JOIN users su ON su.id = pt.seller_user_id
+  LEFT JOIN users bu ON bu.id = pt.buyer_user_id
+  LEFT JOIN users ru ON ru.id = pt.reviewed_by
+`;
+
+const toParcelOwnerRecord = (row) => ({
+  id: row.id,
+  owner: {
+    id: row.owner_user_id,
+    name: row.owner_name || 'Unknown owner',
+  },
+  acquiredVia: row.acquired_via,
+  share: row.share || '1/1',
+  transferId: row.transfer_id || null,
+  startedAt: toIso(row.started_at),
+  endedAt: toIso(row.ended_at),
+  current: !row.ended_at,
+  ledgerBlock: {
+    index: row.ledger_block_index,
+    hash: row.ledger_block_hash,
+  },
+});
+
+// An encumbrance is in force from its start date until it is released or its end date passes.
+const isEncumbranceInForce = (row, at = new Date()) =>
+  row.status === 'ACTIVE' &&
+  new Date(row.starts_at).getTime() <= at.getTime() &&
+  (!row.ends_at || new Date(row.ends_at).getTime() > at.getTime());
+
+const toParcelEncumbranceRecord = (row) => ({
+  id: row.id,
+  parcelId: row.parcel_id,
+  pid: row.parcel_pid || null,
+  encumbranceType: row.encumbrance_type,
+  lien: Boolean(PARCEL_ENCUMBRANCE_TYPES[row.encumbrance_type]?.lien),
+  holderName: row.holder_name,
+  holderReference: row.holder_reference || null,
+  amount: row.amount === null || row.amount === undefined ? null : Number(row.amount),
+  startsAt: toIso(row.starts_at),
+  endsAt: toIso(row.ends_at),
+  note: row.note || null,
+  status: row.status,
+  inForce: isEncumbranceInForce(row),
+  releaseNote: row.release_note || null,
+  releasedAt: toIso(row.released_at),
+  createdAt: toIso(row.created_at),
+  updatedAt: toIso(row.updated_at),
+  snapshotHash: sha256Hex(parcelEncumbranceRowToSnapshot(row)),
+  registeredBy: row.registered_by
+    ? {
+        id: row.registered_by,
+        name: row.registered_by_name || 'Unknown registrar',
+      }
+    : null,
+  releasedBy: row.released_by
+    ? {
+        id: row.released_by,
+        name: row.released_by_name || 'Unknown registrar',
+      }
+    : null,
+  ledgerBlock: {
+    index: row.ledger_block_index,
+    hash: row.ledger_block_hash,
+  },
+});
+
+const PARCEL_ENCUMBRANCE_SELECT = `
+  SELECT
+    pe.*,
+    op.pid AS parcel_pid,
+    gu.name AS registered_by_name,
+    ru.name AS released_by_name
+  FROM parcel_encumbrances pe
+  JOIN owned_parcels op ON op.id = pe.parcel_id
+  LEFT JOIN users gu ON gu.id = pe.registered_by
+  LEFT JOIN users ru ON ru.id = pe.released_by
+`;
+
+const toGovBoundaryRecord = (row) => ({
+  id: row.id,
+  code: row.code || '',
+  name: row.name || 'Unnamed boundary',
+  location: row.location || 'Unknown location',
+  polygon: Array.isArray(row.polygon) ? row.polygon : [],
+  centroid: [Number(row.centroid_lat), Number(row.centroid_lng)],
+  areaSqM: Number(row.area_sq_m || 0),
+  status: row.status || 'ACTIVE',
+  isPreset: Boolean(row.is_preset),
+  snapshotHash: sha256Hex(boundaryRowToSnapshot(row)),
+  createdBy: row.created_by
+    ? {
+        id: row.created_by,
+        name: row.creator_name || 'Unknown',
+        email: row.creator_email || null,
+      }
+    : null,
+  createdAt: toIso(row.created_at),
+  updatedAt: toIso(row.updated_at),
+  ledgerBlock: {
+    index: row.ledger_block_index,
+    hash: row.ledger_block_hash,
+  },
+});
+
+const loadGovBoundaries = async ({ includeRemoved = false } = {}) => {
+  const whereSql = includeRemoved ? '' : "WHERE gb.status = 'ACTIVE'";
+  const result = await query(
+    `
       SELECT
         gb.*,
         u.name AS creator_name,
@@ -1116,12 +2883,26 @@ const ensureGovBoundaryPresets = async () => {
       const now = new Date().toISOString();
       const boundaryId = crypto.randomUUID();
 
+      const snapshotHash = sha256Hex(
+        buildBoundarySnapshot({
+          code: preset.code,
+          name: preset.name,
+          location: preset.location,
+          polygon,
+          areaSqM,
+          status: 'ACTIVE',
+          isPreset: true,
+          createdBy: null,
+        })
+      );
+
       const block = await insertChainBlock(client, 'GOV_BOUNDARY_PRESET_ADDED', {
         boundaryId,
         code: preset.code,
         name: preset.name,
         location: preset.location,
         areaSqM,
+        snapshotHash,
       });
 
       await client.query(
@@ -1160,504 +2941,2359 @@ const ensureGovBoundaryPresets = async () => {
   });
 };
 
-const detectClaimOverlaps = async ({ polygon, pid, requesterUserId }) => {
-  const overlapFlags = [];
+const CLAIM_DOCUMENT_SIGNATURES = [
+  { mimeType: 'application/pdf', matches: (buffer) => buffer.subarray(0, 5).toString('latin1') === '%PDF-' },
+  {
+    mimeType: 'image/png',
+    matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  { mimeType: 'image/jpeg', matches: (buffer) => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  {
+    mimeType: 'image/webp',
+    matches: (buffer) =>
+      buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP',
+  },
+];
 
-  const existingParcelsResult = await query(
+const sanitizeDocumentFileName = (value) => {
+  let name = String(value || '');
+  try {
+    name = decodeURIComponent(name);
+  } catch {
+    // Keep the raw header value when it is not URI-encoded.
+  }
+  name = path
+    .basename(name.replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f\u007f"]/g, '')
+    .trim();
+  return name.slice(0, 160) || 'document';
+};
+
+const toClaimDocumentRecord = (row) => ({
+  id: row.id,
+  kind: row.kind,
+  fileName: row.file_name,
+  mimeType: row.mime_type,
+  sizeBytes: Number(row.size_bytes || 0),
+  sha256: row.sha256,
+});
+
+const readClaimDocumentIds = (rawDocumentIds) =>
+  [...new Set((Array.isArray(rawDocumentIds) ? rawDocumentIds : []).map((item) => String(item || '').trim()))].filter(
+    Boolean
+  );
+
+// Uploads not attached to a claim within CLAIM_DOCUMENT_UNATTACHED_TTL_HOURS expire and can no longer be attached.
+const unattachedDocumentCutoff = () => new Date(Date.now() - CLAIM_DOCUMENT_UNATTACHED_TTL_MS).toISOString();
+
+const lockUnattachedClaimDocuments = async (client, { userId, documentIds }) => {
+  if (!documentIds.length) return [];
+  const documentResult = await client.query(
     `
-      SELECT op.id, op.pid, op.owner_user_id, op.polygon, u.name AS owner_name, u.email AS owner_email
-      FROM owned_parcels op
-      LEFT JOIN users u ON u.id = op.owner_user_id
-      WHERE op.status = 'ACTIVE'
+      SELECT *
+      FROM claim_documents
+      WHERE id IN (${documentIds.map((_, index) => `$${index + 3}`).join(', ')})
+        AND uploaded_by = $1
+        AND claim_id IS NULL
+        AND created_at >= $2
+      FOR UPDATE
+    `,
+    [userId, unattachedDocumentCutoff(), ...documentIds]
+  );
+  const documentsById = new Map(documentResult.rows.map((row) => [row.id, row]));
+  if (documentsById.size !== documentIds.length) {
+    throw httpError(400, 'documentIds must reference your own recent uploads that are not attached to a claim.');
+  }
+  return documentIds.map((documentId) => toClaimDocumentRecord(documentsById.get(documentId)));
+};
+
+const attachClaimDocuments = async (client, { claimId, documents, now }) => {
+  if (!documents.length) return;
+  await client.query(
+    `UPDATE claim_documents SET claim_id = $1, attached_at = $2 WHERE id IN (${documents
+      .map((_, index) => `$${index + 3}`)
+      .join(', ')})`,
+    [claimId, now, ...documents.map((item) => item.id)]
+  );
+};
+
+// Uploads and the cleanup job lock a blob's key row for as long as they touch the file, so an
+// upload of the same bytes cannot commit a row pointing at a file the cleanup is removing.
+// pg-mem has no row locks, so there each key is handed out in turn from this process.
+const claimDocumentBlobTails = new Map();
+
+const lockClaimDocumentBlob = async (client, storageKey) => {
+  if (getPersistenceMode() === 'memory') {
+    let release;
+    const turn = new Promise((resolve) => {
+      release = resolve;
+    });
+    const previous = claimDocumentBlobTails.get(storageKey) || Promise.resolve();
+    const tail = previous.then(() => turn);
+    claimDocumentBlobTails.set(storageKey, tail);
+    await previous;
+    onTransactionEnd(client, () => {
+      if (claimDocumentBlobTails.get(storageKey) === tail) claimDocumentBlobTails.delete(storageKey);
+      release();
+    });
+  }
+  await client.query(
     `
+      INSERT INTO claim_document_blobs (storage_key, locked_at)
+      VALUES ($1, $2)
+      ON CONFLICT (storage_key) DO UPDATE SET locked_at = EXCLUDED.locked_at
+    `,
+    [storageKey, new Date().toISOString()]
   );
+};
 
-  for (const parcel of existingParcelsResult.rows) {
-    if (String(parcel.pid || '').trim() === String(pid || '').trim()) {
-      continue;
-    }
-    if (polygonsOverlap(polygon, Array.isArray(parcel.polygon) ? parcel.polygon : [])) {
-      overlapFlags.push({
-        type: 'ACTIVE_PARCEL_OVERLAP',
-        targetId: parcel.id,
-        pid: parcel.pid,
-        ownerUserId: parcel.owner_user_id,
-        ownerName: parcel.owner_name || null,
-        ownerEmail: parcel.owner_email || null,
-      });
-    }
+// Blobs are shared by hash, so a file is only removed once no document row points at it.
+const removeExpiredClaimDocuments = async () => {
+  const expired = await query(
+    'DELETE FROM claim_documents WHERE claim_id IS NULL AND created_at < $1 RETURNING storage_key',
+    [unattachedDocumentCutoff()]
+  );
+  const storageKeys = [...new Set(expired.rows.map((row) => row.storage_key))];
+  for (const storageKey of storageKeys) {
+    await withTransaction(async (client) => {
+      await lockClaimDocumentBlob(client, storageKey);
+      const referenced = await client.query('SELECT 1 FROM claim_documents WHERE storage_key = $1 LIMIT 1', [storageKey]);
+      if (referenced.rows.length) return;
+      await claimDocumentStore.delete(storageKey);
+      await client.query('DELETE FROM claim_document_blobs WHERE storage_key = $1', [storageKey]);
+    });
   }
+  return expired.rows.length;
+};
 
-  const boundaryResult = await query(
-    `
-      SELECT id, code, name, location, polygon
-      FROM gov_boundaries
-      WHERE status = 'ACTIVE'
-    `
+// Resolves `coOwners: [{ email, share }]` on a claim. The claimant keeps whatever share is left,
+// which must be above zero, so the listed shares always sum to exactly one. Each co-owner starts
+// with consent PENDING and has to accept before the claim can be approved. Unknown and
+// non-citizen emails get the same error, so the form cannot be used to probe for accounts.
+const readClaimOwnerShares = async (rawCoOwners, claimant) => {
+  const coOwners = Array.isArray(rawCoOwners) ? rawCoOwners : [];
+  if (!coOwners.length) return [];
+  if (coOwners.length > PARCEL_MAX_OWNERS - 1) {
+    throw httpError(400, `A claim can list at most ${PARCEL_MAX_OWNERS - 1} co-owners.`);
+  }
+
+  const entries = coOwners.map((item) => ({
+    email: String(item?.email || '')
+      .trim()
+      .toLowerCase(),
+    share: parseShare(item?.share),
+  }));
+  if (entries.some((item) => !item.email || !item.share)) {
+    throw httpError(400, 'Each co-owner needs an email and a share between 0 and 1, such as "1/3" or 0.25.');
+  }
+  const emails = entries.map((item) => item.email);
+  if (new Set(emails).size !== emails.length) {
+    throw httpError(400, 'Each co-owner can be listed only once.');
+  }
+
+  const claimantShare = entries.reduce((rest, item) => subtractShares(rest, item.share), WHOLE_SHARE);
+  if (claimantShare.numerator <= 0n) {
+    throw httpError(400, 'Co-owner shares must add up to less than 1, leaving a share for the claimant.');
+  }
+  if (emails.includes(String(claimant.email || '').toLowerCase())) {
+    throw httpError(400, 'The claimant holds the remaining share and cannot also be listed as a co-owner.');
+  }
+
+  const userResult = await query(
+    `SELECT id, name, email, role FROM users WHERE email IN (${emails.map((_, index) => `$${index + 1}`).join(', ')})`,
+    emails
   );
-  for (const boundary of boundaryResult.rows) {
-    if (polygonsOverlap(polygon, Array.isArray(boundary.polygon) ? boundary.polygon : [])) {
-      overlapFlags.push({
-        type: 'GOV_BOUNDARY_OVERLAP',
-        targetId: boundary.id,
-        boundaryCode: boundary.code,
-        boundaryName: boundary.name,
-        location: boundary.location,
-      });
+  const usersByEmail = new Map(userResult.rows.map((row) => [String(row.email).toLowerCase(), row]));
+  const holders = entries.map((item) => {
+    const user = usersByEmail.get(item.email);
+    if (!user || normalizeRole(user.role) !== 'USER') {
+      throw httpError(400, 'Co-owners could not be invited. Check that each email is the one the co-owner signed up with.');
     }
-  }
+    return { userId: user.id, name: user.name, email: user.email, share: item.share, consent: 'PENDING' };
+  });
 
-  const pendingClaimsResult = await query(
+  return [{ userId: claimant.id, name: claimant.name, email: claimant.email, share: claimantShare }, ...holders]
+    .map((item) => ({ ...item, share: formatShare(item.share) }))
+    .sort((a, b) => String(a.userId).localeCompare(String(b.userId)));
+};
+
+// The ledger records each document's hash, kind and size; file names stay off-chain.
+const toLedgerClaimDocuments = (documents) =>
+  (Array.isArray(documents) ? documents : []).map((item) => ({
+    id: item.id,
+    kind: item.kind,
+    sizeBytes: Number(item.sizeBytes || 0),
+    sha256: item.sha256,
+  }));
+
+// Documents are recorded on the submission block, or as `addedDocuments` on the information response that attached them.
+const verifyClaimDocuments = async (claim) => {
+  const claimDocuments = Array.isArray(claim.documents) ? claim.documents : [];
+  const documentResult = await query('SELECT * FROM claim_documents WHERE claim_id = $1 ORDER BY created_at ASC', [
+    claim.id,
+  ]);
+  const eventResult = await query(
     `
-      SELECT lc.id, lc.pid, lc.user_id, lc.polygon, u.name AS user_name, u.email AS user_email
-      FROM land_claims lc
-      LEFT JOIN users u ON u.id = lc.user_id
-      WHERE lc.status IN ('PENDING', 'FLAGGED')
-        AND lc.user_id <> $1
+      SELECT cb.*, ce.event_type AS claim_event_type
+      FROM claim_events ce
+      JOIN chain_blocks cb ON cb.block_index = ce.ledger_block_index
+      WHERE ce.claim_id = $1 AND ce.event_type IN ('SUBMITTED', 'INFO_PROVIDED')
+      ORDER BY cb.block_index ASC
     `,
-    [requesterUserId]
+    [claim.id]
   );
-
-  for (const claim of pendingClaimsResult.rows) {
-    if (String(claim.pid || '').trim() === String(pid || '').trim()) {
-      continue;
+  const checkBlock = (block) =>
+    isBlockHashValid(block, ledgerHashPolicy()) ? verifyBlockSignature(block, ledgerVerificationKeys) : 'Hash mismatch';
+  const submittedRow = eventResult.rows.find((row) => row.claim_event_type === 'SUBMITTED');
+  const submittedBlock = submittedRow ? toChainBlock(submittedRow) : null;
+  const blockIssue = submittedBlock ? checkBlock(submittedBlock) : 'Submission block not found';
+  const responseBlocks = eventResult.rows
+    .filter((row) => row.claim_event_type === 'INFO_PROVIDED')
+    .map(toChainBlock)
+    .filter((block) => Array.isArray(block.payload?.addedDocuments));
+  const responseIssues = new Map(responseBlocks.map((block) => [block.index, checkBlock(block)]));
+
+  const ledgerById = new Map();
+  for (const block of [submittedBlock, ...responseBlocks].filter(Boolean)) {
+    const recorded = block === submittedBlock ? block.payload?.documents : block.payload.addedDocuments;
+    for (const item of Array.isArray(recorded) ? recorded : []) {
+      if (!ledgerById.has(item.id)) ledgerById.set(item.id, { ...item, blockIndex: block.index });
     }
-    if (polygonsOverlap(polygon, Array.isArray(claim.polygon) ? claim.polygon : [])) {
-      overlapFlags.push({
-        type: 'PENDING_CLAIM_OVERLAP',
-        targetId: claim.id,
-        pid: claim.pid,
-        claimantUserId: claim.user_id,
-        claimantName: claim.user_name || null,
-        claimantEmail: claim.user_email || null,
-      });
+  }
+  const rowsById = new Map(documentResult.rows.map((row) => [row.id, row]));
+
+  const ids = [...new Set([...ledgerById.values(), ...claimDocuments, ...documentResult.rows].map((item) => item.id))];
+  const items = [];
+  for (const documentId of ids) {
+    const row = rowsById.get(documentId) || null;
+    const claimDocument = claimDocuments.find((item) => item.id === documentId) || null;
+    const ledgerDocument = ledgerById.get(documentId) || null;
+    const blob = row ? await claimDocumentStore.get(row.storage_key) : null;
+    const storedSha256 = blob ? sha256Buffer(blob) : null;
+    const issues = [];
+    if (!ledgerDocument) issues.push('Not recorded in a ledger block for this claim.');
+    const responseIssue = ledgerDocument ? responseIssues.get(ledgerDocument.blockIndex) : null;
+    if (responseIssue) issues.push(`Response block #${ledgerDocument.blockIndex} check failed: ${responseIssue}`);
+    if (!claimDocument) issues.push('Not listed on the claim.');
+    if (!row) issues.push('Document record is missing.');
+    if (row && !blob) issues.push('Stored file is missing.');
+    const recordedSha256 = ledgerDocument?.sha256 || claimDocument?.sha256 || row?.sha256 || null;
+    for (const [label, value] of [
+      ['claim record', claimDocument?.sha256],
+      ['document record', row?.sha256],
+      ['stored file', storedSha256],
+    ]) {
+      if (value && value !== recordedSha256) issues.push(`Hash of the ${label} differs from the ledger.`);
     }
+    items.push({
+      id: documentId,
+      kind: claimDocument?.kind || row?.kind || ledgerDocument?.kind || null,
+      fileName: row?.file_name || claimDocument?.fileName || null,
+      ledgerBlockIndex: ledgerDocument?.blockIndex ?? null,
+      recordedSha256,
+      storedSha256,
+      verified: issues.length === 0,
+      issues,
+    });
   }
 
-  return overlapFlags;
+  return {
+    claimId: claim.id,
+    submissionBlock: submittedBlock
+      ? { index: submittedBlock.index, hash: submittedBlock.hash, valid: !blockIssue, issue: blockIssue || null }
+      : null,
+    verified: !blockIssue && items.every((item) => item.verified),
+    items,
+  };
 };
 
-const loadParcels = async ({ includeAll, userId }) => {
-  const params = [];
-  const where = [];
-  if (!includeAll) {
-    params.push(userId);
-    where.push(`op.owner_user_id = $${params.length}`);
+const readClaimGeometry = (rawPolygon) => {
+  const polygon = sanitizePolygon(rawPolygon);
+  if (!polygon) {
+    throw httpError(400, 'polygon is required with at least 3 valid coordinate pairs.');
   }
-  where.push(`op.status = 'ACTIVE'`);
-  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const areaSqM = Number(polygonAreaSqM(polygon).toFixed(3));
+  if (!Number.isFinite(areaSqM) || areaSqM < 20) {
+    throw httpError(400, 'Polygon area is too small. Select a valid land parcel.');
+  }
+  const centroid = polygonCentroid(polygon);
+  if (!centroid) {
+    throw httpError(400, 'Unable to compute polygon centroid.');
+  }
+  return { polygon, areaSqM, centroid };
+};
 
-  const result = await query(
+const insertClaimEvent = (
+  client,
+  { claimId, actorUserId, eventType, fromStatus, toStatus, note = null, evidenceUrls = [], createdAt, block }
+) =>
+  client.query(
     `
-      SELECT
-        op.*,
-        u.name AS owner_name,
-        u.email AS owner_email
-      FROM owned_parcels op
-      LEFT JOIN users u ON u.id = op.owner_user_id
-      ${whereSql}
-      ORDER BY op.created_at DESC
-      LIMIT 400
+      INSERT INTO claim_events (
+        id, claim_id, actor_user_id, event_type, from_status, to_status, note, evidence_urls,
+        created_at, ledger_block_index, ledger_block_hash
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8::jsonb, $9, $10, $11)
     `,
-    params
+    [
+      crypto.randomUUID(),
+      claimId,
+      actorUserId || null,
+      eventType,
+      fromStatus || null,
+      toStatus || null,
+      note || null,
+      JSON.stringify(evidenceUrls),
+      createdAt,
+      block.index,
+      block.hash,
+    ]
+  );
+
+// The claim's ledger pointer moves on with consents and amendments, so the pending first approval
+// is the latest one that no information request or rejection has voided.
+const loadFirstApproval = async (executor, claim) => {
+  const result = await executor.query(
+    `
+      SELECT *
+      FROM claim_approvals
+      WHERE claim_id = $1 AND level = 1 AND voided_at IS NULL
+      ORDER BY created_at DESC
+      LIMIT 1
+    `,
+    [claim.id]
   );
-  return result.rows.map(toOwnedParcelRecord);
+  return result.rows[0] || null;
 };
 
-const loadClaims = async ({ includeAll, userId, statuses = [] }) => {
-  const params = [];
-  const where = [];
+const insertParcelOwner = (
+  client,
+  { parcelId, ownerUserId, acquiredVia, transferId = null, startedAt, block, share = WHOLE_SHARE }
+) =>
+  client.query(
+    `
+      INSERT INTO parcel_owners (
+        id, parcel_id, owner_user_id, acquired_via, transfer_id, started_at, ended_at, ledger_block_index,
+        ledger_block_hash, share
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, NULL, $7, $8, $9)
+    `,
+    [crypto.randomUUID(), parcelId, ownerUserId, acquiredVia, transferId, startedAt, block.index, block.hash, formatShare(share)]
+  );
 
-  if (!includeAll) {
-    params.push(userId);
-    where.push(`lc.user_id = $${params.length}`);
+const insertParcelHolders = async (client, { parcelId, holdings, acquiredVia, transferId = null, startedAt, block }) => {
+  for (const [ownerUserId, share] of holdings) {
+    await insertParcelOwner(client, { parcelId, ownerUserId, acquiredVia, transferId, startedAt, block, share });
   }
+};
 
-  const normalizedStatuses = Array.isArray(statuses)
-    ? statuses.map((status) => normalizeToken(status)).filter((status) => CLAIM_STATUSES.has(status))
-    : [];
+// Adds current holder names to parcel rows so toOwnedParcelRecord can list every co-owner.
+const attachParcelHolderUsers = async (rows) => {
+  const userIds = [
+    ...new Set(rows.flatMap((row) => (Array.isArray(row.owner_shares) ? row.owner_shares.map((item) => item.userId) : []))),
+  ];
+  if (!userIds.length) return rows;
+  const userResult = await query(
+    `SELECT id, name, email FROM users WHERE id IN (${userIds.map((_, index) => `$${index + 1}`).join(', ')})`,
+    userIds
+  );
+  return rows.map((row) => ({ ...row, holder_users: userResult.rows }));
+};
 
-  if (normalizedStatuses.length) {
-    params.push(normalizedStatuses);
-    where.push(`lc.status = ANY($${params.length}::text[])`);
+const findEncumbranceInForce = async (executor, parcelIds, { liensOnly = false } = {}) => {
+  const result = await executor.query(
+    `
+      SELECT pe.*, op.pid AS parcel_pid
+      FROM parcel_encumbrances pe
+      JOIN owned_parcels op ON op.id = pe.parcel_id
+      WHERE pe.parcel_id IN (${parcelIds.map((_, index) => `$${index + 1}`).join(', ')})
+        AND pe.status = 'ACTIVE'
+        AND pe.starts_at <= $${parcelIds.length + 1}
+        AND (pe.ends_at IS NULL OR pe.ends_at > $${parcelIds.length + 1})
+        ${liensOnly ? `AND pe.encumbrance_type IN (${PARCEL_LIEN_TYPE_SQL})` : ''}
+      ORDER BY pe.created_at ASC
+      LIMIT 1
+    `,
+    [...parcelIds, new Date().toISOString()]
+  );
+  return result.rows[0] || null;
+};
+
+const assertNoActiveLien = async (executor, parcel) => {
+  const lien = await findEncumbranceInForce(executor, [parcel.id], { liensOnly: true });
+  if (lien) {
+    throw httpError(
+      409,
+      `PID ${parcel.pid} is under an active ${lien.encumbrance_type.toLowerCase().replaceAll('_', ' ')} held by ${lien.holder_name} and cannot be transferred.`
+    );
   }
+};
 
-  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+// Adds the types of encumbrances in force so registry views can flag parcels under a lien.
+const attachParcelEncumbrances = async (rows) => {
+  if (!rows.length) return rows;
   const result = await query(
     `
-      SELECT
-        lc.*,
-        claimant.name AS user_name,
-        claimant.email AS user_email,
-        reviewer.name AS reviewer_name,
-        reviewer.email AS reviewer_email
-      FROM land_claims lc
-      LEFT JOIN users claimant ON claimant.id = lc.user_id
-      LEFT JOIN users reviewer ON reviewer.id = lc.reviewed_by
-      ${whereSql}
-      ORDER BY lc.updated_at DESC
-      LIMIT 500
+      SELECT parcel_id, encumbrance_type
+      FROM parcel_encumbrances
+      WHERE parcel_id IN (${rows.map((_, index) => `$${index + 1}`).join(', ')})
+        AND status = 'ACTIVE'
+        AND starts_at <= $${rows.length + 1}
+        AND (ends_at IS NULL OR ends_at > $${rows.length + 1})
     `,
-    params
+    [...rows.map((row) => row.id), new Date().toISOString()]
   );
-  return result.rows.map(toLandClaimRecord);
+  return rows.map((row) => ({
+    ...row,
+    encumbrance_types: [
+      ...new Set(result.rows.filter((item) => item.parcel_id === row.id).map((item) => item.encumbrance_type)),
+    ],
+  }));
 };
 
-const authMiddleware = (req, res, next) => {
-  const header = req.headers.authorization || '';
-  const [scheme, token] = header.split(' ');
+const PARCEL_LINEAGE_EVENTS = {
+  SUBDIVISION: 'PARCEL_SUBDIVIDED',
+  AMALGAMATION: 'PARCEL_AMALGAMATED',
+};
 
-  if (scheme !== 'Bearer' || !token) {
-    res.status(401).json({ message: 'Missing bearer token' });
-    return;
+const lockActiveParcels = async (client, parcelIds) => {
+  const parcelResult = await client.query(
+    `SELECT * FROM owned_parcels WHERE id IN (${parcelIds.map((_, index) => `$${index + 1}`).join(', ')}) FOR UPDATE`,
+    parcelIds
+  );
+  const parcelsById = new Map(parcelResult.rows.map((row) => [row.id, row]));
+  const parcels = parcelIds.map((parcelId) => parcelsById.get(parcelId));
+  if (parcels.some((parcel) => !parcel)) {
+    throw httpError(404, 'Parcel not found.');
   }
-
-  try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.auth = {
-      ...payload,
-      role: normalizeRole(payload?.role),
-      employeeId: payload?.employeeId || null,
-    };
-    next();
-  } catch (_error) {
-    res.status(401).json({ message: 'Invalid or expired token' });
+  const retired = parcels.find((parcel) => parcel.status !== 'ACTIVE');
+  if (retired) {
+    throw httpError(409, `Parcel ${retired.pid} is ${retired.status} and cannot be changed.`);
   }
-};
-
-const requireEmployee = (req, res, next) => {
-  if (!isEmployeeAuth(req.auth)) {
-    res.status(403).json({ message: 'Government employee access required.' });
-    return;
+  const openTransferResult = await client.query(
+    `
+      SELECT op.pid
+      FROM parcel_transfers pt
+      JOIN owned_parcels op ON op.id = pt.parcel_id
+      WHERE pt.parcel_id IN (${parcelIds.map((_, index) => `$${index + 1}`).join(', ')})
+        AND pt.status IN (${PARCEL_TRANSFER_OPEN_STATUS_SQL})
+      LIMIT 1
+    `,
+    parcelIds
+  );
+  if (openTransferResult.rows[0]) {
+    throw httpError(409, `Parcel ${openTransferResult.rows[0].pid} has an open ownership transfer.`);
   }
-  next();
+  const encumbrance = await findEncumbranceInForce(client, parcelIds);
+  if (encumbrance) {
+    throw httpError(
+      409,
+      `Parcel ${encumbrance.parcel_pid} has a ${encumbrance.encumbrance_type.toLowerCase().replaceAll('_', ' ')} in force. Release it first.`
+    );
+  }
+  return parcels;
 };
 
-const readOptionalUserId = (req) => {
-  const header = req.headers.authorization || '';
-  const [scheme, token] = header.split(' ');
-  if (scheme !== 'Bearer' || !token) return null;
+// Retires the parents and registers the children in one step. The operation block lists both sides,
+// and every parcel row gets its own LAND_PARCEL_ block, so forensics can check each row on its own.
+const applyParcelLineage = async (client, { operation, parents, children, reviewerUserId, note }) => {
+  const operationId = crypto.randomUUID();
+  const now = new Date().toISOString();
+  const ownerUserId = parents[0].owner_user_id;
+  const holdings = parcelHoldings(parents[0]);
+  const ownerShares = holdingsToOwnerShares(holdings);
+  const childRows = children.map((child) => ({ ...child, id: crypto.randomUUID() }));
+
+  const operationBlock = await insertChainBlock(client, PARCEL_LINEAGE_EVENTS[operation], {
+    operationId,
+    operation,
+    ownerUserId,
+    ...(ownerShares.length ? { ownerShares } : {}),
+    reviewerUserId,
+    parentParcelIds: parents.map((parent) => parent.id),
+    childParcelIds: childRows.map((child) => child.id),
+    parentAreaSqM: Number(parents.reduce((sum, parent) => sum + Number(parent.area_sq_m || 0), 0).toFixed(3)),
+    childAreaSqM: Number(childRows.reduce((sum, child) => sum + child.areaSqM, 0).toFixed(3)),
+    note: note || null,
+  });
 
-  try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    return payload?.sub || null;
-  } catch (_error) {
-    return null;
+  for (const parent of parents) {
+    const retireBlock = await insertChainBlock(client, 'LAND_PARCEL_RETIRED', {
+      parcelId: parent.id,
+      operationId,
+      pid: parent.pid,
+      ownerUserId,
+      reviewerUserId,
+      snapshotVersion: LEDGER_SNAPSHOT_VERSION,
+      snapshotHash: sha256Hex(parcelRowToSnapshot({ ...parent, status: 'RETIRED' })),
+    });
+    await client.query(
+      `
+        UPDATE owned_parcels
+        SET status = 'RETIRED', updated_at = $1, ledger_block_index = $2, ledger_block_hash = $3
+        WHERE id = $4
+      `,
+      [now, retireBlock.index, retireBlock.hash, parent.id]
+    );
+    await client.query(
+      'UPDATE parcel_owners SET ended_at = $1, ended_block_index = $2 WHERE parcel_id = $3 AND ended_at IS NULL',
+      [now, retireBlock.index, parent.id]
+    );
+    await indexPolygonCells(client, 'PARCEL', parent.id, []);
   }
-};
 
-const SETTINGS_MAP_LAYERS = new Set(['OSM', 'SAT']);
+  const createdRows = [];
+  for (const child of childRows) {
+    const childBlock = await insertChainBlock(client, 'LAND_PARCEL_CREATED', {
+      parcelId: child.id,
+      operationId,
+      pid: child.pid,
+      ownerUserId,
+      ...(ownerShares.length ? { ownerShares } : {}),
+      reviewerUserId,
+      parentParcelIds: parents.map((parent) => parent.id),
+      areaSqM: child.areaSqM,
+      snapshotVersion: LEDGER_SNAPSHOT_VERSION,
+      snapshotHash: sha256Hex(
+        buildParcelSnapshot({
+          ownerUserId,
+          pid: child.pid,
+          polygon: child.polygon,
+          areaSqM: child.areaSqM,
+          assignedClaimId: null,
+          status: 'ACTIVE',
+          ownerShares,
+          centroid: child.centroid,
+        })
+      ),
+    });
+    const childResult = await client.query(
+      `
+        INSERT INTO owned_parcels (
+          id, owner_user_id, pid, polygon,
+          centroid_lat, centroid_lng, area_sq_m,
+          assigned_claim_id, status,
+          created_at, updated_at,
+          ledger_block_index, ledger_block_hash, owner_shares
+        )
+        VALUES ($1, $2, $3, $4::jsonb, $5, $6, $7, NULL, 'ACTIVE', $8, $8, $9, $10, $11::jsonb)
+        RETURNING *
+      `,
+      [
+        child.id,
+        ownerUserId,
+        child.pid,
+        JSON.stringify(child.polygon),
+        child.centroid[0],
+        child.centroid[1],
+        child.areaSqM,
+        now,
+        childBlock.index,
+        childBlock.hash,
+        JSON.stringify(ownerShares),
+      ]
+    );
+    await indexPolygonCells(client, 'PARCEL', child.id, child.polygon);
+    await insertParcelHolders(client, {
+      parcelId: child.id,
+      holdings,
+      acquiredVia: operation,
+      startedAt: now,
+      block: childBlock,
+    });
+    createdRows.push(childResult.rows[0]);
 
-const toUserSettings = (row) => ({
-  organization: row.organization || '',
-  roleTitle: row.role_title || '',
-  phone: row.phone || '',
-  preferredLanguage: row.preferred_language || 'en',
-  defaultMapLayer: row.default_map_layer || 'SAT',
-  mapDefaultCenter: [Number(row.map_default_lat), Number(row.map_default_lng)],
-  mapDefaultZoom: Number(row.map_default_zoom || 12),
-  notifications: {
-    disputeUpdates: Boolean(row.notify_dispute_updates),
-    ndviReady: Boolean(row.notify_ndvi_ready),
-    weeklyDigest: Boolean(row.notify_weekly_digest),
-  },
-  createdAt: toIso(row.created_at),
-  updatedAt: toIso(row.updated_at),
-});
+    for (const parent of parents) {
+      await client.query(
+        `
+          INSERT INTO parcel_lineage (
+            id, operation_id, operation, parent_parcel_id, child_parcel_id, created_by, note,
+            created_at, ledger_block_index, ledger_block_hash
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        `,
+        [
+          crypto.randomUUID(),
+          operationId,
+          operation,
+          parent.id,
+          child.id,
+          reviewerUserId,
+          note || null,
+          now,
+          operationBlock.index,
+          operationBlock.hash,
+        ]
+      );
+    }
+  }
 
-const ensureUserSettings = async (executor, userId) => {
-  const runQuery = typeof executor === 'function'
-    ? (text, params) => executor(text, params)
-    : (text, params) => executor.query(text, params);
+  return {
+    operationId,
+    operation,
+    items: (await attachParcelHolderUsers(createdRows)).map(toOwnedParcelRecord),
+    retiredParcelIds: parents.map((parent) => parent.id),
+    ledgerBlock: {
+      index: operationBlock.index,
+      hash: operationBlock.hash,
+      eventType: operationBlock.eventType,
+      timestamp: operationBlock.timestamp,
+    },
+  };
+};
 
-  const existing = await runQuery(
-    'SELECT * FROM user_settings WHERE user_id = $1 LIMIT 1',
-    [userId]
+const readChildPids = (rawPids, count, fallback) => {
+  const pids = Array.isArray(rawPids) && rawPids.length ? rawPids.map((pid) => String(pid || '').trim()) : fallback;
+  if (pids.length !== count || pids.some((pid) => !pid) || new Set(pids).size !== pids.length) {
+    throw httpError(400, `Provide ${count} distinct child PIDs.`);
+  }
+  return pids;
+};
+
+const assertPidsAvailable = async (client, pids) => {
+  const result = await client.query(
+    `SELECT pid FROM owned_parcels WHERE pid IN (${pids.map((_, index) => `$${index + 1}`).join(', ')}) LIMIT 1`,
+    pids
   );
-  if (existing.rows[0]) return existing.rows[0];
+  if (result.rows[0]) {
+    throw httpError(409, `PID ${result.rows[0].pid} is already registered.`);
+  }
+};
 
-  const now = new Date().toISOString();
-  const inserted = await runQuery(
+const loadParcelOwnerRows = async (parcelId) => {
+  const result = await query(
     `
-      INSERT INTO user_settings (
-        user_id, organization, role_title, phone, preferred_language, default_map_layer,
-        map_default_lat, map_default_lng, map_default_zoom,
-        notify_dispute_updates, notify_ndvi_ready, notify_weekly_digest,
-        created_at, updated_at
-      )
-      VALUES (
-        $1, '', '', '', 'en', 'SAT',
-        28.6139, 77.2090, 12,
-        true, true, false,
-        $2, $2
-      )
-      RETURNING *
+      SELECT po.*, u.name AS owner_name
+      FROM parcel_owners po
+      LEFT JOIN users u ON u.id = po.owner_user_id
+      WHERE po.parcel_id = $1
+      ORDER BY po.started_at ASC
     `,
-    [userId, now]
+    [parcelId]
   );
-  return inserted.rows[0];
+  return result.rows;
 };
 
-const normalizeText = (value, maxLength = 140) =>
-  String(value || '')
-    .trim()
-    .slice(0, maxLength);
+// Current and past owners can read a parcel's history; everyone else needs an employee account.
+const canViewParcelHistory = (auth, parcel, ownerRows) =>
+  isEmployeeAuth(auth) || parcelHoldings(parcel).has(auth.sub) || ownerRows.some((row) => row.owner_user_id === auth.sub);
+
+// A past owner keeps the view they had while they held the parcel, up to the block that ended their
+// last holding. Null means the viewer sees everything.
+const parcelViewCutoff = (auth, parcel, ownerRows) => {
+  if (isEmployeeAuth(auth) || parcelHoldings(parcel).has(auth.sub)) return null;
+  const rows = ownerRows.filter((row) => row.owner_user_id === auth.sub);
+  if (!rows.length || rows.some((row) => !row.ended_at)) return null;
+  const last = rows.reduce((latest, row) => (toIso(row.ended_at) > toIso(latest.ended_at) ? row : latest));
+  return {
+    blockIndex: last.ended_block_index === null || last.ended_block_index === undefined ? null : Number(last.ended_block_index),
+    endedAt: toIso(last.ended_at),
+  };
+};
 
-const sanitizePreferredLanguage = (value) => {
-  const normalized = normalizeText(value, 12).toLowerCase();
-  return normalized || 'en';
+// Rows recorded before `ended_block_index` existed are compared by time instead.
+const isWithinParcelViewCutoff = (cutoff, { blockIndex = null, at }) => {
+  if (!cutoff) return true;
+  if (cutoff.blockIndex !== null && blockIndex !== null && blockIndex !== undefined) {
+    return Number(blockIndex) <= cutoff.blockIndex;
+  }
+  return Boolean(toIso(at)) && toIso(at) <= cutoff.endedAt;
 };
 
-const sanitizeMapCenter = (value) => {
-  if (!Array.isArray(value) || value.length < 2) return null;
-  const lat = Number(value[0]);
-  const lng = Number(value[1]);
-  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
-  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
-  return [Number(lat.toFixed(6)), Number(lng.toFixed(6))];
+const loadParcelLineage = async (parcelId) => {
+  const rowsById = new Map();
+  const visit = async (column, nextColumn) => {
+    let frontier = [parcelId];
+    const seen = new Set(frontier);
+    while (frontier.length) {
+      const result = await query(
+        `SELECT * FROM parcel_lineage WHERE ${column} IN (${frontier.map((_, index) => `$${index + 1}`).join(', ')})`,
+        frontier
+      );
+      frontier = [];
+      for (const row of result.rows) {
+        rowsById.set(row.id, row);
+        if (!seen.has(row[nextColumn])) {
+          seen.add(row[nextColumn]);
+          frontier.push(row[nextColumn]);
+        }
+      }
+    }
+  };
+  await visit('child_parcel_id', 'parent_parcel_id');
+  await visit('parent_parcel_id', 'child_parcel_id');
+
+  const rows = [...rowsById.values()];
+  const parcelIds = [...new Set(rows.flatMap((row) => [row.parent_parcel_id, row.child_parcel_id]))];
+  const parcelResult = parcelIds.length
+    ? await query(
+        `SELECT id, pid, status, area_sq_m FROM owned_parcels WHERE id IN (${parcelIds
+          .map((_, index) => `$${index + 1}`)
+          .join(', ')})`,
+        parcelIds
+      )
+    : { rows: [] };
+  const parcelsById = new Map(
+    parcelResult.rows.map((row) => [
+      row.id,
+      { id: row.id, pid: row.pid, status: row.status, areaSqM: Number(row.area_sq_m || 0) },
+    ])
+  );
+
+  const operations = new Map();
+  for (const row of rows) {
+    const operation = operations.get(row.operation_id) || {
+      operationId: row.operation_id,
+      operation: row.operation,
+      note: row.note || null,
+      createdBy: row.created_by || null,
+      createdAt: toIso(row.created_at),
+      parents: new Map(),
+      children: new Map(),
+      ledgerBlock: {
+        index: row.ledger_block_index,
+        hash: row.ledger_block_hash,
+      },
+    };
+    operation.parents.set(row.parent_parcel_id, parcelsById.get(row.parent_parcel_id));
+    operation.children.set(row.child_parcel_id, parcelsById.get(row.child_parcel_id));
+    operations.set(row.operation_id, operation);
+  }
+  return [...operations.values()]
+    .map((operation) => ({
+      ...operation,
+      parents: [...operation.parents.values()],
+      children: [...operation.children.values()],
+    }))
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
 };
 
-app.use((req, res, next) => {
-  if (databaseReady || req.path === '/api/health') {
-    next();
-    return;
+// Ledger event families that make up a parcel's history, with the payload key naming the entity.
+const PARCEL_HISTORY_SOURCES = [
+  { prefix: 'LAND_CLAIM_', category: 'CLAIM', idKey: 'claimId' },
+  { prefix: 'CLAIM_APPEAL_', category: 'CLAIM', idKey: 'appealId' },
+  { prefix: 'LAND_PARCEL_', category: 'PARCEL', idKey: 'parcelId' },
+  { prefix: 'PARCEL_SUBDIVIDED', category: 'LINEAGE', idKey: 'operationId' },
+  { prefix: 'PARCEL_AMALGAMATED', category: 'LINEAGE', idKey: 'operationId' },
+  { prefix: 'PARCEL_TRANSFER_', category: 'TRANSFER', idKey: 'transferId' },
+  { prefix: 'ENCUMBRANCE_', category: 'ENCUMBRANCE', idKey: 'encumbranceId' },
+  { prefix: 'LAND_DISPUTE_', category: 'DISPUTE', idKey: 'disputeId' },
+  { prefix: 'GOV_BOUNDARY_', category: 'BOUNDARY', idKey: 'boundaryId' },
+];
+
+// Owners see who held the parcel and who holds a charge on it. Notes, amounts and who filed a
+// dispute stay committed unless the viewer is an employee.
+const PARCEL_HISTORY_OWNER_FIELDS = new Set([
+  'pid',
+  'parcelRef',
+  'ownerUserId',
+  'previousOwnerUserId',
+  'ownerShares',
+  'claimantUserId',
+  'sellerUserId',
+  'buyerUserId',
+  'reviewerUserId',
+  'holderName',
+]);
+
+const inPlaceholders = (values) => values.map((_, index) => `$${index + 1}`).join(', ');
+
+// A subdivided or amalgamated parcel inherits the history of the parcels it came from, back to
+// their original claims. Entries about an ancestor carry `inheritedFrom`.
+const loadParcelHistory = async (parcel, { revealAll = false, cutoff = null } = {}) => {
+  const lineageIds = [parcel.id];
+  let frontier = [parcel.id];
+  while (frontier.length) {
+    const parentResult = await query(
+      `SELECT DISTINCT parent_parcel_id FROM parcel_lineage WHERE child_parcel_id IN (${inPlaceholders(frontier)})`,
+      frontier
+    );
+    frontier = parentResult.rows.map((row) => row.parent_parcel_id).filter((id) => !lineageIds.includes(id));
+    lineageIds.push(...frontier);
   }
+  const lineageParcelResult = await query(
+    `SELECT id, pid, assigned_claim_id FROM owned_parcels WHERE id IN (${inPlaceholders(lineageIds)})`,
+    lineageIds
+  );
+  const lineageParcels = lineageParcelResult.rows;
 
-  res.status(503).json({
-    message: 'Database is initializing. Please retry in a few seconds.',
-    status: 'starting',
-  });
-});
+  const params = [];
+  const clauses = [];
+  const addEntityClause = (key, ids, prefixes) => {
+    if (!ids.length) return;
+    const placeholders = ids.map((id) => {
+      params.push(id);
+      return `$${params.length}`;
+    });
+    clauses.push(
+      `(payload->>'${key}' IN (${placeholders.join(', ')}) AND (${prefixes.map((prefix) => `event_type LIKE '${prefix}%'`).join(' OR ')}))`
+    );
+  };
 
-app.get('/api/health', async (_req, res) => {
-  const persistence = getPersistenceMode();
-  if (!databaseReady) {
-    res.json({
-      status: 'starting',
-      service: 'root-auth-api',
-      persistence,
-      blockchainIntegrity: false,
-      totalBlocks: 0,
-      totalDisputes: 0,
-      totalClaims: 0,
-      totalParcels: 0,
-      totalBoundaries: 0,
+  addEntityClause('parcelId', lineageIds, ['LAND_PARCEL_', 'PARCEL_TRANSFER_', 'ENCUMBRANCE_']);
+  addEntityClause(
+    'claimId',
+    lineageParcels.map((row) => row.assigned_claim_id).filter(Boolean),
+    ['LAND_CLAIM_', 'CLAIM_APPEAL_']
+  );
+
+  const pidsByRef = new Map(lineageParcels.map((row) => [String(row.pid).toLowerCase(), row]));
+  const disputeResult = await query(
+    `SELECT id, parcel_ref FROM land_disputes WHERE LOWER(parcel_ref) IN (${inPlaceholders([...pidsByRef.keys()])})`,
+    [...pidsByRef.keys()]
+  );
+  addEntityClause('disputeId', disputeResult.rows.map((row) => row.id), ['LAND_DISPUTE_']);
+
+  const polygon = sanitizePolygon(parcel.polygon);
+  if (polygon) {
+    const boundaryParams = [];
+    const boundaryResult = await query(
+      `SELECT id, polygon FROM gov_boundaries WHERE ${spatialCandidateFilter('BOUNDARY', 'id', polygon, boundaryParams)}`,
+      boundaryParams
+    );
+    addEntityClause(
+      'boundaryId',
+      boundaryResult.rows
+        .filter((row) => {
+          const boundaryPolygon = sanitizePolygon(row.polygon);
+          return boundaryPolygon && polygonsOverlap(polygon, boundaryPolygon);
+        })
+        .map((row) => row.id),
+      ['GOV_BOUNDARY_']
+    );
+  }
+
+  const lineageResult = await query(
+    `
+      SELECT DISTINCT ledger_block_index
+      FROM parcel_lineage
+      WHERE parent_parcel_id = $1 OR child_parcel_id IN (${inPlaceholders(lineageIds)})
+    `,
+    lineageIds
+  );
+  if (lineageResult.rows.length) {
+    const placeholders = lineageResult.rows.map((row) => {
+      params.push(Number(row.ledger_block_index));
+      return `$${params.length}`;
     });
-    return;
+    clauses.push(`block_index IN (${placeholders.join(', ')})`);
   }
 
-  const chain = await getChainBlocks();
-  const [disputeCountResult, claimCountResult, parcelCountResult, boundaryCountResult] = await Promise.all([
-    query('SELECT COUNT(*)::int AS count FROM land_disputes'),
-    query('SELECT COUNT(*)::int AS count FROM land_claims'),
-    query('SELECT COUNT(*)::int AS count FROM owned_parcels'),
-    query("SELECT COUNT(*)::int AS count FROM gov_boundaries WHERE status = 'ACTIVE'"),
+  let cutoffClause = '';
+  if (cutoff) {
+    params.push(cutoff.blockIndex ?? cutoff.endedAt);
+    cutoffClause = ` AND ${cutoff.blockIndex === null ? 'block_timestamp' : 'block_index'} <= $${params.length}`;
+  }
+
+  const blockResult = await query(
+    `SELECT * FROM chain_blocks WHERE (${clauses.join(' OR ')})${cutoffClause} ORDER BY block_index ASC`,
+    params
+  );
+  const blocks = blockResult.rows.map(toChainBlock);
+  const subjectParcels = new Map([
+    ...lineageParcels.map((row) => [row.id, row]),
+    ...lineageParcels.filter((row) => row.assigned_claim_id).map((row) => [row.assigned_claim_id, row]),
+    ...disputeResult.rows.map((row) => [row.id, pidsByRef.get(String(row.parcel_ref).toLowerCase())]),
   ]);
-  const integrity = verifyChainIntegrity(chain);
-  res.json({
-    status: 'ok',
-    service: 'root-auth-api',
-    persistence,
-    blockchainIntegrity: integrity.valid,
-    totalBlocks: chain.length,
-    totalDisputes: disputeCountResult.rows[0]?.count || 0,
-    totalClaims: claimCountResult.rows[0]?.count || 0,
-    totalParcels: parcelCountResult.rows[0]?.count || 0,
-    totalBoundaries: boundaryCountResult.rows[0]?.count || 0,
-  });
-});
+  const salts = await loadCommitmentSalts(
+    blocks.flatMap((block) => listPayloadCommitments(block.payload).map((entry) => entry.commitment))
+  );
 
-app.get('/api/geo/search', authMiddleware, async (req, res) => {
-  try {
-    const q = String(req.query?.q || '').trim();
-    if (!q || q.length < 2) {
-      res.status(400).json({ message: 'q must be at least 2 characters.' });
-      return;
+  const items = blocks.map((block) => {
+    const source = PARCEL_HISTORY_SOURCES.find((item) => block.eventType.startsWith(item.prefix));
+    const details = {};
+    const redactedFields = [];
+    for (const [field, value] of Object.entries(block.payload || {})) {
+      if (field === 'snapshotHash' || field === 'snapshotVersion' || field === 'polygon') continue;
+      if (!isLedgerCommitment(value)) {
+        details[field] = value;
+        continue;
+      }
+      const saltRow = salts.get(value.commitment);
+      const visible =
+        revealAll || PARCEL_HISTORY_OWNER_FIELDS.has(field) || (field === 'userId' && source?.category === 'CLAIM');
+      const revealed = saltRow && visible ? JSON.parse(saltRow.value) : undefined;
+      if (revealed !== undefined && commitLedgerValue(field, revealed, saltRow.salt) === value.commitment) {
+        details[field] = revealed;
+      } else {
+        redactedFields.push(field);
+      }
     }
+    const subject =
+      subjectParcels.get(block.payload?.parcelId) ||
+      subjectParcels.get(block.payload?.claimId) ||
+      subjectParcels.get(block.payload?.disputeId);
+    return {
+      eventType: block.eventType,
+      category: source?.category || 'OTHER',
+      entityId: source ? block.payload?.[source.idKey] || null : null,
+      inheritedFrom: subject && subject.id !== parcel.id ? { id: subject.id, pid: subject.pid } : null,
+      timestamp: block.timestamp,
+      details,
+      redactedFields,
+      ledgerBlock: {
+        index: block.index,
+        hash: block.hash,
+      },
+    };
+  });
 
-    const url = new URL(NOMINATIM_SEARCH_URL);
-    url.searchParams.set('format', 'jsonv2');
-    url.searchParams.set('addressdetails', '1');
-    url.searchParams.set('limit', '5');
-    url.searchParams.set('q', q);
+  const userIds = [
+    ...new Set(
+      items.flatMap(({ details }) => [
+        ...Object.entries(details)
+          .filter(([field, value]) => /(UserId|userId|OwnerId|By)$/.test(field) && typeof value === 'string')
+          .map(([, value]) => value),
+        ...(Array.isArray(details.ownerShares) ? details.ownerShares.map((item) => item.userId) : []),
+      ])
+    ),
+  ];
+  const userResult = userIds.length
+    ? await query(`SELECT id, name FROM users WHERE id IN (${inPlaceholders(userIds)})`, userIds)
+    : { rows: [] };
 
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'root-land-platform/1.0',
-      },
-    });
-    if (!response.ok) {
-      const detail = await extractApiErrorText(response);
-      throw new Error(`Location search failed: ${detail}`);
-    }
+  return { items, users: Object.fromEntries(userResult.rows.map((row) => [row.id, row.name])) };
+};
 
-    const payload = await response.json();
-    const items = Array.isArray(payload)
-      ? payload
-          .map((item) => {
-            const lat = Number(item.lat);
-            const lng = Number(item.lon);
-            if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
-            return {
-              name: String(item.display_name || '').trim(),
-              coords: [Number(lat.toFixed(6)), Number(lng.toFixed(6))],
-              class: item.class || null,
-              type: item.type || null,
-            };
-          })
-          .filter(Boolean)
-      : [];
-
-    res.json({ items });
-  } catch (error) {
-    res.status(500).json({ message: 'Failed to search location.', error: error.message });
-  }
-});
+const insertClaimApproval = (
+  client,
+  { claimId, approverUserId, level, requiredApprovals, verifiedPid, note = null, createdAt, block }
+) =>
+  client.query(
+    `
+      INSERT INTO claim_approvals (
+        id, claim_id, approver_user_id, level, required_approvals, verified_pid, note,
+        created_at, ledger_block_index, ledger_block_hash
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `,
+    [
+      crypto.randomUUID(),
+      claimId,
+      approverUserId,
+      level,
+      requiredApprovals,
+      verifiedPid,
+      note || null,
+      createdAt,
+      block.index,
+      block.hash,
+    ]
+  );
 
-app.post('/api/ndvi/current', authMiddleware, async (req, res) => {
-  try {
-    const polygon = readPolygonFromPayload(req.body);
-    if (!polygon) {
-      res.status(400).json({ message: 'Valid polygon (or selectionBounds) is required.' });
-      return;
-    }
-    const daysBack = clampNumber(Number(req.body?.daysBack || 180), 30, 720);
-    const datetime = typeof req.body?.datetime === 'string' && req.body.datetime.includes('/')
-      ? req.body.datetime
-      : getRollingDateRange(daysBack);
+const insertClaimVersion = (
+  client,
+  { claimId, version, claimNote, polygon, centroid, areaSqM, status, overlapFlags, createdBy, createdAt, block }
+) =>
+  client.query(
+    `
+      INSERT INTO land_claim_versions (
+        claim_id, version, claim_note, polygon,
+        centroid_lat, centroid_lng, area_sq_m,
+        status, overlap_flags, created_by, created_at,
+        ledger_block_index, ledger_block_hash
+      )
+      VALUES ($1, $2, $3, $4::jsonb, $5, $6, $7, $8, $9::jsonb, $10, $11, $12, $13)
+      ON CONFLICT (claim_id, version) DO NOTHING
+    `,
+    [
+      claimId,
+      version,
+      claimNote,
+      JSON.stringify(polygon),
+      centroid[0],
+      centroid[1],
+      areaSqM,
+      status,
+      JSON.stringify(overlapFlags || []),
+      createdBy,
+      createdAt,
+      block.index,
+      block.hash,
+    ]
+  );
 
-    const payload = await computeNdviForPolygon({ polygon, datetime });
-    res.json({
-      datetime,
-      polygon,
-      stats: payload.stats,
-      source: payload.source,
-    });
-  } catch (error) {
-    const detail = error instanceof Error ? error.message : 'Unknown NDVI error';
-    const status = detail.includes('No Sentinel-2 scene') ? 404 : detail.includes('required') ? 400 : 502;
-    res.status(status).json({ message: 'Failed to compute current NDVI.', error: detail });
+// Pending claims that a newly submitted or amended polygon conflicts with move to FLAGGED.
+// Locks the pending claims a new or reopened claim overlaps. Callers take these before their first
+// append, so they never wait on a claim row while holding the chain head.
+const lockOverlappedPendingClaims = async (client, overlapFlags) => {
+  const overlapClaimIds = [
+    ...new Set(
+      overlapFlags
+        .filter((item) => item.type === 'PENDING_CLAIM_OVERLAP' && isBlockingOverlapFlag(item))
+        .map((item) => item.targetId)
+        .filter(Boolean)
+    ),
+  ].sort();
+  const rows = [];
+  for (const overlapClaimId of overlapClaimIds) {
+    const overlappedResult = await client.query(
+      "SELECT * FROM land_claims WHERE id = $1 AND status = 'PENDING' LIMIT 1 FOR UPDATE",
+      [overlapClaimId]
+    );
+    if (overlappedResult.rows[0]) rows.push(overlappedResult.rows[0]);
   }
-});
-
-app.post('/api/ndvi/timeline', authMiddleware, async (req, res) => {
-  try {
-    const polygon = readPolygonFromPayload(req.body);
-    if (!polygon) {
-      res.status(400).json({ message: 'Valid polygon (or selectionBounds) is required.' });
-      return;
-    }
+  return rows;
+};
 
-    const years = clampNumber(Number(req.body?.years || NDVI_TIMELINE_YEARS), 3, 10);
-    const timeline = await computeNdviTimeline(polygon, years);
-    const valid = timeline.filter((item) => item.status === 'OK');
-    res.json({
-      years,
-      timeline,
-      availableYears: valid.length,
-      averageNdvi: valid.length
-        ? Number((valid.reduce((sum, item) => sum + Number(item.mean || 0), 0) / valid.length).toFixed(4))
-        : null,
+const flagOverlappedPendingClaims = async (client, { claimId, overlappedClaims, now }) => {
+  for (const overlapped of overlappedClaims) {
+    const flagBlock = await insertChainBlock(client, 'LAND_CLAIM_FLAGGED', {
+      claimId: overlapped.id,
+      claimantUserId: overlapped.user_id,
+      overlappingClaimId: claimId,
+      pid: overlapped.pid,
+      snapshotVersion: LEDGER_SNAPSHOT_VERSION,
+      snapshotHash: sha256Hex(claimRowToSnapshot({ ...overlapped, status: 'FLAGGED' })),
+    });
+    await client.query(
+      `
+        UPDATE land_claims
+        SET status = 'FLAGGED', updated_at = $1, ledger_block_index = $2, ledger_block_hash = $3
+        WHERE id = $4
+      `,
+      [now, flagBlock.index, flagBlock.hash, overlapped.id]
+    );
+    await insertClaimEvent(client, {
+      claimId: overlapped.id,
+      eventType: 'FLAGGED',
+      fromStatus: overlapped.status,
+      toStatus: 'FLAGGED',
+      createdAt: now,
+      block: flagBlock,
     });
-  } catch (error) {
-    const detail = error instanceof Error ? error.message : 'Unknown NDVI timeline error';
-    const status = detail.includes('required') ? 400 : 502;
-    res.status(status).json({ message: 'Failed to compute NDVI timeline.', error: detail });
   }
-});
+};
 
-app.post('/api/agri/insights', async (req, res) => {
-  try {
-    const coords = Array.isArray(req.body?.coords) ? req.body.coords : [];
-    const ndviStats = req.body?.ndviStats || {};
+const measureCandidateOverlap = (polygon, candidatePolygon) => {
+  const target = Array.isArray(candidatePolygon) ? candidatePolygon : [];
+  if (!polygonsOverlap(polygon, target)) return null;
+  const overlap = measurePolygonOverlap(polygon, target);
+  return { ...overlap, severity: classifyOverlap(overlap) };
+};
 
-    const lat = Number(coords[0]);
-    const lng = Number(coords[1]);
-    const ndviMean = Number(ndviStats.mean);
-    const ndviMin = Number(ndviStats.min);
-    const ndviMax = Number(ndviStats.max);
+const detectClaimOverlaps = async ({ polygon, pid, requesterUserId }) => {
+  const overlapFlags = [];
 
-    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
-      res.status(400).json({ message: 'Valid coords [lat, lng] are required.' });
-      return;
+  const parcelParams = [];
+  const existingParcelsResult = await query(
+    `
+      SELECT op.id, op.pid, op.owner_user_id, op.polygon, u.name AS owner_name, u.email AS owner_email
+      FROM owned_parcels op
+      LEFT JOIN users u ON u.id = op.owner_user_id
+      WHERE op.status = 'ACTIVE'
+        AND ${spatialCandidateFilter('PARCEL', 'op.id', polygon, parcelParams)}
+    `,
+    parcelParams
+  );
+
+  for (const parcel of existingParcelsResult.rows) {
+    if (String(parcel.pid || '').trim() === String(pid || '').trim()) {
+      continue;
+    }
+    const overlap = measureCandidateOverlap(polygon, parcel.polygon);
+    if (overlap) {
+      overlapFlags.push({
+        type: 'ACTIVE_PARCEL_OVERLAP',
+        targetId: parcel.id,
+        pid: parcel.pid,
+        ownerUserId: parcel.owner_user_id,
+        ownerName: parcel.owner_name || null,
+        ownerEmail: parcel.owner_email || null,
+        ...overlap,
+      });
     }
+  }
 
-    if (!Number.isFinite(ndviMean)) {
-      res.status(400).json({ message: 'Valid ndviStats.mean is required.' });
-      return;
+  const boundaryParams = [];
+  const boundaryResult = await query(
+    `
+      SELECT id, code, name, location, polygon
+      FROM gov_boundaries
+      WHERE status = 'ACTIVE'
+        AND ${spatialCandidateFilter('BOUNDARY', 'id', polygon, boundaryParams)}
+    `,
+    boundaryParams
+  );
+  for (const boundary of boundaryResult.rows) {
+    const overlap = measureCandidateOverlap(polygon, boundary.polygon);
+    if (overlap) {
+      overlapFlags.push({
+        type: 'GOV_BOUNDARY_OVERLAP',
+        targetId: boundary.id,
+        boundaryCode: boundary.code,
+        boundaryName: boundary.name,
+        location: boundary.location,
+        ...overlap,
+      });
     }
+  }
 
-    const weatherUrl = new URL('https://api.open-meteo.com/v1/forecast');
-    weatherUrl.searchParams.set('latitude', String(lat));
-    weatherUrl.searchParams.set('longitude', String(lng));
-    weatherUrl.searchParams.set('daily', 'temperature_2m_max,temperature_2m_min,precipitation_sum');
-    weatherUrl.searchParams.set('forecast_days', '7');
-    weatherUrl.searchParams.set('timezone', 'auto');
+  const claimParams = [requesterUserId];
+  const pendingClaimsResult = await query(
+    `
+      SELECT lc.id, lc.pid, lc.user_id, lc.polygon, u.name AS user_name, u.email AS user_email
+      FROM land_claims lc
+      LEFT JOIN users u ON u.id = lc.user_id
+      WHERE lc.status IN ('PENDING', 'FLAGGED', 'NEEDS_INFO', 'AWAITING_SECOND_APPROVAL')
+        AND lc.user_id <> $1
+        AND ${spatialCandidateFilter('CLAIM', 'lc.id', polygon, claimParams)}
+    `,
+    claimParams
+  );
 
-    const weatherResponse = await fetch(weatherUrl);
-    if (!weatherResponse.ok) {
-      const message = await weatherResponse.text();
-      throw new Error(`Weather API failed: ${message || weatherResponse.status}`);
+  for (const claim of pendingClaimsResult.rows) {
+    if (String(claim.pid || '').trim() === String(pid || '').trim()) {
+      continue;
     }
+    const overlap = measureCandidateOverlap(polygon, claim.polygon);
+    if (overlap) {
+      overlapFlags.push({
+        type: 'PENDING_CLAIM_OVERLAP',
+        targetId: claim.id,
+        pid: claim.pid,
+        claimantUserId: claim.user_id,
+        claimantName: claim.user_name || null,
+        claimantEmail: claim.user_email || null,
+        ...overlap,
+      });
+    }
+  }
 
-    const weatherPayload = await weatherResponse.json();
-    const daily = weatherPayload?.daily || {};
-    const maxTemps = Array.isArray(daily.temperature_2m_max) ? daily.temperature_2m_max : [];
-    const minTemps = Array.isArray(daily.temperature_2m_min) ? daily.temperature_2m_min : [];
-    const precipitation = Array.isArray(daily.precipitation_sum) ? daily.precipitation_sum : [];
+  return overlapFlags;
+};
 
-    const maxTempAvg = average(maxTemps);
-    const minTempAvg = average(minTemps);
-    const rainfall7d = precipitation.reduce((sum, value) => sum + Number(value || 0), 0);
+const loadParcels = async ({ includeAll, userId }) => {
+  const params = [];
+  const where = [];
+  if (!includeAll) {
+    params.push(userId);
+    where.push(
+      `(op.owner_user_id = $${params.length} OR op.id IN (SELECT parcel_id FROM parcel_owners WHERE owner_user_id = $${params.length} AND ended_at IS NULL))`
+    );
+  }
+  where.push(`op.status = 'ACTIVE'`);
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
 
-    const insight = deriveAgricultureInsights({
-      ndviMean,
-      rainfall7d,
-      maxTempAvg,
-      minTempAvg,
-    });
+  const result = await query(
+    `
+      SELECT
+        op.*,
+        u.name AS owner_name,
+        u.email AS owner_email
+      FROM owned_parcels op
+      LEFT JOIN users u ON u.id = op.owner_user_id
+      ${whereSql}
+      ORDER BY op.created_at DESC
+      LIMIT 400
+    `,
+    params
+  );
+  return (await attachParcelEncumbrances(await attachParcelHolderUsers(result.rows))).map(toOwnedParcelRecord);
+};
 
-    const userId = readOptionalUserId(req);
-    const block = await appendChainBlock('AGRI_INSIGHT_GENERATED', {
-      userId,
-      lat: Number(lat.toFixed(5)),
-      lng: Number(lng.toFixed(5)),
-      ndviMean: Number(ndviMean.toFixed(4)),
-      topCrop: insight.recommendedCrops[0]?.name || null,
-    });
+const loadClaims = async ({ includeAll, userId, statuses = [], queueUserId = null }) => {
+  const params = [];
+  const where = [];
 
-    const insightId = crypto.randomUUID();
-    const createdAt = new Date().toISOString();
+  if (!includeAll) {
+    params.push(userId);
+    where.push(`lc.user_id = $${params.length}`);
+  }
+  if (queueUserId) {
+    params.push(queueUserId);
+    where.push(`(assignment.assignee_user_id = $${params.length} OR assignment.escalated_to = $${params.length})`);
+    where.push(`lc.status IN (${CLAIM_QUEUE_STATUS_SQL})`);
+  }
 
-    await query(
-      `
-        INSERT INTO agri_insights (
-          id, user_id, latitude, longitude, ndvi_mean, ndvi_min, ndvi_max,
-          rainfall_7d, max_temp_avg, min_temp_avg,
-          summary, recommended_crops, irrigation, risks, input_payload,
-          created_at, ledger_block_index, ledger_block_hash
-        )
-        VALUES (
-          $1, $2, $3, $4, $5, $6, $7,
-          $8, $9, $10,
-          $11, $12::jsonb, $13, $14::jsonb, $15::jsonb,
-          $16, $17, $18
-        )
-      `,
-      [
-        insightId,
-        userId,
-        lat,
-        lng,
-        ndviMean,
-        Number.isFinite(ndviMin) ? ndviMin : null,
-        Number.isFinite(ndviMax) ? ndviMax : null,
-        rainfall7d,
-        maxTempAvg,
-        minTempAvg,
-        insight.summary,
-        JSON.stringify(insight.recommendedCrops),
-        insight.irrigation,
+  const normalizedStatuses = Array.isArray(statuses)
+    ? statuses.map((status) => normalizeToken(status)).filter((status) => CLAIM_STATUSES.has(status))
+    : [];
+
+  if (normalizedStatuses.length) {
+    params.push(normalizedStatuses);
+    where.push(`lc.status = ANY($${params.length}::text[])`);
+  }
+
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const result = await query(
+    `
+      SELECT
+        lc.*,
+        claimant.name AS user_name,
+        claimant.email AS user_email,
+        reviewer.name AS reviewer_name,
+        reviewer.email AS reviewer_email,
+        approval.approver_user_id AS first_approver_id,
+        approval.created_at AS first_approved_at,
+        approver.name AS first_approver_name,
+        assignment.id AS assignment_id,
+        assignment.method AS assignment_method,
+        assignment.created_at AS assigned_at,
+        assignment.assignee_user_id,
+        assignment.escalated_at,
+        assignment.escalated_to,
+        assignee.name AS assignee_name,
+        supervisor.name AS escalated_to_name
+      FROM land_claims lc
+      LEFT JOIN users claimant ON claimant.id = lc.user_id
+      LEFT JOIN users reviewer ON reviewer.id = lc.reviewed_by
+      LEFT JOIN claim_approvals approval
+        ON approval.claim_id = lc.id
+        AND approval.level = 1
+        AND approval.voided_at IS NULL
+        AND lc.status = 'AWAITING_SECOND_APPROVAL'
+      LEFT JOIN users approver ON approver.id = approval.approver_user_id
+      LEFT JOIN claim_assignments assignment ON assignment.claim_id = lc.id AND assignment.released_at IS NULL
+      LEFT JOIN users assignee ON assignee.id = assignment.assignee_user_id
+      LEFT JOIN users supervisor ON supervisor.id = assignment.escalated_to
+      ${whereSql}
+      ORDER BY lc.updated_at DESC
+      LIMIT 500
+    `,
+    params
+  );
+  return result.rows.map(toLandClaimRecord);
+};
+
+// Employees ordered by open workload, then by who was assigned least recently, so automatic
+// assignment spreads claims round-robin across reviewers with equal queues.
+const loadReviewerWorkloads = async (executor) => {
+  const [employeesResult, workloadResult, lastAssignedResult] = await Promise.all([
+    executor.query("SELECT id, name, employee_id FROM users WHERE role = 'EMPLOYEE'"),
+    executor.query(
+      `
+        SELECT ca.assignee_user_id, COUNT(*)::int AS open_claims
+        FROM claim_assignments ca
+        JOIN land_claims lc ON lc.id = ca.claim_id
+        WHERE ca.released_at IS NULL
+          AND lc.status IN (${CLAIM_QUEUE_STATUS_SQL})
+        GROUP BY ca.assignee_user_id
+      `
+    ),
+    executor.query(
+      `
+        SELECT assignee_user_id, MAX(created_at) AS last_assigned_at
+        FROM claim_assignments
+        GROUP BY assignee_user_id
+      `
+    ),
+  ]);
+  const openClaims = new Map(workloadResult.rows.map((row) => [row.assignee_user_id, Number(row.open_claims || 0)]));
+  const lastAssigned = new Map(
+    lastAssignedResult.rows.map((row) => [row.assignee_user_id, new Date(row.last_assigned_at).getTime() || 0])
+  );
+
+  return employeesResult.rows
+    .map((row) => ({
+      id: row.id,
+      name: row.name,
+      supervisor: isClaimSupervisor(row.employee_id),
+      openClaims: openClaims.get(row.id) || 0,
+      lastAssignedAt: lastAssigned.get(row.id) || 0,
+    }))
+    .sort(
+      (a, b) =>
+        a.openClaims - b.openClaims || a.lastAssignedAt - b.lastAssignedAt || String(a.id).localeCompare(String(b.id))
+    );
+};
+
+const assignClaimReviewer = async (client, { claim, assigneeUserId, assignedBy = null, method, now }) => {
+  const currentResult = await client.query(
+    'SELECT * FROM claim_assignments WHERE claim_id = $1 AND released_at IS NULL LIMIT 1 FOR UPDATE',
+    [claim.id]
+  );
+  const current = currentResult.rows[0];
+  if (current?.assignee_user_id === assigneeUserId) {
+    return current;
+  }
+
+  if (current) {
+    const releaseBlock = await insertChainBlock(client, 'CLAIM_ASSIGNMENT_RELEASED', {
+      assignmentId: current.id,
+      claimId: claim.id,
+      assigneeUserId: current.assignee_user_id,
+      snapshotHash: sha256Hex(claimAssignmentRowToSnapshot({ ...current, released_at: now })),
+    });
+    await client.query(
+      `
+        UPDATE claim_assignments
+        SET released_at = $1, updated_at = $1, ledger_block_index = $2, ledger_block_hash = $3
+        WHERE id = $4
+      `,
+      [now, releaseBlock.index, releaseBlock.hash, current.id]
+    );
+  }
+
+  const assignmentId = crypto.randomUUID();
+  const block = await insertChainBlock(client, 'CLAIM_ASSIGNMENT_CREATED', {
+    assignmentId,
+    claimId: claim.id,
+    assigneeUserId,
+    assignedByUserId: assignedBy,
+    method,
+    claimStatus: claim.status,
+    previousAssignmentId: current?.id || null,
+    snapshotHash: sha256Hex(
+      buildClaimAssignmentSnapshot({ claimId: claim.id, assigneeUserId, assignedBy, method })
+    ),
+  });
+  const insertResult = await client.query(
+    `
+      INSERT INTO claim_assignments (
+        id, claim_id, assignee_user_id, assigned_by, method,
+        created_at, updated_at, ledger_block_index, ledger_block_hash
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $6, $7, $8)
+      RETURNING *
+    `,
+    [assignmentId, claim.id, assigneeUserId, assignedBy, method, now, block.index, block.hash]
+  );
+  return insertResult.rows[0];
+};
+
+const autoAssignClaimReviewer = async (client, { claim, excludeUserIds = [], now }) => {
+  const reviewers = (await loadReviewerWorkloads(client)).filter((reviewer) => !excludeUserIds.includes(reviewer.id));
+  if (!reviewers.length) return null;
+  return assignClaimReviewer(client, { claim, assigneeUserId: reviewers[0].id, method: 'AUTO', now });
+};
+
+// Runs on a timer so reads stay read-only: assignments whose claim has passed its due date are
+// escalated once, to the supervisor with the lightest queue. With no supervisor other than the
+// assignee, the assignment is left alone and picked up again once one is configured.
+const escalateOverdueClaimAssignments = async () => {
+  const result = await query(
+    `
+      SELECT ca.id, ca.assignee_user_id, lc.status, lc.updated_at
+      FROM claim_assignments ca
+      JOIN land_claims lc ON lc.id = ca.claim_id
+      WHERE ca.released_at IS NULL
+        AND ca.escalated_at IS NULL
+        AND lc.status IN (${CLAIM_QUEUE_STATUS_SQL})
+    `
+  );
+  const overdue = result.rows.filter(isClaimOverdue);
+  if (!overdue.length) return 0;
+
+  const supervisors = (await loadReviewerWorkloads({ query })).filter((reviewer) => reviewer.supervisor);
+  let escalated = 0;
+  let unassignable = 0;
+  for (const [position, row] of overdue.entries()) {
+    const candidates = supervisors.filter((supervisor) => supervisor.id !== row.assignee_user_id);
+    if (!candidates.length) {
+      unassignable += 1;
+      continue;
+    }
+    const supervisor = candidates[position % candidates.length];
+    const didEscalate = await withTransaction(async (client) => {
+      const currentResult = await client.query(
+        `
+          SELECT ca.*, lc.status AS claim_status, lc.updated_at AS claim_updated_at
+          FROM claim_assignments ca
+          JOIN land_claims lc ON lc.id = ca.claim_id
+          WHERE ca.id = $1 AND ca.released_at IS NULL AND ca.escalated_at IS NULL
+          LIMIT 1
+          FOR UPDATE
+        `,
+        [row.id]
+      );
+      const current = currentResult.rows[0];
+      if (!current) return false;
+      const dueAt = claimDueAt({ status: current.claim_status, updated_at: current.claim_updated_at });
+      if (!dueAt || dueAt.getTime() >= Date.now()) return false;
+
+      const now = new Date().toISOString();
+      const { claim_status: _claimStatus, claim_updated_at: _claimUpdatedAt, ...assignment } = current;
+      const block = await insertChainBlock(client, 'CLAIM_ASSIGNMENT_ESCALATED', {
+        assignmentId: current.id,
+        claimId: current.claim_id,
+        assigneeUserId: current.assignee_user_id,
+        supervisorUserId: supervisor.id,
+        claimStatus: current.claim_status,
+        dueAt: dueAt.toISOString(),
+        snapshotHash: sha256Hex(
+          claimAssignmentRowToSnapshot({ ...assignment, escalated_at: now, escalated_to: supervisor.id })
+        ),
+      });
+      await client.query(
+        `
+          UPDATE claim_assignments
+          SET escalated_at = $1, escalated_to = $2, updated_at = $1, ledger_block_index = $3, ledger_block_hash = $4
+          WHERE id = $5
+        `,
+        [now, supervisor.id, block.index, block.hash, current.id]
+      );
+      return true;
+    });
+    if (didEscalate) escalated += 1;
+  }
+  if (unassignable) {
+    console.warn(
+      `${unassignable} overdue claim assignment(s) not escalated: set CLAIM_SUPERVISOR_EMPLOYEE_IDS to a supervisor other than the assignee.`
+    );
+  }
+  return escalated;
+};
+
+let claimEscalationRunning = false;
+
+const runClaimEscalation = async () => {
+  if (claimEscalationRunning) return;
+  claimEscalationRunning = true;
+  try {
+    await escalateOverdueClaimAssignments();
+  } catch (error) {
+    console.warn(`Claim escalation failed: ${error.message}`);
+  } finally {
+    claimEscalationRunning = false;
+  }
+};
+
+const startClaimEscalationTimer = () => {
+  void runClaimEscalation();
+  setInterval(() => void runClaimEscalation(), CLAIM_ESCALATION_INTERVAL_MS).unref();
+};
+
+let claimDocumentCleanupRunning = false;
+
+const runClaimDocumentCleanup = async () => {
+  if (claimDocumentCleanupRunning) return;
+  claimDocumentCleanupRunning = true;
+  try {
+    const removed = await removeExpiredClaimDocuments();
+    if (removed) console.log(`Removed ${removed} expired unattached claim document(s).`);
+  } catch (error) {
+    console.warn(`Claim document cleanup failed: ${error.message}`);
+  } finally {
+    claimDocumentCleanupRunning = false;
+  }
+};
+
+const startClaimDocumentCleanupTimer = () => {
+  void runClaimDocumentCleanup();
+  setInterval(() => void runClaimDocumentCleanup(), CLAIM_DOCUMENT_CLEANUP_INTERVAL_MS).unref();
+};
+
+const LEDGER_ENTITY_KEYS = [
+  'claimId',
+  'parcelId',
+  'disputeId',
+  'boundaryId',
+  'userId',
+  'ownerUserId',
+  'claimantUserId',
+  'reviewerUserId',
+  'disputeOwnerId',
+  'pid',
+  'parcelRef',
+];
+
+// The explorer is employee-only, so committed entity refs are shown with their salted values.
+const toLedgerBlockRecord = (row, commitmentSalts = new Map()) => {
+  const block = toChainBlock(row);
+  const payload = block.payload && typeof block.payload === 'object' ? block.payload : {};
+  const entityRefs = [];
+  for (const key of LEDGER_ENTITY_KEYS) {
+    const value = payload[key];
+    if (value === undefined || value === null || value === '') continue;
+    if (!isLedgerCommitment(value)) {
+      entityRefs.push({ key, value: String(value) });
+      continue;
+    }
+    const saltRow = commitmentSalts.get(value.commitment);
+    if (saltRow) entityRefs.push({ key, value: String(JSON.parse(saltRow.value)), committed: true });
+  }
+  return { ...block, entityRefs };
+};
+
+const loadLedgerBlocks = async ({
+  eventTypes = [],
+  fromIndex = null,
+  toIndex = null,
+  fromTime = null,
+  toTime = null,
+  entityId = '',
+  cursor = null,
+  limit = 50,
+  order = 'desc',
+}) => {
+  const params = [];
+  const where = [];
+  const ascending = order === 'asc';
+
+  if (eventTypes.length) {
+    params.push(eventTypes);
+    where.push(`cb.event_type = ANY($${params.length}::text[])`);
+  }
+  if (fromIndex !== null) {
+    params.push(fromIndex);
+    where.push(`cb.block_index >= $${params.length}`);
+  }
+  if (toIndex !== null) {
+    params.push(toIndex);
+    where.push(`cb.block_index <= $${params.length}`);
+  }
+  if (fromTime) {
+    params.push(fromTime);
+    where.push(`cb.block_timestamp >= $${params.length}`);
+  }
+  if (toTime) {
+    params.push(toTime);
+    where.push(`cb.block_timestamp <= $${params.length}`);
+  }
+  if (entityId) {
+    params.push(entityId);
+    const placeholder = `$${params.length}`;
+    params.push(stableStringify(entityId));
+    const committedPlaceholder = `$${params.length}`;
+    where.push(`(${[
+      ...LEDGER_ENTITY_KEYS.map((key) => `cb.payload->>'${key}' = ${placeholder}`),
+      `cb.block_index IN (
+        SELECT block_index FROM ledger_commitment_salts
+        WHERE value = ${committedPlaceholder} AND field IN (${LEDGER_ENTITY_KEYS.map((key) => `'${key}'`).join(', ')})
+      )`,
+    ].join(' OR ')})`);
+  }
+  if (cursor !== null) {
+    params.push(cursor);
+    where.push(`cb.block_index ${ascending ? '>' : '<'} $${params.length}`);
+  }
+
+  params.push(limit + 1);
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const result = await query(
+    `
+      SELECT cb.*
+      FROM chain_blocks cb
+      ${whereSql}
+      ORDER BY cb.block_index ${ascending ? 'ASC' : 'DESC'}
+      LIMIT $${params.length}
+    `,
+    params
+  );
+
+  const rows = result.rows.slice(0, limit);
+  const hasMore = result.rows.length > limit;
+  const commitmentSalts = await loadCommitmentSalts(
+    rows.flatMap((row) => listPayloadCommitments(row.payload).map((entry) => entry.commitment))
+  );
+  return {
+    items: rows.map((row) => toLedgerBlockRecord(row, commitmentSalts)),
+    nextCursor: hasMore ? rows[rows.length - 1].block_index : null,
+  };
+};
+
+const loadCommitmentSalts = async (commitments) => {
+  const unique = Array.from(new Set(commitments));
+  if (!unique.length) return new Map();
+  const placeholders = unique.map((_, position) => `$${position + 1}`).join(', ');
+  const result = await query(`SELECT * FROM ledger_commitment_salts WHERE commitment IN (${placeholders})`, unique);
+  return new Map(result.rows.map((row) => [row.commitment, row]));
+};
+
+const listPayloadCommitments = (payload) =>
+  Object.entries(payload && typeof payload === 'object' ? payload : {})
+    .filter(([, value]) => isLedgerCommitment(value))
+    .map(([field, value]) => ({ field, commitment: value.commitment }));
+
+const canRevealLedgerCommitments = (auth, ownerUserId) => isEmployeeAuth(auth) || auth?.sub === ownerUserId;
+
+// Opens the commitments of each block with its stored salt and re-derives them, so a swapped
+// salt or value shows up as `matches: false`. Only call this for viewers allowed to see the values.
+const revealBlockCommitments = async (blocks) => {
+  const salts = await loadCommitmentSalts(
+    blocks.flatMap((block) => listPayloadCommitments(block.payload).map((entry) => entry.commitment))
+  );
+  return new Map(
+    blocks.map((block) => [
+      block.index,
+      listPayloadCommitments(block.payload).map((entry) => {
+        const saltRow = salts.get(entry.commitment);
+        if (!saltRow) return { ...entry, revealed: false, value: null, matches: null };
+        const value = JSON.parse(saltRow.value);
+        return {
+          ...entry,
+          revealed: true,
+          value,
+          matches: saltRow.field === entry.field && commitLedgerValue(entry.field, value, saltRow.salt) === entry.commitment,
+        };
+      }),
+    ])
+  );
+};
+
+const summarizeCommitments = (commitmentsByBlock) => {
+  const entries = Array.from(commitmentsByBlock.values()).flat();
+  return {
+    commitmentsValid: entries.every((entry) => entry.matches !== false),
+    unrevealedCommitments: entries.filter((entry) => !entry.revealed).length,
+  };
+};
+
+// Shared by the claim, parcel and boundary verify endpoints: the row must reference the
+// latest snapshot-bearing block for the entity, and that block's snapshotHash must match the row.
+// Rows whose blocks predate snapshot hashing are reported as `unsnapshotted` rather than as mismatches.
+const verifyEntityLedger = async ({ entityKey, entityId, eventPrefix, row, toSnapshot, revealCommitments = false }) => {
+  const blockResult = await query(
+    `
+      SELECT *
+      FROM chain_blocks
+      WHERE (payload->>'${entityKey}' = $1 AND event_type LIKE $4)
+         OR (block_index = $2 AND hash = $3)
+      ORDER BY block_index ASC
+    `,
+    [entityId, row.ledger_block_index, row.ledger_block_hash, `${eventPrefix}%`]
+  );
+  const blocks = blockResult.rows.map(toChainBlock);
+
+  const blockIssues = blocks
+    .map((block) => {
+      const issue = isBlockHashValid(block, ledgerHashPolicy()) ? verifyBlockSignature(block, ledgerVerificationKeys) : 'Hash mismatch';
+      return issue ? { blockIndex: block.index, reason: issue } : null;
+    })
+    .filter(Boolean);
+  const blockIntegrityValid = blockIssues.length === 0;
+
+  const snapshotBlocks = blocks.filter((block) => block.payload?.snapshotHash);
+  const latestSnapshotBlock = snapshotBlocks[snapshotBlocks.length - 1] || null;
+  const referencedBlock =
+    blocks.find((block) => block.index === row.ledger_block_index && block.hash === row.ledger_block_hash) || null;
+  const unsnapshotted = !latestSnapshotBlock;
+  const ledgerPointerValid = Boolean(referencedBlock) && (unsnapshotted || referencedBlock === latestSnapshotBlock);
+
+  const currentSnapshotHash = sha256Hex(
+    toSnapshot(row, unsnapshotted ? LEDGER_SNAPSHOT_VERSION : latestSnapshotBlock.payload.snapshotVersion || 1)
+  );
+  const latestSnapshotHash = latestSnapshotBlock?.payload?.snapshotHash || null;
+  const snapshotMatch = unsnapshotted ? null : latestSnapshotHash === currentSnapshotHash;
+  const commitmentsByBlock = revealCommitments ? await revealBlockCommitments(blocks) : null;
+  const commitmentSummary = commitmentsByBlock
+    ? summarizeCommitments(commitmentsByBlock)
+    : { commitmentsValid: null, unrevealedCommitments: null };
+
+  return {
+    valid: blockIntegrityValid && ledgerPointerValid && snapshotMatch !== false && commitmentSummary.commitmentsValid !== false,
+    blockIntegrityValid,
+    ledgerPointerValid,
+    snapshotMatch,
+    unsnapshotted,
+    ...commitmentSummary,
+    currentSnapshotHash,
+    latestSnapshotHash,
+    eventCount: blocks.length,
+    missingSnapshotHashEvents: blocks.length - snapshotBlocks.length,
+    blockIssues,
+    events: blocks.map((block) => ({
+      blockIndex: block.index,
+      blockHash: block.hash,
+      chainEventType: block.eventType,
+      snapshotHash: block.payload?.snapshotHash || null,
+      commitments: commitmentsByBlock ? commitmentsByBlock.get(block.index) : listPayloadCommitments(block.payload),
+      createdAt: toIso(block.timestamp),
+    })),
+  };
+};
+
+const FORENSIC_ISSUE_KINDS = [
+  'MISSING_BLOCK',
+  'BLOCK_HASH_MISMATCH',
+  'BLOCK_TAMPERED',
+  'BLOCK_SIGNATURE_INVALID',
+  'ENTITY_MISMATCH',
+  'STALE_LEDGER_POINTER',
+  'SNAPSHOT_MISMATCH',
+  'PAYLOAD_CONTRADICTION',
+];
+
+const roundOrNull = (value, digits) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? Number(parsed.toFixed(digits)) : null;
+};
+
+// One entry per ledger-referencing table. `fields` lists row values that the referenced
+// block's payload records directly; a payload key that is absent is not compared.
+const FORENSIC_TABLES = [
+  {
+    table: 'land_claims',
+    idKey: 'claimId',
+    eventPrefix: 'LAND_CLAIM_',
+    toSnapshot: claimRowToSnapshot,
+    fields: (row) => ({
+      pid: row.pid,
+      userId: row.user_id,
+      claimantUserId: row.user_id,
+      documents: toLedgerClaimDocuments(row.documents),
+      ownerShares: toLedgerOwnerShares(row.owner_shares),
+    }),
+  },
+  {
+    table: 'owned_parcels',
+    idKey: 'parcelId',
+    eventPrefix: 'LAND_PARCEL_',
+    toSnapshot: parcelRowToSnapshot,
+    fields: (row) => ({
+      pid: row.pid,
+      ownerUserId: row.owner_user_id,
+      ownerShares: toLedgerOwnerShares(row.owner_shares),
+      claimId: row.assigned_claim_id,
+    }),
+  },
+  {
+    table: 'parcel_transfers',
+    idKey: 'transferId',
+    eventPrefix: 'PARCEL_TRANSFER_',
+    toSnapshot: parcelTransferRowToSnapshot,
+    fields: (row) => ({
+      parcelId: row.parcel_id,
+      sellerUserId: row.seller_user_id,
+      buyerUserId: row.buyer_user_id,
+      transferType: row.transfer_type,
+      share: row.share,
+    }),
+  },
+  {
+    table: 'parcel_lineage',
+    idKey: 'operationId',
+    rowEntityId: (row) => row.operation_id,
+    fields: (row) => ({
+      operation: row.operation,
+    }),
+  },
+  {
+    table: 'parcel_owners',
+    idKey: 'parcelId',
+    rowEntityId: (row) => row.parcel_id,
+    // Co-owners start on the same parcel block, whose ownerUserId names the primary holder. Their
+    // shares are checked through owned_parcels.ownerShares instead.
+    fields: (row) => (row.share && row.share !== '1/1' ? {} : { ownerUserId: row.owner_user_id }),
+  },
+  {
+    table: 'parcel_encumbrances',
+    idKey: 'encumbranceId',
+    eventPrefix: 'ENCUMBRANCE_',
+    toSnapshot: parcelEncumbranceRowToSnapshot,
+    fields: (row) => ({
+      parcelId: row.parcel_id,
+      encumbranceType: row.encumbrance_type,
+      holderName: row.holder_name,
+      toStatus: row.status,
+    }),
+  },
+  {
+    table: 'gov_boundaries',
+    idKey: 'boundaryId',
+    eventPrefix: 'GOV_BOUNDARY_',
+    toSnapshot: boundaryRowToSnapshot,
+    fields: (row) => ({
+      code: row.code,
+      name: row.name,
+      location: row.location,
+    }),
+  },
+  {
+    table: 'land_disputes',
+    idKey: 'disputeId',
+    eventPrefix: 'LAND_DISPUTE_',
+    toSnapshot: disputeRowToSnapshot,
+    fields: (row) => ({
+      parcelRef: row.parcel_ref,
+      disputeType: row.dispute_type,
+      priority: row.priority,
+      status: row.status,
+      toStatus: row.status,
+    }),
+  },
+  {
+    table: 'land_claim_versions',
+    idKey: 'claimId',
+    rowId: (row) => `${row.claim_id}:${row.version}`,
+    rowEntityId: (row) => row.claim_id,
+    fields: (row) => ({
+      version: Number(row.version),
+      versionHash: sha256Hex(claimVersionRowToSnapshot(row)),
+    }),
+  },
+  {
+    table: 'claim_events',
+    idKey: 'claimId',
+    rowEntityId: (row) => row.claim_id,
+    fields: (row) => ({
+      toStatus: row.to_status,
+      fromStatus: row.from_status,
+      note: row.note,
+      evidenceHash: Array.isArray(row.evidence_urls) && row.evidence_urls.length ? sha256Hex(row.evidence_urls) : null,
+    }),
+  },
+  {
+    table: 'claim_approvals',
+    idKey: 'claimId',
+    rowEntityId: (row) => row.claim_id,
+    fields: (row) => ({
+      reviewerUserId: row.approver_user_id,
+      approvalLevel: Number(row.level),
+      requiredApprovals: Number(row.required_approvals),
+    }),
+  },
+  {
+    table: 'claim_assignments',
+    idKey: 'assignmentId',
+    eventPrefix: 'CLAIM_ASSIGNMENT_',
+    toSnapshot: claimAssignmentRowToSnapshot,
+    fields: (row) => ({
+      claimId: row.claim_id,
+      assigneeUserId: row.assignee_user_id,
+      supervisorUserId: row.escalated_to,
+    }),
+  },
+  {
+    table: 'claim_appeals',
+    idKey: 'appealId',
+    eventPrefix: 'CLAIM_APPEAL_',
+    toSnapshot: claimAppealRowToSnapshot,
+    fields: (row) => ({
+      claimId: row.claim_id,
+      userId: row.appellant_user_id,
+      rejectionBlockIndex: Number(row.rejection_block_index),
+    }),
+  },
+  {
+    table: 'dispute_events',
+    idKey: 'disputeId',
+    rowEntityId: (row) => row.dispute_id,
+    fields: (row) => ({
+      toStatus: row.to_status,
+      fromStatus: row.from_status,
+    }),
+  },
+  {
+    table: 'agri_insights',
+    fields: (row) => ({
+      userId: row.user_id,
+      lat: roundOrNull(row.latitude, 5),
+      lng: roundOrNull(row.longitude, 5),
+      ndviMean: roundOrNull(row.ndvi_mean, 4),
+      topCrop: Array.isArray(row.recommended_crops) ? row.recommended_crops[0]?.name || null : null,
+    }),
+  },
+];
+
+const inspectLedgerRow = ({ config, row, blocksByIndex, blockIssuesByIndex, latestEntityBlocks, commitmentSalts }) => {
+  const issues = [];
+  const addIssue = (kind, detail, extra = {}) =>
+    issues.push({
+      table: config.table,
+      rowId: config.rowId ? config.rowId(row) : row.id,
+      kind,
+      blockIndex: row.ledger_block_index,
+      blockHash: row.ledger_block_hash,
+      detail,
+      ...extra,
+    });
+
+  const block = blocksByIndex.get(Number(row.ledger_block_index));
+  if (!block) {
+    addIssue('MISSING_BLOCK', `Block ${row.ledger_block_index} does not exist.`);
+    return issues;
+  }
+  if (block.hash !== row.ledger_block_hash) {
+    addIssue('BLOCK_HASH_MISMATCH', `Row stores hash ${row.ledger_block_hash} but block has ${block.hash}.`);
+  }
+  for (const reason of blockIssuesByIndex.get(block.index) || []) {
+    addIssue(reason === 'Hash mismatch' ? 'BLOCK_TAMPERED' : 'BLOCK_SIGNATURE_INVALID', `${reason} at block ${block.index}.`);
+  }
+
+  const payload = block.payload && typeof block.payload === 'object' ? block.payload : {};
+  const entityId = config.rowEntityId ? config.rowEntityId(row) : row.id;
+  if (config.idKey && payload[config.idKey] !== undefined && String(payload[config.idKey]) !== String(entityId)) {
+    addIssue('ENTITY_MISMATCH', `Block records ${config.idKey}=${payload[config.idKey]} but row is ${entityId}.`);
+  }
+
+  if (config.eventPrefix) {
+    const latest = latestEntityBlocks.get(`${config.eventPrefix}|${entityId}`);
+    if (latest && latest.index > block.index) {
+      addIssue('STALE_LEDGER_POINTER', `Entity has a newer ${latest.eventType} event at block ${latest.index}.`, {
+        latestBlockIndex: latest.index,
+      });
+    }
+  }
+
+  if (config.toSnapshot && payload.snapshotHash) {
+    const currentSnapshotHash = sha256Hex(config.toSnapshot(row, payload.snapshotVersion || 1));
+    if (currentSnapshotHash !== payload.snapshotHash) {
+      addIssue('SNAPSHOT_MISMATCH', 'Current row snapshot differs from the snapshot recorded in the ledger.', {
+        recorded: payload.snapshotHash,
+        current: currentSnapshotHash,
+      });
+    }
+  }
+
+  for (const [field, current] of Object.entries(config.fields(row))) {
+    if (payload[field] === undefined) continue;
+    const recorded = payload[field];
+    if (isLedgerCommitment(recorded)) {
+      const saltRow = commitmentSalts.get(recorded.commitment);
+      if (!saltRow || commitLedgerValue(field, current ?? null, saltRow.salt) !== recorded.commitment) {
+        addIssue('PAYLOAD_CONTRADICTION', `${field} does not open the ledger commitment.`, {
+          field,
+          recorded: recorded.commitment,
+          current,
+        });
+      }
+      continue;
+    }
+    if (stableStringify(recorded ?? null) !== stableStringify(current ?? null)) {
+      addIssue('PAYLOAD_CONTRADICTION', `${field} differs from the ledger payload.`, { field, recorded, current });
+    }
+  }
+  return issues;
+};
+
+const buildLedgerForensicsReport = async () => {
+  const chain = await getChainBlocks();
+  const blocksByIndex = new Map(chain.map((block) => [block.index, block]));
+  const chainIssues = collectChainIssues(chain, ledgerVerificationKeys, ledgerHashPolicy());
+  const blockIssuesByIndex = new Map();
+  for (const issue of chainIssues) {
+    if (issue.reason.startsWith('Broken previousHash link')) continue;
+    blockIssuesByIndex.set(issue.blockIndex, [...(blockIssuesByIndex.get(issue.blockIndex) || []), issue.reason]);
+  }
+
+  const latestEntityBlocks = new Map();
+  for (const config of FORENSIC_TABLES.filter((item) => item.eventPrefix)) {
+    for (const block of chain) {
+      const entityId = block.payload?.[config.idKey];
+      if (!entityId || !block.eventType.startsWith(config.eventPrefix)) continue;
+      latestEntityBlocks.set(`${config.eventPrefix}|${entityId}`, block);
+    }
+  }
+
+  const saltResult = await query('SELECT * FROM ledger_commitment_salts');
+  const commitmentSalts = new Map(saltResult.rows.map((row) => [row.commitment, row]));
+
+  const tables = [];
+  const issues = [];
+  for (const config of FORENSIC_TABLES) {
+    const result = await query(`SELECT * FROM ${config.table}`);
+    const tableIssues = result.rows.flatMap((row) =>
+      inspectLedgerRow({ config, row, blocksByIndex, blockIssuesByIndex, latestEntityBlocks, commitmentSalts })
+    );
+    tables.push({
+      table: config.table,
+      rowCount: result.rows.length,
+      issueCount: tableIssues.length,
+      affectedRows: new Set(tableIssues.map((issue) => issue.rowId)).size,
+      unsnapshottedRows: config.toSnapshot
+        ? result.rows.filter((row) => {
+            const block = blocksByIndex.get(Number(row.ledger_block_index));
+            return block && !block.payload?.snapshotHash;
+          }).length
+        : null,
+    });
+    issues.push(...tableIssues);
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    chain: {
+      ...verifyChainIntegrity(chain, ledgerVerificationKeys, ledgerHashPolicy()),
+      totalBlocks: chain.length,
+      lastHash: chain[chain.length - 1]?.hash || null,
+      issues: chainIssues,
+    },
+    clean: chainIssues.length === 0 && issues.length === 0,
+    tables,
+    issueCounts: Object.fromEntries(
+      FORENSIC_ISSUE_KINDS.map((kind) => [kind, issues.filter((issue) => issue.kind === kind).length])
+    ),
+    issues,
+  };
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return /[",\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+};
+
+const forensicsReportToCsv = (report) => {
+  const header = ['table', 'rowId', 'kind', 'blockIndex', 'blockHash', 'field', 'recorded', 'current', 'detail'];
+  const rows = [
+    ...report.chain.issues.map((issue) => ({
+      table: 'chain_blocks',
+      rowId: issue.blockIndex,
+      kind: 'CHAIN_INTEGRITY',
+      blockIndex: issue.blockIndex,
+      detail: issue.reason,
+    })),
+    ...report.issues,
+  ];
+  return [header.join(','), ...rows.map((row) => header.map((key) => csvCell(row[key])).join(','))].join('\n');
+};
+
+const authMiddleware = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    res.status(401).json({ message: 'Missing bearer token' });
+    return;
+  }
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    req.auth = {
+      ...payload,
+      role: normalizeRole(payload?.role),
+      employeeId: payload?.employeeId || null,
+    };
+    next();
+  } catch (_error) {
+    res.status(401).json({ message: 'Invalid or expired token' });
+  }
+};
+
+const requireEmployee = (req, res, next) => {
+  if (!isEmployeeAuth(req.auth)) {
+    res.status(403).json({ message: 'Government employee access required.' });
+    return;
+  }
+  next();
+};
+
+// Supervisors are the employees listed in CLAIM_SUPERVISOR_EMPLOYEE_IDS.
+const requireSupervisor = (req, res, next) => {
+  if (!isEmployeeAuth(req.auth) || !isClaimSupervisor(req.auth.employeeId)) {
+    res.status(403).json({ message: 'Supervisor access required.' });
+    return;
+  }
+  next();
+};
+
+const readOptionalUserId = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload?.sub || null;
+  } catch (_error) {
+    return null;
+  }
+};
+
+const SETTINGS_MAP_LAYERS = new Set(['OSM', 'SAT']);
+
+const toUserSettings = (row) => ({
+  organization: row.organization || '',
+  roleTitle: row.role_title || '',
+  phone: row.phone || '',
+  preferredLanguage: row.preferred_language || 'en',
+  defaultMapLayer: row.default_map_layer || 'SAT',
+  mapDefaultCenter: [Number(row.map_default_lat), Number(row.map_default_lng)],
+  mapDefaultZoom: Number(row.map_default_zoom || 12),
+  notifications: {
+    disputeUpdates: Boolean(row.notify_dispute_updates),
+    ndviReady: Boolean(row.notify_ndvi_ready),
+    weeklyDigest: Boolean(row.notify_weekly_digest),
+  },
+  createdAt: toIso(row.created_at),
+  updatedAt: toIso(row.updated_at),
+});
+
+const ensureUserSettings = async (executor, userId) => {
+  const runQuery = typeof executor === 'function'
+    ? (text, params) => executor(text, params)
+    : (text, params) => executor.query(text, params);
+
+  const existing = await runQuery(
+    'SELECT * FROM user_settings WHERE user_id = $1 LIMIT 1',
+    [userId]
+  );
+  if (existing.rows[0]) return existing.rows[0];
+
+  const now = new Date().toISOString();
+  const inserted = await runQuery(
+    `
+      INSERT INTO user_settings (
+        user_id, organization, role_title, phone, preferred_language, default_map_layer,
+        map_default_lat, map_default_lng, map_default_zoom,
+        notify_dispute_updates, notify_ndvi_ready, notify_weekly_digest,
+        created_at, updated_at
+      )
+      VALUES (
+        $1, '', '', '', 'en', 'SAT',
+        28.6139, 77.2090, 12,
+        true, true, false,
+        $2, $2
+      )
+      RETURNING *
+    `,
+    [userId, now]
+  );
+  return inserted.rows[0];
+};
+
+const normalizeText = (value, maxLength = 140) =>
+  String(value || '')
+    .trim()
+    .slice(0, maxLength);
+
+const sanitizePreferredLanguage = (value) => {
+  const normalized = normalizeText(value, 12).toLowerCase();
+  return normalized || 'en';
+};
+
+const sanitizeMapCenter = (value) => {
+  if (!Array.isArray(value) || value.length < 2) return null;
+  const lat = Number(value[0]);
+  const lng = Number(value[1]);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+  return [Number(lat.toFixed(6)), Number(lng.toFixed(6))];
+};
+
+app.use((req, res, next) => {
+  if (databaseReady || req.path === '/api/health') {
+    next();
+    return;
+  }
+
+  res.status(503).json({
+    message: 'Database is initializing. Please retry in a few seconds.',
+    status: 'starting',
+  });
+});
+
+app.get('/api/health', async (_req, res) => {
+  const persistence = getPersistenceMode();
+  if (!databaseReady) {
+    res.json({
+      status: 'starting',
+      service: 'root-auth-api',
+      persistence,
+      blockchainIntegrity: false,
+      totalBlocks: 0,
+      totalDisputes: 0,
+      totalClaims: 0,
+      totalParcels: 0,
+      totalBoundaries: 0,
+    });
+    return;
+  }
+
+  const [integrity, totalBlocks, disputeCountResult, claimCountResult, parcelCountResult, boundaryCountResult] = await Promise.all([
+    verifyChainFromCheckpoint(),
+    countChainBlocks(),
+    query('SELECT COUNT(*)::int AS count FROM land_disputes'),
+    query('SELECT COUNT(*)::int AS count FROM land_claims'),
+    query('SELECT COUNT(*)::int AS count FROM owned_parcels'),
+    query("SELECT COUNT(*)::int AS count FROM gov_boundaries WHERE status = 'ACTIVE'"),
+  ]);
+  res.json({
+    status: 'ok',
+    service: 'root-auth-api',
+    persistence,
+    blockchainIntegrity: integrity.valid,
+    totalBlocks,
+    totalDisputes: disputeCountResult.rows[0]?.count || 0,
+    totalClaims: claimCountResult.rows[0]?.count || 0,
+    totalParcels: parcelCountResult.rows[0]?.count || 0,
+    totalBoundaries: boundaryCountResult.rows[0]?.count || 0,
+  });
+});
+
+app.get('/api/geo/search', authMiddleware, async (req, res) => {
+  try {
+    const q = String(req.query?.q || '').trim();
+    if (!q || q.length < 2) {
+      res.status(400).json({ message: 'q must be at least 2 characters.' });
+      return;
+    }
+
+    const url = new URL(NOMINATIM_SEARCH_URL);
+    url.searchParams.set('format', 'jsonv2');
+    url.searchParams.set('addressdetails', '1');
+    url.searchParams.set('limit', '5');
+    url.searchParams.set('q', q);
+
+    const response = await fetch(url, {
+      headers: {
+        'User-Agent': 'root-land-platform/1.0',
+      },
+    });
+    if (!response.ok) {
+      const detail = await extractApiErrorText(response);
+      throw new Error(`Location search failed: ${detail}`);
+    }
+
+    const payload = await response.json();
+    const items = Array.isArray(payload)
+      ? payload
+          .map((item) => {
+            const lat = Number(item.lat);
+            const lng = Number(item.lon);
+            if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+            return {
+              name: String(item.display_name || '').trim(),
+              coords: [Number(lat.toFixed(6)), Number(lng.toFixed(6))],
+              class: item.class || null,
+              type: item.type || null,
+            };
+          })
+          .filter(Boolean)
+      : [];
+
+    res.json({ items });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to search location.', error: error.message });
+  }
+});
+
+app.post('/api/ndvi/current', authMiddleware, async (req, res) => {
+  try {
+    const polygon = readPolygonFromPayload(req.body);
+    if (!polygon) {
+      res.status(400).json({ message: 'Valid polygon (or selectionBounds) is required.' });
+      return;
+    }
+    const daysBack = clampNumber(Number(req.body?.daysBack || 180), 30, 720);
+    const datetime = typeof req.body?.datetime === 'string' && req.body.datetime.includes('/')
+      ? req.body.datetime
+      : getRollingDateRange(daysBack);
+
+    const payload = await computeNdviForPolygon({ polygon, datetime });
+    res.json({
+      datetime,
+      polygon,
+      stats: payload.stats,
+      source: payload.source,
+    });
+  } catch (error) {
+    const detail = error instanceof Error ? error.message : 'Unknown NDVI error';
+    const status = detail.includes('No Sentinel-2 scene') ? 404 : detail.includes('required') ? 400 : 502;
+    res.status(status).json({ message: 'Failed to compute current NDVI.', error: detail });
+  }
+});
+
+app.post('/api/ndvi/timeline', authMiddleware, async (req, res) => {
+  try {
+    const polygon = readPolygonFromPayload(req.body);
+    if (!polygon) {
+      res.status(400).json({ message: 'Valid polygon (or selectionBounds) is required.' });
+      return;
+    }
+
+    const years = clampNumber(Number(req.body?.years || NDVI_TIMELINE_YEARS), 3, 10);
+    const timeline = await computeNdviTimeline(polygon, years);
+    const valid = timeline.filter((item) => item.status === 'OK');
+    res.json({
+      years,
+      timeline,
+      availableYears: valid.length,
+      averageNdvi: valid.length
+        ? Number((valid.reduce((sum, item) => sum + Number(item.mean || 0), 0) / valid.length).toFixed(4))
+        : null,
+    });
+  } catch (error) {
+    const detail = error instanceof Error ? error.message : 'Unknown NDVI timeline error';
+    const status = detail.includes('required') ? 400 : 502;
+    res.status(status).json({ message: 'Failed to compute NDVI timeline.', error: detail });
+  }
+});
+
+app.post('/api/agri/insights', async (req, res) => {
+  try {
+    const coords = Array.isArray(req.body?.coords) ? req.body.coords : [];
+    const ndviStats = req.body?.ndviStats || {};
+
+    const lat = Number(coords[0]);
+    const lng = Number(coords[1]);
+    const ndviMean = Number(ndviStats.mean);
+    const ndviMin = Number(ndviStats.min);
+    const ndviMax = Number(ndviStats.max);
+
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      res.status(400).json({ message: 'Valid coords [lat, lng] are required.' });
+      return;
+    }
+
+    if (!Number.isFinite(ndviMean)) {
+      res.status(400).json({ message: 'Valid ndviStats.mean is required.' });
+      return;
+    }
+
+    const weatherUrl = new URL('https://api.open-meteo.com/v1/forecast');
+    weatherUrl.searchParams.set('latitude', String(lat));
+    weatherUrl.searchParams.set('longitude', String(lng));
+    weatherUrl.searchParams.set('daily', 'temperature_2m_max,temperature_2m_min,precipitation_sum');
+    weatherUrl.searchParams.set('forecast_days', '7');
+    weatherUrl.searchParams.set('timezone', 'auto');
+
+    const weatherResponse = await fetch(weatherUrl);
+    if (!weatherResponse.ok) {
+      const message = await weatherResponse.text();
+      throw new Error(`Weather API failed: ${message || weatherResponse.status}`);
+    }
+
+    const weatherPayload = await weatherResponse.json();
+    const daily = weatherPayload?.daily || {};
+    const maxTemps = Array.isArray(daily.temperature_2m_max) ? daily.temperature_2m_max : [];
+    const minTemps = Array.isArray(daily.temperature_2m_min) ? daily.temperature_2m_min : [];
+    const precipitation = Array.isArray(daily.precipitation_sum) ? daily.precipitation_sum : [];
+
+    const maxTempAvg = average(maxTemps);
+    const minTempAvg = average(minTemps);
+    const rainfall7d = precipitation.reduce((sum, value) => sum + Number(value || 0), 0);
+
+    const insight = deriveAgricultureInsights({
+      ndviMean,
+      rainfall7d,
+      maxTempAvg,
+      minTempAvg,
+    });
+
+    const userId = readOptionalUserId(req);
+    const block = await appendChainBlock('AGRI_INSIGHT_GENERATED', {
+      userId,
+      lat: Number(lat.toFixed(5)),
+      lng: Number(lng.toFixed(5)),
+      ndviMean: Number(ndviMean.toFixed(4)),
+      topCrop: insight.recommendedCrops[0]?.name || null,
+    });
+
+    const insightId = crypto.randomUUID();
+    const createdAt = new Date().toISOString();
+
+    await query(
+      `
+        INSERT INTO agri_insights (
+          id, user_id, latitude, longitude, ndvi_mean, ndvi_min, ndvi_max,
+          rainfall_7d, max_temp_avg, min_temp_avg,
+          summary, recommended_crops, irrigation, risks, input_payload,
+          created_at, ledger_block_index, ledger_block_hash
+        )
+        VALUES (
+          $1, $2, $3, $4, $5, $6, $7,
+          $8, $9, $10,
+          $11, $12::jsonb, $13, $14::jsonb, $15::jsonb,
+          $16, $17, $18
+        )
+      `,
+      [
+        insightId,
+        userId,
+        lat,
+        lng,
+        ndviMean,
+        Number.isFinite(ndviMin) ? ndviMin : null,
+        Number.isFinite(ndviMax) ? ndviMax : null,
+        rainfall7d,
+        maxTempAvg,
+        minTempAvg,
+        insight.summary,
+        JSON.stringify(insight.recommendedCrops),
+        insight.irrigation,
         JSON.stringify(insight.risks),
         JSON.stringify(req.body || {}),
         createdAt,
@@ -1666,952 +5302,3545 @@ app.post('/api/agri/insights', async (req, res) => {
       ]
     );
 
-    res.json({
-      id: insightId,
-      generatedAt: createdAt,
-      weather: {
-        rainfall7d: Number(rainfall7d.toFixed(2)),
-        maxTempAvg: Number(maxTempAvg.toFixed(2)),
-        minTempAvg: Number(minTempAvg.toFixed(2)),
-      },
-      ndvi: {
-        mean: Number(ndviMean.toFixed(4)),
-        min: Number.isFinite(ndviMin) ? Number(ndviMin.toFixed(4)) : null,
-        max: Number.isFinite(ndviMax) ? Number(ndviMax.toFixed(4)) : null,
-      },
-      ...insight,
-      ledgerBlock: {
-        index: block.index,
-        hash: block.hash,
-        eventType: block.eventType,
-        timestamp: block.timestamp,
-      },
+    res.json({
+      id: insightId,
+      generatedAt: createdAt,
+      weather: {
+        rainfall7d: Number(rainfall7d.toFixed(2)),
+        maxTempAvg: Number(maxTempAvg.toFixed(2)),
+        minTempAvg: Number(minTempAvg.toFixed(2)),
+      },
+      ndvi: {
+        mean: Number(ndviMean.toFixed(4)),
+        min: Number.isFinite(ndviMin) ? Number(ndviMin.toFixed(4)) : null,
+        max: Number.isFinite(ndviMax) ? Number(ndviMax.toFixed(4)) : null,
+      },
+      ...insight,
+      ledgerBlock: {
+        index: block.index,
+        hash: block.hash,
+        eventType: block.eventType,
+        timestamp: block.timestamp,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to generate agricultural insights.', error: error.message });
+  }
+});
+
+app.get('/api/agri/insights/history', authMiddleware, async (req, res) => {
+  try {
+    const includeAll = isEmployeeAuth(req.auth);
+    const params = [];
+    const whereClause = includeAll ? '' : 'WHERE ai.user_id = $1';
+    if (!includeAll) params.push(req.auth.sub);
+
+    const result = await query(
+      `
+        SELECT
+          ai.id,
+          ai.latitude, ai.longitude, ai.ndvi_mean, ai.ndvi_min, ai.ndvi_max,
+          ai.rainfall_7d, ai.max_temp_avg, ai.min_temp_avg, ai.summary,
+          ai.recommended_crops, ai.irrigation, ai.risks, ai.created_at,
+          ai.ledger_block_index, ai.ledger_block_hash,
+          ai.user_id,
+          u.name AS user_name,
+          u.email AS user_email
+        FROM agri_insights ai
+        LEFT JOIN users u ON u.id = ai.user_id
+        ${whereClause}
+        ORDER BY ai.created_at DESC
+        LIMIT ${includeAll ? 200 : 50}
+      `,
+      params
+    );
+
+    const items = result.rows.map((row) => ({
+      id: row.id,
+      coords: [row.latitude, row.longitude],
+      ndvi: {
+        mean: row.ndvi_mean,
+        min: row.ndvi_min,
+        max: row.ndvi_max,
+      },
+      weather: {
+        rainfall7d: row.rainfall_7d,
+        maxTempAvg: row.max_temp_avg,
+        minTempAvg: row.min_temp_avg,
+      },
+      summary: row.summary,
+      recommendedCrops: row.recommended_crops,
+      irrigation: row.irrigation,
+      risks: row.risks,
+      createdAt: toIso(row.created_at),
+      ledgerBlock: {
+        index: row.ledger_block_index,
+        hash: row.ledger_block_hash,
+      },
+      user: row.user_id
+        ? {
+            id: row.user_id,
+            name: row.user_name || 'Unknown user',
+            email: row.user_email || null,
+          }
+        : null,
+    }));
+
+    res.json({
+      scope: includeAll ? 'GLOBAL' : 'USER',
+      items,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch agricultural insights history.', error: error.message });
+  }
+});
+
+app.get('/api/disputes/summary', authMiddleware, async (req, res) => {
+  try {
+    const includeAll = isEmployeeAuth(req.auth);
+    const params = [];
+    const whereClause = includeAll ? '' : 'WHERE user_id = $1';
+    if (!includeAll) params.push(req.auth.sub);
+
+    const result = await query(
+      `
+        SELECT
+          COUNT(*)::int AS total,
+          COUNT(*) FILTER (WHERE status = 'OPEN')::int AS open,
+          COUNT(*) FILTER (WHERE status = 'IN_REVIEW')::int AS in_review,
+          COUNT(*) FILTER (WHERE status = 'RESOLVED')::int AS resolved,
+          COUNT(*) FILTER (WHERE status = 'REJECTED')::int AS rejected,
+          COUNT(*) FILTER (WHERE priority IN ('HIGH', 'CRITICAL') AND status IN ('OPEN', 'IN_REVIEW'))::int AS urgent_open
+        FROM land_disputes
+        ${whereClause}
+      `,
+      params
+    );
+
+    res.json({
+      scope: includeAll ? 'GLOBAL' : 'USER',
+      ...(result.rows[0] || {
+        total: 0,
+        open: 0,
+        in_review: 0,
+        resolved: 0,
+        rejected: 0,
+        urgent_open: 0,
+      }),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to load dispute summary.', error: error.message });
+  }
+});
+
+app.get('/api/disputes', authMiddleware, async (req, res) => {
+  try {
+    const statusFilter = req.query?.status ? normalizeToken(req.query.status) : '';
+    const scope = String(req.query?.scope || '').trim().toLowerCase();
+    const includeAll = isEmployeeAuth(req.auth) && scope !== 'mine';
+    if (statusFilter && !DISPUTE_STATUSES.has(statusFilter)) {
+      res.status(400).json({ message: `Invalid status filter. Allowed: ${Array.from(DISPUTE_STATUSES).join(', ')}` });
+      return;
+    }
+
+    const params = [];
+    const whereParts = [];
+    if (!includeAll) {
+      params.push(req.auth.sub);
+      whereParts.push(`ld.user_id = $${params.length}`);
+    }
+    if (statusFilter) {
+      params.push(statusFilter);
+      whereParts.push(`ld.status = $${params.length}`);
+    }
+    const whereClause = whereParts.length ? `WHERE ${whereParts.join(' AND ')}` : '';
+
+    const result = await query(
+      `
+        SELECT
+          ld.id, ld.user_id, ld.parcel_ref, ld.dispute_type, ld.description, ld.latitude, ld.longitude, ld.selection_bounds,
+          ld.status, ld.priority, ld.evidence_urls, ld.resolution_note,
+          ld.created_at, ld.updated_at, ld.resolved_at,
+          ld.ledger_block_index, ld.ledger_block_hash,
+          u.name AS user_name,
+          u.email AS user_email,
+          u.role AS user_role
+        FROM land_disputes ld
+        LEFT JOIN users u ON u.id = ld.user_id
+        ${whereClause}
+        ORDER BY ld.updated_at DESC
+        LIMIT 100
+      `,
+      params
+    );
+
+    res.json({
+      scope: includeAll ? 'GLOBAL' : 'USER',
+      items: result.rows.map(toDisputeRecord),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch land disputes.', error: error.message });
+  }
+});
+
+app.post('/api/disputes', authMiddleware, async (req, res) => {
+  try {
+    const parcelRef = String(req.body?.parcelRef || '').trim();
+    const disputeType = normalizeToken(req.body?.disputeType);
+    const description = String(req.body?.description || '').trim();
+    const priority = req.body?.priority ? normalizeToken(req.body?.priority) : 'MEDIUM';
+    const coords = Array.isArray(req.body?.coords) ? req.body.coords : null;
+    const selectionBounds = sanitizeSelectionBounds(req.body?.selectionBounds);
+    const evidenceUrls = sanitizeEvidenceUrls(req.body?.evidenceUrls);
+
+    if (!parcelRef) {
+      res.status(400).json({ message: 'parcelRef is required.' });
+      return;
+    }
+    if (!DISPUTE_TYPES.has(disputeType)) {
+      res.status(400).json({ message: `Invalid disputeType. Allowed: ${Array.from(DISPUTE_TYPES).join(', ')}` });
+      return;
+    }
+    if (description.length < 15) {
+      res.status(400).json({ message: 'description must be at least 15 characters.' });
+      return;
+    }
+    if (!DISPUTE_PRIORITIES.has(priority)) {
+      res.status(400).json({ message: `Invalid priority. Allowed: ${Array.from(DISPUTE_PRIORITIES).join(', ')}` });
+      return;
+    }
+    if (req.body?.selectionBounds && !selectionBounds) {
+      res.status(400).json({ message: 'selectionBounds is invalid. Use northWest/northEast/southWest/southEast/center coordinate pairs.' });
+      return;
+    }
+
+    let lat = null;
+    let lng = null;
+    if (coords) {
+      lat = Number(coords[0]);
+      lng = Number(coords[1]);
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+        res.status(400).json({ message: 'coords must be [lat, lng] when provided.' });
+        return;
+      }
+    } else if (selectionBounds?.center) {
+      lat = selectionBounds.center[0];
+      lng = selectionBounds.center[1];
+    }
+
+    const disputeSnapshot = buildDisputeSnapshot({
+      parcelRef,
+      disputeType,
+      description,
+      coords: [lat, lng],
+      selectionBounds,
+      status: 'OPEN',
+      priority,
+      evidenceUrls,
+      resolutionNote: null,
+    });
+    const snapshotHash = disputeSnapshotHash(disputeSnapshot);
+
+    const payload = await withTransaction(async (client) => {
+      const id = crypto.randomUUID();
+      const now = new Date().toISOString();
+      const status = 'OPEN';
+
+      const block = await insertChainBlock(client, 'LAND_DISPUTE_CREATED', {
+        userId: req.auth.sub,
+        actorRole: normalizeRole(req.auth.role),
+        disputeId: id,
+        parcelRef,
+        disputeType,
+        priority,
+        hasSelectionBounds: Boolean(selectionBounds),
+        snapshotHash,
+        status,
+      });
+
+      const disputeResult = await client.query(
+        `
+          INSERT INTO land_disputes (
+            id, user_id, parcel_ref, dispute_type, description, latitude, longitude, selection_bounds,
+            status, priority, evidence_urls, resolution_note,
+            created_at, updated_at, resolved_at,
+            ledger_block_index, ledger_block_hash
+          )
+          VALUES (
+            $1, $2, $3, $4, $5, $6, $7, $8::jsonb,
+            $9, $10, $11::jsonb, $12,
+            $13, $14, $15,
+            $16, $17
+          )
+          RETURNING *
+        `,
+        [
+          id,
+          req.auth.sub,
+          parcelRef,
+          disputeType,
+          description,
+          lat,
+          lng,
+          selectionBounds ? JSON.stringify(selectionBounds) : null,
+          status,
+          priority,
+          JSON.stringify(evidenceUrls),
+          null,
+          now,
+          now,
+          null,
+          block.index,
+          block.hash,
+        ]
+      );
+
+      await client.query(
+        `
+          INSERT INTO dispute_events (
+            id, dispute_id, actor_user_id, event_type, from_status, to_status, note,
+            created_at, ledger_block_index, ledger_block_hash
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        `,
+        [
+          crypto.randomUUID(),
+          id,
+          req.auth.sub,
+          'CREATED',
+          null,
+          status,
+          description.slice(0, 300),
+          now,
+          block.index,
+          block.hash,
+        ]
+      );
+
+      return {
+        item: toDisputeRecord(disputeResult.rows[0]),
+        ledgerBlock: {
+          index: block.index,
+          hash: block.hash,
+          eventType: block.eventType,
+          timestamp: block.timestamp,
+        },
+        snapshotHash,
+      };
+    });
+
+    res.status(201).json(payload);
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to create land dispute.', error: error.message });
+  }
+});
+
+app.patch('/api/disputes/:id/status', authMiddleware, async (req, res) => {
+  try {
+    const disputeId = String(req.params.id || '').trim();
+    const nextStatus = normalizeToken(req.body?.status);
+    const note = String(req.body?.note || '').trim();
+    const includeAll = isEmployeeAuth(req.auth);
+
+    if (!disputeId) {
+      res.status(400).json({ message: 'Dispute id is required.' });
+      return;
+    }
+    if (!DISPUTE_STATUSES.has(nextStatus)) {
+      res.status(400).json({ message: `Invalid status. Allowed: ${Array.from(DISPUTE_STATUSES).join(', ')}` });
+      return;
+    }
+
+    const payload = await withTransaction(async (client) => {
+      const currentResult = includeAll
+        ? await client.query(
+            'SELECT * FROM land_disputes WHERE id = $1 LIMIT 1 FOR UPDATE',
+            [disputeId]
+          )
+        : await client.query(
+            'SELECT * FROM land_disputes WHERE id = $1 AND user_id = $2 LIMIT 1 FOR UPDATE',
+            [disputeId, req.auth.sub]
+          );
+      const current = currentResult.rows[0];
+      if (!current) return null;
+      if (current.status === nextStatus) {
+        return { unchanged: true, current: toDisputeRecord(current) };
+      }
+
+      const now = new Date().toISOString();
+      const resolvedAt = nextStatus === 'RESOLVED' ? now : null;
+      const resolutionNote = nextStatus === 'RESOLVED' ? (note || current.resolution_note || null) : null;
+      const nextSnapshot = buildDisputeSnapshot({
+        parcelRef: current.parcel_ref,
+        disputeType: current.dispute_type,
+        description: current.description,
+        coords: [current.latitude, current.longitude],
+        selectionBounds: current.selection_bounds,
+        status: nextStatus,
+        priority: current.priority,
+        evidenceUrls: current.evidence_urls,
+        resolutionNote,
+      });
+      const snapshotHash = disputeSnapshotHash(nextSnapshot);
+
+      const block = await insertChainBlock(client, 'LAND_DISPUTE_STATUS_UPDATED', {
+        userId: req.auth.sub,
+        actorRole: normalizeRole(req.auth.role),
+        disputeOwnerId: current.user_id || null,
+        disputeId,
+        fromStatus: current.status,
+        toStatus: nextStatus,
+        snapshotHash,
+        note: note || null,
+      });
+
+      const updateResult = await client.query(
+        `
+          UPDATE land_disputes
+          SET
+            status = $1,
+            resolution_note = $2,
+            updated_at = $3,
+            resolved_at = $4,
+            ledger_block_index = $5,
+            ledger_block_hash = $6
+          WHERE id = $7
+          RETURNING *
+        `,
+        [nextStatus, resolutionNote, now, resolvedAt, block.index, block.hash, disputeId]
+      );
+
+      await client.query(
+        `
+          INSERT INTO dispute_events (
+            id, dispute_id, actor_user_id, event_type, from_status, to_status, note,
+            created_at, ledger_block_index, ledger_block_hash
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        `,
+        [
+          crypto.randomUUID(),
+          disputeId,
+          req.auth.sub,
+          'STATUS_UPDATED',
+          current.status,
+          nextStatus,
+          note || null,
+          now,
+          block.index,
+          block.hash,
+        ]
+      );
+
+      return {
+        unchanged: false,
+        item: toDisputeRecord(updateResult.rows[0]),
+        ledgerBlock: {
+          index: block.index,
+          hash: block.hash,
+          eventType: block.eventType,
+          timestamp: block.timestamp,
+        },
+        snapshotHash,
+      };
+    });
+
+    if (!payload) {
+      res.status(404).json({ message: 'Dispute not found.' });
+      return;
+    }
+    if (payload.unchanged) {
+      res.status(409).json({ message: 'Dispute already in requested status.', item: payload.current });
+      return;
+    }
+
+    res.json(payload);
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to update dispute status.', error: error.message });
+  }
+});
+
+app.get('/api/disputes/:id/ledger/verify', authMiddleware, async (req, res) => {
+  try {
+    const disputeId = String(req.params.id || '').trim();
+    const includeAll = isEmployeeAuth(req.auth);
+    if (!disputeId) {
+      res.status(400).json({ message: 'Dispute id is required.' });
+      return;
+    }
+
+    const disputeResult = includeAll
+      ? await query(
+          'SELECT * FROM land_disputes WHERE id = $1 LIMIT 1',
+          [disputeId]
+        )
+      : await query(
+          'SELECT * FROM land_disputes WHERE id = $1 AND user_id = $2 LIMIT 1',
+          [disputeId, req.auth.sub]
+        );
+    const dispute = disputeResult.rows[0];
+    if (!dispute) {
+      res.status(404).json({ message: 'Dispute not found.' });
+      return;
+    }
+
+    const eventResult = await query(
+      `
+        SELECT
+          de.id AS event_id,
+          de.event_type AS dispute_event_type,
+          de.from_status,
+          de.to_status,
+          de.note,
+          de.created_at AS event_created_at,
+          cb.block_index,
+          cb.block_timestamp,
+          cb.event_type,
+          cb.payload,
+          cb.previous_hash,
+          cb.nonce,
+          cb.hash,
+          cb.signature,
+          cb.key_id
+        FROM dispute_events de
+        JOIN chain_blocks cb
+          ON cb.block_index = de.ledger_block_index
+         AND cb.hash = de.ledger_block_hash
+        WHERE de.dispute_id = $1
+        ORDER BY de.created_at ASC
+      `,
+      [disputeId]
+    );
+
+    const events = eventResult.rows;
+    const blocks = events.map(toChainBlock);
+    const blockIntegrityValid = blocks.every(
+      (block) => isBlockHashValid(block, ledgerHashPolicy()) && !verifyBlockSignature(block, ledgerVerificationKeys)
+    );
+    const commitmentsByBlock = canRevealLedgerCommitments(req.auth, dispute.user_id)
+      ? await revealBlockCommitments(blocks)
+      : null;
+    const commitmentSummary = commitmentsByBlock
+      ? summarizeCommitments(commitmentsByBlock)
+      : { commitmentsValid: null, unrevealedCommitments: null };
+
+    const currentSnapshotHash = disputeSnapshotHash(disputeRowToSnapshot(dispute));
+    const latestEvent = events[events.length - 1];
+    const latestSnapshotHash = latestEvent?.payload?.snapshotHash || null;
+    const snapshotMatch = Boolean(latestSnapshotHash) && latestSnapshotHash === currentSnapshotHash;
+
+    const missingSnapshotHashEvents = events.filter(
+      (row) => !row?.payload || !row.payload.snapshotHash
+    ).length;
+
+    res.json({
+      disputeId,
+      valid: blockIntegrityValid && snapshotMatch && commitmentSummary.commitmentsValid !== false,
+      blockIntegrityValid,
+      snapshotMatch,
+      ...commitmentSummary,
+      currentSnapshotHash,
+      latestSnapshotHash,
+      eventCount: events.length,
+      missingSnapshotHashEvents,
+      events: events.map((row) => ({
+        eventId: row.event_id,
+        disputeEventType: row.dispute_event_type,
+        blockIndex: row.block_index,
+        blockHash: row.hash,
+        chainEventType: row.event_type,
+        snapshotHash: row?.payload?.snapshotHash || null,
+        commitments: commitmentsByBlock
+          ? commitmentsByBlock.get(row.block_index)
+          : listPayloadCommitments(row.payload),
+        createdAt: toIso(row.event_created_at),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to verify dispute ledger.', error: error.message });
+  }
+});
+
+const readOptionalIndex = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : NaN;
+};
+
+app.get('/api/ledger/blocks', authMiddleware, requireEmployee, async (req, res) => {
+  try {
+    const eventTypes = String(req.query?.eventType || '')
+      .split(',')
+      .map((item) => normalizeToken(item))
+      .filter(Boolean);
+    const fromIndex = readOptionalIndex(req.query?.fromIndex);
+    const toIndex = readOptionalIndex(req.query?.toIndex);
+    const cursor = readOptionalIndex(req.query?.cursor);
+    const fromTime = req.query?.from ? toIso(req.query.from) : null;
+    const toTime = req.query?.to ? toIso(req.query.to) : null;
+    const entityId = String(req.query?.entityId || '').trim();
+    const order = String(req.query?.order || 'desc').trim().toLowerCase();
+    const limit = clampNumber(Math.floor(Number(req.query?.limit) || 50), 1, 200);
+
+    if ([fromIndex, toIndex, cursor].some((value) => Number.isNaN(value))) {
+      res.status(400).json({ message: 'fromIndex, toIndex and cursor must be non-negative integers.' });
+      return;
+    }
+    if ((req.query?.from && !fromTime) || (req.query?.to && !toTime)) {
+      res.status(400).json({ message: 'from and to must be valid dates.' });
+      return;
+    }
+    if (!['asc', 'desc'].includes(order)) {
+      res.status(400).json({ message: 'order must be asc or desc.' });
+      return;
+    }
+
+    const page = await loadLedgerBlocks({
+      eventTypes,
+      fromIndex,
+      toIndex,
+      fromTime,
+      toTime,
+      entityId,
+      cursor,
+      limit,
+      order,
+    });
+    res.json({
+      ...page,
+      entityKeys: LEDGER_ENTITY_KEYS,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to load ledger blocks.', error: error.message });
+  }
+});
+
+app.get('/api/ledger/event-types', authMiddleware, requireEmployee, async (_req, res) => {
+  try {
+    const result = await query(
+      `
+        SELECT event_type, COUNT(*)::int AS count
+        FROM chain_blocks
+        GROUP BY event_type
+        ORDER BY event_type ASC
+      `
+    );
+    res.json({
+      items: result.rows.map((row) => ({
+        eventType: row.event_type,
+        count: Number(row.count || 0),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to load ledger event types.', error: error.message });
+  }
+});
+
+app.get('/api/ledger/export', authMiddleware, requireEmployee, async (_req, res) => {
+  try {
+    const chain = await getChainBlocks();
+    const manifest = buildLedgerManifest({
+      chain,
+      signingKeys: listTrustedLedgerKeys(),
+      acceptLegacyHashes: LEDGER_ACCEPT_LEGACY_HASHES,
+    });
+    const fileName = `ledger-export-${manifest.exportedAt.replaceAll(':', '-')}.ndjson`;
+
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(`${toLedgerExportLines(manifest, chain).join('\n')}\n`);
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to export ledger.', error: error.message });
+  }
+});
+
+app.post('/api/ledger/migrations/legacy-hashes', authMiddleware, requireSupervisor, async (req, res) => {
+  try {
+    const dryRun = String(req.query?.dryRun || req.body?.dryRun || '') === 'true';
+    const result = await migrateLegacyHashedBlocks({ actorUserId: req.auth.sub, dryRun });
+    res.status(dryRun || !result.events.length ? 200 : 201).json({
+      ...result,
+      acceptLegacyHashes: LEDGER_ACCEPT_LEGACY_HASHES,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message || 'Failed to migrate legacy blocks.' });
+  }
+});
+
+app.get('/api/ledger/forensics', authMiddleware, requireEmployee, async (req, res) => {
+  try {
+    const format = String(req.query?.format || 'json').trim().toLowerCase();
+    if (!['json', 'csv'].includes(format)) {
+      res.status(400).json({ message: 'format must be json or csv.' });
+      return;
+    }
+
+    const report = await buildLedgerForensicsReport();
+    const download = format === 'csv' || String(req.query?.download || '') === 'true';
+    if (download) {
+      const fileName = `ledger-forensics-${report.generatedAt.replaceAll(':', '-')}.${format}`;
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    }
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.send(`${forensicsReportToCsv(report)}\n`);
+      return;
+    }
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to build ledger forensics report.', error: error.message });
+  }
+});
+
+app.get('/api/land/boundaries', authMiddleware, async (req, res) => {
+  try {
+    const includeRemoved = isEmployeeAuth(req.auth) && String(req.query?.includeRemoved || '') === 'true';
+    const items = await loadGovBoundaries({ includeRemoved });
+    res.json({
+      scope: isEmployeeAuth(req.auth) ? 'GLOBAL' : 'USER',
+      totalAreaSqM: items
+        .filter((item) => item.status === 'ACTIVE')
+        .reduce((sum, item) => sum + Number(item.areaSqM || 0), 0),
+      items,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to load boundary dataset.', error: error.message });
+  }
+});
+
+app.post('/api/land/boundaries', authMiddleware, requireEmployee, async (req, res) => {
+  try {
+    const name = normalizeText(req.body?.name, 120);
+    const location = normalizeText(req.body?.location, 160);
+    const polygon = sanitizePolygon(req.body?.polygon);
+    const status = normalizeToken(req.body?.status || 'ACTIVE');
+    const requestedCode = sanitizeBoundaryCode(req.body?.code);
+
+    if (!name || !location) {
+      res.status(400).json({ message: 'name and location are required.' });
+      return;
+    }
+    if (!polygon) {
+      res.status(400).json({ message: 'Valid polygon is required.' });
+      return;
+    }
+    if (!BOUNDARY_STATUSES.has(status) || status === 'REMOVED') {
+      res.status(400).json({ message: 'status must be ACTIVE for new boundaries.' });
+      return;
+    }
+
+    const centroid = polygonCentroid(polygon);
+    if (!centroid) {
+      res.status(400).json({ message: 'Unable to compute boundary centroid.' });
+      return;
+    }
+    const areaSqM = Number(polygonAreaSqM(polygon).toFixed(3));
+
+    const payload = await withTransaction(async (client) => {
+      const now = new Date().toISOString();
+      const id = crypto.randomUUID();
+      const code = requestedCode || `GOV-${Date.now().toString(36).toUpperCase()}`;
+      const snapshotHash = sha256Hex(
+        buildBoundarySnapshot({
+          code,
+          name,
+          location,
+          polygon,
+          areaSqM,
+          status,
+          isPreset: false,
+          createdBy: req.auth.sub,
+        })
+      );
+      const block = await insertChainBlock(client, 'GOV_BOUNDARY_CREATED', {
+        boundaryId: id,
+        code,
+        name,
+        location,
+        areaSqM,
+        createdBy: req.auth.sub,
+        snapshotHash,
+      });
+
+      const inserted = await client.query(
+        `
+          INSERT INTO gov_boundaries (
+            id, code, name, location, polygon,
+            centroid_lat, centroid_lng, area_sq_m,
+            status, is_preset, created_by,
+            created_at, updated_at,
+            ledger_block_index, ledger_block_hash
+          )
+          VALUES (
+            $1, $2, $3, $4, $5::jsonb,
+            $6, $7, $8,
+            $9, false, $10,
+            $11, $11,
+            $12, $13
+          )
+          RETURNING *
+        `,
+        [
+          id,
+          code,
+          name,
+          location,
+          JSON.stringify(polygon),
+          centroid[0],
+          centroid[1],
+          areaSqM,
+          status,
+          req.auth.sub,
+          now,
+          block.index,
+          block.hash,
+        ]
+      );
+      await indexPolygonCells(client, 'BOUNDARY', id, polygon);
+      return toGovBoundaryRecord(inserted.rows[0]);
+    });
+
+    res.status(201).json({ item: payload });
+  } catch (error) {
+    const message = String(error?.message || '');
+    if (message.toLowerCase().includes('duplicate key')) {
+      res.status(409).json({ message: 'Boundary code already exists.' });
+      return;
+    }
+    res.status(500).json({ message: 'Failed to create boundary.', error: message });
+  }
+});
+
+app.patch('/api/land/boundaries/:id', authMiddleware, requireEmployee, async (req, res) => {
+  try {
+    const boundaryId = String(req.params.id || '').trim();
+    if (!boundaryId) {
+      res.status(400).json({ message: 'boundary id is required.' });
+      return;
+    }
+
+    const payload = await withTransaction(async (client) => {
+      const currentResult = await client.query(
+        'SELECT * FROM gov_boundaries WHERE id = $1 LIMIT 1 FOR UPDATE',
+        [boundaryId]
+      );
+      const current = currentResult.rows[0];
+      if (!current) return null;
+
+      const nextName = req.body?.name === undefined ? current.name : normalizeText(req.body?.name, 120);
+      const nextLocation =
+        req.body?.location === undefined ? current.location : normalizeText(req.body?.location, 160);
+      const nextStatus =
+        req.body?.status === undefined ? current.status : normalizeToken(req.body?.status);
+      const nextCode = req.body?.code === undefined ? current.code : sanitizeBoundaryCode(req.body?.code);
+      const nextPolygon =
+        req.body?.polygon === undefined
+          ? sanitizePolygon(current.polygon)
+          : sanitizePolygon(req.body?.polygon);
+
+      if (!nextName || !nextLocation || !nextCode) {
+        throw httpError(400, 'name, location, and code must be non-empty.');
+      }
+      if (!nextPolygon) {
+        throw httpError(400, 'Valid polygon is required.');
+      }
+      if (!BOUNDARY_STATUSES.has(nextStatus)) {
+        throw httpError(400, 'status must be ACTIVE or REMOVED.');
+      }
+
+      const centroid = polygonCentroid(nextPolygon);
+      if (!centroid) throw httpError(400, 'Unable to compute centroid.');
+      const areaSqM = Number(polygonAreaSqM(nextPolygon).toFixed(3));
+      const now = new Date().toISOString();
+
+      const snapshotHash = sha256Hex(
+        buildBoundarySnapshot({
+          code: nextCode,
+          name: nextName,
+          location: nextLocation,
+          polygon: nextPolygon,
+          areaSqM,
+          status: nextStatus,
+          isPreset: current.is_preset,
+          createdBy: current.created_by,
+        })
+      );
+
+      const block = await insertChainBlock(client, 'GOV_BOUNDARY_UPDATED', {
+        boundaryId,
+        code: nextCode,
+        previousStatus: current.status,
+        status: nextStatus,
+        updatedBy: req.auth.sub,
+        snapshotHash,
+      });
+
+      const updated = await client.query(
+        `
+          UPDATE gov_boundaries
+          SET
+            code = $1,
+            name = $2,
+            location = $3,
+            polygon = $4::jsonb,
+            centroid_lat = $5,
+            centroid_lng = $6,
+            area_sq_m = $7,
+            status = $8,
+            updated_at = $9,
+            ledger_block_index = $10,
+            ledger_block_hash = $11
+          WHERE id = $12
+          RETURNING *
+        `,
+        [
+          nextCode,
+          nextName,
+          nextLocation,
+          JSON.stringify(nextPolygon),
+          centroid[0],
+          centroid[1],
+          areaSqM,
+          nextStatus,
+          now,
+          block.index,
+          block.hash,
+          boundaryId,
+        ]
+      );
+      await indexPolygonCells(client, 'BOUNDARY', boundaryId, nextPolygon);
+      return toGovBoundaryRecord(updated.rows[0]);
+    });
+
+    if (!payload) {
+      res.status(404).json({ message: 'Boundary not found.' });
+      return;
+    }
+    res.json({ item: payload });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message || 'Failed to update boundary.' });
+  }
+});
+
+app.delete('/api/land/boundaries/:id', authMiddleware, requireEmployee, async (req, res) => {
+  try {
+    const boundaryId = String(req.params.id || '').trim();
+    if (!boundaryId) {
+      res.status(400).json({ message: 'boundary id is required.' });
+      return;
+    }
+
+    const payload = await withTransaction(async (client) => {
+      const currentResult = await client.query(
+        'SELECT * FROM gov_boundaries WHERE id = $1 LIMIT 1 FOR UPDATE',
+        [boundaryId]
+      );
+      const current = currentResult.rows[0];
+      if (!current) return null;
+
+      const now = new Date().toISOString();
+      const block = await insertChainBlock(client, 'GOV_BOUNDARY_REMOVED', {
+        boundaryId,
+        code: current.code,
+        removedBy: req.auth.sub,
+        snapshotHash: sha256Hex(boundaryRowToSnapshot({ ...current, status: 'REMOVED' })),
+      });
+
+      const updated = await client.query(
+        `
+          UPDATE gov_boundaries
+          SET
+            status = 'REMOVED',
+            updated_at = $1,
+            ledger_block_index = $2,
+            ledger_block_hash = $3
+          WHERE id = $4
+          RETURNING *
+        `,
+        [now, block.index, block.hash, boundaryId]
+      );
+      return toGovBoundaryRecord(updated.rows[0]);
+    });
+
+    if (!payload) {
+      res.status(404).json({ message: 'Boundary not found.' });
+      return;
+    }
+    res.json({ item: payload });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to remove boundary.', error: error.message });
+  }
+});
+
+app.get('/api/land/boundaries/:id/ledger/verify', authMiddleware, async (req, res) => {
+  try {
+    const boundaryId = String(req.params.id || '').trim();
+    const result = await query('SELECT * FROM gov_boundaries WHERE id = $1 LIMIT 1', [boundaryId]);
+    const boundary = result.rows[0];
+    if (!boundary) {
+      res.status(404).json({ message: 'Boundary not found.' });
+      return;
+    }
+
+    const verification = await verifyEntityLedger({
+      entityKey: 'boundaryId',
+      eventPrefix: 'GOV_BOUNDARY_',
+      entityId: boundaryId,
+      row: boundary,
+      toSnapshot: boundaryRowToSnapshot,
+    });
+    res.json({ boundaryId, ...verification });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to verify boundary ledger.', error: error.message });
+  }
+});
+
+app.get('/api/land/parcels', authMiddleware, async (req, res) => {
+  try {
+    const scope = String(req.query?.scope || '').trim().toLowerCase();
+    const includeAll = isEmployeeAuth(req.auth) && scope !== 'mine';
+    const items = await loadParcels({ includeAll, userId: req.auth.sub });
+    res.json({
+      scope: includeAll ? 'GLOBAL' : 'USER',
+      totalAreaSqM: items.reduce((sum, item) => sum + Number(item.areaSqM || 0), 0),
+      items,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to load parcel registry.', error: error.message });
+  }
+});
+
+app.get('/api/land/parcels/:id/ledger/verify', authMiddleware, async (req, res) => {
+  try {
+    const parcelId = String(req.params.id || '').trim();
+    const result = await query('SELECT * FROM owned_parcels WHERE id = $1 LIMIT 1', [parcelId]);
+    const parcel = result.rows[0];
+    if (!parcel || !(isEmployeeAuth(req.auth) || parcelHoldings(parcel).has(req.auth.sub))) {
+      res.status(404).json({ message: 'Parcel not found.' });
+      return;
+    }
+
+    const verification = await verifyEntityLedger({
+      entityKey: 'parcelId',
+      eventPrefix: 'LAND_PARCEL_',
+      entityId: parcelId,
+      row: parcel,
+      toSnapshot: parcelRowToSnapshot,
+      revealCommitments: isEmployeeAuth(req.auth) || parcelHoldings(parcel).has(req.auth.sub),
+    });
+    res.json({ parcelId, ...verification });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to verify parcel ledger.', error: error.message });
+  }
+});
+
+app.get('/api/land/parcels/:id/owners', authMiddleware, async (req, res) => {
+  try {
+    const parcelId = String(req.params.id || '').trim();
+    const parcelResult = await query('SELECT * FROM owned_parcels WHERE id = $1 LIMIT 1', [parcelId]);
+    const parcel = parcelResult.rows[0];
+    const ownerRows = parcel ? await loadParcelOwnerRows(parcelId) : [];
+    if (!parcel || !canViewParcelHistory(req.auth, parcel, ownerRows)) {
+      res.status(404).json({ message: 'Parcel not found.' });
+      return;
+    }
+
+    const cutoff = parcelViewCutoff(req.auth, parcel, ownerRows);
+    const items = ownerRows
+      .filter((row) => isWithinParcelViewCutoff(cutoff, { blockIndex: row.ledger_block_index, at: row.started_at }))
+      .map((row) =>
+        row.ended_at && !isWithinParcelViewCutoff(cutoff, { blockIndex: row.ended_block_index, at: row.ended_at })
+          ? { ...row, ended_at: null }
+          : row
+      );
+    res.json({ parcelId, pid: parcel.pid, items: items.map(toParcelOwnerRecord) });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to load parcel ownership history.', error: error.message });
+  }
+});
+
+app.get('/api/land/parcels/:id/lineage', authMiddleware, async (req, res) => {
+  try {
+    const parcelId = String(req.params.id || '').trim();
+    const parcelResult = await query('SELECT * FROM owned_parcels WHERE id = $1 LIMIT 1', [parcelId]);
+    const parcel = parcelResult.rows[0];
+    const ownerRows = parcel ? await loadParcelOwnerRows(parcelId) : [];
+    if (!parcel || !canViewParcelHistory(req.auth, parcel, ownerRows)) {
+      res.status(404).json({ message: 'Parcel not found.' });
+      return;
+    }
+
+    const cutoff = parcelViewCutoff(req.auth, parcel, ownerRows);
+    const operations = (await loadParcelLineage(parcelId)).filter((operation) =>
+      isWithinParcelViewCutoff(cutoff, { blockIndex: operation.ledgerBlock.index, at: operation.createdAt })
+    );
+    res.json({ parcelId, pid: parcel.pid, status: parcel.status, operations });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to load parcel lineage.', error: error.message });
+  }
+});
+
+app.get('/api/land/parcels/:id/history', authMiddleware, async (req, res) => {
+  try {
+    const parcelId = String(req.params.id || '').trim();
+    const parcelResult = await query('SELECT * FROM owned_parcels WHERE id = $1 LIMIT 1', [parcelId]);
+    const parcel = parcelResult.rows[0];
+    const ownerRows = parcel ? await loadParcelOwnerRows(parcelId) : [];
+    if (!parcel || !canViewParcelHistory(req.auth, parcel, ownerRows)) {
+      res.status(404).json({ message: 'Parcel not found.' });
+      return;
+    }
+
+    const history = await loadParcelHistory(parcel, {
+      revealAll: isEmployeeAuth(req.auth),
+      cutoff: parcelViewCutoff(req.auth, parcel, ownerRows),
+    });
+    res.json({ parcelId, pid: parcel.pid, status: parcel.status, ...history });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to load parcel history.', error: error.message });
+  }
+});
+
+app.post('/api/land/parcels/:id/subdivide', authMiddleware, requireEmployee, async (req, res) => {
+  try {
+    const parcelId = String(req.params.id || '').trim();
+    const note = String(req.body?.note || '').trim();
+    const lines = (Array.isArray(req.body?.lines) ? req.body.lines : [])
+      .map((line) => (Array.isArray(line) ? line.map((point) => toCoordPair(point)) : []))
+      .filter((line) => line.length === 2 && line.every(Boolean));
+    if (!lines.length || lines.length !== (req.body?.lines || []).length) {
+      res.status(400).json({ message: 'lines must list cut lines, each as two [lat, lng] points.' });
+      return;
+    }
+    if (lines.some(([a, b]) => a[0] === b[0] && a[1] === b[1])) {
+      res.status(400).json({ message: 'Each cut line needs two distinct points.' });
+      return;
+    }
+
+    const payload = await withTransaction(async (client) => {
+      const [parent] = await lockActiveParcels(client, [parcelId]);
+
+      let pieces = [sanitizePolygon(parent.polygon)];
+      for (const [a, b] of lines) {
+        let crossed = false;
+        pieces = pieces.flatMap((piece) => {
+          const crossings = countLineCrossings(piece, a, b);
+          if (crossings === 0) return [piece];
+          if (crossings > 2) {
+            throw httpError(400, 'A cut line crosses the parcel more than once. Use shorter straight cuts.');
+          }
+          crossed = true;
+          return splitPolygonByLine(piece, a, b);
+        });
+        if (!crossed) {
+          throw httpError(400, 'A cut line does not cross the parcel.');
+        }
+      }
+
+      const children = pieces.map((polygon) => ({
+        polygon,
+        areaSqM: Number(polygonAreaSqM(polygon).toFixed(3)),
+        centroid: polygonCentroid(polygon),
+      }));
+      if (children.some((child) => child.areaSqM < 20)) {
+        throw httpError(400, 'Every child parcel must be at least 20 sq.m.');
+      }
+      const parentAreaSqM = polygonAreaSqM(parent.polygon);
+      const driftPercent = areaDriftPercent(
+        parentAreaSqM,
+        children.reduce((sum, child) => sum + child.areaSqM, 0)
+      );
+      if (driftPercent > PARCEL_AREA_TOLERANCE_PERCENT) {
+        throw httpError(
+          400,
+          `Child areas differ from the parent by ${driftPercent}%, above the ${PARCEL_AREA_TOLERANCE_PERCENT}% tolerance.`
+        );
+      }
+
+      const pids = readChildPids(
+        req.body?.childPids,
+        children.length,
+        children.map((_, index) => `${parent.pid}-${index + 1}`)
+      );
+      await assertPidsAvailable(client, pids);
+
+      return applyParcelLineage(client, {
+        operation: 'SUBDIVISION',
+        parents: [parent],
+        children: children.map((child, index) => ({ ...child, pid: pids[index] })),
+        reviewerUserId: req.auth.sub,
+        note,
+      });
+    });
+
+    res.status(201).json(payload);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message || 'Failed to subdivide parcel.' });
+  }
+});
+
+app.post('/api/land/parcels/amalgamate', authMiddleware, requireEmployee, async (req, res) => {
+  try {
+    const parcelIds = [
+      ...new Set((Array.isArray(req.body?.parcelIds) ? req.body.parcelIds : []).map((item) => String(item || '').trim())),
+    ].filter(Boolean);
+    const note = String(req.body?.note || '').trim();
+    if (parcelIds.length < 2 || parcelIds.length > 20) {
+      res.status(400).json({ message: 'parcelIds must list between 2 and 20 parcels.' });
+      return;
+    }
+
+    const payload = await withTransaction(async (client) => {
+      const parents = await lockActiveParcels(client, parcelIds);
+      const holdingKeys = parents.map((parent) =>
+        [...parcelHoldings(parent)]
+          .map(([userId, share]) => `${userId}:${formatShare(share)}`)
+          .sort()
+          .join(',')
+      );
+      if (new Set(holdingKeys).size > 1) {
+        throw httpError(409, 'Only parcels held by the same owners in the same shares can be amalgamated.');
+      }
+
+      const polygon = mergeAdjacentPolygons(parents.map((parent) => sanitizePolygon(parent.polygon)));
+      if (!polygon) {
+        throw httpError(400, 'Parcels must share boundaries and form a single outline without holes.');
+      }
+      const areaSqM = Number(polygonAreaSqM(polygon).toFixed(3));
+      const driftPercent = areaDriftPercent(
+        parents.reduce((sum, parent) => sum + polygonAreaSqM(parent.polygon), 0),
+        areaSqM
+      );
+      if (driftPercent > PARCEL_AREA_TOLERANCE_PERCENT) {
+        throw httpError(
+          400,
+          `Merged area differs from the parcels by ${driftPercent}%, above the ${PARCEL_AREA_TOLERANCE_PERCENT}% tolerance. The parcels may overlap.`
+        );
+      }
+
+      const [pid] = readChildPids(
+        req.body?.pid ? [req.body.pid] : null,
+        1,
+        [`${parents.map((parent) => parent.pid).sort()[0]}-A`]
+      );
+      await assertPidsAvailable(client, [pid]);
+
+      return applyParcelLineage(client, {
+        operation: 'AMALGAMATION',
+        parents,
+        children: [{ polygon, areaSqM, centroid: polygonCentroid(polygon), pid }],
+        reviewerUserId: req.auth.sub,
+        note,
+      });
+    });
+
+    res.status(201).json(payload);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message || 'Failed to amalgamate parcels.' });
+  }
+});
+
+const readEncumbranceInput = (body) => {
+  const encumbranceType = normalizeToken(body?.encumbranceType);
+  const holderName = normalizeText(body?.holderName);
+  const holderReference = normalizeText(body?.holderReference);
+  const note = String(body?.note || '').trim();
+  const rawAmount = body?.amount;
+  const amount = rawAmount === undefined || rawAmount === null || rawAmount === '' ? null : Number(rawAmount);
+  const startsAt = body?.startsAt ? toIso(body.startsAt) : new Date().toISOString();
+  const endsAt = body?.endsAt ? toIso(body.endsAt) : null;
+
+  if (!PARCEL_ENCUMBRANCE_TYPES[encumbranceType]) {
+    throw httpError(400, `encumbranceType must be one of: ${Object.keys(PARCEL_ENCUMBRANCE_TYPES).join(', ')}.`);
+  }
+  if (holderName.length < 2) {
+    throw httpError(400, 'holderName must name the bank, court or lessee.');
+  }
+  if (amount !== null && !(Number.isFinite(amount) && amount > 0)) {
+    throw httpError(400, 'amount must be a positive number.');
+  }
+  if (encumbranceType === 'MORTGAGE' && amount === null) {
+    throw httpError(400, 'amount is required for a mortgage.');
+  }
+  if (!startsAt || (body?.endsAt && !endsAt)) {
+    throw httpError(400, 'startsAt and endsAt must be valid dates.');
+  }
+  if (endsAt && endsAt <= startsAt) {
+    throw httpError(400, 'endsAt must be after startsAt.');
+  }
+  return { encumbranceType, holderName, holderReference, amount, startsAt, endsAt, note };
+};
+
+// Past owners only see encumbrances registered while they held the parcel.
+const loadViewableParcel = async (auth, where, value) => {
+  const parcelResult = await query(`SELECT * FROM owned_parcels WHERE ${where} = $1 LIMIT 1`, [value]);
+  const parcel = parcelResult.rows[0];
+  const ownerRows = parcel ? await loadParcelOwnerRows(parcel.id) : [];
+  if (!parcel || !canViewParcelHistory(auth, parcel, ownerRows)) return null;
+  const cutoff = parcelViewCutoff(auth, parcel, ownerRows);
+  return { parcel, isVisibleEncumbrance: (row) => isWithinParcelViewCutoff(cutoff, { at: row.created_at }) };
+};
+
+app.get('/api/land/parcels/:id/encumbrances', authMiddleware, async (req, res) => {
+  try {
+    const viewable = await loadViewableParcel(req.auth, 'id', String(req.params.id || '').trim());
+    if (!viewable) {
+      res.status(404).json({ message: 'Parcel not found.' });
+      return;
+    }
+
+    const { parcel } = viewable;
+    const result = await query(`${PARCEL_ENCUMBRANCE_SELECT} WHERE pe.parcel_id = $1 ORDER BY pe.starts_at DESC`, [parcel.id]);
+    res.json({
+      parcelId: parcel.id,
+      pid: parcel.pid,
+      items: result.rows.filter(viewable.isVisibleEncumbrance).map(toParcelEncumbranceRecord),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to load parcel encumbrances.', error: error.message });
+  }
+});
+
+app.post('/api/land/parcels/:id/encumbrances', authMiddleware, requireEmployee, async (req, res) => {
+  try {
+    const parcelId = String(req.params.id || '').trim();
+    const input = readEncumbranceInput(req.body);
+
+    const payload = await withTransaction(async (client) => {
+      const parcelResult = await client.query('SELECT * FROM owned_parcels WHERE id = $1 LIMIT 1 FOR UPDATE', [parcelId]);
+      const parcel = parcelResult.rows[0];
+      if (!parcel) return null;
+      if (parcel.status !== 'ACTIVE') {
+        throw httpError(409, `Parcel ${parcel.pid} is ${parcel.status} and cannot be encumbered.`);
+      }
+
+      const encumbranceId = crypto.randomUUID();
+      const now = new Date().toISOString();
+      const block = await insertChainBlock(client, 'ENCUMBRANCE_REGISTERED', {
+        encumbranceId,
+        parcelId,
+        pid: parcel.pid,
+        encumbranceType: input.encumbranceType,
+        holderName: input.holderName,
+        holderReference: input.holderReference || null,
+        amount: input.amount,
+        startsAt: input.startsAt,
+        endsAt: input.endsAt,
+        note: input.note || null,
+        reviewerUserId: req.auth.sub,
+        parcelBlockIndex: Number(parcel.ledger_block_index),
+        snapshotHash: sha256Hex(
+          buildParcelEncumbranceSnapshot({ parcelId, ...input, status: 'ACTIVE', registeredBy: req.auth.sub })
+        ),
+      });
+      await client.query(
+        `
+          INSERT INTO parcel_encumbrances (
+            id, parcel_id, encumbrance_type, holder_name, holder_reference, amount, starts_at, ends_at, note, status,
+            registered_by, created_at, updated_at, ledger_block_index, ledger_block_hash
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'ACTIVE', $10, $11, $11, $12, $13)
+        `,
+        [
+          encumbranceId,
+          parcelId,
+          input.encumbranceType,
+          input.holderName,
+          input.holderReference || null,
+          input.amount,
+          input.startsAt,
+          input.endsAt,
+          input.note || null,
+          req.auth.sub,
+          now,
+          block.index,
+          block.hash,
+        ]
+      );
+
+      const encumbranceResult = await client.query(`${PARCEL_ENCUMBRANCE_SELECT} WHERE pe.id = $1`, [encumbranceId]);
+      return {
+        item: toParcelEncumbranceRecord(encumbranceResult.rows[0]),
+        ledgerBlock: {
+          index: block.index,
+          hash: block.hash,
+          eventType: block.eventType,
+          timestamp: block.timestamp,
+        },
+      };
+    });
+
+    if (!payload) {
+      res.status(404).json({ message: 'Parcel not found.' });
+      return;
+    }
+    res.status(201).json(payload);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message || 'Failed to register encumbrance.' });
+  }
+});
+
+app.post('/api/land/encumbrances/:id/release', authMiddleware, requireEmployee, async (req, res) => {
+  try {
+    const encumbranceId = String(req.params.id || '').trim();
+    const releaseNote = String(req.body?.releaseNote || '').trim();
+    if (releaseNote.length < 5) {
+      res.status(400).json({ message: 'releaseNote must cite the discharge deed, court order or lease surrender.' });
+      return;
+    }
+
+    const payload = await withTransaction(async (client) => {
+      const currentResult = await client.query('SELECT * FROM parcel_encumbrances WHERE id = $1 LIMIT 1 FOR UPDATE', [
+        encumbranceId,
+      ]);
+      const current = currentResult.rows[0];
+      if (!current) return null;
+      if (current.status !== 'ACTIVE') {
+        throw httpError(409, `Encumbrance is ${current.status} and cannot be released again.`);
+      }
+
+      const parcelResult = await client.query('SELECT pid FROM owned_parcels WHERE id = $1 LIMIT 1', [current.parcel_id]);
+      const now = new Date().toISOString();
+      const next = { ...current, status: 'RELEASED', released_by: req.auth.sub, release_note: releaseNote };
+      const block = await insertChainBlock(client, 'ENCUMBRANCE_RELEASED', {
+        encumbranceId,
+        parcelId: current.parcel_id,
+        pid: parcelResult.rows[0]?.pid || null,
+        fromStatus: current.status,
+        toStatus: 'RELEASED',
+        reviewerUserId: req.auth.sub,
+        releaseNote,
+        snapshotHash: sha256Hex(parcelEncumbranceRowToSnapshot(next)),
+      });
+      await client.query(
+        `
+          UPDATE parcel_encumbrances
+          SET
+            status = 'RELEASED',
+            released_by = $1,
+            release_note = $2,
+            released_at = $3,
+            updated_at = $3,
+            ledger_block_index = $4,
+            ledger_block_hash = $5
+          WHERE id = $6
+        `,
+        [req.auth.sub, releaseNote, now, block.index, block.hash, encumbranceId]
+      );
+
+      const encumbranceResult = await client.query(`${PARCEL_ENCUMBRANCE_SELECT} WHERE pe.id = $1`, [encumbranceId]);
+      return {
+        item: toParcelEncumbranceRecord(encumbranceResult.rows[0]),
+        ledgerBlock: {
+          index: block.index,
+          hash: block.hash,
+          eventType: block.eventType,
+          timestamp: block.timestamp,
+        },
+      };
+    });
+
+    if (!payload) {
+      res.status(404).json({ message: 'Encumbrance not found.' });
+      return;
+    }
+    res.json(payload);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message || 'Failed to release encumbrance.' });
+  }
+});
+
+app.get('/api/land/encumbrances/:id/ledger/verify', authMiddleware, async (req, res) => {
+  try {
+    const encumbranceId = String(req.params.id || '').trim();
+    const result = await query('SELECT * FROM parcel_encumbrances WHERE id = $1 LIMIT 1', [encumbranceId]);
+    const encumbrance = result.rows[0];
+    const viewable = encumbrance ? await loadViewableParcel(req.auth, 'id', encumbrance.parcel_id) : null;
+    if (!viewable || !viewable.isVisibleEncumbrance(encumbrance)) {
+      res.status(404).json({ message: 'Encumbrance not found.' });
+      return;
+    }
+
+    const verification = await verifyEntityLedger({
+      entityKey: 'encumbranceId',
+      eventPrefix: 'ENCUMBRANCE_',
+      entityId: encumbranceId,
+      row: encumbrance,
+      toSnapshot: parcelEncumbranceRowToSnapshot,
+      revealCommitments: isEmployeeAuth(req.auth) || parcelHoldings(viewable.parcel).has(req.auth.sub),
+    });
+    res.json({ encumbranceId, ...verification });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to verify encumbrance ledger.', error: error.message });
+  }
+});
+
+// Lists every encumbrance in force at any point of the range. A date-only `to` covers that whole day.
+app.get('/api/land/encumbrance-certificate', authMiddleware, async (req, res) => {
+  try {
+    const pid = String(req.query?.pid || '').trim();
+    const rawTo = String(req.query?.to || '').trim();
+    if (!pid) {
+      res.status(400).json({ message: 'pid is required.' });
+      return;
+    }
+    const viewable = await loadViewableParcel(req.auth, 'pid', pid);
+    if (!viewable) {
+      res.status(404).json({ message: 'Parcel not found.' });
+      return;
+    }
+    const { parcel } = viewable;
+
+    const issuedAt = new Date().toISOString();
+    const from = req.query?.from ? toIso(req.query.from) : toIso(parcel.created_at);
+    const to = rawTo ? toIso(/^\d{4}-\d{2}-\d{2}$/.test(rawTo) ? `${rawTo}T23:59:59.999Z` : rawTo) : issuedAt;
+    if (!from || !to) {
+      res.status(400).json({ message: 'from and to must be valid dates.' });
+      return;
+    }
+    if (from > to) {
+      res.status(400).json({ message: 'from must not be after to.' });
+      return;
+    }
+
+    const result = await query(
+      `
+        ${PARCEL_ENCUMBRANCE_SELECT}
+        WHERE pe.parcel_id = $1
+          AND pe.starts_at <= $3
+          AND (pe.ends_at IS NULL OR pe.ends_at >= $2)
+          AND (pe.released_at IS NULL OR pe.released_at >= $2)
+        ORDER BY pe.starts_at ASC
+      `,
+      [parcel.id, from, to]
+    );
+    const rows = result.rows.filter(viewable.isVisibleEncumbrance);
+    const certificate = {
+      pid: parcel.pid,
+      parcelId: parcel.id,
+      parcelStatus: parcel.status,
+      from,
+      to,
+      issuedAt,
+      nil: rows.length === 0,
+      items: rows.map(toParcelEncumbranceRecord),
+    };
+    res.json({ ...certificate, certificateHash: sha256Hex(certificate) });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to issue encumbrance certificate.', error: error.message });
+  }
+});
+
+app.post('/api/land/parcels/:id/transfers', authMiddleware, async (req, res) => {
+  try {
+    if (isEmployeeAuth(req.auth)) {
+      res.status(403).json({ message: 'Only the parcel owner can start a transfer.' });
+      return;
+    }
+
+    const parcelId = String(req.params.id || '').trim();
+    const buyerEmail = String(req.body?.buyerEmail || '')
+      .trim()
+      .toLowerCase();
+    const transferType = normalizeToken(req.body?.transferType);
+    const note = String(req.body?.note || '').trim();
+    const rawAmount = req.body?.considerationAmount;
+    const considerationAmount =
+      rawAmount === undefined || rawAmount === null || rawAmount === '' ? null : Number(rawAmount);
+    const rawShare = req.body?.share;
+    const requestedShare = rawShare === undefined || rawShare === null || rawShare === '' ? null : parseShare(rawShare);
+
+    if (!PARCEL_TRANSFER_TYPES.has(transferType)) {
+      res.status(400).json({ message: `transferType must be one of: ${[...PARCEL_TRANSFER_TYPES].join(', ')}.` });
+      return;
+    }
+    if (transferType === 'SALE' && !(Number.isFinite(considerationAmount) && considerationAmount > 0)) {
+      res.status(400).json({ message: 'considerationAmount must be a positive number for a sale.' });
+      return;
+    }
+    if (transferType !== 'SALE' && considerationAmount !== null) {
+      res.status(400).json({ message: 'considerationAmount only applies to sales.' });
+      return;
+    }
+    if (!buyerEmail) {
+      res.status(400).json({ message: 'buyerEmail is required.' });
+      return;
+    }
+    if (rawShare !== undefined && rawShare !== null && rawShare !== '' && !requestedShare) {
+      res.status(400).json({ message: 'share must be a fraction of the parcel above 0 and at most 1, such as "1/2".' });
+      return;
+    }
+
+    const buyerResult = await query('SELECT id, role FROM users WHERE email = $1 LIMIT 1', [buyerEmail]);
+    const buyer = buyerResult.rows[0];
+    if (!buyer || normalizeRole(buyer.role) !== 'USER') {
+      res.status(400).json({ message: 'buyerEmail must belong to a registered citizen account.' });
+      return;
+    }
+    if (buyer.id === req.auth.sub) {
+      res.status(400).json({ message: 'A parcel share cannot be transferred to yourself.' });
+      return;
+    }
+
+    const payload = await withTransaction(async (client) => {
+      const parcelResult = await client.query(
+        "SELECT * FROM owned_parcels WHERE id = $1 AND status = 'ACTIVE' LIMIT 1 FOR UPDATE",
+        [parcelId]
+      );
+      const parcel = parcelResult.rows[0];
+      const sellerShare = parcel ? parcelHoldings(parcel).get(req.auth.sub) : null;
+      if (!sellerShare) return null;
+      const share = requestedShare || sellerShare;
+      if (compareShares(share, sellerShare) > 0) {
+        throw httpError(400, `You hold ${formatShare(sellerShare)} of this parcel and cannot transfer more.`);
+      }
+      await assertNoActiveLien(client, parcel);
+
+      const openResult = await client.query(
+        `
+          SELECT id
+          FROM parcel_transfers
+          WHERE parcel_id = $1 AND seller_user_id = $2 AND status IN (${PARCEL_TRANSFER_OPEN_STATUS_SQL})
+          LIMIT 1
+        `,
+        [parcelId, req.auth.sub]
+      );
+      if (openResult.rows[0]) {
+        throw httpError(409, 'You already have an open transfer on this parcel.');
+      }
+
+      const transferId = crypto.randomUUID();
+      const now = new Date().toISOString();
+      const block = await insertChainBlock(client, 'PARCEL_TRANSFER_INITIATED', {
+        transferId,
+        parcelId,
+        pid: parcel.pid,
+        sellerUserId: req.auth.sub,
+        buyerUserId: buyer.id,
+        transferType,
+        considerationAmount,
+        share: formatShare(share),
+        note: note || null,
+        parcelBlockIndex: Number(parcel.ledger_block_index),
+        snapshotHash: sha256Hex(
+          buildParcelTransferSnapshot({
+            parcelId,
+            sellerUserId: req.auth.sub,
+            buyerUserId: buyer.id,
+            transferType,
+            considerationAmount,
+            note,
+            status: 'PENDING_BUYER',
+            share: formatShare(share),
+          })
+        ),
+      });
+      await client.query(
+        `
+          INSERT INTO parcel_transfers (
+            id, parcel_id, seller_user_id, buyer_user_id, transfer_type, consideration_amount, note, status,
+            created_at, updated_at, ledger_block_index, ledger_block_hash, share
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, 'PENDING_BUYER', $8, $8, $9, $10, $11)
+        `,
+        [
+          transferId,
+          parcelId,
+          req.auth.sub,
+          buyer.id,
+          transferType,
+          considerationAmount,
+          note || null,
+          now,
+          block.index,
+          block.hash,
+          formatShare(share),
+        ]
+      );
+
+      const transferResult = await client.query(`${PARCEL_TRANSFER_SELECT} WHERE pt.id = $1`, [transferId]);
+      return {
+        item: toParcelTransferRecord(transferResult.rows[0]),
+        ledgerBlock: {
+          index: block.index,
+          hash: block.hash,
+          eventType: block.eventType,
+          timestamp: block.timestamp,
+        },
+      };
+    });
+
+    if (!payload) {
+      res.status(404).json({ message: 'Parcel not found.' });
+      return;
+    }
+    res.status(201).json(payload);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message || 'Failed to start parcel transfer.' });
+  }
+});
+
+app.get('/api/land/transfers', authMiddleware, async (req, res) => {
+  try {
+    const isEmployee = isEmployeeAuth(req.auth);
+    const status = normalizeToken(req.query?.status);
+    const parcelId = String(req.query?.parcelId || '').trim();
+    if (status && !PARCEL_TRANSFER_STATUSES.has(status)) {
+      res.status(400).json({ message: `status must be one of: ${[...PARCEL_TRANSFER_STATUSES].join(', ')}.` });
+      return;
+    }
+
+    const conditions = [];
+    const params = [];
+    if (!isEmployee) {
+      params.push(req.auth.sub);
+      conditions.push(`(pt.seller_user_id = $${params.length} OR pt.buyer_user_id = $${params.length})`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`pt.status = $${params.length}`);
+    }
+    if (parcelId) {
+      params.push(parcelId);
+      conditions.push(`pt.parcel_id = $${params.length}`);
+    }
+
+    const result = await query(
+      `
+        ${PARCEL_TRANSFER_SELECT}
+        ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY pt.created_at DESC
+        LIMIT 400
+      `,
+      params
+    );
+    res.json({
+      items: result.rows.map((row) => ({
+        ...toParcelTransferRecord(row),
+        allowedActions: Object.entries(PARCEL_TRANSFER_ACTIONS)
+          .filter(([, rule]) => rule.from.includes(row.status))
+          .filter(([, rule]) =>
+            rule.actor === 'EMPLOYEE'
+              ? isEmployee
+              : rule.actor === 'BUYER'
+                ? row.buyer_user_id === req.auth.sub
+                : row.seller_user_id === req.auth.sub
+          )
+          .map(([action]) => action),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to load parcel transfers.', error: error.message });
+  }
+});
+
+app.patch('/api/land/transfers/:id', authMiddleware, async (req, res) => {
+  try {
+    const transferId = String(req.params.id || '').trim();
+    const action = normalizeToken(req.body?.action);
+    const verifiedPid = String(req.body?.verifiedPid || '').trim();
+    const reviewNote = String(req.body?.reviewNote || '').trim();
+    const rule = PARCEL_TRANSFER_ACTIONS[action];
+    if (!rule) {
+      res.status(400).json({ message: `action must be one of: ${Object.keys(PARCEL_TRANSFER_ACTIONS).join(', ')}.` });
+      return;
+    }
+    if ((rule.actor === 'EMPLOYEE') !== isEmployeeAuth(req.auth)) {
+      res.status(403).json({
+        message: rule.actor === 'EMPLOYEE' ? 'Only employees can approve or reject transfers.' : 'Employees cannot act for a party.',
+      });
+      return;
+    }
+    if (action === 'REJECT' && reviewNote.length < 5) {
+      res.status(400).json({ message: 'reviewNote must record the reason for rejecting the transfer.' });
+      return;
+    }
+
+    const payload = await withTransaction(async (client) => {
+      const currentResult = await client.query('SELECT * FROM parcel_transfers WHERE id = $1 LIMIT 1 FOR UPDATE', [
+        transferId,
+      ]);
+      const current = currentResult.rows[0];
+      if (!current) return null;
+      if (rule.actor === 'BUYER' && current.buyer_user_id !== req.auth.sub) return null;
+      if (rule.actor === 'SELLER' && current.seller_user_id !== req.auth.sub) return null;
+      if (!rule.from.includes(current.status)) {
+        throw httpError(409, `Transfer is ${current.status} and cannot be updated with ${action}.`);
+      }
+
+      const parcelResult = await client.query('SELECT * FROM owned_parcels WHERE id = $1 LIMIT 1 FOR UPDATE', [
+        current.parcel_id,
+      ]);
+      const parcel = parcelResult.rows[0];
+      const holdings = parcelHoldings(parcel);
+      const transferShare = parseShare(current.share) || WHOLE_SHARE;
+      if (action === 'APPROVE') {
+        if (verifiedPid !== String(parcel.pid || '').trim()) {
+          throw httpError(400, 'PID mismatch. Approval requires exact PID match.');
+        }
+        const sellerShare = holdings.get(current.seller_user_id);
+        if (parcel.status !== 'ACTIVE' || !sellerShare || compareShares(sellerShare, transferShare) < 0) {
+          throw httpError(409, 'The seller no longer holds the share being transferred.');
+        }
+        await assertNoActiveLien(client, parcel);
+      }
+
+      const now = new Date().toISOString();
+      const isReview = rule.actor === 'EMPLOYEE';
+      const next = {
+        ...current,
+        status: rule.to,
+        reviewed_by: isReview ? req.auth.sub : current.reviewed_by,
+        review_note: isReview ? reviewNote || null : current.review_note,
+      };
+      const block = await insertChainBlock(client, rule.eventType, {
+        transferId,
+        parcelId: current.parcel_id,
+        pid: parcel.pid,
+        fromStatus: current.status,
+        toStatus: rule.to,
+        ...(rule.actor === 'BUYER' ? { buyerUserId: req.auth.sub } : {}),
+        ...(rule.actor === 'SELLER' ? { sellerUserId: req.auth.sub } : {}),
+        ...(isReview ? { reviewerUserId: req.auth.sub, reviewNote: reviewNote || null } : {}),
+        snapshotHash: sha256Hex(parcelTransferRowToSnapshot(next)),
+      });
+      await client.query(
+        `
+          UPDATE parcel_transfers
+          SET
+            status = $1,
+            buyer_responded_at = $2,
+            reviewed_by = $3,
+            review_note = $4,
+            reviewed_at = $5,
+            updated_at = $6,
+            ledger_block_index = $7,
+            ledger_block_hash = $8
+          WHERE id = $9
+        `,
+        [
+          rule.to,
+          rule.actor === 'BUYER' ? now : current.buyer_responded_at,
+          next.reviewed_by,
+          next.review_note,
+          isReview ? now : current.reviewed_at,
+          now,
+          block.index,
+          block.hash,
+          transferId,
+        ]
+      );
+
+      let updatedParcel = null;
+      if (action === 'APPROVE') {
+        const sellerRest = subtractShares(holdings.get(current.seller_user_id), transferShare);
+        const buyerShare = holdings.has(current.buyer_user_id)
+          ? addShares(holdings.get(current.buyer_user_id), transferShare)
+          : transferShare;
+        const nextHoldings = new Map(holdings);
+        if (sellerRest.numerator > 0n) {
+          nextHoldings.set(current.seller_user_id, sellerRest);
+        } else {
+          nextHoldings.delete(current.seller_user_id);
+        }
+        nextHoldings.set(current.buyer_user_id, buyerShare);
+        const ownerUserId = primaryHolder(nextHoldings, parcel.owner_user_id);
+        const ownerShares = holdingsToOwnerShares(nextHoldings);
+
+        const parcelBlock = await insertChainBlock(client, 'LAND_PARCEL_TRANSFERRED', {
+          parcelId: parcel.id,
+          transferId,
+          pid: parcel.pid,
+          ownerUserId,
+          previousOwnerUserId: parcel.owner_user_id,
+          ...(ownerShares.length ? { ownerShares } : {}),
+          transferredShare: formatShare(transferShare),
+          transferType: current.transfer_type,
+          reviewerUserId: req.auth.sub,
+          transferBlockIndex: block.index,
+          snapshotVersion: LEDGER_SNAPSHOT_VERSION,
+          snapshotHash: sha256Hex(
+            parcelRowToSnapshot({ ...parcel, owner_user_id: ownerUserId, owner_shares: ownerShares })
+          ),
+        });
+        const updatedParcelResult = await client.query(
+          `
+            UPDATE owned_parcels
+            SET owner_user_id = $1, owner_shares = $2::jsonb, updated_at = $3, ledger_block_index = $4, ledger_block_hash = $5
+            WHERE id = $6
+            RETURNING *
+          `,
+          [ownerUserId, JSON.stringify(ownerShares), now, parcelBlock.index, parcelBlock.hash, parcel.id]
+        );
+        const closedResult = await client.query(
+          `
+            UPDATE parcel_owners
+            SET ended_at = $1, ended_block_index = $2
+            WHERE parcel_id = $3 AND ended_at IS NULL AND owner_user_id IN ($4, $5)
+            RETURNING owner_user_id
+          `,
+          [now, parcelBlock.index, parcel.id, current.seller_user_id, current.buyer_user_id]
+        );
+        if (!closedResult.rows.some((row) => row.owner_user_id === current.seller_user_id)) {
+          // Parcels registered before ownership history existed get their first owner recorded on the way out.
+          await client.query(
+            `
+              INSERT INTO parcel_owners (
+                id, parcel_id, owner_user_id, acquired_via, transfer_id, started_at, ended_at,
+                ended_block_index, ledger_block_index, ledger_block_hash
+              )
+              VALUES ($1, $2, $3, 'CLAIM', NULL, $4, $5, $6, $7, $8)
+            `,
+            [
+              crypto.randomUUID(),
+              parcel.id,
+              current.seller_user_id,
+              parcel.created_at,
+              now,
+              parcelBlock.index,
+              parcel.ledger_block_index,
+              parcel.ledger_block_hash,
+            ]
+          );
+        }
+        if (sellerRest.numerator > 0n) {
+          await insertParcelOwner(client, {
+            parcelId: parcel.id,
+            ownerUserId: current.seller_user_id,
+            acquiredVia: 'RETAINED',
+            transferId,
+            startedAt: now,
+            block: parcelBlock,
+            share: sellerRest,
+          });
+        }
+        await insertParcelOwner(client, {
+          parcelId: parcel.id,
+          ownerUserId: current.buyer_user_id,
+          acquiredVia: current.transfer_type,
+          transferId,
+          startedAt: now,
+          block: parcelBlock,
+          share: buyerShare,
+        });
+        updatedParcel = toOwnedParcelRecord((await attachParcelHolderUsers(updatedParcelResult.rows))[0]);
+      }
+
+      const transferResult = await client.query(`${PARCEL_TRANSFER_SELECT} WHERE pt.id = $1`, [transferId]);
+      return {
+        item: toParcelTransferRecord(transferResult.rows[0]),
+        parcel: updatedParcel,
+        ledgerBlock: {
+          index: block.index,
+          hash: block.hash,
+          eventType: block.eventType,
+          timestamp: block.timestamp,
+        },
+      };
+    });
+
+    if (!payload) {
+      res.status(404).json({ message: 'Transfer not found.' });
+      return;
+    }
+    res.json(payload);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message || 'Failed to update parcel transfer.' });
+  }
+});
+
+app.get('/api/land/transfers/:id/ledger/verify', authMiddleware, async (req, res) => {
+  try {
+    const transferId = String(req.params.id || '').trim();
+    const result = isEmployeeAuth(req.auth)
+      ? await query('SELECT * FROM parcel_transfers WHERE id = $1 LIMIT 1', [transferId])
+      : await query(
+          'SELECT * FROM parcel_transfers WHERE id = $1 AND (seller_user_id = $2 OR buyer_user_id = $2) LIMIT 1',
+          [transferId, req.auth.sub]
+        );
+    const transfer = result.rows[0];
+    if (!transfer) {
+      res.status(404).json({ message: 'Transfer not found.' });
+      return;
+    }
+
+    const verification = await verifyEntityLedger({
+      entityKey: 'transferId',
+      eventPrefix: 'PARCEL_TRANSFER_',
+      entityId: transferId,
+      row: transfer,
+      toSnapshot: parcelTransferRowToSnapshot,
+      revealCommitments:
+        isEmployeeAuth(req.auth) || [transfer.seller_user_id, transfer.buyer_user_id].includes(req.auth.sub),
     });
+    res.json({ transferId, ...verification });
   } catch (error) {
-    res.status(500).json({ message: 'Failed to generate agricultural insights.', error: error.message });
+    res.status(500).json({ message: 'Failed to verify transfer ledger.', error: error.message });
   }
 });
 
-app.get('/api/agri/insights/history', authMiddleware, async (req, res) => {
+app.get('/api/land/claims', authMiddleware, async (req, res) => {
   try {
-    const includeAll = isEmployeeAuth(req.auth);
-    const params = [];
-    const whereClause = includeAll ? '' : 'WHERE ai.user_id = $1';
-    if (!includeAll) params.push(req.auth.sub);
+    const scope = String(req.query?.scope || '').trim().toLowerCase();
+    const isEmployee = isEmployeeAuth(req.auth);
+    const includeAll = isEmployee && scope !== 'mine';
+    const queueOnly = isEmployee && scope === 'queue';
+    const statusParam = String(req.query?.status || '').trim();
+    const statuses = statusParam ? statusParam.split(',').map((item) => item.trim()) : [];
+    const items = await loadClaims({
+      includeAll,
+      userId: req.auth.sub,
+      statuses,
+      queueUserId: queueOnly ? req.auth.sub : null,
+    });
+    res.json({
+      scope: queueOnly ? 'QUEUE' : includeAll ? 'GLOBAL' : 'USER',
+      flaggedCount: items.filter((item) => item.status === 'FLAGGED').length,
+      items,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to load land claims.', error: error.message });
+  }
+});
 
-    const result = await query(
-      `
-        SELECT
-          ai.id,
-          ai.latitude, ai.longitude, ai.ndvi_mean, ai.ndvi_min, ai.ndvi_max,
-          ai.rainfall_7d, ai.max_temp_avg, ai.min_temp_avg, ai.summary,
-          ai.recommended_crops, ai.irrigation, ai.risks, ai.created_at,
-          ai.ledger_block_index, ai.ledger_block_hash,
-          ai.user_id,
-          u.name AS user_name,
-          u.email AS user_email
-        FROM agri_insights ai
-        LEFT JOIN users u ON u.id = ai.user_id
-        ${whereClause}
-        ORDER BY ai.created_at DESC
-        LIMIT ${includeAll ? 200 : 50}
-      `,
-      params
-    );
+// Runs the submission checks and overlap detection without writing a claim or a ledger block,
+// so the claim form can show conflicts while the polygon is still being drawn.
+app.post('/api/land/claims/dry-run', authMiddleware, async (req, res) => {
+  try {
+    if (isEmployeeAuth(req.auth)) {
+      res.status(403).json({ message: 'Government employees cannot submit citizen land claims.' });
+      return;
+    }
 
-    const items = result.rows.map((row) => ({
-      id: row.id,
-      coords: [row.latitude, row.longitude],
-      ndvi: {
-        mean: row.ndvi_mean,
-        min: row.ndvi_min,
-        max: row.ndvi_max,
-      },
-      weather: {
-        rainfall7d: row.rainfall_7d,
-        maxTempAvg: row.max_temp_avg,
-        minTempAvg: row.min_temp_avg,
-      },
-      summary: row.summary,
-      recommendedCrops: row.recommended_crops,
-      irrigation: row.irrigation,
-      risks: row.risks,
-      createdAt: toIso(row.created_at),
-      ledgerBlock: {
-        index: row.ledger_block_index,
-        hash: row.ledger_block_hash,
-      },
-      user: row.user_id
-        ? {
-            id: row.user_id,
-            name: row.user_name || 'Unknown user',
-            email: row.user_email || null,
-          }
-        : null,
-    }));
+    const pid = String(req.body?.pid || '').trim();
+    const { polygon, areaSqM, centroid } = readClaimGeometry(req.body?.polygon);
+    const overlapFlags = await detectClaimOverlaps({
+      polygon,
+      pid,
+      requesterUserId: req.auth.sub,
+    });
 
     res.json({
-      scope: includeAll ? 'GLOBAL' : 'USER',
-      items,
+      polygon,
+      areaSqM,
+      centroid,
+      overlapFlags: overlapFlags.map(toAnonymousOverlapFlag),
+      status: overlapFlags.some(isBlockingOverlapFlag) ? 'FLAGGED' : 'PENDING',
     });
   } catch (error) {
-    res.status(500).json({ message: 'Failed to fetch agricultural insights history.', error: error.message });
+    if (error.status) {
+      res.status(error.status).json({ message: error.message });
+      return;
+    }
+    res.status(500).json({ message: 'Failed to check claim overlaps.', error: error.message });
   }
 });
 
-app.get('/api/disputes/summary', authMiddleware, async (req, res) => {
+app.post(
+  '/api/land/claim-documents',
+  authMiddleware,
+  express.raw({ type: () => true, limit: CLAIM_DOCUMENT_MAX_BYTES }),
+  async (req, res) => {
+    try {
+      if (isEmployeeAuth(req.auth)) {
+        res.status(403).json({ message: 'Only citizen accounts can upload claim documents.' });
+        return;
+      }
+
+      const buffer = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      if (!buffer.length) {
+        res.status(400).json({ message: 'Document body is empty.' });
+        return;
+      }
+      const kind = String(req.query.kind || 'OTHER')
+        .trim()
+        .toUpperCase();
+      if (!CLAIM_DOCUMENT_KINDS.has(kind)) {
+        res.status(400).json({ message: `kind must be one of: ${[...CLAIM_DOCUMENT_KINDS].join(', ')}.` });
+        return;
+      }
+      const declaredType = String(req.headers['content-type'] || '')
+        .split(';')[0]
+        .trim()
+        .toLowerCase();
+      const signature = CLAIM_DOCUMENT_SIGNATURES.find((item) => item.matches(buffer));
+      if (!signature || (declaredType && declaredType !== 'application/octet-stream' && declaredType !== signature.mimeType)) {
+        res.status(415).json({ message: 'Documents must be PDF, PNG, JPEG or WebP files.' });
+        return;
+      }
+
+      const pendingResult = await query(
+        'SELECT COUNT(*)::int AS count FROM claim_documents WHERE uploaded_by = $1 AND claim_id IS NULL AND created_at >= $2',
+        [req.auth.sub, unattachedDocumentCutoff()]
+      );
+      if (Number(pendingResult.rows[0]?.count || 0) >= CLAIM_DOCUMENT_UNATTACHED_MAX) {
+        res.status(429).json({
+          message: `You already have ${CLAIM_DOCUMENT_UNATTACHED_MAX} documents waiting to be attached. Attach them to a claim or wait for them to expire.`,
+        });
+        return;
+      }
+
+      const sha256 = sha256Buffer(buffer);
+      const document = await withTransaction(async (client) => {
+        await lockClaimDocumentBlob(client, sha256);
+        const storageKey = await claimDocumentStore.put(buffer);
+        const result = await client.query(
+          `
+            INSERT INTO claim_documents (
+              id, claim_id, uploaded_by, file_name, mime_type, size_bytes, kind, sha256, storage_key, created_at, attached_at
+            )
+            VALUES ($1, NULL, $2, $3, $4, $5, $6, $7, $8, $9, NULL)
+            RETURNING *
+          `,
+          [
+            crypto.randomUUID(),
+            req.auth.sub,
+            sanitizeDocumentFileName(req.headers['x-file-name']),
+            signature.mimeType,
+            buffer.length,
+            kind,
+            sha256,
+            storageKey,
+            new Date().toISOString(),
+          ]
+        );
+        return result.rows[0];
+      });
+      res.status(201).json({ item: toClaimDocumentRecord(document) });
+    } catch (error) {
+      res.status(500).json({ message: 'Failed to upload claim document.', error: error.message });
+    }
+  }
+);
+
+app.post('/api/land/claims', authMiddleware, async (req, res) => {
   try {
-    const includeAll = isEmployeeAuth(req.auth);
-    const params = [];
-    const whereClause = includeAll ? '' : 'WHERE user_id = $1';
-    if (!includeAll) params.push(req.auth.sub);
+    if (isEmployeeAuth(req.auth)) {
+      res.status(403).json({ message: 'Government employees cannot submit citizen land claims.' });
+      return;
+    }
 
-    const result = await query(
-      `
-        SELECT
-          COUNT(*)::int AS total,
-          COUNT(*) FILTER (WHERE status = 'OPEN')::int AS open,
-          COUNT(*) FILTER (WHERE status = 'IN_REVIEW')::int AS in_review,
-          COUNT(*) FILTER (WHERE status = 'RESOLVED')::int AS resolved,
-          COUNT(*) FILTER (WHERE status = 'REJECTED')::int AS rejected,
-          COUNT(*) FILTER (WHERE priority IN ('HIGH', 'CRITICAL') AND status IN ('OPEN', 'IN_REVIEW'))::int AS urgent_open
-        FROM land_disputes
-        ${whereClause}
-      `,
-      params
-    );
+    const pid = String(req.body?.pid || '').trim();
+    const claimNote = String(req.body?.claimNote || '').trim();
+
+    if (!pid || pid.length < 3) {
+      res.status(400).json({ message: 'Valid PID is required.' });
+      return;
+    }
+    if (!claimNote || claimNote.length < 12) {
+      res.status(400).json({ message: 'claimNote must be at least 12 characters.' });
+      return;
+    }
+    const documentIds = readClaimDocumentIds(req.body?.documentIds);
+    if (documentIds.length > CLAIM_DOCUMENT_MAX_COUNT) {
+      res.status(400).json({ message: `A claim can carry at most ${CLAIM_DOCUMENT_MAX_COUNT} documents.` });
+      return;
+    }
+
+    const { polygon, areaSqM, centroid } = readClaimGeometry(req.body?.polygon);
+    const claimantResult = await query('SELECT id, name, email FROM users WHERE id = $1 LIMIT 1', [req.auth.sub]);
+    const ownerShares = await readClaimOwnerShares(req.body?.coOwners, claimantResult.rows[0] || { id: req.auth.sub });
+    const overlapFlags = await detectClaimOverlaps({
+      polygon,
+      pid,
+      requesterUserId: req.auth.sub,
+    });
+    const status = overlapFlags.some(isBlockingOverlapFlag) ? 'FLAGGED' : 'PENDING';
+
+    const payload = await withTransaction(async (client) => {
+      const claimId = crypto.randomUUID();
+      const now = new Date().toISOString();
+
+      const documents = await lockUnattachedClaimDocuments(client, { userId: req.auth.sub, documentIds });
+      const overlappedClaims = await lockOverlappedPendingClaims(client, overlapFlags);
+
+      const snapshotHash = sha256Hex(
+        buildClaimSnapshot({
+          userId: req.auth.sub,
+          pid,
+          claimNote,
+          polygon,
+          areaSqM,
+          status,
+          reviewNote: null,
+          verifiedPid: null,
+          reviewedBy: null,
+          documents,
+          ownerShares,
+          centroid,
+          overlapFlags,
+        })
+      );
+
+      const block = await insertChainBlock(client, 'LAND_CLAIM_SUBMITTED', {
+        claimId,
+        userId: req.auth.sub,
+        pid,
+        status,
+        areaSqM,
+        overlapCount: overlapFlags.length,
+        version: 1,
+        versionHash: sha256Hex(buildClaimVersionSnapshot({ claimId, version: 1, claimNote, polygon, areaSqM })),
+        documents: toLedgerClaimDocuments(documents),
+        ...(ownerShares.length ? { ownerShares: toLedgerOwnerShares(ownerShares) } : {}),
+        snapshotVersion: LEDGER_SNAPSHOT_VERSION,
+        snapshotHash,
+      });
+
+      const insertResult = await client.query(
+        `
+          INSERT INTO land_claims (
+            id, user_id, pid, claim_note, polygon,
+            centroid_lat, centroid_lng, area_sq_m,
+            status, overlap_flags, review_note, verified_pid, reviewed_by,
+            created_at, updated_at, reviewed_at,
+            ledger_block_index, ledger_block_hash, documents, owner_shares
+          )
+          VALUES (
+            $1, $2, $3, $4, $5::jsonb,
+            $6, $7, $8,
+            $9, $10::jsonb, NULL, NULL, NULL,
+            $11, $11, NULL,
+            $12, $13, $14::jsonb, $15::jsonb
+          )
+          RETURNING *
+        `,
+        [
+          claimId,
+          req.auth.sub,
+          pid,
+          claimNote,
+          JSON.stringify(polygon),
+          centroid[0],
+          centroid[1],
+          areaSqM,
+          status,
+          JSON.stringify(overlapFlags),
+          now,
+          block.index,
+          block.hash,
+          JSON.stringify(documents),
+          JSON.stringify(ownerShares),
+        ]
+      );
+      await attachClaimDocuments(client, { claimId, documents, now });
+      await insertClaimVersion(client, {
+        claimId,
+        version: 1,
+        claimNote,
+        polygon,
+        centroid,
+        areaSqM,
+        status,
+        overlapFlags,
+        createdBy: req.auth.sub,
+        createdAt: now,
+        block,
+      });
+      await insertClaimEvent(client, {
+        claimId,
+        actorUserId: req.auth.sub,
+        eventType: 'SUBMITTED',
+        toStatus: status,
+        createdAt: now,
+        block,
+      });
+      await indexPolygonCells(client, 'CLAIM', claimId, polygon);
+      await flagOverlappedPendingClaims(client, { claimId, overlappedClaims, now });
+      await autoAssignClaimReviewer(client, { claim: insertResult.rows[0], now });
 
-    res.json({
-      scope: includeAll ? 'GLOBAL' : 'USER',
-      ...(result.rows[0] || {
-        total: 0,
-        open: 0,
-        in_review: 0,
-        resolved: 0,
-        rejected: 0,
-        urgent_open: 0,
-      }),
+      return {
+        item: toSubmittedClaimRecord(insertResult.rows[0]),
+        ledgerBlock: {
+          index: block.index,
+          hash: block.hash,
+          eventType: block.eventType,
+          timestamp: block.timestamp,
+        },
+      };
     });
+
+    res.status(201).json(payload);
   } catch (error) {
-    res.status(500).json({ message: 'Failed to load dispute summary.', error: error.message });
+    if (error.status) {
+      res.status(error.status).json({ message: error.message });
+      return;
+    }
+    res.status(500).json({ message: 'Failed to submit land claim.', error: error.message });
   }
 });
 
-app.get('/api/disputes', authMiddleware, async (req, res) => {
+app.patch('/api/land/claims/:id', authMiddleware, async (req, res) => {
   try {
-    const statusFilter = req.query?.status ? normalizeToken(req.query.status) : '';
-    const scope = String(req.query?.scope || '').trim().toLowerCase();
-    const includeAll = isEmployeeAuth(req.auth) && scope !== 'mine';
-    if (statusFilter && !DISPUTE_STATUSES.has(statusFilter)) {
-      res.status(400).json({ message: `Invalid status filter. Allowed: ${Array.from(DISPUTE_STATUSES).join(', ')}` });
+    if (isEmployeeAuth(req.auth)) {
+      res.status(403).json({ message: 'Only the claimant can amend a land claim.' });
       return;
     }
 
-    const params = [];
-    const whereParts = [];
-    if (!includeAll) {
-      params.push(req.auth.sub);
-      whereParts.push(`ld.user_id = $${params.length}`);
+    const claimId = String(req.params.id || '').trim();
+    const existingResult = await query('SELECT * FROM land_claims WHERE id = $1 AND user_id = $2 LIMIT 1', [
+      claimId,
+      req.auth.sub,
+    ]);
+    const existing = existingResult.rows[0];
+    if (!existing) {
+      res.status(404).json({ message: 'Claim not found.' });
+      return;
     }
-    if (statusFilter) {
-      params.push(statusFilter);
-      whereParts.push(`ld.status = $${params.length}`);
+    if (!CLAIM_OPEN_STATUSES.has(existing.status)) {
+      res.status(409).json({ message: 'Only claims awaiting review or information can be amended.' });
+      return;
     }
-    const whereClause = whereParts.length ? `WHERE ${whereParts.join(' AND ')}` : '';
 
-    const result = await query(
-      `
-        SELECT
-          ld.id, ld.user_id, ld.parcel_ref, ld.dispute_type, ld.description, ld.latitude, ld.longitude, ld.selection_bounds,
-          ld.status, ld.priority, ld.evidence_urls, ld.resolution_note,
-          ld.created_at, ld.updated_at, ld.resolved_at,
-          ld.ledger_block_index, ld.ledger_block_hash,
-          u.name AS user_name,
-          u.email AS user_email,
-          u.role AS user_role
-        FROM land_disputes ld
-        LEFT JOIN users u ON u.id = ld.user_id
-        ${whereClause}
-        ORDER BY ld.updated_at DESC
-        LIMIT 100
-      `,
-      params
-    );
+    const claimNote =
+      req.body?.claimNote === undefined ? existing.claim_note : String(req.body.claimNote || '').trim();
+    if (!claimNote || claimNote.length < 12) {
+      res.status(400).json({ message: 'claimNote must be at least 12 characters.' });
+      return;
+    }
+    const { polygon, areaSqM, centroid } =
+      req.body?.polygon === undefined ? readClaimGeometry(existing.polygon) : readClaimGeometry(req.body.polygon);
+    if (claimNote === existing.claim_note && stableStringify(polygon) === stableStringify(existing.polygon)) {
+      res.status(400).json({ message: 'Amendment does not change the claim note or polygon.' });
+      return;
+    }
 
-    res.json({
-      scope: includeAll ? 'GLOBAL' : 'USER',
-      items: result.rows.map(toDisputeRecord),
+    const overlapFlags = await detectClaimOverlaps({
+      polygon,
+      pid: existing.pid,
+      requesterUserId: req.auth.sub,
+    });
+    const status = overlapFlags.some(isBlockingOverlapFlag) ? 'FLAGGED' : 'PENDING';
+
+    const payload = await withTransaction(async (client) => {
+      const currentResult = await client.query(
+        'SELECT * FROM land_claims WHERE id = $1 AND user_id = $2 LIMIT 1 FOR UPDATE',
+        [claimId, req.auth.sub]
+      );
+      const current = currentResult.rows[0];
+      if (!current || !CLAIM_OPEN_STATUSES.has(current.status)) {
+        throw httpError(409, 'Only claims awaiting review or information can be amended.');
+      }
+      if (Number(current.version || 1) !== Number(existing.version || 1)) {
+        throw httpError(409, 'Claim was amended concurrently. Reload and try again.');
+      }
+
+      const now = new Date().toISOString();
+      const previousVersion = Number(current.version || 1);
+      const version = previousVersion + 1;
+
+      // Claims submitted before versioning get their original geometry recorded as the first version.
+      await insertClaimVersion(client, {
+        claimId,
+        version: previousVersion,
+        claimNote: current.claim_note,
+        polygon: current.polygon,
+        centroid: [Number(current.centroid_lat), Number(current.centroid_lng)],
+        areaSqM: Number(current.area_sq_m || 0),
+        status: current.status,
+        overlapFlags: current.overlap_flags,
+        createdBy: current.user_id,
+        createdAt: current.created_at,
+        block: { index: current.ledger_block_index, hash: current.ledger_block_hash },
+      });
+
+      // Co-owners accepted the claim as it stood, so every amendment asks each of them again.
+      const ownerShares = Array.isArray(current.owner_shares) ? current.owner_shares : [];
+      const nextOwnerShares = ownerShares.map((item) => (item.consent ? { ...item, consent: 'PENDING' } : item));
+
+      const overlappedClaims = await lockOverlappedPendingClaims(client, overlapFlags);
+      const block = await insertChainBlock(client, 'LAND_CLAIM_AMENDED', {
+        claimId,
+        userId: req.auth.sub,
+        pid: current.pid,
+        previousVersion,
+        version,
+        previousStatus: current.status,
+        status,
+        areaSqM,
+        overlapCount: overlapFlags.length,
+        versionHash: sha256Hex(buildClaimVersionSnapshot({ claimId, version, claimNote, polygon, areaSqM })),
+        ...(ownerShares.length
+          ? { ownerShares: toLedgerOwnerShares(nextOwnerShares), coOwnerConsentReset: true }
+          : {}),
+        snapshotVersion: LEDGER_SNAPSHOT_VERSION,
+        snapshotHash: sha256Hex(
+          claimRowToSnapshot({
+            ...current,
+            owner_shares: nextOwnerShares,
+            claim_note: claimNote,
+            polygon,
+            centroid_lat: centroid[0],
+            centroid_lng: centroid[1],
+            area_sq_m: areaSqM,
+            status,
+            overlap_flags: overlapFlags,
+          })
+        ),
+      });
+
+      const updated = await client.query(
+        `
+          UPDATE land_claims
+          SET
+            claim_note = $1,
+            polygon = $2::jsonb,
+            centroid_lat = $3,
+            centroid_lng = $4,
+            area_sq_m = $5,
+            status = $6,
+            overlap_flags = $7::jsonb,
+            version = $8,
+            updated_at = $9,
+            ledger_block_index = $10,
+            ledger_block_hash = $11,
+            owner_shares = $12::jsonb
+          WHERE id = $13
+          RETURNING *
+        `,
+        [
+          claimNote,
+          JSON.stringify(polygon),
+          centroid[0],
+          centroid[1],
+          areaSqM,
+          status,
+          JSON.stringify(overlapFlags),
+          version,
+          now,
+          block.index,
+          block.hash,
+          JSON.stringify(nextOwnerShares),
+          claimId,
+        ]
+      );
+      await insertClaimVersion(client, {
+        claimId,
+        version,
+        claimNote,
+        polygon,
+        centroid,
+        areaSqM,
+        status,
+        overlapFlags,
+        createdBy: req.auth.sub,
+        createdAt: now,
+        block,
+      });
+      await insertClaimEvent(client, {
+        claimId,
+        actorUserId: req.auth.sub,
+        eventType: 'AMENDED',
+        fromStatus: current.status,
+        toStatus: status,
+        note: ownerShares.length ? `Version ${version}. Co-owners need to accept it again.` : `Version ${version}`,
+        createdAt: now,
+        block,
+      });
+      await indexPolygonCells(client, 'CLAIM', claimId, polygon);
+      await flagOverlappedPendingClaims(client, { claimId, overlappedClaims, now });
+
+      return {
+        item: toSubmittedClaimRecord(updated.rows[0]),
+        ledgerBlock: {
+          index: block.index,
+          hash: block.hash,
+          eventType: block.eventType,
+          timestamp: block.timestamp,
+        },
+      };
     });
+
+    res.json(payload);
   } catch (error) {
-    res.status(500).json({ message: 'Failed to fetch land disputes.', error: error.message });
+    if (error.status) {
+      res.status(error.status).json({ message: error.message });
+      return;
+    }
+    res.status(500).json({ message: 'Failed to amend land claim.', error: error.message });
   }
 });
 
-app.post('/api/disputes', authMiddleware, async (req, res) => {
+app.post('/api/land/claims/:id/withdraw', authMiddleware, async (req, res) => {
   try {
-    const parcelRef = String(req.body?.parcelRef || '').trim();
-    const disputeType = normalizeToken(req.body?.disputeType);
-    const description = String(req.body?.description || '').trim();
-    const priority = req.body?.priority ? normalizeToken(req.body?.priority) : 'MEDIUM';
-    const coords = Array.isArray(req.body?.coords) ? req.body.coords : null;
-    const selectionBounds = sanitizeSelectionBounds(req.body?.selectionBounds);
-    const evidenceUrls = sanitizeEvidenceUrls(req.body?.evidenceUrls);
-
-    if (!parcelRef) {
-      res.status(400).json({ message: 'parcelRef is required.' });
-      return;
-    }
-    if (!DISPUTE_TYPES.has(disputeType)) {
-      res.status(400).json({ message: `Invalid disputeType. Allowed: ${Array.from(DISPUTE_TYPES).join(', ')}` });
-      return;
-    }
-    if (description.length < 15) {
-      res.status(400).json({ message: 'description must be at least 15 characters.' });
-      return;
-    }
-    if (!DISPUTE_PRIORITIES.has(priority)) {
-      res.status(400).json({ message: `Invalid priority. Allowed: ${Array.from(DISPUTE_PRIORITIES).join(', ')}` });
-      return;
-    }
-    if (req.body?.selectionBounds && !selectionBounds) {
-      res.status(400).json({ message: 'selectionBounds is invalid. Use northWest/northEast/southWest/southEast/center coordinate pairs.' });
+    if (isEmployeeAuth(req.auth)) {
+      res.status(403).json({ message: 'Only the claimant can withdraw a land claim.' });
       return;
     }
 
-    let lat = null;
-    let lng = null;
-    if (coords) {
-      lat = Number(coords[0]);
-      lng = Number(coords[1]);
-      if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
-        res.status(400).json({ message: 'coords must be [lat, lng] when provided.' });
-        return;
+    const claimId = String(req.params.id || '').trim();
+    const payload = await withTransaction(async (client) => {
+      const currentResult = await client.query(
+        'SELECT * FROM land_claims WHERE id = $1 AND user_id = $2 LIMIT 1 FOR UPDATE',
+        [claimId, req.auth.sub]
+      );
+      const current = currentResult.rows[0];
+      if (!current) return null;
+      if (!CLAIM_OPEN_STATUSES.has(current.status)) {
+        throw httpError(409, 'Only claims awaiting review or information can be withdrawn.');
       }
-    } else if (selectionBounds?.center) {
-      lat = selectionBounds.center[0];
-      lng = selectionBounds.center[1];
-    }
 
-    const disputeSnapshot = buildDisputeSnapshot({
-      parcelRef,
-      disputeType,
-      description,
-      coords: [lat, lng],
-      selectionBounds,
-      status: 'OPEN',
-      priority,
-      evidenceUrls,
-      resolutionNote: null,
+      const now = new Date().toISOString();
+      const block = await insertChainBlock(client, 'LAND_CLAIM_WITHDRAWN', {
+        claimId,
+        userId: req.auth.sub,
+        pid: current.pid,
+        previousStatus: current.status,
+        version: Number(current.version || 1),
+        snapshotVersion: LEDGER_SNAPSHOT_VERSION,
+        snapshotHash: sha256Hex(claimRowToSnapshot({ ...current, status: 'WITHDRAWN' })),
+      });
+      const updated = await client.query(
+        `
+          UPDATE land_claims
+          SET status = 'WITHDRAWN', updated_at = $1, ledger_block_index = $2, ledger_block_hash = $3
+          WHERE id = $4
+          RETURNING *
+        `,
+        [now, block.index, block.hash, claimId]
+      );
+      await insertClaimEvent(client, {
+        claimId,
+        actorUserId: req.auth.sub,
+        eventType: 'WITHDRAWN',
+        fromStatus: current.status,
+        toStatus: 'WITHDRAWN',
+        createdAt: now,
+        block,
+      });
+
+      return {
+        item: toLandClaimRecord(updated.rows[0]),
+        ledgerBlock: {
+          index: block.index,
+          hash: block.hash,
+          eventType: block.eventType,
+          timestamp: block.timestamp,
+        },
+      };
     });
-    const snapshotHash = disputeSnapshotHash(disputeSnapshot);
 
+    if (!payload) {
+      res.status(404).json({ message: 'Claim not found.' });
+      return;
+    }
+    res.json(payload);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message || 'Failed to withdraw land claim.' });
+  }
+});
+
+const CO_OWNER_RESPONSE_EVENTS = {
+  ACCEPT: { consent: 'ACCEPTED', eventType: 'CO_OWNER_ACCEPTED' },
+  DECLINE: { consent: 'DECLINED', eventType: 'CO_OWNER_DECLINED' },
+};
+
+const toCoOwnerInvitationRecord = (row, userId) => {
+  const ownerShares = Array.isArray(row.owner_shares) ? row.owner_shares : [];
+  const own = ownerShares.find((item) => item.userId === userId);
+  return {
+    id: row.id,
+    pid: row.pid,
+    status: row.status,
+    areaSqM: Number(row.area_sq_m || 0),
+    claimant: { id: row.user_id, name: row.user_name || 'Unknown claimant' },
+    share: own?.share || null,
+    consent: own?.consent || null,
+    ownerShares: ownerShares.map((item) => ({ name: item.name, share: item.share, consent: item.consent || null })),
+    createdAt: toIso(row.created_at),
+    ledgerBlock: { index: row.ledger_block_index, hash: row.ledger_block_hash },
+  };
+};
+
+app.get('/api/land/claims/co-owner-invitations', authMiddleware, async (req, res) => {
+  try {
+    if (isEmployeeAuth(req.auth)) {
+      res.json({ items: [] });
+      return;
+    }
+    const result = await query(
+      `
+        SELECT lc.*, claimant.name AS user_name
+        FROM land_claims lc
+        LEFT JOIN users claimant ON claimant.id = lc.user_id
+        WHERE lc.owner_shares @> $1::jsonb
+          AND lc.user_id <> $2
+        ORDER BY lc.created_at DESC
+        LIMIT 100
+      `,
+      [JSON.stringify([{ userId: req.auth.sub }]), req.auth.sub]
+    );
+    res.json({ items: result.rows.map((row) => toCoOwnerInvitationRecord(row, req.auth.sub)) });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to load co-owner invitations.', error: error.message });
+  }
+});
+
+app.post('/api/land/claims/:id/co-owner-response', authMiddleware, async (req, res) => {
+  try {
+    const action = normalizeToken(req.body?.action);
+    const response = CO_OWNER_RESPONSE_EVENTS[action];
+    if (!response) {
+      res.status(400).json({ message: 'action must be ACCEPT or DECLINE.' });
+      return;
+    }
+    if (isEmployeeAuth(req.auth)) {
+      res.status(403).json({ message: 'Only an invited co-owner can respond.' });
+      return;
+    }
+
+    const claimId = String(req.params.id || '').trim();
     const payload = await withTransaction(async (client) => {
-      const id = crypto.randomUUID();
-      const now = new Date().toISOString();
-      const status = 'OPEN';
+      const currentResult = await client.query('SELECT * FROM land_claims WHERE id = $1 LIMIT 1 FOR UPDATE', [claimId]);
+      const current = currentResult.rows[0];
+      const ownerShares = Array.isArray(current?.owner_shares) ? current.owner_shares : [];
+      const own = ownerShares.find((item) => item.userId === req.auth.sub && item.consent);
+      if (!current || !own) return null;
+      if (!CLAIM_QUEUE_STATUSES.includes(current.status)) {
+        throw httpError(409, 'Only claims that are still under review can be accepted or declined.');
+      }
+      if (own.consent !== 'PENDING') {
+        throw httpError(409, `You already ${own.consent.toLowerCase()} this claim.`);
+      }
 
-      const block = await insertChainBlock(client, 'LAND_DISPUTE_CREATED', {
+      const now = new Date().toISOString();
+      const nextOwnerShares = ownerShares.map((item) =>
+        item.userId === req.auth.sub ? { ...item, consent: response.consent } : item
+      );
+      const block = await insertChainBlock(client, `LAND_CLAIM_${response.eventType}`, {
+        claimId,
         userId: req.auth.sub,
-        actorRole: normalizeRole(req.auth.role),
-        disputeId: id,
-        parcelRef,
-        disputeType,
-        priority,
-        hasSelectionBounds: Boolean(selectionBounds),
-        snapshotHash,
-        status,
+        claimantUserId: current.user_id,
+        pid: current.pid,
+        share: own.share,
+        snapshotVersion: LEDGER_SNAPSHOT_VERSION,
+        snapshotHash: sha256Hex(claimRowToSnapshot({ ...current, owner_shares: nextOwnerShares })),
       });
-
-      const disputeResult = await client.query(
+      const updated = await client.query(
         `
-          INSERT INTO land_disputes (
-            id, user_id, parcel_ref, dispute_type, description, latitude, longitude, selection_bounds,
-            status, priority, evidence_urls, resolution_note,
-            created_at, updated_at, resolved_at,
-            ledger_block_index, ledger_block_hash
-          )
-          VALUES (
-            $1, $2, $3, $4, $5, $6, $7, $8::jsonb,
-            $9, $10, $11::jsonb, $12,
-            $13, $14, $15,
-            $16, $17
-          )
+          UPDATE land_claims
+          SET owner_shares = $1::jsonb, updated_at = $2, ledger_block_index = $3, ledger_block_hash = $4
+          WHERE id = $5
           RETURNING *
         `,
-        [
-          id,
-          req.auth.sub,
-          parcelRef,
-          disputeType,
-          description,
-          lat,
-          lng,
-          selectionBounds ? JSON.stringify(selectionBounds) : null,
-          status,
-          priority,
-          JSON.stringify(evidenceUrls),
-          null,
-          now,
-          now,
-          null,
-          block.index,
-          block.hash,
-        ]
-      );
-
-      await client.query(
-        `
-          INSERT INTO dispute_events (
-            id, dispute_id, actor_user_id, event_type, from_status, to_status, note,
-            created_at, ledger_block_index, ledger_block_hash
-          )
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-        `,
-        [
-          crypto.randomUUID(),
-          id,
-          req.auth.sub,
-          'CREATED',
-          null,
-          status,
-          description.slice(0, 300),
-          now,
-          block.index,
-          block.hash,
-        ]
+        [JSON.stringify(nextOwnerShares), now, block.index, block.hash, claimId]
       );
+      await insertClaimEvent(client, {
+        claimId,
+        actorUserId: req.auth.sub,
+        eventType: response.eventType,
+        fromStatus: current.status,
+        toStatus: current.status,
+        createdAt: now,
+        block,
+      });
 
+      const claimantResult = await client.query('SELECT name FROM users WHERE id = $1 LIMIT 1', [current.user_id]);
       return {
-        item: toDisputeRecord(disputeResult.rows[0]),
+        item: toCoOwnerInvitationRecord({ ...updated.rows[0], user_name: claimantResult.rows[0]?.name }, req.auth.sub),
         ledgerBlock: {
           index: block.index,
           hash: block.hash,
           eventType: block.eventType,
           timestamp: block.timestamp,
         },
-        snapshotHash,
       };
     });
 
-    res.status(201).json(payload);
+    if (!payload) {
+      res.status(404).json({ message: 'Claim not found.' });
+      return;
+    }
+    res.json(payload);
   } catch (error) {
-    res.status(500).json({ message: 'Failed to create land dispute.', error: error.message });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to record co-owner response.' });
   }
 });
 
-app.patch('/api/disputes/:id/status', authMiddleware, async (req, res) => {
+app.get('/api/land/claims/:id/versions', authMiddleware, async (req, res) => {
   try {
-    const disputeId = String(req.params.id || '').trim();
-    const nextStatus = normalizeToken(req.body?.status);
-    const note = String(req.body?.note || '').trim();
-    const includeAll = isEmployeeAuth(req.auth);
+    const claimId = String(req.params.id || '').trim();
+    const claimResult = isEmployeeAuth(req.auth)
+      ? await query('SELECT * FROM land_claims WHERE id = $1 LIMIT 1', [claimId])
+      : await query('SELECT * FROM land_claims WHERE id = $1 AND user_id = $2 LIMIT 1', [claimId, req.auth.sub]);
+    const claim = claimResult.rows[0];
+    if (!claim) {
+      res.status(404).json({ message: 'Claim not found.' });
+      return;
+    }
 
-    if (!disputeId) {
-      res.status(400).json({ message: 'Dispute id is required.' });
+    const versionResult = await query(
+      `
+        SELECT lcv.*, u.name AS created_by_name
+        FROM land_claim_versions lcv
+        LEFT JOIN users u ON u.id = lcv.created_by
+        WHERE lcv.claim_id = $1
+        ORDER BY lcv.version ASC
+      `,
+      [claimId]
+    );
+    const rows = versionResult.rows;
+    const blockIndexes = [...new Set(rows.map((row) => Number(row.ledger_block_index)))];
+    const blockResult = blockIndexes.length
+      ? await query(
+          `SELECT * FROM chain_blocks WHERE block_index IN (${blockIndexes.map((_, index) => `$${index + 1}`).join(', ')})`,
+          blockIndexes
+        )
+      : { rows: [] };
+    const blocksByIndex = new Map(blockResult.rows.map((row) => [Number(row.block_index), toChainBlock(row)]));
+
+    const items = rows.map((row, index) =>
+      toLandClaimVersionRecord(row, rows[index - 1] || null, blocksByIndex.get(Number(row.ledger_block_index)))
+    );
+    res.json({
+      claimId,
+      currentVersion: Number(claim.version || 1),
+      items: items.reverse(),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to load claim versions.', error: error.message });
+  }
+});
+
+app.post('/api/land/claims/:id/info-response', authMiddleware, async (req, res) => {
+  try {
+    if (isEmployeeAuth(req.auth)) {
+      res.status(403).json({ message: 'Only the claimant can respond to an information request.' });
       return;
     }
-    if (!DISPUTE_STATUSES.has(nextStatus)) {
-      res.status(400).json({ message: `Invalid status. Allowed: ${Array.from(DISPUTE_STATUSES).join(', ')}` });
+
+    const claimId = String(req.params.id || '').trim();
+    const note = String(req.body?.note || '').trim();
+    const evidenceUrls = sanitizeEvidenceUrls(req.body?.evidenceUrls);
+    const documentIds = readClaimDocumentIds(req.body?.documentIds);
+    if (note.length < 5) {
+      res.status(400).json({ message: 'note must answer the reviewer in at least 5 characters.' });
+      return;
+    }
+
+    const existingResult = await query('SELECT * FROM land_claims WHERE id = $1 AND user_id = $2 LIMIT 1', [
+      claimId,
+      req.auth.sub,
+    ]);
+    const existing = existingResult.rows[0];
+    if (!existing) {
+      res.status(404).json({ message: 'Claim not found.' });
       return;
     }
+    // Claims submitted while this one waited were not able to flag it, so overlaps are rechecked on return.
+    const overlapFlags = await detectClaimOverlaps({
+      polygon: existing.polygon,
+      pid: existing.pid,
+      requesterUserId: req.auth.sub,
+    });
+    const nextStatus = overlapFlags.some(isBlockingOverlapFlag) ? 'FLAGGED' : 'PENDING';
 
     const payload = await withTransaction(async (client) => {
-      const currentResult = includeAll
-        ? await client.query(
-            'SELECT * FROM land_disputes WHERE id = $1 LIMIT 1 FOR UPDATE',
-            [disputeId]
-          )
-        : await client.query(
-            'SELECT * FROM land_disputes WHERE id = $1 AND user_id = $2 LIMIT 1 FOR UPDATE',
-            [disputeId, req.auth.sub]
-          );
+      const currentResult = await client.query(
+        'SELECT * FROM land_claims WHERE id = $1 AND user_id = $2 LIMIT 1 FOR UPDATE',
+        [claimId, req.auth.sub]
+      );
       const current = currentResult.rows[0];
       if (!current) return null;
-      if (current.status === nextStatus) {
-        return { unchanged: true, current: toDisputeRecord(current) };
+      if (current.status !== 'NEEDS_INFO') {
+        throw httpError(409, 'Claim is not waiting for information.');
+      }
+      const currentDocuments = Array.isArray(current.documents) ? current.documents : [];
+      if (currentDocuments.length + documentIds.length > CLAIM_DOCUMENT_MAX_COUNT) {
+        throw httpError(400, `A claim can carry at most ${CLAIM_DOCUMENT_MAX_COUNT} documents.`);
       }
+      const documents = await lockUnattachedClaimDocuments(client, { userId: req.auth.sub, documentIds });
+      const nextDocuments = [...currentDocuments, ...documents];
 
       const now = new Date().toISOString();
-      const resolvedAt = nextStatus === 'RESOLVED' ? now : null;
-      const resolutionNote = nextStatus === 'RESOLVED' ? (note || current.resolution_note || null) : null;
-      const nextSnapshot = buildDisputeSnapshot({
-        parcelRef: current.parcel_ref,
-        disputeType: current.dispute_type,
-        description: current.description,
-        coords: [current.latitude, current.longitude],
-        selectionBounds: current.selection_bounds,
-        status: nextStatus,
-        priority: current.priority,
-        evidenceUrls: current.evidence_urls,
-        resolutionNote,
-      });
-      const snapshotHash = disputeSnapshotHash(nextSnapshot);
-
-      const block = await insertChainBlock(client, 'LAND_DISPUTE_STATUS_UPDATED', {
+      const block = await insertChainBlock(client, 'LAND_CLAIM_INFO_PROVIDED', {
+        claimId,
         userId: req.auth.sub,
-        actorRole: normalizeRole(req.auth.role),
-        disputeOwnerId: current.user_id || null,
-        disputeId,
+        pid: current.pid,
         fromStatus: current.status,
         toStatus: nextStatus,
-        snapshotHash,
-        note: note || null,
+        note,
+        overlapCount: overlapFlags.length,
+        evidenceHash: evidenceUrls.length ? sha256Hex(evidenceUrls) : null,
+        ...(documents.length ? { addedDocuments: toLedgerClaimDocuments(documents) } : {}),
+        snapshotVersion: LEDGER_SNAPSHOT_VERSION,
+        snapshotHash: sha256Hex(
+          claimRowToSnapshot({ ...current, status: nextStatus, documents: nextDocuments, overlap_flags: overlapFlags })
+        ),
       });
-
-      const updateResult = await client.query(
+      const updated = await client.query(
         `
-          UPDATE land_disputes
-          SET
-            status = $1,
-            resolution_note = $2,
-            updated_at = $3,
-            resolved_at = $4,
-            ledger_block_index = $5,
-            ledger_block_hash = $6
+          UPDATE land_claims
+          SET status = $1, overlap_flags = $2::jsonb, updated_at = $3, ledger_block_index = $4, ledger_block_hash = $5,
+            documents = $6::jsonb
           WHERE id = $7
           RETURNING *
         `,
-        [nextStatus, resolutionNote, now, resolvedAt, block.index, block.hash, disputeId]
-      );
-
-      await client.query(
-        `
-          INSERT INTO dispute_events (
-            id, dispute_id, actor_user_id, event_type, from_status, to_status, note,
-            created_at, ledger_block_index, ledger_block_hash
-          )
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-        `,
-        [
-          crypto.randomUUID(),
-          disputeId,
-          req.auth.sub,
-          'STATUS_UPDATED',
-          current.status,
-          nextStatus,
-          note || null,
-          now,
-          block.index,
-          block.hash,
-        ]
+        [nextStatus, JSON.stringify(overlapFlags), now, block.index, block.hash, JSON.stringify(nextDocuments), claimId]
       );
+      await attachClaimDocuments(client, { claimId, documents, now });
+      await insertClaimEvent(client, {
+        claimId,
+        actorUserId: req.auth.sub,
+        eventType: 'INFO_PROVIDED',
+        fromStatus: current.status,
+        toStatus: nextStatus,
+        note,
+        evidenceUrls,
+        createdAt: now,
+        block,
+      });
 
       return {
-        unchanged: false,
-        item: toDisputeRecord(updateResult.rows[0]),
+        item: toLandClaimRecord(updated.rows[0]),
         ledgerBlock: {
           index: block.index,
           hash: block.hash,
           eventType: block.eventType,
           timestamp: block.timestamp,
         },
-        snapshotHash,
       };
     });
 
     if (!payload) {
-      res.status(404).json({ message: 'Dispute not found.' });
+      res.status(404).json({ message: 'Claim not found.' });
       return;
     }
-    if (payload.unchanged) {
-      res.status(409).json({ message: 'Dispute already in requested status.', item: payload.current });
+    res.json(payload);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message || 'Failed to respond to information request.' });
+  }
+});
+
+app.get('/api/land/claims/:id/events', authMiddleware, async (req, res) => {
+  try {
+    const claimId = String(req.params.id || '').trim();
+    const claimResult = isEmployeeAuth(req.auth)
+      ? await query('SELECT id FROM land_claims WHERE id = $1 LIMIT 1', [claimId])
+      : await query('SELECT id FROM land_claims WHERE id = $1 AND user_id = $2 LIMIT 1', [claimId, req.auth.sub]);
+    if (!claimResult.rows[0]) {
+      res.status(404).json({ message: 'Claim not found.' });
+      return;
+    }
+
+    const result = await query(
+      `
+        SELECT ce.*, u.name AS actor_name, u.role AS actor_role
+        FROM claim_events ce
+        LEFT JOIN users u ON u.id = ce.actor_user_id
+        WHERE ce.claim_id = $1
+        ORDER BY ce.created_at ASC, ce.ledger_block_index ASC
+      `,
+      [claimId]
+    );
+    res.json({ claimId, items: result.rows.map(toClaimEventRecord) });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to load claim events.', error: error.message });
+  }
+});
+
+app.get('/api/land/claims/:id/documents/verify', authMiddleware, async (req, res) => {
+  try {
+    const claimId = String(req.params.id || '').trim();
+    const claimResult = isEmployeeAuth(req.auth)
+      ? await query('SELECT * FROM land_claims WHERE id = $1 LIMIT 1', [claimId])
+      : await query('SELECT * FROM land_claims WHERE id = $1 AND user_id = $2 LIMIT 1', [claimId, req.auth.sub]);
+    const claim = claimResult.rows[0];
+    if (!claim) {
+      res.status(404).json({ message: 'Claim not found.' });
+      return;
+    }
+
+    res.json(await verifyClaimDocuments(claim));
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to verify claim documents.', error: error.message });
+  }
+});
+
+app.get('/api/land/claims/:id/documents/:documentId', authMiddleware, async (req, res) => {
+  try {
+    const claimId = String(req.params.id || '').trim();
+    const claimResult = isEmployeeAuth(req.auth)
+      ? await query('SELECT * FROM land_claims WHERE id = $1 LIMIT 1', [claimId])
+      : await query('SELECT * FROM land_claims WHERE id = $1 AND user_id = $2 LIMIT 1', [claimId, req.auth.sub]);
+    const claim = claimResult.rows[0];
+    if (!claim) {
+      res.status(404).json({ message: 'Claim not found.' });
+      return;
+    }
+
+    const documentResult = await query('SELECT * FROM claim_documents WHERE id = $1 AND claim_id = $2 LIMIT 1', [
+      String(req.params.documentId || '').trim(),
+      claimId,
+    ]);
+    const document = documentResult.rows[0];
+    const blob = document ? await claimDocumentStore.get(document.storage_key) : null;
+    if (!blob) {
+      res.status(404).json({ message: 'Document not found.' });
       return;
     }
 
-    res.json(payload);
+    const recorded = (Array.isArray(claim.documents) ? claim.documents : []).find((item) => item.id === document.id);
+    const contentSha256 = sha256Buffer(blob);
+    res.set({
+      'Content-Type': document.mime_type,
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(document.file_name)}`,
+      'X-Content-SHA256': contentSha256,
+      'X-Content-Verified': String(contentSha256 === recorded?.sha256),
+    });
+    res.send(blob);
   } catch (error) {
-    res.status(500).json({ message: 'Failed to update dispute status.', error: error.message });
+    res.status(500).json({ message: 'Failed to download claim document.', error: error.message });
   }
 });
 
-app.get('/api/disputes/:id/ledger/verify', authMiddleware, async (req, res) => {
-  try {
-    const disputeId = String(req.params.id || '').trim();
-    const includeAll = isEmployeeAuth(req.auth);
-    if (!disputeId) {
-      res.status(400).json({ message: 'Dispute id is required.' });
-      return;
+const readClaimReviewDecision = (input) => {
+  const action = normalizeToken(input?.action);
+  const verifiedPid = String(input?.verifiedPid || '').trim();
+  const reviewNote = String(input?.reviewNote || '').trim();
+  if (!['APPROVE', 'REJECT', 'REQUEST_INFO'].includes(action)) {
+    throw httpError(400, 'action must be APPROVE, REJECT or REQUEST_INFO.');
+  }
+  if (action === 'REQUEST_INFO' && reviewNote.length < 5) {
+    throw httpError(400, 'reviewNote must describe the information requested.');
+  }
+  return { action, verifiedPid, reviewNote };
+};
+
+const applyClaimReview = async (client, { claimId, reviewerUserId, action, verifiedPid, reviewNote }) => {
+  const currentResult = await client.query(
+    'SELECT * FROM land_claims WHERE id = $1 LIMIT 1 FOR UPDATE',
+    [claimId]
+  );
+  const current = currentResult.rows[0];
+  if (!current) return null;
+  if (current.status === 'WITHDRAWN') {
+    throw httpError(409, 'Claim was withdrawn by the claimant.');
+  }
+  if (['APPROVED', 'REJECTED'].includes(current.status)) {
+    return { alreadyFinal: true, item: toLandClaimRecord(current) };
+  }
+  // Automatic assignment skips the employee whose rejection was appealed; this stops them deciding it directly.
+  const appealResult = await client.query(
+    `
+      SELECT original_reviewer_id
+      FROM claim_appeals
+      WHERE claim_id = $1 AND status IN ('OPEN', 'REOPENED')
+      ORDER BY created_at DESC
+      LIMIT 1
+    `,
+    [claimId]
+  );
+  if (appealResult.rows[0]?.original_reviewer_id === reviewerUserId) {
+    throw httpError(403, 'The employee who rejected this claim cannot decide it after it was reopened on appeal.');
+  }
+
+  const now = new Date().toISOString();
+  const normalizedPid = String(current.pid || '').trim();
+
+  if (action === 'REQUEST_INFO') {
+    if (current.status === 'NEEDS_INFO') {
+      throw httpError(409, 'Claim is already waiting for information from the claimant.');
+    }
+    // The claim goes back through full review after the response, so a pending first approval is voided on-chain.
+    const voidedApproval = current.status === 'AWAITING_SECOND_APPROVAL' ? await loadFirstApproval(client, current) : null;
+    const infoBlock = await insertChainBlock(client, 'LAND_CLAIM_INFO_REQUESTED', {
+      claimId,
+      reviewerUserId: reviewerUserId,
+      claimantUserId: current.user_id,
+      pid: normalizedPid,
+      fromStatus: current.status,
+      toStatus: 'NEEDS_INFO',
+      note: reviewNote,
+      ...(voidedApproval ? { voidedFirstApprovalBlockIndex: Number(voidedApproval.ledger_block_index) } : {}),
+      snapshotVersion: LEDGER_SNAPSHOT_VERSION,
+      snapshotHash: sha256Hex(claimRowToSnapshot({ ...current, status: 'NEEDS_INFO' })),
+    });
+    if (voidedApproval) {
+      await client.query(
+        'UPDATE claim_approvals SET voided_at = $1, voided_block_index = $2 WHERE id = $3',
+        [now, infoBlock.index, voidedApproval.id]
+      );
     }
+    const infoResult = await client.query(
+      `
+        UPDATE land_claims
+        SET status = 'NEEDS_INFO', updated_at = $1, ledger_block_index = $2, ledger_block_hash = $3
+        WHERE id = $4
+        RETURNING *
+      `,
+      [now, infoBlock.index, infoBlock.hash, claimId]
+    );
+    await insertClaimEvent(client, {
+      claimId,
+      actorUserId: reviewerUserId,
+      eventType: 'INFO_REQUESTED',
+      fromStatus: current.status,
+      toStatus: 'NEEDS_INFO',
+      note: reviewNote,
+      createdAt: now,
+      block: infoBlock,
+    });
+    return { alreadyFinal: false, item: toLandClaimRecord(infoResult.rows[0]), parcel: null };
+  }
 
-    const disputeResult = includeAll
-      ? await query(
-          'SELECT * FROM land_disputes WHERE id = $1 LIMIT 1',
-          [disputeId]
-        )
-      : await query(
-          'SELECT * FROM land_disputes WHERE id = $1 AND user_id = $2 LIMIT 1',
-          [disputeId, req.auth.sub]
-        );
-    const dispute = disputeResult.rows[0];
-    if (!dispute) {
-      res.status(404).json({ message: 'Dispute not found.' });
-      return;
+  if (current.status === 'NEEDS_INFO') {
+    throw httpError(409, 'Claim is waiting for information from the claimant. Decide it after they respond.');
+  }
+
+  const decisionStatus = action === 'APPROVE' ? 'APPROVED' : 'REJECTED';
+  const finalReviewNote = reviewNote || null;
+  let approvalLevel = 1;
+  let requiredApprovals = 1;
+  let firstApproval = null;
+
+  if (action === 'APPROVE') {
+    if (!verifiedPid) {
+      throw httpError(400, 'verifiedPid is required for approval.');
+    }
+    if (verifiedPid !== normalizedPid) {
+      throw httpError(400, 'PID mismatch. Approval requires exact PID match.');
+    }
+    const awaitingConsent = (Array.isArray(current.owner_shares) ? current.owner_shares : []).filter(
+      (item) => item.consent && item.consent !== 'ACCEPTED'
+    );
+    if (awaitingConsent.length) {
+      throw httpError(
+        409,
+        `Every co-owner must accept the claim before approval. Not accepted: ${awaitingConsent
+          .map((item) => item.name || item.email)
+          .join(', ')}.`
+      );
     }
 
-    const eventResult = await query(
+    const pidConflict = await client.query(
       `
-        SELECT
-          de.id AS event_id,
-          de.event_type AS dispute_event_type,
-          de.from_status,
-          de.to_status,
-          de.note,
-          de.created_at AS event_created_at,
-          cb.block_index,
-          cb.block_timestamp,
-          cb.event_type,
-          cb.payload,
-          cb.previous_hash,
-          cb.nonce,
-          cb.hash
-        FROM dispute_events de
-        JOIN chain_blocks cb
-          ON cb.block_index = de.ledger_block_index
-         AND cb.hash = de.ledger_block_hash
-        WHERE de.dispute_id = $1
-        ORDER BY de.created_at ASC
+        SELECT id, owner_user_id
+        FROM owned_parcels
+        WHERE pid = $1
+          AND status = 'ACTIVE'
+        LIMIT 1
       `,
-      [disputeId]
+      [normalizedPid]
     );
+    if (pidConflict.rows[0]) {
+      throw httpError(409, 'PID already assigned to another active parcel.');
+    }
 
-    const events = eventResult.rows;
-    const blockIntegrityValid = events.every((row) => {
-      const base = {
-        index: row.block_index,
-        timestamp: row.block_timestamp,
-        eventType: row.event_type,
-        payload: row.payload,
-        previousHash: row.previous_hash,
-        nonce: row.nonce,
-      };
-      const expected = hashBlock(base);
-      const legacyExpected = hashBlockLegacy(base);
-      return expected === row.hash || legacyExpected === row.hash;
+    const parcelParams = [];
+    const activeParcels = await client.query(
+      `
+        SELECT id, pid, owner_user_id, polygon
+        FROM owned_parcels
+        WHERE status = 'ACTIVE'
+          AND ${spatialCandidateFilter('PARCEL', 'id', current.polygon, parcelParams)}
+      `,
+      parcelParams
+    );
+    const conflict = activeParcels.rows.find((parcel) => {
+      const overlap = measureCandidateOverlap(current.polygon, parcel.polygon);
+      return overlap && overlap.severity === 'CONFLICT';
     });
+    if (conflict) {
+      throw httpError(409, 'Claim area overlaps an active registered parcel. Resolve dispute before approval.');
+    }
 
-    const currentSnapshotHash = disputeSnapshotHash(disputeRowToSnapshot(dispute));
-    const latestEvent = events[events.length - 1];
-    const latestSnapshotHash = latestEvent?.payload?.snapshotHash || null;
-    const snapshotMatch = Boolean(latestSnapshotHash) && latestSnapshotHash === currentSnapshotHash;
+    if (current.status === 'AWAITING_SECOND_APPROVAL') {
+      firstApproval = await loadFirstApproval(client, current);
+      if (!firstApproval) {
+        throw httpError(409, 'The first approval for this claim could not be found.');
+      }
+      if (firstApproval.approver_user_id === reviewerUserId) {
+        throw httpError(403, 'The second approval must come from a different employee.');
+      }
+      approvalLevel = 2;
+      requiredApprovals = Number(firstApproval.required_approvals);
+    } else {
+      const policy = claimApprovalPolicy(current);
+      requiredApprovals = policy.requiredApprovals;
+      if (requiredApprovals > 1) {
+        const approvalBlock = await insertChainBlock(client, 'LAND_CLAIM_FIRST_APPROVAL', {
+          claimId,
+          reviewerUserId: reviewerUserId,
+          claimantUserId: current.user_id,
+          pid: normalizedPid,
+          approvalLevel,
+          requiredApprovals,
+          reasons: policy.reasons,
+          fromStatus: current.status,
+          toStatus: 'AWAITING_SECOND_APPROVAL',
+          note: finalReviewNote,
+          snapshotVersion: LEDGER_SNAPSHOT_VERSION,
+          snapshotHash: sha256Hex(claimRowToSnapshot({ ...current, status: 'AWAITING_SECOND_APPROVAL' })),
+        });
+        const awaitingResult = await client.query(
+          `
+            UPDATE land_claims
+            SET status = 'AWAITING_SECOND_APPROVAL', updated_at = $1, ledger_block_index = $2, ledger_block_hash = $3
+            WHERE id = $4
+            RETURNING *
+          `,
+          [now, approvalBlock.index, approvalBlock.hash, claimId]
+        );
+        await insertClaimApproval(client, {
+          claimId,
+          approverUserId: reviewerUserId,
+          level: approvalLevel,
+          requiredApprovals,
+          verifiedPid,
+          note: finalReviewNote,
+          createdAt: now,
+          block: approvalBlock,
+        });
+        await insertClaimEvent(client, {
+          claimId,
+          actorUserId: reviewerUserId,
+          eventType: 'FIRST_APPROVAL',
+          fromStatus: current.status,
+          toStatus: 'AWAITING_SECOND_APPROVAL',
+          note: finalReviewNote,
+          createdAt: now,
+          block: approvalBlock,
+        });
+        await autoAssignClaimReviewer(client, {
+          claim: awaitingResult.rows[0],
+          excludeUserIds: [reviewerUserId],
+          now,
+        });
+        return { alreadyFinal: false, item: toLandClaimRecord(awaitingResult.rows[0]), parcel: null };
+      }
+    }
+  }
 
-    const missingSnapshotHashEvents = events.filter(
-      (row) => !row?.payload || !row.payload.snapshotHash
-    ).length;
+  // A rejection ends the claim's review, so a pending first approval is voided as with an information request.
+  const voidedApproval =
+    action === 'REJECT' && current.status === 'AWAITING_SECOND_APPROVAL' ? await loadFirstApproval(client, current) : null;
+  const reviewBlock = await insertChainBlock(client, 'LAND_CLAIM_REVIEWED', {
+    claimId,
+    action,
+    reviewerUserId: reviewerUserId,
+    claimantUserId: current.user_id,
+    pid: normalizedPid,
+    ...(action === 'APPROVE' ? { approvalLevel, requiredApprovals } : {}),
+    ...(firstApproval ? { firstApprovalBlockIndex: Number(firstApproval.ledger_block_index) } : {}),
+    ...(voidedApproval ? { voidedFirstApprovalBlockIndex: Number(voidedApproval.ledger_block_index) } : {}),
+    snapshotVersion: LEDGER_SNAPSHOT_VERSION,
+    snapshotHash: sha256Hex(
+      claimRowToSnapshot({
+        ...current,
+        status: decisionStatus,
+        review_note: finalReviewNote,
+        verified_pid: action === 'APPROVE' ? verifiedPid : null,
+        reviewed_by: reviewerUserId,
+      })
+    ),
+  });
 
-    res.json({
-      disputeId,
-      valid: blockIntegrityValid && snapshotMatch,
-      blockIntegrityValid,
-      snapshotMatch,
-      currentSnapshotHash,
-      latestSnapshotHash,
-      eventCount: events.length,
-      missingSnapshotHashEvents,
-      events: events.map((row) => ({
-        eventId: row.event_id,
-        disputeEventType: row.dispute_event_type,
-        blockIndex: row.block_index,
-        blockHash: row.hash,
-        chainEventType: row.event_type,
-        snapshotHash: row?.payload?.snapshotHash || null,
-        createdAt: toIso(row.event_created_at),
-      })),
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Failed to verify dispute ledger.', error: error.message });
+  const updatedClaimResult = await client.query(
+    `
+      UPDATE land_claims
+      SET
+        status = $1,
+        review_note = $2,
+        verified_pid = $3,
+        reviewed_by = $4,
+        reviewed_at = $5,
+        updated_at = $5,
+        ledger_block_index = $6,
+        ledger_block_hash = $7
+      WHERE id = $8
+      RETURNING *
+    `,
+    [
+      decisionStatus,
+      finalReviewNote,
+      action === 'APPROVE' ? verifiedPid : null,
+      reviewerUserId,
+      now,
+      reviewBlock.index,
+      reviewBlock.hash,
+      claimId,
+    ]
+  );
+  if (voidedApproval) {
+    await client.query('UPDATE claim_approvals SET voided_at = $1, voided_block_index = $2 WHERE id = $3', [
+      now,
+      reviewBlock.index,
+      voidedApproval.id,
+    ]);
   }
-});
+  await insertClaimEvent(client, {
+    claimId,
+    actorUserId: reviewerUserId,
+    eventType: 'REVIEWED',
+    fromStatus: current.status,
+    toStatus: decisionStatus,
+    note: finalReviewNote,
+    createdAt: now,
+    block: reviewBlock,
+  });
 
-app.get('/api/land/boundaries', authMiddleware, async (req, res) => {
-  try {
-    const includeRemoved = isEmployeeAuth(req.auth) && String(req.query?.includeRemoved || '') === 'true';
-    const items = await loadGovBoundaries({ includeRemoved });
-    res.json({
-      scope: isEmployeeAuth(req.auth) ? 'GLOBAL' : 'USER',
-      totalAreaSqM: items
-        .filter((item) => item.status === 'ACTIVE')
-        .reduce((sum, item) => sum + Number(item.areaSqM || 0), 0),
-      items,
+  let parcel = null;
+  if (action === 'APPROVE') {
+    await insertClaimApproval(client, {
+      claimId,
+      approverUserId: reviewerUserId,
+      level: approvalLevel,
+      requiredApprovals,
+      verifiedPid,
+      note: finalReviewNote,
+      createdAt: now,
+      block: reviewBlock,
     });
-  } catch (error) {
-    res.status(500).json({ message: 'Failed to load boundary dataset.', error: error.message });
+    const parcelId = crypto.randomUUID();
+    const holdings = parcelHoldings({ owner_user_id: current.user_id, owner_shares: current.owner_shares });
+    const ownerUserId = primaryHolder(holdings, current.user_id);
+    const ownerShares = holdingsToOwnerShares(holdings);
+    const parcelBlock = await insertChainBlock(client, 'LAND_PARCEL_ASSIGNED', {
+      parcelId,
+      claimId,
+      pid: normalizedPid,
+      ownerUserId,
+      ...(ownerShares.length ? { ownerShares } : {}),
+      reviewerUserId: reviewerUserId,
+      areaSqM: Number(current.area_sq_m || 0),
+      snapshotVersion: LEDGER_SNAPSHOT_VERSION,
+      snapshotHash: sha256Hex(
+        buildParcelSnapshot({
+          ownerUserId,
+          pid: normalizedPid,
+          polygon: current.polygon,
+          areaSqM: current.area_sq_m,
+          assignedClaimId: claimId,
+          status: 'ACTIVE',
+          ownerShares,
+          centroid: [current.centroid_lat, current.centroid_lng],
+        })
+      ),
+    });
+
+    const parcelResult = await client.query(
+      `
+        INSERT INTO owned_parcels (
+          id, owner_user_id, pid, polygon,
+          centroid_lat, centroid_lng, area_sq_m,
+          assigned_claim_id, status,
+          created_at, updated_at,
+          ledger_block_index, ledger_block_hash, owner_shares
+        )
+        VALUES (
+          $1, $2, $3, $4::jsonb,
+          $5, $6, $7,
+          $8, 'ACTIVE',
+          $9, $9,
+          $10, $11, $12::jsonb
+        )
+        RETURNING *
+      `,
+      [
+        parcelId,
+        ownerUserId,
+        normalizedPid,
+        JSON.stringify(current.polygon),
+        Number(current.centroid_lat),
+        Number(current.centroid_lng),
+        Number(current.area_sq_m || 0),
+        claimId,
+        now,
+        parcelBlock.index,
+        parcelBlock.hash,
+        JSON.stringify(ownerShares),
+      ]
+    );
+    await indexPolygonCells(client, 'PARCEL', parcelId, current.polygon);
+    await insertParcelHolders(client, {
+      parcelId,
+      holdings,
+      acquiredVia: 'CLAIM',
+      startedAt: now,
+      block: parcelBlock,
+    });
+    parcel = toOwnedParcelRecord((await attachParcelHolderUsers(parcelResult.rows))[0]);
   }
-});
 
-app.post('/api/land/boundaries', authMiddleware, requireEmployee, async (req, res) => {
-  try {
-    const name = normalizeText(req.body?.name, 120);
-    const location = normalizeText(req.body?.location, 160);
-    const polygon = sanitizePolygon(req.body?.polygon);
-    const status = normalizeToken(req.body?.status || 'ACTIVE');
-    const requestedCode = sanitizeBoundaryCode(req.body?.code);
+  return {
+    alreadyFinal: false,
+    item: toLandClaimRecord(updatedClaimResult.rows[0]),
+    parcel,
+  };
+};
 
-    if (!name || !location) {
-      res.status(400).json({ message: 'name and location are required.' });
-      return;
-    }
-    if (!polygon) {
-      res.status(400).json({ message: 'Valid polygon is required.' });
-      return;
-    }
-    if (!BOUNDARY_STATUSES.has(status) || status === 'REMOVED') {
-      res.status(400).json({ message: 'status must be ACTIVE for new boundaries.' });
+app.patch('/api/land/claims/:id/review', authMiddleware, requireEmployee, async (req, res) => {
+  try {
+    const claimId = String(req.params.id || '').trim();
+    if (!claimId) {
+      res.status(400).json({ message: 'claim id is required.' });
       return;
     }
+    const decision = readClaimReviewDecision(req.body);
 
-    const centroid = polygonCentroid(polygon);
-    if (!centroid) {
-      res.status(400).json({ message: 'Unable to compute boundary centroid.' });
+    const payload = await withTransaction((client) =>
+      applyClaimReview(client, { claimId, reviewerUserId: req.auth.sub, ...decision })
+    );
+    if (!payload) {
+      res.status(404).json({ message: 'Claim not found.' });
       return;
     }
-    const areaSqM = Number(polygonAreaSqM(polygon).toFixed(3));
-
-    const payload = await withTransaction(async (client) => {
-      const now = new Date().toISOString();
-      const id = crypto.randomUUID();
-      const code = requestedCode || `GOV-${Date.now().toString(36).toUpperCase()}`;
-      const block = await insertChainBlock(client, 'GOV_BOUNDARY_CREATED', {
-        boundaryId: id,
-        code,
-        name,
-        location,
-        areaSqM,
-        createdBy: req.auth.sub,
-      });
-
-      const inserted = await client.query(
-        `
-          INSERT INTO gov_boundaries (
-            id, code, name, location, polygon,
-            centroid_lat, centroid_lng, area_sq_m,
-            status, is_preset, created_by,
-            created_at, updated_at,
-            ledger_block_index, ledger_block_hash
-          )
-          VALUES (
-            $1, $2, $3, $4, $5::jsonb,
-            $6, $7, $8,
-            $9, false, $10,
-            $11, $11,
-            $12, $13
-          )
-          RETURNING *
-        `,
-        [
-          id,
-          code,
-          name,
-          location,
-          JSON.stringify(polygon),
-          centroid[0],
-          centroid[1],
-          areaSqM,
-          status,
-          req.auth.sub,
-          now,
-          block.index,
-          block.hash,
-        ]
-      );
-      return toGovBoundaryRecord(inserted.rows[0]);
-    });
-
-    res.status(201).json({ item: payload });
-  } catch (error) {
-    const message = String(error?.message || '');
-    if (message.toLowerCase().includes('duplicate key')) {
-      res.status(409).json({ message: 'Boundary code already exists.' });
+    const { alreadyFinal, ...result } = payload;
+    if (alreadyFinal) {
+      res.status(409).json({ message: 'Claim already reviewed.', item: result.item });
       return;
     }
-    res.status(500).json({ message: 'Failed to create boundary.', error: message });
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message || 'Failed to review land claim.' });
   }
 });
 
-app.patch('/api/land/boundaries/:id', authMiddleware, requireEmployee, async (req, res) => {
+app.post('/api/land/claims/bulk-review', authMiddleware, requireEmployee, async (req, res) => {
   try {
-    const boundaryId = String(req.params.id || '').trim();
-    if (!boundaryId) {
-      res.status(400).json({ message: 'boundary id is required.' });
+    const items = Array.isArray(req.body?.items) ? req.body.items : [];
+    if (!items.length) {
+      res.status(400).json({ message: 'items must list at least one claim decision.' });
+      return;
+    }
+    if (items.length > CLAIM_BULK_REVIEW_MAX) {
+      res.status(400).json({ message: `A bulk review can cover at most ${CLAIM_BULK_REVIEW_MAX} claims.` });
+      return;
+    }
+    const claimIds = items.map((item) => String(item?.claimId || '').trim());
+    if (claimIds.some((claimId) => !claimId) || new Set(claimIds).size !== claimIds.length) {
+      res.status(400).json({ message: 'Every item needs a distinct claimId.' });
       return;
     }
 
-    const payload = await withTransaction(async (client) => {
-      const currentResult = await client.query(
-        'SELECT * FROM gov_boundaries WHERE id = $1 LIMIT 1 FOR UPDATE',
-        [boundaryId]
-      );
-      const current = currentResult.rows[0];
-      if (!current) return null;
-
-      const nextName = req.body?.name === undefined ? current.name : normalizeText(req.body?.name, 120);
-      const nextLocation =
-        req.body?.location === undefined ? current.location : normalizeText(req.body?.location, 160);
-      const nextStatus =
-        req.body?.status === undefined ? current.status : normalizeToken(req.body?.status);
-      const nextCode = req.body?.code === undefined ? current.code : sanitizeBoundaryCode(req.body?.code);
-      const nextPolygon =
-        req.body?.polygon === undefined
-          ? sanitizePolygon(current.polygon)
-          : sanitizePolygon(req.body?.polygon);
-
-      if (!nextName || !nextLocation || !nextCode) {
-        throw httpError(400, 'name, location, and code must be non-empty.');
-      }
-      if (!nextPolygon) {
-        throw httpError(400, 'Valid polygon is required.');
-      }
-      if (!BOUNDARY_STATUSES.has(nextStatus)) {
-        throw httpError(400, 'status must be ACTIVE or REMOVED.');
+    // Each claim is reviewed in its own transaction so one failure leaves the others applied.
+    const results = [];
+    for (const [index, item] of items.entries()) {
+      const claimId = claimIds[index];
+      try {
+        const decision = readClaimReviewDecision(item);
+        const payload = await withTransaction((client) =>
+          applyClaimReview(client, { claimId, reviewerUserId: req.auth.sub, ...decision })
+        );
+        if (!payload) throw httpError(404, 'Claim not found.');
+        if (payload.alreadyFinal) throw httpError(409, 'Claim already reviewed.');
+        results.push({ claimId, ok: true, status: 200, item: payload.item, parcel: payload.parcel || null });
+      } catch (error) {
+        results.push({
+          claimId,
+          ok: false,
+          status: error.status || 500,
+          message: error.message || 'Failed to review land claim.',
+        });
       }
+    }
 
-      const centroid = polygonCentroid(nextPolygon);
-      if (!centroid) throw httpError(400, 'Unable to compute centroid.');
-      const areaSqM = Number(polygonAreaSqM(nextPolygon).toFixed(3));
-      const now = new Date().toISOString();
-
-      const block = await insertChainBlock(client, 'GOV_BOUNDARY_UPDATED', {
-        boundaryId,
-        code: nextCode,
-        previousStatus: current.status,
-        status: nextStatus,
-        updatedBy: req.auth.sub,
-      });
+    const succeeded = results.filter((result) => result.ok).length;
+    res.json({ succeeded, failed: results.length - succeeded, results });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to bulk review land claims.', error: error.message });
+  }
+});
 
-      const updated = await client.query(
-        `
-          UPDATE gov_boundaries
-          SET
-            code = $1,
-            name = $2,
-            location = $3,
-            polygon = $4::jsonb,
-            centroid_lat = $5,
-            centroid_lng = $6,
-            area_sq_m = $7,
-            status = $8,
-            updated_at = $9,
-            ledger_block_index = $10,
-            ledger_block_hash = $11
-          WHERE id = $12
-          RETURNING *
-        `,
-        [
-          nextCode,
-          nextName,
-          nextLocation,
-          JSON.stringify(nextPolygon),
-          centroid[0],
-          centroid[1],
-          areaSqM,
-          nextStatus,
-          now,
-          block.index,
-          block.hash,
-          boundaryId,
-        ]
-      );
-      return toGovBoundaryRecord(updated.rows[0]);
+app.get('/api/land/reviewers', authMiddleware, requireEmployee, async (_req, res) => {
+  try {
+    const reviewers = await loadReviewerWorkloads({ query });
+    res.json({
+      items: reviewers.map((reviewer) => ({
+        id: reviewer.id,
+        name: reviewer.name,
+        supervisor: reviewer.supervisor,
+        openClaims: reviewer.openClaims,
+      })),
     });
-
-    if (!payload) {
-      res.status(404).json({ message: 'Boundary not found.' });
-      return;
-    }
-    res.json({ item: payload });
   } catch (error) {
-    res.status(error.status || 500).json({ message: error.message || 'Failed to update boundary.' });
+    res.status(500).json({ message: 'Failed to load reviewers.', error: error.message });
   }
 });
 
-app.delete('/api/land/boundaries/:id', authMiddleware, requireEmployee, async (req, res) => {
+app.put('/api/land/claims/:id/assignment', authMiddleware, requireEmployee, async (req, res) => {
   try {
-    const boundaryId = String(req.params.id || '').trim();
-    if (!boundaryId) {
-      res.status(400).json({ message: 'boundary id is required.' });
+    const claimId = String(req.params.id || '').trim();
+    const assigneeUserId = String(req.body?.assigneeUserId || req.auth.sub).trim();
+
+    const assigneeResult = await query('SELECT id, role FROM users WHERE id = $1 LIMIT 1', [assigneeUserId]);
+    const assignee = assigneeResult.rows[0];
+    if (!assignee || normalizeRole(assignee.role) !== 'EMPLOYEE') {
+      res.status(400).json({ message: 'assigneeUserId must be a government employee.' });
       return;
     }
 
     const payload = await withTransaction(async (client) => {
-      const currentResult = await client.query(
-        'SELECT * FROM gov_boundaries WHERE id = $1 LIMIT 1 FOR UPDATE',
-        [boundaryId]
-      );
-      const current = currentResult.rows[0];
-      if (!current) return null;
+      const claimResult = await client.query('SELECT * FROM land_claims WHERE id = $1 LIMIT 1 FOR UPDATE', [claimId]);
+      const claim = claimResult.rows[0];
+      if (!claim) return null;
+      if (!CLAIM_QUEUE_STATUSES.includes(claim.status)) {
+        throw httpError(409, 'Only claims in the review queue can be assigned.');
+      }
+      if (claim.status === 'AWAITING_SECOND_APPROVAL') {
+        const firstApproval = await loadFirstApproval(client, claim);
+        if (firstApproval?.approver_user_id === assigneeUserId) {
+          throw httpError(409, 'The first approver cannot be assigned the second approval.');
+        }
+      }
 
-      const now = new Date().toISOString();
-      const block = await insertChainBlock(client, 'GOV_BOUNDARY_REMOVED', {
-        boundaryId,
-        code: current.code,
-        removedBy: req.auth.sub,
+      const assignment = await assignClaimReviewer(client, {
+        claim,
+        assigneeUserId,
+        assignedBy: req.auth.sub,
+        method: 'MANUAL',
+        now: new Date().toISOString(),
       });
-
-      const updated = await client.query(
-        `
-          UPDATE gov_boundaries
-          SET
-            status = 'REMOVED',
-            updated_at = $1,
-            ledger_block_index = $2,
-            ledger_block_hash = $3
-          WHERE id = $4
-          RETURNING *
-        `,
-        [now, block.index, block.hash, boundaryId]
-      );
-      return toGovBoundaryRecord(updated.rows[0]);
+      return {
+        assignment: {
+          id: assignment.id,
+          claimId,
+          assigneeUserId: assignment.assignee_user_id,
+          method: assignment.method,
+          assignedAt: toIso(assignment.created_at),
+        },
+        dueAt: toIso(claimDueAt(claim)),
+        ledgerBlock: {
+          index: assignment.ledger_block_index,
+          hash: assignment.ledger_block_hash,
+        },
+      };
     });
 
     if (!payload) {
-      res.status(404).json({ message: 'Boundary not found.' });
+      res.status(404).json({ message: 'Claim not found.' });
       return;
     }
-    res.json({ item: payload });
+    res.json(payload);
   } catch (error) {
-    res.status(500).json({ message: 'Failed to remove boundary.', error: error.message });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to assign claim.' });
   }
 });
 
-app.get('/api/land/parcels', authMiddleware, async (req, res) => {
+app.post('/api/land/assignments/auto', authMiddleware, requireEmployee, async (_req, res) => {
   try {
-    const scope = String(req.query?.scope || '').trim().toLowerCase();
-    const includeAll = isEmployeeAuth(req.auth) && scope !== 'mine';
-    const items = await loadParcels({ includeAll, userId: req.auth.sub });
-    res.json({
-      scope: includeAll ? 'GLOBAL' : 'USER',
-      totalAreaSqM: items.reduce((sum, item) => sum + Number(item.areaSqM || 0), 0),
-      items,
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Failed to load parcel registry.', error: error.message });
-  }
-});
+    const unassignedResult = await query(
+      `
+        SELECT lc.id
+        FROM land_claims lc
+        LEFT JOIN claim_assignments ca ON ca.claim_id = lc.id AND ca.released_at IS NULL
+        WHERE ca.id IS NULL
+          AND lc.status IN (${CLAIM_QUEUE_STATUS_SQL})
+        ORDER BY lc.created_at ASC
+      `
+    );
 
-app.get('/api/land/claims', authMiddleware, async (req, res) => {
-  try {
-    const scope = String(req.query?.scope || '').trim().toLowerCase();
-    const includeAll = isEmployeeAuth(req.auth) && scope !== 'mine';
-    const statusParam = String(req.query?.status || '').trim();
-    const statuses = statusParam ? statusParam.split(',').map((item) => item.trim()) : [];
-    const items = await loadClaims({ includeAll, userId: req.auth.sub, statuses });
-    res.json({
-      scope: includeAll ? 'GLOBAL' : 'USER',
-      flaggedCount: items.filter((item) => item.status === 'FLAGGED').length,
-      items,
-    });
+    const assigned = [];
+    for (const row of unassignedResult.rows) {
+      const assignment = await withTransaction(async (client) => {
+        const claimResult = await client.query('SELECT * FROM land_claims WHERE id = $1 LIMIT 1 FOR UPDATE', [row.id]);
+        const claim = claimResult.rows[0];
+        if (!claim || !CLAIM_QUEUE_STATUSES.includes(claim.status)) return null;
+        const existing = await client.query(
+          'SELECT id FROM claim_assignments WHERE claim_id = $1 AND released_at IS NULL LIMIT 1',
+          [claim.id]
+        );
+        if (existing.rows[0]) return null;
+
+        const firstApproval = claim.status === 'AWAITING_SECOND_APPROVAL' ? await loadFirstApproval(client, claim) : null;
+        const excludeUserIds = firstApproval ? [firstApproval.approver_user_id] : [];
+        return autoAssignClaimReviewer(client, { claim, excludeUserIds, now: new Date().toISOString() });
+      });
+      if (assignment) {
+        assigned.push({ claimId: row.id, assigneeUserId: assignment.assignee_user_id });
+      }
+    }
+
+    res.json({ assignedCount: assigned.length, items: assigned });
   } catch (error) {
-    res.status(500).json({ message: 'Failed to load land claims.', error: error.message });
+    res.status(500).json({ message: 'Failed to auto-assign claims.', error: error.message });
   }
 });
 
-app.post('/api/land/claims', authMiddleware, async (req, res) => {
+app.post('/api/land/claims/:id/appeals', authMiddleware, async (req, res) => {
   try {
     if (isEmployeeAuth(req.auth)) {
-      res.status(403).json({ message: 'Government employees cannot submit citizen land claims.' });
-      return;
-    }
-
-    const pid = String(req.body?.pid || '').trim();
-    const claimNote = String(req.body?.claimNote || '').trim();
-    const polygon = sanitizePolygon(req.body?.polygon);
-
-    if (!pid || pid.length < 3) {
-      res.status(400).json({ message: 'Valid PID is required.' });
-      return;
-    }
-    if (!claimNote || claimNote.length < 12) {
-      res.status(400).json({ message: 'claimNote must be at least 12 characters.' });
-      return;
-    }
-    if (!polygon) {
-      res.status(400).json({ message: 'polygon is required with at least 3 valid coordinate pairs.' });
+      res.status(403).json({ message: 'Only the claimant can appeal a rejected claim.' });
       return;
     }
 
-    const areaSqM = Number(polygonAreaSqM(polygon).toFixed(3));
-    if (!Number.isFinite(areaSqM) || areaSqM < 20) {
-      res.status(400).json({ message: 'Polygon area is too small. Select a valid land parcel.' });
-      return;
-    }
-    const centroid = polygonCentroid(polygon);
-    if (!centroid) {
-      res.status(400).json({ message: 'Unable to compute polygon centroid.' });
+    const claimId = String(req.params.id || '').trim();
+    const grounds = String(req.body?.grounds || '').trim();
+    if (grounds.length < 20) {
+      res.status(400).json({ message: 'grounds must explain the appeal in at least 20 characters.' });
       return;
     }
 
-    const overlapFlags = await detectClaimOverlaps({
-      polygon,
-      pid,
-      requesterUserId: req.auth.sub,
-    });
-    const status = overlapFlags.length ? 'FLAGGED' : 'PENDING';
-
     const payload = await withTransaction(async (client) => {
-      const claimId = crypto.randomUUID();
-      const now = new Date().toISOString();
-
-      const block = await insertChainBlock(client, 'LAND_CLAIM_SUBMITTED', {
-        claimId,
-        userId: req.auth.sub,
-        pid,
-        status,
-        areaSqM,
-        overlapCount: overlapFlags.length,
-      });
-
-      const insertResult = await client.query(
-        `
-          INSERT INTO land_claims (
-            id, user_id, pid, claim_note, polygon,
-            centroid_lat, centroid_lng, area_sq_m,
-            status, overlap_flags, review_note, verified_pid, reviewed_by,
-            created_at, updated_at, reviewed_at,
-            ledger_block_index, ledger_block_hash
-          )
-          VALUES (
-            $1, $2, $3, $4, $5::jsonb,
-            $6, $7, $8,
-            $9, $10::jsonb, NULL, NULL, NULL,
-            $11, $11, NULL,
-            $12, $13
-          )
-          RETURNING *
-        `,
-        [
-          claimId,
-          req.auth.sub,
-          pid,
-          claimNote,
-          JSON.stringify(polygon),
-          centroid[0],
-          centroid[1],
-          areaSqM,
-          status,
-          JSON.stringify(overlapFlags),
-          now,
-          block.index,
-          block.hash,
-        ]
+      const currentResult = await client.query(
+        'SELECT * FROM land_claims WHERE id = $1 AND user_id = $2 LIMIT 1 FOR UPDATE',
+        [claimId, req.auth.sub]
       );
+      const current = currentResult.rows[0];
+      if (!current) return null;
+      if (current.status !== 'REJECTED') {
+        throw httpError(409, 'Only rejected claims can be appealed.');
+      }
+      const deadline = claimAppealDeadline(current);
+      if (!deadline || Date.now() > deadline.getTime()) {
+        throw httpError(409, `The appeal window of ${CLAIM_APPEAL_WINDOW_DAYS} days for this rejection has closed.`);
+      }
 
-      const overlapClaimIds = overlapFlags
-        .filter((item) => item.type === 'PENDING_CLAIM_OVERLAP')
-        .map((item) => item.targetId)
-        .filter(Boolean);
-      if (overlapClaimIds.length) {
-        await client.query(
-          `
-            UPDATE land_claims
-            SET status = 'FLAGGED', updated_at = $1
-            WHERE id = ANY($2::uuid[])
-              AND status = 'PENDING'
-          `,
-          [now, overlapClaimIds]
-        );
+      // The claim row still points at its rejection block, so that block identifies the decision being appealed.
+      const rejectionBlockIndex = Number(current.ledger_block_index);
+      const duplicateResult = await client.query(
+        'SELECT id FROM claim_appeals WHERE claim_id = $1 AND rejection_block_index = $2 LIMIT 1',
+        [claimId, rejectionBlockIndex]
+      );
+      if (duplicateResult.rows[0]) {
+        throw httpError(409, 'This rejection has already been appealed.');
       }
 
+      const appealId = crypto.randomUUID();
+      const now = new Date().toISOString();
+      const block = await insertChainBlock(client, 'CLAIM_APPEAL_FILED', {
+        appealId,
+        claimId,
+        userId: req.auth.sub,
+        reviewerUserId: current.reviewed_by,
+        pid: current.pid,
+        rejectionBlockIndex,
+        rejectionBlockHash: current.ledger_block_hash,
+        note: grounds,
+        snapshotHash: sha256Hex(
+          buildClaimAppealSnapshot({
+            claimId,
+            appellantUserId: req.auth.sub,
+            rejectionBlockIndex,
+            originalReviewerId: current.reviewed_by,
+            grounds,
+            status: 'OPEN',
+          })
+        ),
+      });
+      await client.query(
+        `
+          INSERT INTO claim_appeals (
+            id, claim_id, appellant_user_id, rejection_block_index, original_reviewer_id, grounds, status,
+            created_at, updated_at, ledger_block_index, ledger_block_hash
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, 'OPEN', $7, $7, $8, $9)
+        `,
+        [appealId, claimId, req.auth.sub, rejectionBlockIndex, current.reviewed_by, grounds, now, block.index, block.hash]
+      );
+      await insertClaimEvent(client, {
+        claimId,
+        actorUserId: req.auth.sub,
+        eventType: 'APPEAL_FILED',
+        note: grounds,
+        createdAt: now,
+        block,
+      });
+
+      const appealResult = await client.query(`${CLAIM_APPEAL_SELECT} WHERE ca.id = $1`, [appealId]);
       return {
-        item: toLandClaimRecord(insertResult.rows[0]),
+        item: toClaimAppealRecord(appealResult.rows[0]),
         ledgerBlock: {
           index: block.index,
           hash: block.hash,
@@ -2621,185 +8850,303 @@ app.post('/api/land/claims', authMiddleware, async (req, res) => {
       };
     });
 
+    if (!payload) {
+      res.status(404).json({ message: 'Claim not found.' });
+      return;
+    }
     res.status(201).json(payload);
   } catch (error) {
-    res.status(500).json({ message: 'Failed to submit land claim.', error: error.message });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to file appeal.' });
   }
 });
 
-app.patch('/api/land/claims/:id/review', authMiddleware, requireEmployee, async (req, res) => {
+app.get('/api/land/appeals', authMiddleware, async (req, res) => {
   try {
-    const claimId = String(req.params.id || '').trim();
-    const action = normalizeToken(req.body?.action);
-    const verifiedPid = String(req.body?.verifiedPid || '').trim();
-    const reviewNote = String(req.body?.reviewNote || '').trim();
-
-    if (!claimId) {
-      res.status(400).json({ message: 'claim id is required.' });
+    const isEmployee = isEmployeeAuth(req.auth);
+    const status = normalizeToken(req.query?.status);
+    const claimId = String(req.query?.claimId || '').trim();
+    if (status && !CLAIM_APPEAL_STATUSES.has(status)) {
+      res.status(400).json({ message: 'status must be OPEN, UPHELD or REOPENED.' });
       return;
     }
-    if (!['APPROVE', 'REJECT'].includes(action)) {
-      res.status(400).json({ message: 'action must be APPROVE or REJECT.' });
-      return;
+
+    const conditions = [];
+    const params = [];
+    if (!isEmployee) {
+      params.push(req.auth.sub);
+      conditions.push(`ca.appellant_user_id = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`ca.status = $${params.length}`);
+    }
+    if (claimId) {
+      params.push(claimId);
+      conditions.push(`ca.claim_id = $${params.length}`);
     }
 
-    const payload = await withTransaction(async (client) => {
-      const currentResult = await client.query(
-        'SELECT * FROM land_claims WHERE id = $1 LIMIT 1 FOR UPDATE',
-        [claimId]
-      );
-      const current = currentResult.rows[0];
-      if (!current) return null;
-      if (['APPROVED', 'REJECTED'].includes(current.status)) {
-        return { alreadyFinal: true, item: toLandClaimRecord(current) };
-      }
+    const result = await query(
+      `
+        ${CLAIM_APPEAL_SELECT}
+        ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY ca.created_at DESC
+      `,
+      params
+    );
+    res.json({
+      items: result.rows.map((row) => ({
+        ...toClaimAppealRecord(row),
+        canDecide: isEmployee && row.status === 'OPEN' && row.original_reviewer_id !== req.auth.sub,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to load claim appeals.', error: error.message });
+  }
+});
 
-      const now = new Date().toISOString();
-      const normalizedPid = String(current.pid || '').trim();
-      const decisionStatus = action === 'APPROVE' ? 'APPROVED' : 'REJECTED';
-      const finalReviewNote = reviewNote || null;
+app.patch('/api/land/appeals/:id', authMiddleware, requireEmployee, async (req, res) => {
+  try {
+    const appealId = String(req.params.id || '').trim();
+    const decision = normalizeToken(req.body?.decision);
+    const decisionNote = String(req.body?.decisionNote || '').trim();
+    if (!['UPHOLD', 'REOPEN'].includes(decision)) {
+      res.status(400).json({ message: 'decision must be UPHOLD or REOPEN.' });
+      return;
+    }
+    if (decisionNote.length < 5) {
+      res.status(400).json({ message: 'decisionNote must record the reasons for the decision.' });
+      return;
+    }
 
-      if (action === 'APPROVE') {
-        if (!verifiedPid) {
-          throw httpError(400, 'verifiedPid is required for approval.');
-        }
-        if (verifiedPid !== normalizedPid) {
-          throw httpError(400, 'PID mismatch. Approval requires exact PID match.');
-        }
+    const appealResult = await query('SELECT * FROM claim_appeals WHERE id = $1 LIMIT 1', [appealId]);
+    const appeal = appealResult.rows[0];
+    if (!appeal) {
+      res.status(404).json({ message: 'Appeal not found.' });
+      return;
+    }
+    if (appeal.original_reviewer_id === req.auth.sub) {
+      res.status(403).json({ message: 'The employee who rejected the claim cannot hear its appeal.' });
+      return;
+    }
 
-        const pidConflict = await client.query(
-          `
-            SELECT id, owner_user_id
-            FROM owned_parcels
-            WHERE pid = $1
-              AND status = 'ACTIVE'
-            LIMIT 1
-          `,
-          [normalizedPid]
-        );
-        if (pidConflict.rows[0]) {
-          throw httpError(409, 'PID already assigned to another active parcel.');
-        }
+    let overlapFlags = [];
+    let reopenStatus = 'PENDING';
+    if (decision === 'REOPEN') {
+      const claimResult = await query('SELECT * FROM land_claims WHERE id = $1 LIMIT 1', [appeal.claim_id]);
+      const claim = claimResult.rows[0];
+      if (!claim) {
+        res.status(404).json({ message: 'Claim not found.' });
+        return;
+      }
+      // The register may have changed since the rejection, so the reopened claim is checked afresh.
+      overlapFlags = await detectClaimOverlaps({
+        polygon: claim.polygon,
+        pid: claim.pid,
+        requesterUserId: claim.user_id,
+      });
+      reopenStatus = overlapFlags.some(isBlockingOverlapFlag) ? 'FLAGGED' : 'PENDING';
+    }
 
-        const activeParcels = await client.query(
-          `
-            SELECT id, pid, owner_user_id, polygon
-            FROM owned_parcels
-            WHERE status = 'ACTIVE'
-          `
-        );
-        const conflict = activeParcels.rows.find((parcel) =>
-          polygonsOverlap(current.polygon, Array.isArray(parcel.polygon) ? parcel.polygon : [])
-        );
-        if (conflict) {
-          throw httpError(409, 'Claim area overlaps an active registered parcel. Resolve dispute before approval.');
-        }
+    const payload = await withTransaction(async (client) => {
+      const currentAppealResult = await client.query('SELECT * FROM claim_appeals WHERE id = $1 LIMIT 1 FOR UPDATE', [
+        appealId,
+      ]);
+      const currentAppeal = currentAppealResult.rows[0];
+      if (!currentAppeal) return null;
+      if (currentAppeal.status !== 'OPEN') {
+        throw httpError(409, 'Appeal already decided.');
       }
+      const claimResult = await client.query('SELECT * FROM land_claims WHERE id = $1 LIMIT 1 FOR UPDATE', [
+        currentAppeal.claim_id,
+      ]);
+      const claim = claimResult.rows[0];
+      if (!claim || claim.status !== 'REJECTED' || Number(claim.ledger_block_index) !== Number(currentAppeal.rejection_block_index)) {
+        throw httpError(409, 'Claim has changed since the appeal was filed.');
+      }
+      const overlappedClaims = decision === 'REOPEN' ? await lockOverlappedPendingClaims(client, overlapFlags) : [];
 
-      const reviewBlock = await insertChainBlock(client, 'LAND_CLAIM_REVIEWED', {
-        claimId,
-        action,
+      const now = new Date().toISOString();
+      const appealStatus = decision === 'UPHOLD' ? 'UPHELD' : 'REOPENED';
+      const decidedAppeal = {
+        ...currentAppeal,
+        status: appealStatus,
+        heard_by: req.auth.sub,
+        decision_note: decisionNote,
+      };
+      const appealBlock = await insertChainBlock(client, 'CLAIM_APPEAL_DECIDED', {
+        appealId,
+        claimId: claim.id,
+        decision,
         reviewerUserId: req.auth.sub,
-        claimantUserId: current.user_id,
-        pid: normalizedPid,
+        claimantUserId: claim.user_id,
+        pid: claim.pid,
+        rejectionBlockIndex: Number(currentAppeal.rejection_block_index),
+        filedBlockIndex: Number(currentAppeal.ledger_block_index),
+        note: decisionNote,
+        snapshotHash: sha256Hex(claimAppealRowToSnapshot(decidedAppeal)),
       });
-
-      const updatedClaimResult = await client.query(
+      await client.query(
         `
-          UPDATE land_claims
-          SET
-            status = $1,
-            review_note = $2,
-            verified_pid = $3,
-            reviewed_by = $4,
-            reviewed_at = $5,
-            updated_at = $5,
-            ledger_block_index = $6,
-            ledger_block_hash = $7
-          WHERE id = $8
-          RETURNING *
+          UPDATE claim_appeals
+          SET status = $1, heard_by = $2, decision_note = $3, decided_at = $4, updated_at = $4,
+            ledger_block_index = $5, ledger_block_hash = $6
+          WHERE id = $7
         `,
-        [
-          decisionStatus,
-          finalReviewNote,
-          action === 'APPROVE' ? verifiedPid : null,
-          req.auth.sub,
-          now,
-          reviewBlock.index,
-          reviewBlock.hash,
-          claimId,
-        ]
+        [appealStatus, req.auth.sub, decisionNote, now, appealBlock.index, appealBlock.hash, appealId]
       );
 
-      let parcel = null;
-      if (action === 'APPROVE') {
-        const parcelBlock = await insertChainBlock(client, 'LAND_PARCEL_ASSIGNED', {
-          claimId,
-          pid: normalizedPid,
-          ownerUserId: current.user_id,
+      let claimRow = claim;
+      if (decision === 'UPHOLD') {
+        await insertClaimEvent(client, {
+          claimId: claim.id,
+          actorUserId: req.auth.sub,
+          eventType: 'APPEAL_UPHELD',
+          note: decisionNote,
+          createdAt: now,
+          block: appealBlock,
+        });
+      } else {
+        const reopenBlock = await insertChainBlock(client, 'LAND_CLAIM_REOPENED', {
+          claimId: claim.id,
+          appealId,
+          appealBlockIndex: appealBlock.index,
           reviewerUserId: req.auth.sub,
-          areaSqM: Number(current.area_sq_m || 0),
+          claimantUserId: claim.user_id,
+          pid: claim.pid,
+          fromStatus: claim.status,
+          toStatus: reopenStatus,
+          note: decisionNote,
+          overlapCount: overlapFlags.length,
+          snapshotVersion: LEDGER_SNAPSHOT_VERSION,
+          snapshotHash: sha256Hex(
+            claimRowToSnapshot({
+              ...claim,
+              status: reopenStatus,
+              overlap_flags: overlapFlags,
+              review_note: null,
+              verified_pid: null,
+              reviewed_by: null,
+            })
+          ),
         });
-
-        const parcelResult = await client.query(
+        const reopenedResult = await client.query(
           `
-            INSERT INTO owned_parcels (
-              id, owner_user_id, pid, polygon,
-              centroid_lat, centroid_lng, area_sq_m,
-              assigned_claim_id, status,
-              created_at, updated_at,
-              ledger_block_index, ledger_block_hash
-            )
-            VALUES (
-              $1, $2, $3, $4::jsonb,
-              $5, $6, $7,
-              $8, 'ACTIVE',
-              $9, $9,
-              $10, $11
-            )
+            UPDATE land_claims
+            SET
+              status = $1,
+              overlap_flags = $2::jsonb,
+              review_note = NULL,
+              verified_pid = NULL,
+              reviewed_by = NULL,
+              reviewed_at = NULL,
+              updated_at = $3,
+              ledger_block_index = $4,
+              ledger_block_hash = $5
+            WHERE id = $6
             RETURNING *
           `,
-          [
-            crypto.randomUUID(),
-            current.user_id,
-            normalizedPid,
-            JSON.stringify(current.polygon),
-            Number(current.centroid_lat),
-            Number(current.centroid_lng),
-            Number(current.area_sq_m || 0),
-            claimId,
-            now,
-            parcelBlock.index,
-            parcelBlock.hash,
-          ]
+          [reopenStatus, JSON.stringify(overlapFlags), now, reopenBlock.index, reopenBlock.hash, claim.id]
         );
-        parcel = toOwnedParcelRecord(parcelResult.rows[0]);
+        claimRow = reopenedResult.rows[0];
+        await insertClaimEvent(client, {
+          claimId: claim.id,
+          actorUserId: req.auth.sub,
+          eventType: 'APPEAL_REOPENED',
+          fromStatus: claim.status,
+          toStatus: reopenStatus,
+          note: decisionNote,
+          createdAt: now,
+          block: reopenBlock,
+        });
+        await flagOverlappedPendingClaims(client, { claimId: claim.id, overlappedClaims, now });
+        await autoAssignClaimReviewer(client, {
+          claim: claimRow,
+          excludeUserIds: [currentAppeal.original_reviewer_id],
+          now,
+        });
       }
 
+      const decidedResult = await client.query(`${CLAIM_APPEAL_SELECT} WHERE ca.id = $1`, [appealId]);
       return {
-        alreadyFinal: false,
-        item: toLandClaimRecord(updatedClaimResult.rows[0]),
-        parcel,
+        item: toClaimAppealRecord(decidedResult.rows[0]),
+        claim: toLandClaimRecord(claimRow),
+        ledgerBlock: {
+          index: appealBlock.index,
+          hash: appealBlock.hash,
+          eventType: appealBlock.eventType,
+          timestamp: appealBlock.timestamp,
+        },
       };
     });
 
     if (!payload) {
-      res.status(404).json({ message: 'Claim not found.' });
+      res.status(404).json({ message: 'Appeal not found.' });
       return;
     }
-    if (payload.alreadyFinal) {
-      res.status(409).json({ message: 'Claim already reviewed.', item: payload.item });
+    res.json(payload);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message || 'Failed to decide appeal.' });
+  }
+});
+
+app.get('/api/land/appeals/:id/ledger/verify', authMiddleware, async (req, res) => {
+  try {
+    const appealId = String(req.params.id || '').trim();
+    const result = isEmployeeAuth(req.auth)
+      ? await query('SELECT * FROM claim_appeals WHERE id = $1 LIMIT 1', [appealId])
+      : await query('SELECT * FROM claim_appeals WHERE id = $1 AND appellant_user_id = $2 LIMIT 1', [
+          appealId,
+          req.auth.sub,
+        ]);
+    const appeal = result.rows[0];
+    if (!appeal) {
+      res.status(404).json({ message: 'Appeal not found.' });
       return;
     }
-    res.json(payload);
+
+    const verification = await verifyEntityLedger({
+      entityKey: 'appealId',
+      eventPrefix: 'CLAIM_APPEAL_',
+      entityId: appealId,
+      row: appeal,
+      toSnapshot: claimAppealRowToSnapshot,
+      revealCommitments: canRevealLedgerCommitments(req.auth, appeal.appellant_user_id),
+    });
+    res.json({ appealId, ...verification });
   } catch (error) {
-    res.status(error.status || 500).json({ message: error.message || 'Failed to review land claim.' });
+    res.status(500).json({ message: 'Failed to verify appeal ledger.', error: error.message });
+  }
+});
+
+app.get('/api/land/claims/:id/ledger/verify', authMiddleware, async (req, res) => {
+  try {
+    const claimId = String(req.params.id || '').trim();
+    const result = isEmployeeAuth(req.auth)
+      ? await query('SELECT * FROM land_claims WHERE id = $1 LIMIT 1', [claimId])
+      : await query('SELECT * FROM land_claims WHERE id = $1 AND user_id = $2 LIMIT 1', [claimId, req.auth.sub]);
+    const claim = result.rows[0];
+    if (!claim) {
+      res.status(404).json({ message: 'Claim not found.' });
+      return;
+    }
+
+    const verification = await verifyEntityLedger({
+      entityKey: 'claimId',
+      eventPrefix: 'LAND_CLAIM_',
+      entityId: claimId,
+      row: claim,
+      toSnapshot: claimRowToSnapshot,
+      revealCommitments: canRevealLedgerCommitments(req.auth, claim.user_id),
+    });
+    res.json({ claimId, ...verification });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to verify claim ledger.', error: error.message });
   }
 });
 
 app.get('/api/land/summary', authMiddleware, requireEmployee, async (_req, res) => {
   try {
-    const [parcelSummaryResult, claimSummaryResult, boundarySummaryResult, ownershipRows, claimsRows] = await Promise.all([
+    const [parcelSummaryResult, claimSummaryResult, boundarySummaryResult, ownershipRows, claimsRows, queueRows] = await Promise.all([
       query(
         `
           SELECT
@@ -2815,8 +9162,11 @@ app.get('/api/land/summary', authMiddleware, requireEmployee, async (_req, res)
             COUNT(*)::int AS total_claims,
             COUNT(*) FILTER (WHERE status = 'PENDING')::int AS pending_claims,
             COUNT(*) FILTER (WHERE status = 'FLAGGED')::int AS flagged_claims,
+            COUNT(*) FILTER (WHERE status = 'NEEDS_INFO')::int AS needs_info_claims,
+            COUNT(*) FILTER (WHERE status = 'AWAITING_SECOND_APPROVAL')::int AS awaiting_second_approval_claims,
             COUNT(*) FILTER (WHERE status = 'APPROVED')::int AS approved_claims,
-            COUNT(*) FILTER (WHERE status = 'REJECTED')::int AS rejected_claims
+            COUNT(*) FILTER (WHERE status = 'REJECTED')::int AS rejected_claims,
+            COUNT(*) FILTER (WHERE status = 'WITHDRAWN')::int AS withdrawn_claims
           FROM land_claims
         `
       ),
@@ -2829,22 +9179,7 @@ app.get('/api/land/summary', authMiddleware, requireEmployee, async (_req, res)
           FROM gov_boundaries
         `
       ),
-      query(
-        `
-          SELECT
-            op.owner_user_id,
-            u.name AS owner_name,
-            u.email AS owner_email,
-            COUNT(*)::int AS parcel_count,
-            COALESCE(SUM(op.area_sq_m), 0)::double precision AS area_sq_m
-          FROM owned_parcels op
-          JOIN users u ON u.id = op.owner_user_id
-          WHERE op.status = 'ACTIVE'
-          GROUP BY op.owner_user_id, u.name, u.email
-          ORDER BY area_sq_m DESC
-          LIMIT 200
-        `
-      ),
+      query("SELECT id, owner_user_id, owner_shares, area_sq_m FROM owned_parcels WHERE status = 'ACTIVE'"),
       query(
         `
           SELECT
@@ -2858,15 +9193,53 @@ app.get('/api/land/summary', authMiddleware, requireEmployee, async (_req, res)
             lc.updated_at
           FROM land_claims lc
           LEFT JOIN users u ON u.id = lc.user_id
-          WHERE lc.status IN ('PENDING', 'FLAGGED')
+          WHERE lc.status IN ('PENDING', 'FLAGGED', 'AWAITING_SECOND_APPROVAL')
           ORDER BY lc.updated_at DESC
           LIMIT 200
         `
       ),
+      query(
+        `
+          SELECT
+            lc.id,
+            lc.pid,
+            lc.status,
+            lc.updated_at,
+            ca.assignee_user_id,
+            ca.escalated_at,
+            ca.escalated_to,
+            assignee.name AS assignee_name,
+            supervisor.name AS escalated_to_name
+          FROM land_claims lc
+          LEFT JOIN claim_assignments ca ON ca.claim_id = lc.id AND ca.released_at IS NULL
+          LEFT JOIN users assignee ON assignee.id = ca.assignee_user_id
+          LEFT JOIN users supervisor ON supervisor.id = ca.escalated_to
+          WHERE lc.status IN (${CLAIM_QUEUE_STATUS_SQL})
+        `
+      ),
     ]);
 
     const parcelSummary = parcelSummaryResult.rows[0] || {};
     const claimSummary = claimSummaryResult.rows[0] || {};
+    const ownershipByUser = new Map();
+    for (const parcel of ownershipRows.rows) {
+      const holdings = parcelHoldings(parcel);
+      for (const [userId, share] of holdings) {
+        const entry = ownershipByUser.get(userId) || { parcelCount: 0, jointParcelCount: 0, areaSqM: 0 };
+        entry.parcelCount += 1;
+        if (holdings.size > 1) entry.jointParcelCount += 1;
+        entry.areaSqM += (Number(parcel.area_sq_m || 0) * Number(share.numerator)) / Number(share.denominator);
+        ownershipByUser.set(userId, entry);
+      }
+    }
+    const ownerIds = [...ownershipByUser.keys()];
+    const ownerResult = ownerIds.length
+      ? await query(
+          `SELECT id, name, email FROM users WHERE id IN (${ownerIds.map((_, index) => `$${index + 1}`).join(', ')})`,
+          ownerIds
+        )
+      : { rows: [] };
+    const ownersById = new Map(ownerResult.rows.map((row) => [row.id, row]));
     const boundarySummary = boundarySummaryResult.rows[0] || {};
     const pendingClaims = claimsRows.rows.map((row) => ({
       id: row.id,
@@ -2880,6 +9253,18 @@ app.get('/api/land/summary', authMiddleware, requireEmployee, async (_req, res)
       },
       updatedAt: toIso(row.updated_at),
     }));
+    const overdueClaims = queueRows.rows
+      .filter(isClaimOverdue)
+      .map((row) => ({
+        id: row.id,
+        pid: row.pid,
+        status: row.status,
+        dueAt: toIso(claimDueAt(row)),
+        assignee: row.assignee_user_id ? { id: row.assignee_user_id, name: row.assignee_name || 'Unknown reviewer' } : null,
+        escalatedAt: toIso(row.escalated_at),
+        escalatedTo: row.escalated_to ? { id: row.escalated_to, name: row.escalated_to_name || 'Unknown supervisor' } : null,
+      }))
+      .sort((a, b) => String(a.dueAt).localeCompare(String(b.dueAt)));
 
     res.json({
       parcels: {
@@ -2890,24 +9275,40 @@ app.get('/api/land/summary', authMiddleware, requireEmployee, async (_req, res)
         total: Number(claimSummary.total_claims || 0),
         pending: Number(claimSummary.pending_claims || 0),
         flagged: Number(claimSummary.flagged_claims || 0),
+        needsInfo: Number(claimSummary.needs_info_claims || 0),
+        awaitingSecondApproval: Number(claimSummary.awaiting_second_approval_claims || 0),
         approved: Number(claimSummary.approved_claims || 0),
         rejected: Number(claimSummary.rejected_claims || 0),
+        withdrawn: Number(claimSummary.withdrawn_claims || 0),
       },
       boundaries: {
         active: Number(boundarySummary.active_boundaries || 0),
         removed: Number(boundarySummary.removed_boundaries || 0),
         totalActiveAreaSqM: Number(boundarySummary.active_area_sq_m || 0),
       },
-      ownership: ownershipRows.rows.map((row) => ({
-        owner: {
-          id: row.owner_user_id,
-          name: row.owner_name || 'Unknown owner',
-          email: row.owner_email || null,
-        },
-        parcelCount: Number(row.parcel_count || 0),
-        areaSqM: Number(row.area_sq_m || 0),
-      })),
+      // areaSqM is weighted by each owner's share, so co-owned parcels are not counted twice.
+      ownership: [...ownershipByUser]
+        .filter(([userId]) => ownersById.has(userId))
+        .map(([userId, entry]) => ({
+          owner: {
+            id: userId,
+            name: ownersById.get(userId).name || 'Unknown owner',
+            email: ownersById.get(userId).email || null,
+          },
+          parcelCount: entry.parcelCount,
+          jointParcelCount: entry.jointParcelCount,
+          areaSqM: Number(entry.areaSqM.toFixed(3)),
+        }))
+        .sort((a, b) => b.areaSqM - a.areaSqM)
+        .slice(0, 200),
       pendingClaims,
+      sla: {
+        hours: CLAIM_SLA_HOURS,
+        unassigned: queueRows.rows.filter((row) => !row.assignee_user_id).length,
+        overdue: overdueClaims.length,
+        escalated: queueRows.rows.filter((row) => row.escalated_at).length,
+        overdueClaims,
+      },
     });
   } catch (error) {
     res.status(500).json({ message: 'Failed to load land governance summary.', error: error.message });
@@ -3473,21 +9874,269 @@ app.post('/api/settings/password', authMiddleware, async (req, res) => {
   }
 });
 
-app.get('/api/auth/chain/verify', async (_req, res) => {
-  const chain = await getChainBlocks();
-  const integrity = verifyChainIntegrity(chain);
-  const lastBlock = chain[chain.length - 1];
+app.get('/api/auth/chain/verify', async (req, res) => {
+  try {
+    const full = String(req.query?.full || '') === 'true';
+    const [integrity, totalBlocks] = await Promise.all([
+      full ? verifyChainFull() : verifyChainFromCheckpoint(),
+      countChainBlocks(),
+    ]);
 
-  res.json({
-    valid: integrity.valid,
-    reason: integrity.reason,
-    totalBlocks: chain.length,
-    lastHash: lastBlock?.hash || null,
-  });
+    res.json({
+      valid: integrity.valid,
+      reason: integrity.reason,
+      mode: integrity.mode,
+      totalBlocks,
+      verifiedBlocks: integrity.verifiedBlocks,
+      lastHash: integrity.lastHash,
+      checkpoint: integrity.checkpoint,
+      sealedAudit: integrity.sealedAudit || null,
+      acceptLegacyHashes: LEDGER_ACCEPT_LEGACY_HASHES,
+      migratedLegacyBlocks: ledgerMigrationAnchors.size,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to verify chain.', error: error.message });
+  }
+});
+
+app.get('/.well-known/ledger-keys.json', async (_req, res) => {
+  try {
+    ledgerVerificationKeys = await loadLedgerVerificationKeys();
+    res.json({
+      activeKeyId: ledgerSigner?.keyId || null,
+      signedPayload: 'utf8(block.hash)',
+      rotationEndorsement: 'utf8("LEDGER_KEY_ROTATED|" + index + "|" + previousHash + "|" + keyId)',
+      keys: listTrustedLedgerKeys(),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to load ledger signing keys.', error: error.message });
+  }
+});
+
+app.get('/api/ledger/checkpoints', async (req, res) => {
+  try {
+    const limit = clampNumber(Math.floor(Number(req.query?.limit) || 50), 1, 500);
+    const result = await query(
+      'SELECT * FROM chain_checkpoints ORDER BY checkpoint_index DESC LIMIT $1',
+      [limit]
+    );
+    res.json({
+      interval: CHAIN_CHECKPOINT_INTERVAL,
+      items: result.rows.map(toChainCheckpoint),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to load chain checkpoints.', error: error.message });
+  }
+});
+
+app.get('/api/ledger/proof/:hash', async (req, res) => {
+  try {
+    const blockHash = String(req.params.hash || '').trim().toLowerCase();
+    if (!/^[a-f0-9]{64}$/.test(blockHash)) {
+      res.status(400).json({ message: 'hash must be a 64-character hex block hash.' });
+      return;
+    }
+
+    const blockResult = await query(
+      'SELECT block_index, block_timestamp, event_type, hash FROM chain_blocks WHERE hash = $1 LIMIT 1',
+      [blockHash]
+    );
+    const blockRow = blockResult.rows[0];
+    if (!blockRow) {
+      res.status(404).json({ message: 'Block not found on ledger.' });
+      return;
+    }
+
+    const block = {
+      index: blockRow.block_index,
+      hash: blockRow.hash,
+      eventType: blockRow.event_type,
+      timestamp: blockRow.block_timestamp,
+    };
+    const checkpointResult = await query(
+      `
+        SELECT *
+        FROM chain_checkpoints
+        WHERE start_block_index <= $1 AND end_block_index >= $1
+        LIMIT 1
+      `,
+      [block.index]
+    );
+    if (!checkpointResult.rows[0]) {
+      const latest = await getLatestChainCheckpoint();
+      res.json({
+        included: true,
+        checkpointed: false,
+        block,
+        sealsAtBlock: (latest ? latest.endIndex + 1 : 0) + CHAIN_CHECKPOINT_INTERVAL - 1,
+        message: 'Block is recorded but its range has not been sealed into a checkpoint yet.',
+      });
+      return;
+    }
+
+    const checkpoint = toChainCheckpoint(checkpointResult.rows[0]);
+    const leavesResult = await query(
+      'SELECT hash FROM chain_blocks WHERE block_index >= $1 AND block_index <= $2 ORDER BY block_index ASC',
+      [checkpoint.startIndex, checkpoint.endIndex]
+    );
+    const leaves = leavesResult.rows.map((row) => row.hash);
+    const leafPosition = block.index - checkpoint.startIndex;
+    const proof = buildMerkleProof(leaves, leafPosition);
+
+    res.json({
+      included: true,
+      checkpointed: true,
+      block,
+      checkpoint,
+      leafPosition,
+      proof,
+      verified: verifyMerkleProof(block.hash, proof, checkpoint.merkleRoot),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to build inclusion proof.', error: error.message });
+  }
+});
+
+// Receipts are looked up without a login, so personal details, free text and exact
+// locations are withheld. Entity ids, statuses and hashes stay so a holder can match them.
+const RECEIPT_REDACTED_KEYS = new Set([
+  'name',
+  'walletAddress',
+  'employeeId',
+  'phone',
+  'userId',
+  'ownerUserId',
+  'claimantUserId',
+  'reviewerUserId',
+  'assigneeUserId',
+  'assignedByUserId',
+  'supervisorUserId',
+  'sellerUserId',
+  'buyerUserId',
+  'previousOwnerUserId',
+  'ownerShares',
+  'considerationAmount',
+  'holderName',
+  'holderReference',
+  'amount',
+  'disputeOwnerId',
+  'reviewedBy',
+  'createdBy',
+  'updatedBy',
+  'removedBy',
+  'migratedBy',
+  'actorUserId',
+  'note',
+  'claimNote',
+  'reviewNote',
+  'releaseNote',
+  'description',
+  'message',
+  'polygon',
+  'coords',
+  'lat',
+  'lng',
+]);
+
+const maskEmail = (email) => {
+  const [local, domain] = String(email).split('@');
+  return domain ? `${local.slice(0, 1)}***@${domain}` : '[redacted]';
+};
+
+const redactReceiptPayload = (value, path = '', redactedFields = []) => {
+  if (Array.isArray(value)) {
+    return value.map((item, position) => redactReceiptPayload(item, `${path}[${position}]`, redactedFields));
+  }
+  if (!value || typeof value !== 'object') return value;
+
+  const redacted = {};
+  for (const [key, item] of Object.entries(value)) {
+    const fieldPath = path ? `${path}.${key}` : key;
+    if (item === null || item === undefined || isLedgerCommitment(item)) {
+      redacted[key] = item;
+    } else if (key === 'email') {
+      redacted[key] = maskEmail(item);
+      redactedFields.push(fieldPath);
+    } else if (RECEIPT_REDACTED_KEYS.has(key)) {
+      redacted[key] = '[redacted]';
+      redactedFields.push(fieldPath);
+    } else {
+      redacted[key] = redactReceiptPayload(item, fieldPath, redactedFields);
+    }
+  }
+  return redacted;
+};
+
+// Only a known block hash is accepted, the same key `/api/ledger/proof/:hash` takes, so blocks
+// cannot be enumerated by index. Neighbouring hashes are checked but not returned.
+app.get('/api/ledger/receipts/:ref', async (req, res) => {
+  try {
+    const ref = String(req.params.ref || '').trim().toLowerCase();
+    if (!/^[a-f0-9]{64}$/.test(ref)) {
+      res.status(400).json({ message: 'Provide the 64-character block hash from your receipt.' });
+      return;
+    }
+
+    const blockResult = await query('SELECT * FROM chain_blocks WHERE hash = $1 LIMIT 1', [ref]);
+    const blockRow = blockResult.rows[0];
+    if (!blockRow) {
+      res.status(404).json({ message: 'No ledger block matches this receipt.' });
+      return;
+    }
+
+    const block = toChainBlock(blockRow);
+    const neighbourResult = await query(
+      'SELECT block_index, previous_hash, hash FROM chain_blocks WHERE block_index >= $1 AND block_index <= $2',
+      [block.index - 1, block.index + 1]
+    );
+    const previousRow = neighbourResult.rows.find((row) => row.block_index === block.index - 1) || null;
+    const nextRow = neighbourResult.rows.find((row) => row.block_index === block.index + 1) || null;
+    const checkpointResult = await query(
+      'SELECT checkpoint_index FROM chain_checkpoints WHERE start_block_index <= $1 AND end_block_index >= $1 LIMIT 1',
+      [block.index]
+    );
+
+    const signatureIssue = verifyBlockSignature(block, ledgerVerificationKeys);
+    const checks = {
+      hashValid: isBlockHashValid(block, ledgerHashPolicy()),
+      signatureValid: !signatureIssue,
+      signatureIssue,
+      linksToPrevious: block.index === 0 ? null : Boolean(previousRow) && previousRow.hash === block.previousHash,
+      linksToNext: nextRow ? nextRow.previous_hash === block.hash : null,
+    };
+    const redactedFields = [];
+
+    res.json({
+      valid:
+        checks.hashValid &&
+        checks.signatureValid &&
+        checks.linksToPrevious !== false &&
+        checks.linksToNext !== false,
+      block: {
+        index: block.index,
+        hash: block.hash,
+        eventType: block.eventType,
+        timestamp: block.timestamp,
+        keyId: block.keyId,
+        signature: block.signature,
+      },
+      payload: redactReceiptPayload(block.payload, '', redactedFields),
+      redactedFields,
+      checks,
+      isLatest: !nextRow,
+      checkpointed: Boolean(checkpointResult.rows[0]),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to verify ledger receipt.', error: error.message });
+  }
 });
 
 app.use((error, _req, res, _next) => {
-  const status = error.message?.startsWith('CORS blocked') ? 403 : 500;
+  const status = error.message?.startsWith('CORS blocked')
+    ? 403
+    : error.type === 'entity.too.large'
+      ? 413
+      : 500;
   res.status(status).json({ message: error.message || 'Internal server error.' });
 });
 
@@ -3498,9 +10147,17 @@ const startDatabaseWithRetry = async () => {
     try {
       await initDatabase();
       await ensureGenesisBlock();
+      await ensureChainHead();
+      await ensureLedgerSigningKey();
+      await ensureLedgerHashPolicy();
       await ensureGovBoundaryPresets();
+      await ensureSpatialIndex();
+      await ensureChainCheckpoints();
       databaseReady = true;
       console.log(`Database initialization complete (${getPersistenceMode()}).`);
+      startClaimEscalationTimer();
+      startClaimDocumentCleanupTimer();
+      startChainCheckpointAuditTimer();
     } catch (error) {
       databaseReady = false;
       console.error(`Database init failed: ${error.message}`);
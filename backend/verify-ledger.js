@@ -0,0 +1,164 @@
+import fs from 'fs';
+import {
+  LEDGER_EXPORT_FORMAT,
+  buildVerificationKeys,
+  collectChainIssues,
+  collectMigrationAnchors,
+  verifyChainIntegrity,
+} from './ledger.js';
+
+const USAGE =
+  'Usage: node backend/verify-ledger.js <ledger-export.ndjson> [--keys ledger-keys.json] [--strict] [--json]';
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(2);
+};
+
+const readOption = (args, name) => {
+  const position = args.indexOf(name);
+  if (position === -1) return null;
+  const value = args[position + 1];
+  if (!value || value.startsWith('--')) fail(`${name} requires a value.\n${USAGE}`);
+  args.splice(position, 2);
+  return value;
+};
+
+const readJsonFile = (filePath) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return fail(`Unable to read ${filePath}: ${error.message}`);
+  }
+};
+
+const parseExport = (filePath) => {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    return fail(`Unable to read ${filePath}: ${error.message}`);
+  }
+
+  const records = text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line, lineIndex) => {
+      try {
+        return JSON.parse(line);
+      } catch (_error) {
+        return fail(`Line ${lineIndex + 1} is not valid JSON.`);
+      }
+    });
+
+  const [manifest, ...rest] = records;
+  if (manifest?.type !== 'manifest') fail('First line must be the export manifest.');
+  if (manifest.format !== LEDGER_EXPORT_FORMAT) {
+    fail(`Unsupported export format ${manifest.format}; expected ${LEDGER_EXPORT_FORMAT}.`);
+  }
+
+  const chain = rest.map((record, position) => {
+    if (record?.type !== 'block') fail(`Line ${position + 2} is not a block record.`);
+    const { type: _type, ...block } = record;
+    return block;
+  });
+  return { manifest, chain };
+};
+
+const checkManifest = (manifest, chain) => {
+  const issues = [];
+  if (manifest.blockCount !== chain.length) {
+    issues.push(`Manifest blockCount ${manifest.blockCount} but file has ${chain.length} blocks`);
+  }
+  if (manifest.genesisHash !== (chain[0]?.hash || null)) {
+    issues.push('Manifest genesisHash does not match the first block');
+  }
+  if (manifest.lastHash !== (chain[chain.length - 1]?.hash || null)) {
+    issues.push('Manifest lastHash does not match the last block');
+  }
+  return issues;
+};
+
+// The deployment's pinned key file (LEDGER_TRUSTED_KEYS_FILE) or a saved copy of
+// /.well-known/ledger-keys.json should be passed with --keys. Keys carried by the export
+// itself prove nothing about who wrote it, so they are only a fallback.
+const loadSigningKeys = (manifest, keysPath) => {
+  if (!keysPath) return { source: 'manifest', keys: manifest.signingKeys || [] };
+  const published = readJsonFile(keysPath);
+  return { source: keysPath, keys: Array.isArray(published) ? published : published.keys || [] };
+};
+
+const main = () => {
+  const args = process.argv.slice(2);
+  const asJson = args.includes('--json');
+  if (asJson) args.splice(args.indexOf('--json'), 1);
+  const strict = args.includes('--strict');
+  if (strict) args.splice(args.indexOf('--strict'), 1);
+  const keysPath = readOption(args, '--keys') || process.env.LEDGER_TRUSTED_KEYS_FILE || null;
+  if (args.length !== 1) fail(USAGE);
+
+  const { manifest, chain } = parseExport(args[0]);
+  const signingKeys = loadSigningKeys(manifest, keysPath);
+  let keys;
+  try {
+    keys = buildVerificationKeys(signingKeys.keys, chain);
+  } catch (error) {
+    return fail(`Invalid signing key in ${signingKeys.source}: ${error.message}`);
+  }
+
+  // Follow the exporting deployment's legacy-hash policy unless --strict asks for stable hashes only.
+  const hashPolicy = {
+    acceptLegacyHashes: !strict && manifest.acceptLegacyHashes !== false,
+    migrationAnchors: collectMigrationAnchors(chain),
+  };
+  const verdict = verifyChainIntegrity(chain, keys, hashPolicy);
+  const blockIssues = collectChainIssues(chain, keys, hashPolicy);
+  const manifestIssues = checkManifest(manifest, chain);
+  const exportedVerdictMatches =
+    Boolean(manifest.verdict) &&
+    manifest.verdict.valid === verdict.valid &&
+    (manifest.verdict.reason || null) === (verdict.reason || null);
+  const report = {
+    file: args[0],
+    exportedAt: manifest.exportedAt || null,
+    keySource: signingKeys.source,
+    acceptLegacyHashes: hashPolicy.acceptLegacyHashes,
+    migratedLegacyBlocks: hashPolicy.migrationAnchors.size,
+    blockCount: chain.length,
+    lastHash: chain[chain.length - 1]?.hash || null,
+    valid: verdict.valid && manifestIssues.length === 0,
+    verdict,
+    exportedVerdict: manifest.verdict || null,
+    exportedVerdictMatches,
+    manifestIssues,
+    blockIssues,
+  };
+
+  if (asJson) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`Ledger export: ${report.file}`);
+    console.log(`Exported at:   ${report.exportedAt || 'unknown'}`);
+    console.log(`Blocks:        ${report.blockCount}`);
+    console.log(`Last hash:     ${report.lastHash || '-'}`);
+    console.log(`Signing keys:  ${signingKeys.keys.length} (from ${report.keySource})`);
+    if (report.keySource === 'manifest') console.log('               not pinned; pass --keys with the published key file');
+    console.log(
+      `Legacy hashes: ${report.acceptLegacyHashes ? 'accepted' : 'rejected'} (${report.migratedLegacyBlocks} re-anchored)`
+    );
+    console.log(`Chain verdict: ${verdict.valid ? 'VALID' : `INVALID - ${verdict.reason}`}`);
+    if (!exportedVerdictMatches) {
+      console.log(
+        `Server verdict at export was ${manifest.verdict?.valid ? 'VALID' : `INVALID - ${manifest.verdict?.reason}`}`
+      );
+    }
+    for (const issue of manifestIssues) console.log(`  manifest: ${issue}`);
+    for (const issue of blockIssues) console.log(`  block ${issue.blockIndex}: ${issue.reason}`);
+    console.log(report.valid ? 'Result: no tampering detected.' : 'Result: TAMPERING DETECTED.');
+  }
+
+  process.exit(report.valid ? 0 : 1);
+};
+
+main();
@@ -1,6 +1,7 @@
 import React, { useMemo, useState } from 'react';
 import { Icons } from './Icons';
 import { loginUser, saveSession, signupUser } from '../services/authService.js';
+import { RECEIPT_VERIFY_PATH } from './ReceiptVerification.jsx';
 
 const initialSignupState = {
   name: '',
@@ -383,6 +384,14 @@ export const AuthScreen = ({ onAuthenticated }) => {
               )}
             </button>
           </form>
+
+          <a
+            href={RECEIPT_VERIFY_PATH}
+            className="mt-4 inline-flex items-center gap-1.5 text-xs font-semibold text-brand-700 hover:underline"
+          >
+            <Icons.Ledger className="h-3.5 w-3.5" />
+            Verify a ledger receipt without signing in
+          </a>
         </section>
       </div>
     </div>
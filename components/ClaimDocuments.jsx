@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+
+import { Icons } from './Icons.jsx';
+import { downloadClaimDocument, verifyClaimDocuments } from '../services/landClaimService.js';
+
+export const DOCUMENT_KIND_LABELS = {
+  DEED: 'Sale deed',
+  TAX_RECEIPT: 'Tax receipt',
+  SURVEY_SKETCH: 'Survey sketch',
+  OTHER: 'Other',
+};
+
+const formatSize = (bytes) => {
+  const value = Number(bytes || 0);
+  if (value >= 1024 * 1024) return `${(value / (1024 * 1024)).toFixed(1)} MB`;
+  if (value >= 1024) return `${(value / 1024).toFixed(1)} KB`;
+  return `${value} B`;
+};
+
+export const ClaimDocuments = ({ claimId, documents = [], canVerify = false }) => {
+  const [verification, setVerification] = useState(null);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [downloadingId, setDownloadingId] = useState('');
+  const [error, setError] = useState('');
+
+  const handleVerify = async () => {
+    setIsVerifying(true);
+    setError('');
+    try {
+      setVerification(await verifyClaimDocuments({ claimId }));
+    } catch (verifyError) {
+      setError(verifyError instanceof Error ? verifyError.message : 'Failed to verify documents.');
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  const handleDownload = async (document) => {
+    setDownloadingId(document.id);
+    setError('');
+    try {
+      const result = await downloadClaimDocument({ claimId, documentId: document.id });
+      if (!result.verified) {
+        setError(`${document.fileName} no longer matches the hash recorded at submission.`);
+      }
+      const url = URL.createObjectURL(result.blob);
+      const link = window.document.createElement('a');
+      link.href = url;
+      link.download = document.fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (downloadError) {
+      setError(downloadError instanceof Error ? downloadError.message : 'Failed to download document.');
+    } finally {
+      setDownloadingId('');
+    }
+  };
+
+  if (!documents.length) return null;
+
+  const resultsById = new Map((verification?.items || []).map((item) => [item.id, item]));
+
+  return (
+    <div className="mt-3 rounded-lg border border-slate-200 bg-white/80 px-3 py-2 text-xs text-slate-700">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="font-semibold">Supporting documents ({documents.length})</p>
+        {canVerify && (
+          <button
+            type="button"
+            onClick={() => {
+              void handleVerify();
+            }}
+            disabled={isVerifying}
+            className="inline-flex items-center gap-1.5 rounded-lg border border-slate-300 px-2.5 py-1 font-semibold text-slate-700 transition hover:bg-slate-100 disabled:opacity-60"
+          >
+            {isVerifying ? <Icons.Spinner className="h-3.5 w-3.5 animate-spin" /> : <Icons.Verified className="h-3.5 w-3.5" />}
+            Verify Documents
+          </button>
+        )}
+      </div>
+
+      {verification && (
+        <p
+          className={`mt-2 rounded-lg border px-2.5 py-1.5 font-semibold ${
+            verification.verified
+              ? 'border-emerald-200 bg-emerald-50 text-emerald-700'
+              : 'border-rose-200 bg-rose-50 text-rose-700'
+          }`}
+        >
+          {verification.verified
+            ? `All documents match the hashes recorded in block ${[
+                ...new Set(verification.items.map((item) => `#${item.ledgerBlockIndex}`)),
+              ].join(', ')}.`
+            : verification.submissionBlock?.issue
+              ? `Submission block check failed: ${verification.submissionBlock.issue}`
+              : 'Some documents differ from what was submitted.'}
+        </p>
+      )}
+
+      <ul className="mt-2 space-y-1">
+        {documents.map((document) => {
+          const result = resultsById.get(document.id);
+          return (
+            <li key={document.id} className="rounded-lg bg-slate-50 px-2.5 py-1.5">
+              <div className="flex items-center justify-between gap-2">
+                <span className="truncate">
+                  <span className="font-semibold text-slate-800">{DOCUMENT_KIND_LABELS[document.kind] || document.kind}</span>
+                  {' · '}
+                  {document.fileName}
+                  {' · '}
+                  {formatSize(document.sizeBytes)}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => {
+                    void handleDownload(document);
+                  }}
+                  disabled={downloadingId === document.id}
+                  className="inline-flex items-center gap-1 font-semibold text-brand-700 hover:text-brand-800 disabled:opacity-60"
+                >
+                  <Icons.Download className="h-3.5 w-3.5" />
+                  Download
+                </button>
+              </div>
+              <p className="mt-0.5 break-all font-mono text-[11px] text-slate-500">sha256 {document.sha256}</p>
+              {result && !result.verified && (
+                <p className="mt-0.5 text-rose-700">{result.issues.join(' ')}</p>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {error && <p className="mt-2 rounded-lg border border-rose-200 bg-rose-50 px-2.5 py-1.5 text-rose-700">{error}</p>}
+    </div>
+  );
+};
@@ -0,0 +1,231 @@
+import React, { useEffect, useState } from 'react';
+
+import { DOCUMENT_KIND_LABELS } from './ClaimDocuments.jsx';
+import { Icons } from './Icons.jsx';
+import { fetchLandClaimEvents, respondToClaimInfoRequest, uploadClaimDocument } from '../services/landClaimService.js';
+
+const EVENT_LABELS = {
+  SUBMITTED: 'Claim submitted',
+  FLAGGED: 'Flagged by an overlapping claim',
+  AMENDED: 'Claim amended',
+  WITHDRAWN: 'Claim withdrawn',
+  CO_OWNER_ACCEPTED: 'Co-owner accepted',
+  CO_OWNER_DECLINED: 'Co-owner declined',
+  INFO_REQUESTED: 'Reviewer requested information',
+  INFO_PROVIDED: 'Claimant responded',
+  FIRST_APPROVAL: 'First approval recorded',
+  REVIEWED: 'Review decision',
+  APPEAL_FILED: 'Rejection appealed',
+  APPEAL_UPHELD: 'Appeal dismissed, rejection upheld',
+  APPEAL_REOPENED: 'Appeal granted, claim reopened',
+};
+
+const formatDateTime = (value) => {
+  if (!value) return 'NA';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? 'NA' : date.toLocaleString();
+};
+
+const parseEvidenceUrls = (value) =>
+  String(value || '')
+    .split(/\n|,/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+export const ClaimEventThread = ({ claimId, canRespond = false, onResponded }) => {
+  const [events, setEvents] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [note, setNote] = useState('');
+  const [evidence, setEvidence] = useState('');
+  const [documents, setDocuments] = useState([]);
+  const [documentKind, setDocumentKind] = useState('OTHER');
+  const [isUploading, setIsUploading] = useState(false);
+  const [isSending, setIsSending] = useState(false);
+
+  const loadEvents = async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const payload = await fetchLandClaimEvents({ claimId });
+      setEvents(Array.isArray(payload.items) ? payload.items : []);
+    } catch (loadError) {
+      setError(loadError instanceof Error ? loadError.message : 'Failed to load claim events.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    void loadEvents();
+  }, [claimId]);
+
+  const handleDocumentUpload = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setIsUploading(true);
+    setError('');
+    try {
+      const result = await uploadClaimDocument({ file, kind: documentKind });
+      setDocuments((prev) => [...prev, result.item]);
+    } catch (uploadError) {
+      setError(uploadError instanceof Error ? uploadError.message : 'Failed to upload document.');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleRespond = async (event) => {
+    event.preventDefault();
+    if (note.trim().length < 5) {
+      setError('Response must be at least 5 characters.');
+      return;
+    }
+
+    setIsSending(true);
+    setError('');
+    try {
+      const result = await respondToClaimInfoRequest({
+        claimId,
+        note: note.trim(),
+        evidenceUrls: parseEvidenceUrls(evidence),
+        documentIds: documents.map((item) => item.id),
+      });
+      setNote('');
+      setEvidence('');
+      setDocuments([]);
+      await loadEvents();
+      onResponded?.(result);
+    } catch (respondError) {
+      setError(respondError instanceof Error ? respondError.message : 'Failed to send response.');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 space-y-2 rounded-lg border border-slate-200 bg-slate-50/70 p-3 text-xs">
+      {isLoading ? (
+        <p className="flex items-center gap-2 text-slate-500">
+          <Icons.Spinner className="h-3.5 w-3.5 animate-spin" />
+          Loading review thread...
+        </p>
+      ) : (
+        <ol className="space-y-2">
+          {events.map((item) => (
+            <li
+              key={item.id}
+              className={`rounded-lg border px-2.5 py-2 ${
+                item.eventType === 'INFO_REQUESTED'
+                  ? 'border-violet-200 bg-violet-50 text-violet-900'
+                  : item.eventType.startsWith('APPEAL_')
+                    ? 'border-amber-200 bg-amber-50 text-amber-900'
+                    : 'border-slate-200 bg-white text-slate-700'
+              }`}
+            >
+              <p className="font-semibold">
+                {EVENT_LABELS[item.eventType] || item.eventType}
+                {item.toStatus ? ` - ${item.fromStatus ? `${item.fromStatus} to ` : ''}${item.toStatus}` : ''}
+              </p>
+              <p className="text-slate-500">
+                {item.actor ? `${item.actor.name} (${item.actor.role === 'EMPLOYEE' ? 'Reviewer' : 'Claimant'})` : 'System'}
+                {' · '}
+                {formatDateTime(item.createdAt)}
+                {' · '}
+                <span className="font-mono">block #{item.ledgerBlock.index}</span>
+              </p>
+              {item.note && <p className="mt-1 whitespace-pre-wrap">{item.note}</p>}
+              {item.evidenceUrls.length > 0 && (
+                <ul className="mt-1 list-disc pl-4">
+                  {item.evidenceUrls.map((url) => (
+                    <li key={url}>
+                      <a href={url} target="_blank" rel="noreferrer" className="break-all text-brand-700 underline">
+                        {url}
+                      </a>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {error && <p className="rounded-lg border border-rose-200 bg-rose-50 px-2.5 py-1.5 text-rose-700">{error}</p>}
+
+      {canRespond && (
+        <form onSubmit={handleRespond} className="space-y-2 rounded-lg border border-violet-200 bg-white p-2.5">
+          <label className="block font-semibold text-slate-700">Your response</label>
+          <textarea
+            rows={3}
+            value={note}
+            onChange={(event) => setNote(event.target.value)}
+            placeholder="Answer the reviewer's questions."
+            className="w-full rounded-lg border border-slate-300 px-2.5 py-1.5 outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+          />
+          <textarea
+            rows={2}
+            value={evidence}
+            onChange={(event) => setEvidence(event.target.value)}
+            placeholder="Supporting document links (one per line, optional)"
+            className="w-full rounded-lg border border-slate-300 px-2.5 py-1.5 font-mono outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+          />
+          <div className="flex gap-2">
+            <select
+              value={documentKind}
+              onChange={(event) => setDocumentKind(event.target.value)}
+              className="rounded-lg border border-slate-300 px-2 py-1.5 outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+            >
+              {Object.entries(DOCUMENT_KIND_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <label className="inline-flex flex-1 cursor-pointer items-center justify-center gap-2 rounded-lg border border-dashed border-slate-300 px-2.5 py-1.5 font-semibold text-slate-700 transition hover:bg-slate-100">
+              {isUploading ? <Icons.Spinner className="h-3.5 w-3.5 animate-spin" /> : <Icons.Upload className="h-3.5 w-3.5" />}
+              {isUploading ? 'Uploading...' : 'Attach PDF or image'}
+              <input
+                type="file"
+                accept="application/pdf,image/png,image/jpeg,image/webp"
+                onChange={handleDocumentUpload}
+                disabled={isUploading}
+                className="hidden"
+              />
+            </label>
+          </div>
+          {documents.length > 0 && (
+            <ul className="space-y-1 text-slate-600">
+              {documents.map((item) => (
+                <li key={item.id} className="flex items-center justify-between gap-2 rounded-lg bg-slate-50 px-2.5 py-1.5">
+                  <span className="truncate">
+                    <span className="font-semibold text-slate-800">{DOCUMENT_KIND_LABELS[item.kind] || item.kind}</span>
+                    {' · '}
+                    {item.fileName}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => setDocuments((prev) => prev.filter((entry) => entry.id !== item.id))}
+                    className="font-semibold text-rose-600 hover:text-rose-700"
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <button
+            type="submit"
+            disabled={isSending || isUploading}
+            className="inline-flex items-center gap-2 rounded-lg bg-slate-900 px-3 py-1.5 font-semibold text-white transition hover:bg-slate-800 disabled:opacity-60"
+          >
+            {isSending && <Icons.Spinner className="h-3.5 w-3.5 animate-spin" />}
+            {isSending ? 'Sending...' : 'Send Response'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,179 @@
+import React, { useEffect, useRef, useState } from 'react';
+import L from 'leaflet';
+
+import { Icons } from './Icons.jsx';
+import { fetchLandClaimVersions } from '../services/landClaimService.js';
+
+const formatDateTime = (value) => {
+  if (!value) return 'NA';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? 'NA' : date.toLocaleString();
+};
+
+const formatSignedArea = (value) => {
+  const area = Number(value || 0);
+  return `${area > 0 ? '+' : ''}${area.toFixed(2)} sq.m`;
+};
+
+const ledgerMatchLabel = (value) => {
+  if (value === true) return 'Ledger match';
+  if (value === false) return 'Ledger mismatch';
+  return 'Not hashed';
+};
+
+export const ClaimVersionHistory = ({ claimId }) => {
+  const [versions, setVersions] = useState([]);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const mapContainerRef = useRef(null);
+  const mapRef = useRef(null);
+  const layerRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+    fetchLandClaimVersions({ claimId })
+      .then((payload) => {
+        if (cancelled) return;
+        const items = Array.isArray(payload.items) ? payload.items : [];
+        setVersions(items);
+        setSelectedVersion(items[0]?.version ?? null);
+      })
+      .catch((loadError) => {
+        if (!cancelled) setError(loadError instanceof Error ? loadError.message : 'Failed to load versions.');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [claimId]);
+
+  const selected = versions.find((item) => item.version === selectedVersion) || null;
+
+  useEffect(() => {
+    if (!selected || !mapContainerRef.current) return;
+    if (!mapRef.current) {
+      mapRef.current = L.map(mapContainerRef.current, { zoomControl: false, attributionControl: false });
+      L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', { maxZoom: 19 }).addTo(mapRef.current);
+      layerRef.current = L.layerGroup().addTo(mapRef.current);
+    }
+
+    layerRef.current.clearLayers();
+    const bounds = [];
+    const previousPolygon = selected.diff?.previousPolygon;
+    if (Array.isArray(previousPolygon) && previousPolygon.length >= 3) {
+      L.polygon(previousPolygon, {
+        color: '#64748b',
+        weight: 2,
+        dashArray: '6 4',
+        fillColor: '#94a3b8',
+        fillOpacity: 0.15,
+      })
+        .bindTooltip(`Version ${selected.diff.fromVersion}`)
+        .addTo(layerRef.current);
+      bounds.push(...previousPolygon);
+    }
+    if (selected.polygon.length >= 3) {
+      L.polygon(selected.polygon, {
+        color: '#0f7db6',
+        weight: 2,
+        fillColor: '#38bdf8',
+        fillOpacity: 0.25,
+      })
+        .bindTooltip(`Version ${selected.version}`)
+        .addTo(layerRef.current);
+      bounds.push(...selected.polygon);
+    }
+    if (bounds.length) {
+      mapRef.current.fitBounds(bounds, { padding: [12, 12], maxZoom: 18 });
+    }
+    setTimeout(() => mapRef.current?.invalidateSize(), 50);
+  }, [selected]);
+
+  useEffect(
+    () => () => {
+      mapRef.current?.remove();
+      mapRef.current = null;
+      layerRef.current = null;
+    },
+    []
+  );
+
+  if (isLoading) {
+    return (
+      <p className="mt-3 flex items-center gap-2 text-xs text-slate-500">
+        <Icons.Spinner className="h-3.5 w-3.5 animate-spin" />
+        Loading version history...
+      </p>
+    );
+  }
+  if (error) {
+    return <p className="mt-3 rounded-lg border border-rose-200 bg-rose-50 px-3 py-2 text-xs text-rose-700">{error}</p>;
+  }
+  if (!versions.length) {
+    return <p className="mt-3 text-xs text-slate-500">No recorded versions for this claim.</p>;
+  }
+
+  return (
+    <div className="mt-3 grid grid-cols-1 gap-3 rounded-lg border border-slate-200 bg-slate-50/70 p-3 lg:grid-cols-[220px_1fr]">
+      <div className="space-y-1.5">
+        {versions.map((item) => (
+          <button
+            key={item.version}
+            type="button"
+            onClick={() => setSelectedVersion(item.version)}
+            className={`w-full rounded-lg border px-2.5 py-1.5 text-left text-xs transition ${
+              item.version === selectedVersion
+                ? 'border-blue-300 bg-blue-50 text-blue-800'
+                : 'border-slate-200 bg-white text-slate-700 hover:bg-slate-100'
+            }`}
+          >
+            <p className="font-semibold">
+              Version {item.version}
+              {' '}
+              <span className="font-normal text-slate-500">({item.status})</span>
+            </p>
+            <p className="text-slate-500">{formatDateTime(item.createdAt)}</p>
+            <p className={item.ledgerMatch === false ? 'text-rose-600' : 'text-slate-500'}>
+              {ledgerMatchLabel(item.ledgerMatch)} #{item.ledgerBlock.index}
+            </p>
+          </button>
+        ))}
+      </div>
+
+      {selected && (
+        <div className="space-y-2 text-xs text-slate-600">
+          <div ref={mapContainerRef} className="h-56 w-full overflow-hidden rounded-lg border border-slate-200" />
+          <p>
+            <span className="font-semibold text-slate-800">Note:</span> {selected.claimNote}
+          </p>
+          <p>Area: {selected.areaSqM.toFixed(2)} sq.m</p>
+          {selected.diff ? (
+            <div className="rounded-lg border border-slate-200 bg-white px-2.5 py-2">
+              <p className="font-semibold text-slate-800">
+                Changes from version {selected.diff.fromVersion}
+                {!selected.diff.polygonChanged && !selected.diff.noteChanged ? ': none' : ''}
+              </p>
+              {selected.diff.polygonChanged && (
+                <p className="mt-1">
+                  Area {formatSignedArea(selected.diff.areaDeltaSqM)} (added {selected.diff.addedAreaSqM.toFixed(2)}, removed
+                  {' '}
+                  {selected.diff.removedAreaSqM.toFixed(2)}, unchanged {selected.diff.sharedAreaSqM.toFixed(2)} sq.m)
+                </p>
+              )}
+              {selected.diff.noteChanged && <p className="mt-1">Claim note changed.</p>}
+              <p className="mt-1 text-slate-500">Dashed outline: previous version. Solid outline: this version.</p>
+            </div>
+          ) : (
+            <p className="text-slate-500">Original submission.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
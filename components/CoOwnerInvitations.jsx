@@ -0,0 +1,98 @@
+import React, { useEffect, useState } from 'react';
+
+import { fetchCoOwnerInvitations, respondToCoOwnerInvitation } from '../services/landClaimService.js';
+
+const CONSENT_LABELS = {
+  PENDING: 'Awaiting your answer',
+  ACCEPTED: 'Accepted',
+  DECLINED: 'Declined',
+};
+
+const formatDateTime = (value) => {
+  if (!value) return 'NA';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? 'NA' : date.toLocaleString();
+};
+
+export const CoOwnerInvitations = () => {
+  const [items, setItems] = useState([]);
+  const [error, setError] = useState('');
+  const [busyClaimId, setBusyClaimId] = useState('');
+
+  const loadInvitations = async () => {
+    try {
+      const payload = await fetchCoOwnerInvitations();
+      setItems(Array.isArray(payload.items) ? payload.items : []);
+    } catch (loadError) {
+      setError(loadError instanceof Error ? loadError.message : 'Failed to load co-owner invitations.');
+    }
+  };
+
+  useEffect(() => {
+    void loadInvitations();
+  }, []);
+
+  const handleRespond = async (claimId, action) => {
+    setError('');
+    setBusyClaimId(claimId);
+    try {
+      const payload = await respondToCoOwnerInvitation({ claimId, action });
+      setItems((prev) => prev.map((item) => (item.id === claimId ? payload.item : item)));
+    } catch (respondError) {
+      setError(respondError instanceof Error ? respondError.message : 'Failed to record co-owner response.');
+    } finally {
+      setBusyClaimId('');
+    }
+  };
+
+  if (!items.length && !error) return null;
+
+  return (
+    <section className="panel-surface rounded-2xl p-5">
+      <h3 className="font-display text-lg font-bold text-slate-900">Co-ownership Invitations</h3>
+      <p className="mt-1 text-xs text-slate-500">
+        Claims that list you as a co-owner. A claim cannot be approved until every co-owner accepts.
+      </p>
+
+      {error && <p className="mt-3 rounded-lg border border-rose-200 bg-rose-50 px-3 py-2 text-xs text-rose-700">{error}</p>}
+
+      <ul className="mt-3 space-y-2">
+        {items.map((item) => (
+          <li key={item.id} className="rounded-lg border border-slate-200 bg-white/85 px-3 py-2.5 text-xs text-slate-600">
+            <p className="flex flex-wrap items-center gap-x-2 gap-y-1">
+              <span className="font-semibold text-slate-800">PID {item.pid}</span>
+              <span>claimed by {item.claimant.name}</span>
+              <span>· your share {item.share}</span>
+              <span className="rounded-full border border-slate-200 bg-slate-50 px-1.5 py-px text-[11px] text-slate-500">
+                {CONSENT_LABELS[item.consent] || item.consent}
+              </span>
+            </p>
+            <p className="mt-0.5 text-slate-500">
+              {item.ownerShares.map((owner) => `${owner.name} ${owner.share}`).join(' · ')} · filed {formatDateTime(item.createdAt)} ·
+              claim {item.status}
+            </p>
+            {item.consent === 'PENDING' && (
+              <div className="mt-2 flex gap-2">
+                {['ACCEPT', 'DECLINE'].map((action) => (
+                  <button
+                    key={action}
+                    type="button"
+                    disabled={busyClaimId === item.id}
+                    onClick={() => void handleRespond(item.id, action)}
+                    className={`rounded-lg border px-2.5 py-1 text-xs font-semibold transition disabled:opacity-60 ${
+                      action === 'ACCEPT'
+                        ? 'border-emerald-200 bg-emerald-50 text-emerald-700 hover:bg-emerald-100'
+                        : 'border-rose-200 bg-rose-50 text-rose-700 hover:bg-rose-100'
+                    }`}
+                  >
+                    {action === 'ACCEPT' ? 'Accept' : 'Decline'}
+                  </button>
+                ))}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+};
@@ -161,7 +161,11 @@ export const Dashboard = ({ role = 'USER' }) => {
         fillOpacity: 0.25,
       })
         .bindPopup(
-          `<strong>PID:</strong> ${parcel.pid}<br/><strong>Owner:</strong> ${parcel.owner?.name || 'Unknown'}<br/><strong>Area:</strong> ${formatSqM(parcel.areaSqM)}`
+          `<strong>PID:</strong> ${parcel.pid}<br/><strong>${parcel.owners?.length > 1 ? 'Owners' : 'Owner'}:</strong> ${
+            parcel.owners?.length > 1
+              ? parcel.owners.map((owner) => `${owner.name} (${owner.share})`).join(', ')
+              : parcel.owner?.name || 'Unknown'
+          }<br/><strong>Area:</strong> ${formatSqM(parcel.areaSqM)}`
         )
         .addTo(parcelsLayerRef.current);
       overlays.push(polygon);
@@ -423,7 +427,9 @@ export const Dashboard = ({ role = 'USER' }) => {
                       <p className="font-semibold text-slate-900">{item.owner.name}</p>
                       <p className="text-xs text-slate-500">{item.owner.email || 'no-email'}</p>
                       <p className="mt-1 text-xs text-slate-600">
-                        Parcels: {item.parcelCount} | Area: {formatSqM(item.areaSqM)}
+                        Parcels: {item.parcelCount}
+                        {item.jointParcelCount ? ` (${item.jointParcelCount} joint)` : ''} | Share-weighted area:{' '}
+                        {formatSqM(item.areaSqM)}
                       </p>
                     </div>
                   ))
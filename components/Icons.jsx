@@ -34,7 +34,8 @@ import {
   Eye,
   EyeOff,
   Moon,
-  Sun
+  Sun,
+  Boxes
 } from 'lucide-react';
 
 export const Icons = {
@@ -72,5 +73,6 @@ export const Icons = {
   Eye: Eye,
   EyeOff: EyeOff,
   Moon: Moon,
-  Sun: Sun
+  Sun: Sun,
+  Ledger: Boxes
 };
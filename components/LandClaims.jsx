@@ -5,8 +5,28 @@ import markerIcon from 'leaflet/dist/images/marker-icon.png';
 import markerShadow from 'leaflet/dist/images/marker-shadow.png';
 
 import { Icons } from './Icons.jsx';
-import { fetchLandClaims, reviewLandClaim, submitLandClaim } from '../services/landClaimService.js';
+import {
+  amendLandClaim,
+  assignLandClaim,
+  autoAssignLandClaims,
+  bulkReviewLandClaims,
+  decideClaimAppeal,
+  fetchClaimAppeals,
+  fetchClaimReviewers,
+  fetchLandClaims,
+  fileClaimAppeal,
+  previewLandClaim,
+  reviewLandClaim,
+  submitLandClaim,
+  uploadClaimDocument,
+  withdrawLandClaim,
+} from '../services/landClaimService.js';
 import { searchLocation } from '../services/ndviService.js';
+import { ClaimDocuments, DOCUMENT_KIND_LABELS } from './ClaimDocuments.jsx';
+import { CoOwnerInvitations } from './CoOwnerInvitations.jsx';
+import { ClaimEventThread } from './ClaimEventThread.jsx';
+import { ClaimVersionHistory } from './ClaimVersionHistory.jsx';
+import { buildReceiptVerifyUrl } from './ReceiptVerification.jsx';
 
 if (!L.Icon.Default.prototype._rootLandClaimIconFix) {
   delete L.Icon.Default.prototype._getIconUrl;
@@ -19,6 +39,7 @@ if (!L.Icon.Default.prototype._rootLandClaimIconFix) {
 }
 
 const DEFAULT_MAP_CENTER = [28.6139, 77.209];
+const OVERLAP_PREVIEW_DELAY_MS = 250;
 
 const formatDateTime = (value) => {
   if (!value) return 'NA';
@@ -48,6 +69,45 @@ const polygonAreaSqM = (polygon) => {
   return Math.abs(area2) / 2;
 };
 
+const formatOverlap = (flag) => {
+  const area = Number(flag.overlapAreaSqM || 0);
+  if (area <= 0) return 'shared edge only';
+  const detail = `${area.toFixed(2)} sq.m, ${Number(flag.claimOverlapPercent || 0).toFixed(2)}% of this claim, ${Number(flag.targetOverlapPercent || 0).toFixed(2)}% of the other area`;
+  return flag.severity === 'WARNING' ? `${detail} (within tolerance)` : detail;
+};
+
+const describeOverlapFlag = (flag) => {
+  const kind = flag.type === 'ACTIVE_PARCEL_OVERLAP'
+    ? 'Overlaps registered parcel'
+    : flag.type === 'GOV_BOUNDARY_OVERLAP'
+      ? 'Overlaps government boundary dataset'
+      : 'Overlaps pending claim';
+  return [
+    flag.pid || flag.boundaryCode ? `${kind}: ${flag.pid ? `PID ${flag.pid}` : flag.boundaryCode}` : kind,
+    flag.ownerName ? ` (owner: ${flag.ownerName})` : '',
+    flag.claimantName ? ` (claimant: ${flag.claimantName})` : '',
+    flag.boundaryName ? ` (${flag.boundaryName})` : '',
+    typeof flag.overlapAreaSqM === 'number' ? ` - ${formatOverlap(flag)}` : '',
+  ].join('');
+};
+
+const addOverlapShading = (layerGroup, overlapFlags) => {
+  (Array.isArray(overlapFlags) ? overlapFlags : []).forEach((flag) => {
+    const isWarning = flag.severity === 'WARNING';
+    (Array.isArray(flag.intersection) ? flag.intersection : []).forEach((piece) => {
+      if (!Array.isArray(piece) || piece.length < 3) return;
+      L.polygon(piece, {
+        color: isWarning ? '#d97706' : '#dc2626',
+        weight: 1,
+        fillColor: isWarning ? '#f59e0b' : '#ef4444',
+        fillOpacity: 0.5,
+      })
+        .bindTooltip(`Overlap: ${Number(flag.overlapAreaSqM || 0).toFixed(2)} sq.m`)
+        .addTo(layerGroup);
+    });
+  });
+};
+
 const toStatusTone = (status) => {
   switch (status) {
     case 'APPROVED':
@@ -56,6 +116,12 @@ const toStatusTone = (status) => {
       return 'border-rose-200 bg-rose-50 text-rose-700';
     case 'FLAGGED':
       return 'border-amber-200 bg-amber-50 text-amber-700';
+    case 'WITHDRAWN':
+      return 'border-slate-200 bg-slate-100 text-slate-600';
+    case 'NEEDS_INFO':
+      return 'border-violet-200 bg-violet-50 text-violet-700';
+    case 'AWAITING_SECOND_APPROVAL':
+      return 'border-teal-200 bg-teal-50 text-teal-700';
     default:
       return 'border-sky-200 bg-sky-50 text-sky-700';
   }
@@ -63,9 +129,14 @@ const toStatusTone = (status) => {
 
 const statusLabel = (status) => {
   if (!status) return 'Unknown';
-  return status[0] + status.slice(1).toLowerCase();
+  return (status[0] + status.slice(1).toLowerCase()).replace(/_/g, ' ');
 };
 
+const OPEN_CLAIM_STATUSES = ['PENDING', 'FLAGGED', 'NEEDS_INFO'];
+const REVIEWABLE_CLAIM_STATUSES = [...OPEN_CLAIM_STATUSES, 'AWAITING_SECOND_APPROVAL'];
+// A claim waiting on the claimant's response cannot be approved or rejected.
+const DECIDABLE_CLAIM_STATUSES = REVIEWABLE_CLAIM_STATUSES.filter((status) => status !== 'NEEDS_INFO');
+
 const parseLatLngQuery = (value) => {
   const match = String(value || '').trim().match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
   if (!match) return null;
@@ -82,8 +153,23 @@ export const LandClaims = ({ role = 'USER' }) => {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [receipt, setReceipt] = useState(null);
   const [statusFilter, setStatusFilter] = useState('');
   const [reviewingId, setReviewingId] = useState('');
+  const [withdrawingId, setWithdrawingId] = useState('');
+  const [amendingClaimId, setAmendingClaimId] = useState('');
+  const [historyClaimId, setHistoryClaimId] = useState('');
+  const [threadClaimId, setThreadClaimId] = useState('');
+  const [appeals, setAppeals] = useState([]);
+  const [appealingId, setAppealingId] = useState('');
+  const [decidingAppealId, setDecidingAppealId] = useState('');
+  const [queueScope, setQueueScope] = useState('global');
+  const [reviewers, setReviewers] = useState([]);
+  const [assigningId, setAssigningId] = useState('');
+  const [isAutoAssigning, setIsAutoAssigning] = useState(false);
+  const [selectedClaimIds, setSelectedClaimIds] = useState([]);
+  const [isBulkReviewing, setIsBulkReviewing] = useState(false);
+  const [bulkFailures, setBulkFailures] = useState({});
 
   const [pid, setPid] = useState('');
   const [claimNote, setClaimNote] = useState('');
@@ -93,6 +179,13 @@ export const LandClaims = ({ role = 'USER' }) => {
   const [locationError, setLocationError] = useState('');
   const [isLocating, setIsLocating] = useState(false);
   const [activeClaimId, setActiveClaimId] = useState('');
+  const [overlapPreview, setOverlapPreview] = useState(null);
+  const [overlapPreviewError, setOverlapPreviewError] = useState('');
+  const [isPreviewingOverlap, setIsPreviewingOverlap] = useState(false);
+  const [documents, setDocuments] = useState([]);
+  const [documentKind, setDocumentKind] = useState('DEED');
+  const [isUploadingDocument, setIsUploadingDocument] = useState(false);
+  const [coOwners, setCoOwners] = useState([]);
 
   const mapContainerRef = useRef(null);
   const mapRef = useRef(null);
@@ -100,16 +193,30 @@ export const LandClaims = ({ role = 'USER' }) => {
   const markersLayerRef = useRef(null);
   const vertexMarkersRef = useRef([]);
   const claimPreviewLayerRef = useRef(null);
+  const overlapLayerRef = useRef(null);
+  const overlapTimerRef = useRef(null);
+  const overlapRequestRef = useRef(null);
+  const pidRef = useRef('');
 
   const loadClaims = async () => {
     setIsLoading(true);
     setError('');
     try {
       const payload = await fetchLandClaims({
-        scope: isEmployee ? 'global' : 'mine',
+        scope: isEmployee ? queueScope : 'mine',
         status: statusFilter || undefined,
       });
-      setClaims(Array.isArray(payload.items) ? payload.items : []);
+      const items = Array.isArray(payload.items) ? payload.items : [];
+      setClaims(items);
+      setSelectedClaimIds((prev) =>
+        prev.filter((claimId) => items.some((claim) => claim.id === claimId && DECIDABLE_CLAIM_STATUSES.includes(claim.status)))
+      );
+      const appealPayload = await fetchClaimAppeals();
+      setAppeals(Array.isArray(appealPayload.items) ? appealPayload.items : []);
+      if (isEmployee) {
+        const reviewerPayload = await fetchClaimReviewers();
+        setReviewers(Array.isArray(reviewerPayload.items) ? reviewerPayload.items : []);
+      }
     } catch (loadError) {
       setError(loadError instanceof Error ? loadError.message : 'Failed to load claims.');
     } finally {
@@ -119,7 +226,17 @@ export const LandClaims = ({ role = 'USER' }) => {
 
   useEffect(() => {
     void loadClaims();
-  }, [isEmployee, statusFilter]);
+  }, [isEmployee, statusFilter, queueScope]);
+
+  const latestAppealByClaim = useMemo(() => {
+    const byClaim = new Map();
+    appeals.forEach((appeal) => {
+      if (!byClaim.has(appeal.claimId)) byClaim.set(appeal.claimId, appeal);
+    });
+    return byClaim;
+  }, [appeals]);
+  const openAppealCount = appeals.filter((appeal) => appeal.status === 'OPEN').length;
+  const reviewableClaims = claims.filter((claim) => DECIDABLE_CLAIM_STATUSES.includes(claim.status));
 
   useEffect(() => {
     if (isEmployee || !mapContainerRef.current || mapRef.current) return;
@@ -131,6 +248,7 @@ export const LandClaims = ({ role = 'USER' }) => {
 
     markersLayerRef.current = L.layerGroup().addTo(map);
     claimPreviewLayerRef.current = L.layerGroup().addTo(map);
+    overlapLayerRef.current = L.layerGroup().addTo(map);
 
     const handleClick = (event) => {
       const point = [Number(event.latlng.lat.toFixed(6)), Number(event.latlng.lng.toFixed(6))];
@@ -149,6 +267,7 @@ export const LandClaims = ({ role = 'USER' }) => {
       polygonRef.current = null;
       markersLayerRef.current = null;
       claimPreviewLayerRef.current = null;
+      overlapLayerRef.current = null;
       vertexMarkersRef.current = [];
     };
   }, [isEmployee]);
@@ -168,6 +287,13 @@ export const LandClaims = ({ role = 'USER' }) => {
         .bindTooltip(`${index + 1}`, { direction: 'top', offset: [0, -8] })
         .addTo(markersLayerRef.current);
 
+      marker.on('drag', (event) => {
+        const latlng = event.target.getLatLng();
+        const livePolygon = polygon.map((item, itemIdx) => (itemIdx === index ? [latlng.lat, latlng.lng] : item));
+        polygonRef.current?.setLatLngs(livePolygon);
+        scheduleOverlapPreview(livePolygon);
+      });
+
       marker.on('dragend', (event) => {
         const latlng = event.target.getLatLng();
         const nextPoint = [Number(latlng.lat.toFixed(6)), Number(latlng.lng.toFixed(6))];
@@ -202,6 +328,66 @@ export const LandClaims = ({ role = 'USER' }) => {
 
   const areaSqM = useMemo(() => Number(polygonAreaSqM(polygon).toFixed(2)), [polygon]);
 
+  const clearOverlapPreview = () => {
+    clearTimeout(overlapTimerRef.current);
+    overlapRequestRef.current?.abort();
+    overlapRequestRef.current = null;
+    overlapLayerRef.current?.clearLayers();
+    setOverlapPreview(null);
+    setOverlapPreviewError('');
+    setIsPreviewingOverlap(false);
+  };
+
+  // Debounced dry run against the backend; a newer polygon aborts the request still in flight.
+  const scheduleOverlapPreview = (points) => {
+    clearTimeout(overlapTimerRef.current);
+    overlapTimerRef.current = setTimeout(async () => {
+      overlapRequestRef.current?.abort();
+      const controller = new AbortController();
+      overlapRequestRef.current = controller;
+      setIsPreviewingOverlap(true);
+      try {
+        const result = await previewLandClaim(
+          { pid: pidRef.current.trim(), polygon: points },
+          { signal: controller.signal }
+        );
+        if (controller.signal.aborted) return;
+        setOverlapPreview(result);
+        setOverlapPreviewError('');
+        if (overlapLayerRef.current) {
+          overlapLayerRef.current.clearLayers();
+          addOverlapShading(overlapLayerRef.current, result.overlapFlags);
+        }
+      } catch (previewError) {
+        if (controller.signal.aborted) return;
+        setOverlapPreview(null);
+        overlapLayerRef.current?.clearLayers();
+        setOverlapPreviewError(previewError instanceof Error ? previewError.message : 'Failed to check overlaps.');
+      } finally {
+        if (overlapRequestRef.current === controller) {
+          overlapRequestRef.current = null;
+          setIsPreviewingOverlap(false);
+        }
+      }
+    }, OVERLAP_PREVIEW_DELAY_MS);
+  };
+
+  useEffect(() => {
+    if (isEmployee) return undefined;
+    if (polygon.length < 3) {
+      clearOverlapPreview();
+      return undefined;
+    }
+    scheduleOverlapPreview(polygon);
+    return () => clearTimeout(overlapTimerRef.current);
+  }, [polygon, pid, isEmployee]);
+
+  useEffect(() => {
+    pidRef.current = pid;
+  }, [pid]);
+
+  useEffect(() => () => overlapRequestRef.current?.abort(), []);
+
   const activeClaim = useMemo(
     () => claims.find((claim) => claim.id === activeClaimId) || null,
     [claims, activeClaimId]
@@ -228,6 +414,7 @@ export const LandClaims = ({ role = 'USER' }) => {
     })
       .bindPopup(`<strong>PID:</strong> ${claim.pid}<br/><strong>Area:</strong> ${Number(claim.areaSqM || 0).toFixed(2)} sq.m`)
       .addTo(claimPreviewLayerRef.current);
+    addOverlapShading(claimPreviewLayerRef.current, claim.overlapFlags);
 
     setActiveClaimId(claim.id);
     mapRef.current.fitBounds(previewLayer.getBounds(), { padding: [18, 18], maxZoom: 16 });
@@ -273,6 +460,7 @@ export const LandClaims = ({ role = 'USER' }) => {
     event.preventDefault();
     setError('');
     setSuccess('');
+    setReceipt(null);
 
     if (!pid.trim()) {
       setError('PID is required.');
@@ -289,16 +477,34 @@ export const LandClaims = ({ role = 'USER' }) => {
 
     setIsSubmitting(true);
     try {
-      await submitLandClaim({
-        pid: pid.trim(),
-        claimNote: claimNote.trim(),
-        polygon,
-      });
+      const result = amendingClaimId
+        ? await amendLandClaim({ claimId: amendingClaimId, claimNote: claimNote.trim(), polygon })
+        : await submitLandClaim({
+          pid: pid.trim(),
+          claimNote: claimNote.trim(),
+          polygon,
+          documentIds: documents.map((item) => item.id),
+          coOwners: coOwners
+            .filter((item) => item.email.trim())
+            .map((item) => ({ email: item.email.trim(), share: item.share.trim() })),
+        });
       setPid('');
       setClaimNote('');
       setPolygon([]);
+      if (!amendingClaimId) {
+        setDocuments([]);
+        setCoOwners([]);
+      }
       setLocationQuery('');
-      setSuccess('Land claim query submitted to government review queue.');
+      setAmendingClaimId('');
+      setSuccess(
+        amendingClaimId
+          ? `Claim amended (version ${result?.item?.version ?? 'NA'}) and returned to the review queue.${
+              result?.item?.ownerShares?.some((item) => item.consent) ? ' Co-owners need to accept it again.' : ''
+            }`
+          : 'Land claim query submitted to government review queue.'
+      );
+      setReceipt(result?.ledgerBlock || null);
       await loadClaims();
     } catch (submitError) {
       setError(submitError instanceof Error ? submitError.message : 'Failed to submit claim.');
@@ -307,24 +513,169 @@ export const LandClaims = ({ role = 'USER' }) => {
     }
   };
 
+  const handleDocumentUpload = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setError('');
+    setIsUploadingDocument(true);
+    try {
+      const result = await uploadClaimDocument({ file, kind: documentKind });
+      setDocuments((prev) => [...prev, result.item]);
+    } catch (uploadError) {
+      setError(uploadError instanceof Error ? uploadError.message : 'Failed to upload document.');
+    } finally {
+      setIsUploadingDocument(false);
+    }
+  };
+
+  const startAmendment = (claim) => {
+    setError('');
+    setSuccess('');
+    setReceipt(null);
+    setAmendingClaimId(claim.id);
+    setPid(claim.pid || '');
+    setClaimNote(claim.claimNote || '');
+    setPolygon(Array.isArray(claim.polygon) ? claim.polygon : []);
+    mapContainerRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
+  const cancelAmendment = () => {
+    setAmendingClaimId('');
+    setPid('');
+    setClaimNote('');
+    setPolygon([]);
+  };
+
+  const handleWithdraw = async (claim) => {
+    if (!window.confirm(`Withdraw claim for PID ${claim.pid}? This cannot be undone.`)) return;
+    setError('');
+    setSuccess('');
+    setReceipt(null);
+    setWithdrawingId(claim.id);
+    try {
+      const result = await withdrawLandClaim({ claimId: claim.id });
+      if (amendingClaimId === claim.id) cancelAmendment();
+      setSuccess('Claim withdrawn.');
+      setReceipt(result?.ledgerBlock || null);
+      await loadClaims();
+    } catch (withdrawError) {
+      setError(withdrawError instanceof Error ? withdrawError.message : 'Failed to withdraw claim.');
+    } finally {
+      setWithdrawingId('');
+    }
+  };
+
+  const handleFileAppeal = async (claim) => {
+    const grounds = (window.prompt(`Grounds for appealing the rejection of PID ${claim.pid}:`, '') || '').trim();
+    if (!grounds) return;
+    setError('');
+    setSuccess('');
+    setReceipt(null);
+    setAppealingId(claim.id);
+    try {
+      const result = await fileClaimAppeal({ claimId: claim.id, grounds });
+      setSuccess('Appeal filed. A different reviewer will hear it.');
+      setReceipt(result?.ledgerBlock || null);
+      await loadClaims();
+    } catch (appealError) {
+      setError(appealError instanceof Error ? appealError.message : 'Failed to file appeal.');
+    } finally {
+      setAppealingId('');
+    }
+  };
+
+  const handleDecideAppeal = async (appeal, decision) => {
+    const decisionNote = (
+      window.prompt(decision === 'REOPEN' ? 'Reasons for reopening the claim:' : 'Reasons for upholding the rejection:', '') || ''
+    ).trim();
+    if (!decisionNote) return;
+    setError('');
+    setSuccess('');
+    setReceipt(null);
+    setDecidingAppealId(appeal.id);
+    try {
+      const result = await decideClaimAppeal({ appealId: appeal.id, decision, decisionNote });
+      setSuccess(
+        decision === 'REOPEN'
+          ? `Appeal granted. The claim is back in the queue as ${statusLabel(result?.claim?.status).toLowerCase()}.`
+          : 'Appeal dismissed. The rejection stands.'
+      );
+      setReceipt(result?.ledgerBlock || null);
+      await loadClaims();
+    } catch (decideError) {
+      setError(decideError instanceof Error ? decideError.message : 'Failed to decide appeal.');
+    } finally {
+      setDecidingAppealId('');
+    }
+  };
+
+  const handleAssign = async (claim, assigneeUserId) => {
+    setError('');
+    setSuccess('');
+    setReceipt(null);
+    setAssigningId(claim.id);
+    try {
+      await assignLandClaim({ claimId: claim.id, assigneeUserId });
+      const assignee = reviewers.find((reviewer) => reviewer.id === assigneeUserId);
+      setSuccess(`Claim ${claim.pid} assigned${assignee ? ` to ${assignee.name}` : ' to you'}.`);
+      await loadClaims();
+    } catch (assignError) {
+      setError(assignError instanceof Error ? assignError.message : 'Failed to assign claim.');
+    } finally {
+      setAssigningId('');
+    }
+  };
+
+  const handleAutoAssign = async () => {
+    setError('');
+    setSuccess('');
+    setReceipt(null);
+    setIsAutoAssigning(true);
+    try {
+      const result = await autoAssignLandClaims();
+      setSuccess(
+        result?.assignedCount
+          ? `Assigned ${result.assignedCount} claim${result.assignedCount === 1 ? '' : 's'} by reviewer workload.`
+          : 'Every claim in the queue already has a reviewer.'
+      );
+      await loadClaims();
+    } catch (autoAssignError) {
+      setError(autoAssignError instanceof Error ? autoAssignError.message : 'Failed to auto-assign claims.');
+    } finally {
+      setIsAutoAssigning(false);
+    }
+  };
+
   const handleReview = async (claim, action) => {
     setError('');
     setSuccess('');
+    setReceipt(null);
     const verifiedPid = action === 'APPROVE'
       ? window.prompt(`Type exact PID to approve claim (${claim.pid}):`, claim.pid || '') || ''
       : '';
     if (action === 'APPROVE' && !verifiedPid) return;
-    const reviewNote = window.prompt('Optional review note:', '') || '';
+    const reviewNote = action === 'REQUEST_INFO'
+      ? (window.prompt('What information do you need from the claimant?', '') || '').trim()
+      : window.prompt('Optional review note:', '') || '';
+    if (action === 'REQUEST_INFO' && !reviewNote) return;
 
     setReviewingId(claim.id);
     try {
-      await reviewLandClaim({
+      const result = await reviewLandClaim({
         claimId: claim.id,
         action,
         verifiedPid,
         reviewNote,
       });
-      setSuccess(`Claim ${action === 'APPROVE' ? 'approved' : 'rejected'} successfully.`);
+      if (action === 'REQUEST_INFO') {
+        setSuccess('Information requested. The claim returns to the queue when the claimant responds.');
+      } else if (result?.item?.status === 'AWAITING_SECOND_APPROVAL') {
+        setSuccess('First approval recorded. A different employee must give the second approval before the parcel is registered.');
+      } else {
+        setSuccess(`Claim ${action === 'APPROVE' ? 'approved' : 'rejected'} successfully.`);
+      }
       await loadClaims();
     } catch (reviewError) {
       setError(reviewError instanceof Error ? reviewError.message : 'Failed to review claim.');
@@ -333,6 +684,101 @@ export const LandClaims = ({ role = 'USER' }) => {
     }
   };
 
+  const toggleClaimSelection = (claimId) => {
+    setSelectedClaimIds((prev) => (prev.includes(claimId) ? prev.filter((item) => item !== claimId) : [...prev, claimId]));
+  };
+
+  const handleBulkReview = async (action) => {
+    const selectedClaims = claims.filter((claim) => selectedClaimIds.includes(claim.id));
+    if (!selectedClaims.length) return;
+    setError('');
+    setSuccess('');
+    setReceipt(null);
+
+    let reviewNote = '';
+    if (action === 'APPROVE') {
+      const pids = selectedClaims.map((claim) => claim.pid).join(', ');
+      if (!window.confirm(`Approve ${selectedClaims.length} claims, each against its own PID?\n${pids}`)) return;
+    } else {
+      const note = window.prompt(`Optional review note for rejecting ${selectedClaims.length} claims:`, '');
+      if (note === null) return;
+      reviewNote = note.trim();
+    }
+
+    setIsBulkReviewing(true);
+    try {
+      const result = await bulkReviewLandClaims({
+        items: selectedClaims.map((claim) => ({
+          claimId: claim.id,
+          action,
+          verifiedPid: action === 'APPROVE' ? claim.pid : '',
+          reviewNote,
+        })),
+      });
+      const failures = Object.fromEntries(
+        result.results.filter((item) => !item.ok).map((item) => [item.claimId, item.message])
+      );
+      setBulkFailures(failures);
+      setSelectedClaimIds(Object.keys(failures));
+      setSuccess(`${result.succeeded} of ${result.results.length} claims ${action === 'APPROVE' ? 'approved' : 'rejected'}.`);
+      if (result.failed) {
+        setError(`${result.failed} claim${result.failed === 1 ? '' : 's'} could not be reviewed. Reasons are shown on each claim.`);
+      }
+      await loadClaims();
+    } catch (bulkError) {
+      setError(bulkError instanceof Error ? bulkError.message : 'Failed to review selected claims.');
+    } finally {
+      setIsBulkReviewing(false);
+    }
+  };
+
+  const renderAppealPanel = (appeal) => {
+    if (!appeal) return null;
+    return (
+      <div className="mt-3 rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-xs text-amber-900">
+        <p className="font-semibold">
+          Appeal {appeal.status === 'OPEN' ? 'pending' : appeal.status === 'REOPENED' ? 'granted' : 'dismissed'}
+          {' · '}
+          filed {formatDateTime(appeal.createdAt)}
+        </p>
+        <p className="mt-1 whitespace-pre-wrap">{appeal.grounds}</p>
+        {appeal.decisionNote && (
+          <p className="mt-1">
+            Decision by {appeal.heardBy?.name || 'reviewer'}: {appeal.decisionNote}
+          </p>
+        )}
+        {isEmployee && appeal.status === 'OPEN' && (
+          appeal.canDecide ? (
+            <div className="mt-2 flex flex-wrap gap-2">
+              <button
+                type="button"
+                disabled={decidingAppealId === appeal.id}
+                onClick={() => {
+                  void handleDecideAppeal(appeal, 'REOPEN');
+                }}
+                className="rounded-lg border border-emerald-200 bg-emerald-50 px-3 py-1.5 font-semibold text-emerald-700 transition hover:bg-emerald-100 disabled:opacity-60"
+              >
+                Reopen Claim
+              </button>
+              <button
+                type="button"
+                disabled={decidingAppealId === appeal.id}
+                onClick={() => {
+                  void handleDecideAppeal(appeal, 'UPHOLD');
+                }}
+                className="rounded-lg border border-rose-200 bg-rose-50 px-3 py-1.5 font-semibold text-rose-700 transition hover:bg-rose-100 disabled:opacity-60"
+              >
+                Uphold Rejection
+              </button>
+            </div>
+          ) : (
+            <p className="mt-1 text-amber-700">You rejected this claim, so another reviewer must hear the appeal.</p>
+          )
+        )}
+      </div>
+    );
+  };
+
   return (
     <div className="space-y-6 p-6">
       <section className="panel-surface rounded-2xl p-6 shadow-[0_14px_32px_rgba(15,23,42,0.08)]">
@@ -353,12 +799,35 @@ export const LandClaims = ({ role = 'USER' }) => {
       {(error || success) && (
         <section className={`rounded-xl border px-4 py-3 text-sm ${error ? 'border-rose-200 bg-rose-50 text-rose-700' : 'border-emerald-200 bg-emerald-50 text-emerald-700'}`}>
           {error || success}
+          {!error && receipt?.hash && (
+            <a
+              href={buildReceiptVerifyUrl(receipt.hash)}
+              target="_blank"
+              rel="noreferrer"
+              className="ml-2 font-mono text-xs font-semibold underline"
+            >
+              Verify receipt #{receipt.index}
+            </a>
+          )}
         </section>
       )}
 
       {!isEmployee && (
         <section className="panel-surface rounded-2xl p-5">
-          <h3 className="font-display text-lg font-bold text-slate-900">New Claim Query</h3>
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <h3 className="font-display text-lg font-bold text-slate-900">
+              {amendingClaimId ? `Amend Claim (PID ${pid})` : 'New Claim Query'}
+            </h3>
+            {amendingClaimId && (
+              <button
+                type="button"
+                onClick={cancelAmendment}
+                className="rounded-lg border border-slate-300 px-3 py-1.5 text-xs font-semibold text-slate-700 transition hover:bg-slate-100"
+              >
+                Cancel Amendment
+              </button>
+            )}
+          </div>
           <form className="mt-4 grid grid-cols-1 gap-4 xl:grid-cols-[420px_1fr]" onSubmit={handleSubmit}>
             <div className="space-y-3">
               <div>
@@ -366,8 +835,9 @@ export const LandClaims = ({ role = 'USER' }) => {
                 <input
                   value={pid}
                   onChange={(event) => setPid(event.target.value)}
+                  disabled={Boolean(amendingClaimId)}
                   placeholder="Enter purchase PID"
-                  className="w-full rounded-lg border border-slate-300 px-3 py-2 text-sm outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+                  className="w-full rounded-lg border border-slate-300 px-3 py-2 text-sm outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100 disabled:bg-slate-100 disabled:text-slate-500"
                 />
               </div>
               <div>
@@ -380,11 +850,143 @@ export const LandClaims = ({ role = 'USER' }) => {
                   className="w-full rounded-lg border border-slate-300 px-3 py-2 text-sm outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
                 />
               </div>
+              {!amendingClaimId && (
+                <div>
+                  <label className="mb-1 block text-xs font-semibold uppercase tracking-[0.06em] text-slate-500">
+                    Supporting Documents
+                  </label>
+                  <div className="flex gap-2">
+                    <select
+                      value={documentKind}
+                      onChange={(event) => setDocumentKind(event.target.value)}
+                      className="rounded-lg border border-slate-300 px-2 py-2 text-xs outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+                    >
+                      {Object.entries(DOCUMENT_KIND_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                    <label className="inline-flex flex-1 cursor-pointer items-center justify-center gap-2 rounded-lg border border-dashed border-slate-300 px-3 py-2 text-xs font-semibold text-slate-700 transition hover:bg-slate-100">
+                      {isUploadingDocument ? <Icons.Spinner className="h-3.5 w-3.5 animate-spin" /> : <Icons.Upload className="h-3.5 w-3.5" />}
+                      {isUploadingDocument ? 'Uploading...' : 'Attach PDF or image'}
+                      <input
+                        type="file"
+                        accept="application/pdf,image/png,image/jpeg,image/webp"
+                        onChange={handleDocumentUpload}
+                        disabled={isUploadingDocument}
+                        className="hidden"
+                      />
+                    </label>
+                  </div>
+                  {documents.length > 0 && (
+                    <ul className="mt-2 space-y-1 text-xs text-slate-600">
+                      {documents.map((item) => (
+                        <li key={item.id} className="flex items-center justify-between gap-2 rounded-lg bg-white/80 px-2.5 py-1.5">
+                          <span className="truncate">
+                            <span className="font-semibold text-slate-800">{DOCUMENT_KIND_LABELS[item.kind] || item.kind}</span>
+                            {' · '}
+                            {item.fileName}
+                            {' · '}
+                            <span className="font-mono">{item.sha256.slice(0, 12)}</span>
+                          </span>
+                          <button
+                            type="button"
+                            onClick={() => setDocuments((prev) => prev.filter((entry) => entry.id !== item.id))}
+                            className="font-semibold text-rose-600 hover:text-rose-700"
+                          >
+                            Remove
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+              {!amendingClaimId && (
+                <div>
+                  <label className="mb-1 block text-xs font-semibold uppercase tracking-[0.06em] text-slate-500">
+                    Co-owners
+                  </label>
+                  <p className="mb-2 text-xs text-slate-500">
+                    For joint or family holdings, list each co-owner's account email and share, such as 1/3 or 0.25. You keep
+                    the remaining share.
+                  </p>
+                  {coOwners.map((item, index) => (
+                    <div key={index} className="mb-2 flex gap-2">
+                      <input
+                        type="email"
+                        value={item.email}
+                        onChange={(event) =>
+                          setCoOwners((prev) =>
+                            prev.map((entry, entryIndex) => (entryIndex === index ? { ...entry, email: event.target.value } : entry))
+                          )
+                        }
+                        placeholder="Co-owner account email"
+                        className="flex-1 rounded-lg border border-slate-300 px-2.5 py-1.5 text-xs outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+                      />
+                      <input
+                        value={item.share}
+                        onChange={(event) =>
+                          setCoOwners((prev) =>
+                            prev.map((entry, entryIndex) => (entryIndex === index ? { ...entry, share: event.target.value } : entry))
+                          )
+                        }
+                        placeholder="Share"
+                        className="w-20 rounded-lg border border-slate-300 px-2.5 py-1.5 text-xs outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setCoOwners((prev) => prev.filter((_, entryIndex) => entryIndex !== index))}
+                        className="text-xs font-semibold text-rose-600 hover:text-rose-700"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => setCoOwners((prev) => [...prev, { email: '', share: '' }])}
+                    className="rounded-lg border border-slate-300 px-3 py-1.5 text-xs font-semibold text-slate-700 transition hover:bg-slate-100"
+                  >
+                    Add Co-owner
+                  </button>
+                </div>
+              )}
               <div className="rounded-lg border border-slate-200 bg-white/80 p-3 text-xs text-slate-600">
                 <p>Points selected: <span className="font-semibold text-slate-800">{polygon.length}</span></p>
                 <p className="mt-1">Estimated area: <span className="font-semibold text-slate-800">{areaSqM.toFixed(2)} sq.m</span></p>
                 <p className="mt-1">Click map to add vertices. Drag markers to move points. Double-click marker to remove.</p>
               </div>
+              {polygon.length >= 3 && (
+                <div
+                  className={`rounded-lg border px-3 py-2 text-xs ${
+                    overlapPreviewError
+                      ? 'border-rose-200 bg-rose-50 text-rose-700'
+                      : overlapPreview?.overlapFlags?.length
+                        ? 'border-amber-200 bg-amber-50 text-amber-800'
+                        : 'border-emerald-200 bg-emerald-50 text-emerald-700'
+                  }`}
+                >
+                  <p className="flex items-center gap-1.5 font-semibold">
+                    {isPreviewingOverlap && <Icons.Spinner className="h-3.5 w-3.5 animate-spin" />}
+                    {overlapPreviewError
+                      ? overlapPreviewError
+                      : !overlapPreview
+                        ? 'Checking overlaps...'
+                        : overlapPreview.status === 'FLAGGED'
+                          ? 'This polygon would be flagged for review'
+                          : overlapPreview.overlapFlags.length
+                            ? 'Overlaps are within tolerance'
+                            : 'No overlaps detected'}
+                  </p>
+                  {!overlapPreviewError && overlapPreview?.overlapFlags?.slice(0, 4).map((flag) => (
+                    <p key={`${flag.type}-${flag.targetId}`} className="mt-1">
+                      {describeOverlapFlag(flag)}
+                    </p>
+                  ))}
+                </div>
+              )}
               <div className="flex flex-wrap gap-2">
                 <button
                   type="button"
@@ -409,7 +1011,7 @@ export const LandClaims = ({ role = 'USER' }) => {
                 className="inline-flex w-full items-center justify-center gap-2 rounded-lg bg-slate-900 px-4 py-2.5 text-sm font-semibold text-white transition hover:bg-slate-800 disabled:opacity-60"
               >
                 {isSubmitting ? <Icons.Spinner className="h-4 w-4 animate-spin" /> : <Icons.Upload className="h-4 w-4" />}
-                {isSubmitting ? 'Submitting...' : 'Submit Claim Query'}
+                {isSubmitting ? 'Submitting...' : amendingClaimId ? 'Save Amendment' : 'Submit Claim Query'}
               </button>
             </div>
 
@@ -442,25 +1044,111 @@ export const LandClaims = ({ role = 'USER' }) => {
         </section>
       )}
 
+      {!isEmployee && <CoOwnerInvitations />}
+
       <section className="panel-surface rounded-2xl">
         <div className="border-b border-slate-200 px-5 py-4">
           <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
-            <h3 className="font-display text-lg font-bold text-slate-900">
-              {isEmployee ? 'Claim Review Queue' : 'My Claim Requests'}
-            </h3>
-            <select
-              value={statusFilter}
-              onChange={(event) => setStatusFilter(event.target.value)}
-              className="rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
-            >
-              <option value="">All statuses</option>
-              <option value="PENDING">Pending</option>
-              <option value="FLAGGED">Flagged</option>
-              <option value="APPROVED">Approved</option>
-              <option value="REJECTED">Rejected</option>
-            </select>
+            <div>
+              <h3 className="font-display text-lg font-bold text-slate-900">
+                {isEmployee ? 'Claim Review Queue' : 'My Claim Requests'}
+              </h3>
+              {isEmployee && (
+                <div className="mt-2 inline-flex rounded-lg border border-slate-300 p-0.5 text-xs font-semibold">
+                  {[
+                    ['global', 'All claims'],
+                    ['queue', 'My queue'],
+                  ].map(([value, label]) => (
+                    <button
+                      key={value}
+                      type="button"
+                      onClick={() => setQueueScope(value)}
+                      className={`rounded-md px-3 py-1 transition ${
+                        queueScope === value ? 'bg-slate-900 text-white' : 'text-slate-600 hover:bg-slate-100'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {isEmployee && openAppealCount > 0 && (
+                <button
+                  type="button"
+                  onClick={() => setStatusFilter('REJECTED')}
+                  className="mt-1 text-xs font-semibold text-amber-700 underline decoration-dotted underline-offset-2 hover:text-amber-600"
+                >
+                  {openAppealCount} open appeal{openAppealCount === 1 ? '' : 's'} on rejected claims
+                </button>
+              )}
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              {isEmployee && (
+                <button
+                  type="button"
+                  disabled={isAutoAssigning}
+                  onClick={() => {
+                    void handleAutoAssign();
+                  }}
+                  className="inline-flex items-center gap-2 rounded-lg border border-slate-300 px-3 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-100 disabled:opacity-60"
+                >
+                  {isAutoAssigning && <Icons.Spinner className="h-3.5 w-3.5 animate-spin" />}
+                  Auto-assign Unassigned
+                </button>
+              )}
+              <select
+                value={statusFilter}
+                onChange={(event) => setStatusFilter(event.target.value)}
+                className="rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+              >
+                <option value="">All statuses</option>
+                <option value="PENDING">Pending</option>
+                <option value="FLAGGED">Flagged</option>
+                <option value="NEEDS_INFO">Needs info</option>
+                <option value="AWAITING_SECOND_APPROVAL">Awaiting second approval</option>
+                <option value="APPROVED">Approved</option>
+                <option value="REJECTED">Rejected</option>
+                <option value="WITHDRAWN">Withdrawn</option>
+              </select>
+            </div>
           </div>
         </div>
+        {isEmployee && reviewableClaims.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 border-b border-slate-200 px-5 py-2.5 text-xs">
+            <label className="inline-flex items-center gap-2 font-semibold text-slate-700">
+              <input
+                type="checkbox"
+                checked={selectedClaimIds.length === reviewableClaims.length}
+                onChange={(event) =>
+                  setSelectedClaimIds(event.target.checked ? reviewableClaims.map((claim) => claim.id) : [])
+                }
+                className="h-3.5 w-3.5 rounded border-slate-300 accent-slate-900"
+              />
+              {selectedClaimIds.length ? `${selectedClaimIds.length} selected` : 'Select all reviewable'}
+            </label>
+            <button
+              type="button"
+              disabled={!selectedClaimIds.length || isBulkReviewing}
+              onClick={() => {
+                void handleBulkReview('APPROVE');
+              }}
+              className="inline-flex items-center gap-1.5 rounded-lg border border-emerald-200 bg-emerald-50 px-3 py-1.5 font-semibold text-emerald-700 transition hover:bg-emerald-100 disabled:opacity-50"
+            >
+              {isBulkReviewing && <Icons.Spinner className="h-3.5 w-3.5 animate-spin" />}
+              Approve Selected
+            </button>
+            <button
+              type="button"
+              disabled={!selectedClaimIds.length || isBulkReviewing}
+              onClick={() => {
+                void handleBulkReview('REJECT');
+              }}
+              className="rounded-lg border border-rose-200 bg-rose-50 px-3 py-1.5 font-semibold text-rose-700 transition hover:bg-rose-100 disabled:opacity-50"
+            >
+              Reject Selected
+            </button>
+          </div>
+        )}
         <div className="max-h-[680px] space-y-3 overflow-y-auto p-5">
           {isLoading ? (
             <p className="py-8 text-center text-sm text-slate-500">Loading claims...</p>
@@ -470,6 +1158,15 @@ export const LandClaims = ({ role = 'USER' }) => {
                 <div className="flex flex-wrap items-center justify-between gap-2">
                   <div>
                     <p className="text-sm font-semibold text-slate-900">
+                      {isEmployee && DECIDABLE_CLAIM_STATUSES.includes(claim.status) && (
+                        <input
+                          type="checkbox"
+                          checked={selectedClaimIds.includes(claim.id)}
+                          onChange={() => toggleClaimSelection(claim.id)}
+                          aria-label={`Select claim ${claim.pid}`}
+                          className="mr-2 h-3.5 w-3.5 rounded border-slate-300 align-middle accent-slate-900"
+                        />
+                      )}
                       PID:
                       {' '}
                       {!isEmployee && Array.isArray(claim.polygon) && claim.polygon.length >= 3 ? (
@@ -498,8 +1195,48 @@ export const LandClaims = ({ role = 'USER' }) => {
                   <p>Area: {Number(claim.areaSqM || 0).toFixed(2)} sq.m</p>
                   <p>Vertices: {Array.isArray(claim.polygon) ? claim.polygon.length : 0}</p>
                   <p>Updated: {formatDateTime(claim.updatedAt)}</p>
+                  <p>Version: {claim.version || 1}</p>
                 </div>
 
+                {isEmployee && REVIEWABLE_CLAIM_STATUSES.includes(claim.status) && (
+                  <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-slate-600">
+                    <span>
+                      {claim.assignment
+                        ? `Assigned to ${claim.assignment.assignee.name}${claim.assignment.method === 'AUTO' ? ' (auto)' : ''}`
+                        : 'Unassigned'}
+                    </span>
+                    {claim.dueAt && (
+                      <span
+                        className={`rounded-full border px-2 py-0.5 font-semibold ${
+                          claim.overdue ? 'border-rose-200 bg-rose-50 text-rose-700' : 'border-slate-200 bg-slate-50 text-slate-600'
+                        }`}
+                      >
+                        {claim.overdue ? 'Overdue since' : 'Due'} {formatDateTime(claim.dueAt)}
+                      </span>
+                    )}
+                    {claim.assignment?.escalatedAt && (
+                      <span className="rounded-full border border-amber-200 bg-amber-50 px-2 py-0.5 font-semibold text-amber-700">
+                        Escalated{claim.assignment.escalatedTo ? ` to ${claim.assignment.escalatedTo.name}` : ''}
+                      </span>
+                    )}
+                    <select
+                      value={claim.assignment?.assignee.id || ''}
+                      disabled={assigningId === claim.id}
+                      onChange={(event) => {
+                        if (event.target.value) void handleAssign(claim, event.target.value);
+                      }}
+                      className="rounded-lg border border-slate-300 bg-white px-2 py-1 outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100 disabled:opacity-60"
+                    >
+                      <option value="">Assign reviewer...</option>
+                      {reviewers.map((reviewer) => (
+                        <option key={reviewer.id} value={reviewer.id}>
+                          {reviewer.name} ({reviewer.openClaims} open{reviewer.supervisor ? ', supervisor' : ''})
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
                 {claim.claimant && isEmployee && (
                   <p className="mt-2 text-xs text-slate-500">
                     Claimant: {claim.claimant.name} ({claim.claimant.email || 'no email'})
@@ -508,19 +1245,14 @@ export const LandClaims = ({ role = 'USER' }) => {
 
                 {Array.isArray(claim.overlapFlags) && claim.overlapFlags.length > 0 && (
                   <div className="mt-3 rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-xs text-amber-800">
-                    <p className="font-semibold">Flagged overlap detected</p>
+                    <p className="font-semibold">
+                      {claim.overlapFlags.some((flag) => flag.severity !== 'WARNING')
+                        ? 'Flagged overlap detected'
+                        : 'Overlap within tolerance'}
+                    </p>
                     {claim.overlapFlags.slice(0, 4).map((flag) => (
                       <p key={`${flag.type}-${flag.targetId}`} className="mt-1">
-                        {flag.type === 'ACTIVE_PARCEL_OVERLAP'
-                          ? 'Overlaps registered parcel'
-                          : flag.type === 'GOV_BOUNDARY_OVERLAP'
-                            ? 'Overlaps government boundary dataset'
-                            : 'Overlaps pending claim'}:
-                        {' '}
-                        {flag.pid ? `PID ${flag.pid}` : flag.boundaryCode || 'Reference boundary'}
-                        {flag.ownerName ? ` (owner: ${flag.ownerName})` : ''}
-                        {flag.claimantName ? ` (claimant: ${flag.claimantName})` : ''}
-                        {flag.boundaryName ? ` (${flag.boundaryName})` : ''}
+                        {describeOverlapFlag(flag)}
                       </p>
                     ))}
                   </div>
@@ -532,7 +1264,121 @@ export const LandClaims = ({ role = 'USER' }) => {
                   </p>
                 )}
 
-                {isEmployee && ['PENDING', 'FLAGGED'].includes(claim.status) && (
+                {bulkFailures[claim.id] && (
+                  <p className="mt-2 rounded-lg border border-rose-200 bg-rose-50 px-2.5 py-1.5 text-xs text-rose-700">
+                    Bulk review failed: {bulkFailures[claim.id]}
+                  </p>
+                )}
+
+                {claim.ownerShares?.length > 0 && (
+                  <p className="mt-2 text-xs text-slate-600">
+                    <span className="font-semibold text-slate-800">Joint holding:</span>{' '}
+                    {claim.ownerShares
+                      .map(
+                        (owner) =>
+                          `${owner.name || owner.email} ${owner.share}${
+                            owner.consent && owner.consent !== 'ACCEPTED' ? ` (${owner.consent.toLowerCase()})` : ''
+                          }`
+                      )
+                      .join(' · ')}
+                  </p>
+                )}
+
+                <ClaimDocuments claimId={claim.id} documents={claim.documents} canVerify={isEmployee} />
+
+                {renderAppealPanel(latestAppealByClaim.get(claim.id))}
+
+                {!isEmployee && claim.status === 'NEEDS_INFO' && (
+                  <p className="mt-3 rounded-lg border border-violet-200 bg-violet-50 px-3 py-2 text-xs text-violet-800">
+                    The reviewer needs more information. Open the review thread to respond.
+                  </p>
+                )}
+
+                <div className="mt-3 flex flex-wrap gap-2">
+                  <button
+                    type="button"
+                    onClick={() => setThreadClaimId((prev) => (prev === claim.id ? '' : claim.id))}
+                    className="rounded-lg border border-slate-300 px-3 py-1.5 text-xs font-semibold text-slate-700 transition hover:bg-slate-100"
+                  >
+                    {threadClaimId === claim.id ? 'Hide Review Thread' : 'Review Thread'}
+                  </button>
+                  {Number(claim.version || 1) > 1 && (
+                    <button
+                      type="button"
+                      onClick={() => setHistoryClaimId((prev) => (prev === claim.id ? '' : claim.id))}
+                      className="rounded-lg border border-slate-300 px-3 py-1.5 text-xs font-semibold text-slate-700 transition hover:bg-slate-100"
+                    >
+                      {historyClaimId === claim.id ? 'Hide Version History' : `Version History (${claim.version})`}
+                    </button>
+                  )}
+                  {!isEmployee && OPEN_CLAIM_STATUSES.includes(claim.status) && (
+                    <>
+                      <button
+                        type="button"
+                        disabled={amendingClaimId === claim.id}
+                        onClick={() => startAmendment(claim)}
+                        className="rounded-lg border border-blue-200 bg-blue-50 px-3 py-1.5 text-xs font-semibold text-blue-700 transition hover:bg-blue-100 disabled:opacity-60"
+                      >
+                        {amendingClaimId === claim.id ? 'Amending...' : 'Amend'}
+                      </button>
+                      <button
+                        type="button"
+                        disabled={withdrawingId === claim.id}
+                        onClick={() => {
+                          void handleWithdraw(claim);
+                        }}
+                        className="rounded-lg border border-slate-300 px-3 py-1.5 text-xs font-semibold text-slate-700 transition hover:bg-slate-100 disabled:opacity-60"
+                      >
+                        Withdraw
+                      </button>
+                    </>
+                  )}
+                  {!isEmployee &&
+                    claim.status === 'REJECTED' &&
+                    claim.appealDeadline &&
+                    new Date(claim.appealDeadline).getTime() > Date.now() &&
+                    latestAppealByClaim.get(claim.id)?.status !== 'OPEN' &&
+                    latestAppealByClaim.get(claim.id)?.status !== 'UPHELD' && (
+                      <button
+                        type="button"
+                        disabled={appealingId === claim.id}
+                        onClick={() => {
+                          void handleFileAppeal(claim);
+                        }}
+                        className="rounded-lg border border-amber-200 bg-amber-50 px-3 py-1.5 text-xs font-semibold text-amber-700 transition hover:bg-amber-100 disabled:opacity-60"
+                        title={`Appeal window closes ${formatDateTime(claim.appealDeadline)}`}
+                      >
+                        Appeal Rejection
+                      </button>
+                    )}
+                </div>
+
+                {threadClaimId === claim.id && (
+                  <ClaimEventThread
+                    claimId={claim.id}
+                    canRespond={!isEmployee && claim.status === 'NEEDS_INFO'}
+                    onResponded={() => {
+                      setSuccess('Response sent. The claim is back in the review queue.');
+                      void loadClaims();
+                    }}
+                  />
+                )}
+                {historyClaimId === claim.id && <ClaimVersionHistory claimId={claim.id} />}
+
+                {isEmployee && REVIEWABLE_CLAIM_STATUSES.includes(claim.status) && claim.approvalPolicy?.requiredApprovals > 1 && (
+                  <div className="mt-3 rounded-lg border border-teal-200 bg-teal-50 px-3 py-2 text-xs text-teal-800">
+                    <p className="font-semibold">
+                      {claim.firstApproval
+                        ? `First approval by ${claim.firstApproval.approver.name} on ${formatDateTime(claim.firstApproval.approvedAt)}. A different employee must give the second approval.`
+                        : 'Approval needs two different employees.'}
+                    </p>
+                    {claim.approvalPolicy.reasons.map((reason) => (
+                      <p key={reason} className="mt-1">{reason}</p>
+                    ))}
+                  </div>
+                )}
+
+                {isEmployee && DECIDABLE_CLAIM_STATUSES.includes(claim.status) && (
                   <div className="mt-3 flex flex-wrap gap-2">
                     <button
                       type="button"
@@ -542,7 +1388,7 @@ export const LandClaims = ({ role = 'USER' }) => {
                       }}
                       className="rounded-lg border border-emerald-200 bg-emerald-50 px-3 py-1.5 text-xs font-semibold text-emerald-700 transition hover:bg-emerald-100 disabled:opacity-60"
                     >
-                      Approve by PID Match
+                      {claim.status === 'AWAITING_SECOND_APPROVAL' ? 'Second Approval by PID Match' : 'Approve by PID Match'}
                     </button>
                     <button
                       type="button"
@@ -554,6 +1400,16 @@ export const LandClaims = ({ role = 'USER' }) => {
                     >
                       Reject
                     </button>
+                    <button
+                      type="button"
+                      disabled={reviewingId === claim.id}
+                      onClick={() => {
+                        void handleReview(claim, 'REQUEST_INFO');
+                      }}
+                      className="rounded-lg border border-violet-200 bg-violet-50 px-3 py-1.5 text-xs font-semibold text-violet-700 transition hover:bg-violet-100 disabled:opacity-60"
+                    >
+                      Request Info
+                    </button>
                   </div>
                 )}
               </article>
@@ -12,6 +12,7 @@ import {
   updateDisputeStatus,
   verifyDisputeLedger,
 } from '../services/disputeService.js';
+import { buildReceiptVerifyUrl } from './ReceiptVerification.jsx';
 
 if (!L.Icon.Default.prototype._rootIconFix) {
   delete L.Icon.Default.prototype._getIconUrl;
@@ -676,6 +677,9 @@ export const LandDisputes = () => {
                         }`}
                       >
                         Ledger check: {ledgerChecks[item.id].valid ? 'valid' : 'issue'} | events: {ledgerChecks[item.id].eventCount} | snapshot: {ledgerChecks[item.id].snapshotMatch ? 'match' : 'mismatch'}
+                        {ledgerChecks[item.id].commitmentsValid !== null && (
+                          <> | commitments: {ledgerChecks[item.id].commitmentsValid ? 'open' : 'mismatch'}</>
+                        )}
                       </div>
                     )}
 
@@ -702,7 +706,21 @@ export const LandDisputes = () => {
                       <p>Coords: {formatCoordPair(item.coords)}</p>
                       <p>Updated: {formatDateTime(item.updatedAt)}</p>
                       <p>Evidence count: {Array.isArray(item.evidenceUrls) ? item.evidenceUrls.length : 0}</p>
-                      <p className="font-mono" title={item.ledgerBlock?.hash || ''}>Block: {shortHash(item.ledgerBlock?.hash)}</p>
+                      <p className="font-mono" title={item.ledgerBlock?.hash || ''}>
+                        Block:{' '}
+                        {item.ledgerBlock?.hash ? (
+                          <a
+                            href={buildReceiptVerifyUrl(item.ledgerBlock.hash)}
+                            target="_blank"
+                            rel="noreferrer"
+                            className="text-brand-700 hover:underline"
+                          >
+                            {shortHash(item.ledgerBlock.hash)}
+                          </a>
+                        ) : (
+                          shortHash(item.ledgerBlock?.hash)
+                        )}
+                      </p>
                     </div>
                     {item.reporter && (
                       <p className="mt-1 text-xs text-slate-500">
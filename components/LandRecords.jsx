@@ -4,7 +4,11 @@ import markerIcon2x from 'leaflet/dist/images/marker-icon-2x.png';
 import markerIcon from 'leaflet/dist/images/marker-icon.png';
 import markerShadow from 'leaflet/dist/images/marker-shadow.png';
 import { Icons } from './Icons.jsx';
-import { fetchOwnedParcels } from '../services/landClaimService.js';
+import { amalgamateParcels, fetchOwnedParcels, subdivideParcel } from '../services/landClaimService.js';
+import { ParcelEncumbrances } from './ParcelEncumbrances.jsx';
+import { ParcelHistory } from './ParcelHistory.jsx';
+import { ParcelLineage } from './ParcelLineage.jsx';
+import { ParcelTransfers } from './ParcelTransfers.jsx';
 
 if (!L.Icon.Default.prototype._rootLandRecordIconFix) {
   delete L.Icon.Default.prototype._getIconUrl;
@@ -33,17 +37,38 @@ const shortHash = (hash = '') => {
   return `${hash.slice(0, 8)}...${hash.slice(-8)}`;
 };
 
-export const LandRecords = ({ role = 'USER' }) => {
+const shareValue = (share) => {
+  const [numerator, denominator] = String(share || '').split('/').map(Number);
+  return denominator ? numerator / denominator : 0;
+};
+
+const formatOwners = (item) =>
+  item.owners?.length > 1
+    ? item.owners.map((owner) => `${owner.name} (${owner.share})`).join(', ')
+    : item.owner?.name || 'Unknown';
+
+export const LandRecords = ({ role = 'USER', userId = '' }) => {
   const isEmployee = role === 'EMPLOYEE';
   const [items, setItems] = useState([]);
   const [query, setQuery] = useState('');
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
   const [activeParcelId, setActiveParcelId] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+  const [isDrawingCut, setIsDrawingCut] = useState(false);
+  const [cutLines, setCutLines] = useState([]);
+  const [pendingCutPoint, setPendingCutPoint] = useState(null);
+  const [mergeParcelIds, setMergeParcelIds] = useState([]);
+  const [operationNote, setOperationNote] = useState('');
+  const [operationError, setOperationError] = useState('');
+  const [operationSuccess, setOperationSuccess] = useState('');
+  const [isOperating, setIsOperating] = useState(false);
 
   const mapContainerRef = useRef(null);
   const mapRef = useRef(null);
   const polygonLayerRef = useRef(null);
+  const cutLayerRef = useRef(null);
+  const pendingCutPointRef = useRef(null);
 
   useEffect(() => {
     let active = true;
@@ -65,7 +90,7 @@ export const LandRecords = ({ role = 'USER' }) => {
     return () => {
       active = false;
     };
-  }, [isEmployee]);
+  }, [isEmployee, reloadKey]);
 
   useEffect(() => {
     if (!items.length) {
@@ -87,6 +112,7 @@ export const LandRecords = ({ role = 'USER' }) => {
     }).addTo(map);
 
     polygonLayerRef.current = L.layerGroup().addTo(map);
+    cutLayerRef.current = L.layerGroup().addTo(map);
     mapRef.current = map;
     setTimeout(() => map.invalidateSize(), 100);
 
@@ -94,9 +120,45 @@ export const LandRecords = ({ role = 'USER' }) => {
       map.remove();
       mapRef.current = null;
       polygonLayerRef.current = null;
+      cutLayerRef.current = null;
     };
   }, []);
 
+  useEffect(() => {
+    if (!mapRef.current || !isDrawingCut) return undefined;
+    const map = mapRef.current;
+    const handleClick = (event) => {
+      const point = [Number(event.latlng.lat.toFixed(6)), Number(event.latlng.lng.toFixed(6))];
+      const start = pendingCutPointRef.current;
+      pendingCutPointRef.current = start ? null : point;
+      setPendingCutPoint(pendingCutPointRef.current);
+      if (start) setCutLines((prev) => [...prev, [start, point]]);
+    };
+    map.on('click', handleClick);
+    map.getContainer().style.cursor = 'crosshair';
+    return () => {
+      map.off('click', handleClick);
+      map.getContainer().style.cursor = '';
+    };
+  }, [isDrawingCut]);
+
+  useEffect(() => {
+    setCutLines([]);
+    setPendingCutPoint(null);
+    pendingCutPointRef.current = null;
+  }, [activeParcelId]);
+
+  useEffect(() => {
+    if (!cutLayerRef.current) return;
+    cutLayerRef.current.clearLayers();
+    cutLines.forEach((line) => {
+      L.polyline(line, { color: '#e11d48', weight: 2.5, dashArray: '6 4' }).addTo(cutLayerRef.current);
+    });
+    if (pendingCutPoint) {
+      L.circleMarker(pendingCutPoint, { radius: 5, color: '#e11d48', fillOpacity: 0.9 }).addTo(cutLayerRef.current);
+    }
+  }, [cutLines, pendingCutPoint]);
+
   useEffect(() => {
     if (!mapRef.current || !polygonLayerRef.current) return;
     polygonLayerRef.current.clearLayers();
@@ -120,6 +182,7 @@ export const LandRecords = ({ role = 'USER' }) => {
       if (isActive) activeLayer = layer;
     });
 
+    if (activeLayer && isDrawingCut) return;
     if (activeLayer) {
       mapRef.current.fitBounds(activeLayer.getBounds(), { padding: [24, 24], maxZoom: 16 });
       activeLayer.openPopup();
@@ -128,7 +191,7 @@ export const LandRecords = ({ role = 'USER' }) => {
     if (overlays.length) {
       mapRef.current.fitBounds(L.featureGroup(overlays).getBounds(), { padding: [24, 24] });
     }
-  }, [items, activeParcelId]);
+  }, [items, activeParcelId, isDrawingCut]);
 
   const filtered = useMemo(() => {
     const q = query.trim().toLowerCase();
@@ -136,8 +199,7 @@ export const LandRecords = ({ role = 'USER' }) => {
     return items.filter((item) => {
       const text = [
         item.pid,
-        item.owner?.name,
-        item.owner?.email,
+        ...(item.owners || []).flatMap((owner) => [owner.name, owner.email]),
         item.status,
         item.ledgerBlock?.hash,
         formatCoord(item.centroid),
@@ -154,6 +216,74 @@ export const LandRecords = ({ role = 'USER' }) => {
     [items, activeParcelId]
   );
 
+  const mergeParcels = useMemo(
+    () => items.filter((item) => mergeParcelIds.includes(item.id)),
+    [items, mergeParcelIds]
+  );
+
+  const resetCut = () => {
+    setIsDrawingCut(false);
+    setCutLines([]);
+    setPendingCutPoint(null);
+    pendingCutPointRef.current = null;
+  };
+
+  const finishOperation = (message, focusParcelId) => {
+    resetCut();
+    setMergeParcelIds([]);
+    setOperationNote('');
+    setOperationSuccess(message);
+    if (focusParcelId) setActiveParcelId(focusParcelId);
+    setReloadKey((prev) => prev + 1);
+  };
+
+  const handleSubdivide = async () => {
+    if (!activeParcel || !cutLines.length) return;
+    setOperationError('');
+    setOperationSuccess('');
+    setIsOperating(true);
+    try {
+      const result = await subdivideParcel({
+        parcelId: activeParcel.id,
+        lines: cutLines,
+        note: operationNote.trim(),
+      });
+      finishOperation(
+        `PID ${activeParcel.pid} retired and split into ${result.items.map((item) => item.pid).join(', ')}.`,
+        result.items[0]?.id
+      );
+    } catch (operationFailure) {
+      setOperationError(operationFailure instanceof Error ? operationFailure.message : 'Failed to subdivide parcel.');
+    } finally {
+      setIsOperating(false);
+    }
+  };
+
+  const handleAmalgamate = async () => {
+    if (mergeParcels.length < 2) return;
+    setOperationError('');
+    setOperationSuccess('');
+    setIsOperating(true);
+    try {
+      const result = await amalgamateParcels({
+        parcelIds: mergeParcels.map((item) => item.id),
+        note: operationNote.trim(),
+      });
+      finishOperation(
+        `${mergeParcels.map((item) => item.pid).join(', ')} amalgamated into PID ${result.items[0]?.pid}.`,
+        result.items[0]?.id
+      );
+    } catch (operationFailure) {
+      setOperationError(operationFailure instanceof Error ? operationFailure.message : 'Failed to amalgamate parcels.');
+    } finally {
+      setIsOperating(false);
+    }
+  };
+
+  const toggleMergeParcel = (parcelId) => {
+    setMergeParcelIds((prev) => (prev.includes(parcelId) ? prev.filter((id) => id !== parcelId) : [...prev, parcelId]));
+  };
+
   return (
     <div className="space-y-6 p-6">
       <section className="panel-surface rounded-2xl p-6 shadow-[0_14px_32px_rgba(15,23,42,0.08)]">
@@ -184,10 +314,110 @@ export const LandRecords = ({ role = 'USER' }) => {
             <p className="font-semibold text-slate-800">Active PID: {activeParcel.pid}</p>
             <p className="mt-1">Centroid: {formatCoord(activeParcel.centroid)}</p>
             <p className="mt-1">Area: {Number(activeParcel.areaSqM || 0).toFixed(2)} sq.m</p>
+            {activeParcel.owners?.length > 1 && (
+              <div className="mt-1">
+                <p>Co-owners:</p>
+                <ul className="mt-0.5 space-y-0.5">
+                  {activeParcel.owners.map((owner) => (
+                    <li key={owner.id}>
+                      <span className="font-semibold text-slate-800">{owner.name}</span>
+                      {owner.id === userId ? ' (you)' : ''} · {owner.share} ·{' '}
+                      {(Number(activeParcel.areaSqM || 0) * shareValue(owner.share)).toFixed(2)} sq.m
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+        <ParcelLineage
+          activeParcel={activeParcel}
+          reloadKey={reloadKey}
+          onSelectParcel={(parcel) => {
+            if (items.some((item) => item.id === parcel.id)) setActiveParcelId(parcel.id);
+          }}
+        />
+
+        {isEmployee && (
+          <div className="mt-3 space-y-2 rounded-lg border border-slate-200 bg-white/85 px-3 py-3 text-xs text-slate-600">
+            <p className="font-semibold text-slate-800">Subdivide or amalgamate</p>
+            <p>
+              To subdivide the active parcel, draw cut lines across it on the map, two clicks per line. To amalgamate,
+              tick adjacent parcels of the same owner in the table below.
+            </p>
+            <textarea
+              rows={2}
+              value={operationNote}
+              onChange={(event) => setOperationNote(event.target.value)}
+              placeholder="Partition deed or order reference (optional)"
+              className="w-full rounded-lg border border-slate-300 px-2.5 py-1.5 outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+            />
+            <div className="flex flex-wrap items-center gap-2">
+              <button
+                type="button"
+                disabled={!activeParcel || isOperating}
+                onClick={() => {
+                  if (isDrawingCut) {
+                    resetCut();
+                  } else {
+                    setIsDrawingCut(true);
+                  }
+                }}
+                className="rounded-lg border border-slate-300 px-3 py-1.5 font-semibold text-slate-700 transition hover:bg-slate-100 disabled:opacity-60"
+              >
+                {isDrawingCut ? 'Clear Cut Lines' : 'Draw Cut Lines'}
+              </button>
+              {isDrawingCut && (
+                <button
+                  type="button"
+                  disabled={!cutLines.length || isOperating}
+                  onClick={() => {
+                    void handleSubdivide();
+                  }}
+                  className="inline-flex items-center gap-2 rounded-lg bg-slate-900 px-3 py-1.5 font-semibold text-white transition hover:bg-slate-800 disabled:opacity-60"
+                >
+                  {isOperating && <Icons.Spinner className="h-3.5 w-3.5 animate-spin" />}
+                  Subdivide PID {activeParcel?.pid} ({cutLines.length} line{cutLines.length === 1 ? '' : 's'})
+                </button>
+              )}
+              <button
+                type="button"
+                disabled={mergeParcels.length < 2 || isOperating}
+                onClick={() => {
+                  void handleAmalgamate();
+                }}
+                className="inline-flex items-center gap-2 rounded-lg border border-slate-300 px-3 py-1.5 font-semibold text-slate-700 transition hover:bg-slate-100 disabled:opacity-60"
+              >
+                Amalgamate Selected ({mergeParcels.length})
+              </button>
+            </div>
+            {operationError && (
+              <p className="rounded-lg border border-rose-200 bg-rose-50 px-2.5 py-1.5 text-rose-700">{operationError}</p>
+            )}
+            {operationSuccess && (
+              <p className="rounded-lg border border-emerald-200 bg-emerald-50 px-2.5 py-1.5 text-emerald-700">
+                {operationSuccess}
+              </p>
+            )}
           </div>
         )}
       </section>
 
+      <ParcelTransfers
+        isEmployee={isEmployee}
+        userId={userId}
+        activeParcel={activeParcel}
+        onOwnershipChanged={() => setReloadKey((prev) => prev + 1)}
+      />
+
+      <ParcelEncumbrances
+        isEmployee={isEmployee}
+        activeParcel={activeParcel}
+        onEncumbrancesChanged={() => setReloadKey((prev) => prev + 1)}
+      />
+
+      <ParcelHistory activeParcel={activeParcel} reloadKey={reloadKey} />
+
       <section className="panel-surface rounded-2xl">
         <div className="border-b border-slate-200 px-5 py-4">
           <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
@@ -210,8 +440,9 @@ export const LandRecords = ({ role = 'USER' }) => {
           <table className="w-full min-w-[980px] text-left text-sm">
             <thead className="bg-slate-100/80 text-xs uppercase tracking-[0.06em] text-slate-500">
               <tr>
+                {isEmployee && <th className="px-5 py-3 font-semibold">Merge</th>}
                 <th className="px-5 py-3 font-semibold">PID</th>
-                {isEmployee && <th className="px-5 py-3 font-semibold">Owner</th>}
+                <th className="px-5 py-3 font-semibold">{isEmployee ? 'Owners' : 'Co-owners'}</th>
                 <th className="px-5 py-3 font-semibold">Centroid</th>
                 <th className="px-5 py-3 font-semibold">Area (sq.m)</th>
                 <th className="px-5 py-3 font-semibold">Vertices</th>
@@ -223,7 +454,7 @@ export const LandRecords = ({ role = 'USER' }) => {
             <tbody>
               {isLoading ? (
                 <tr>
-                  <td colSpan={isEmployee ? 8 : 7} className="px-5 py-10 text-center text-slate-500">
+                  <td colSpan={isEmployee ? 9 : 8} className="px-5 py-10 text-center text-slate-500">
                     Loading registry...
                   </td>
                 </tr>
@@ -236,17 +467,34 @@ export const LandRecords = ({ role = 'USER' }) => {
                       activeParcelId === item.id ? 'bg-blue-50/70' : 'bg-white/85 hover:bg-white'
                     }`}
                   >
-                    <td className="px-5 py-4 font-semibold text-slate-900">{item.pid}</td>
                     {isEmployee && (
-                      <td className="px-5 py-4 text-slate-700">
-                        {item.owner?.name || 'Unknown'}
-                        {item.owner?.email ? <span className="block text-xs text-slate-500">{item.owner.email}</span> : null}
+                      <td className="px-5 py-4" onClick={(event) => event.stopPropagation()}>
+                        <input
+                          type="checkbox"
+                          checked={mergeParcelIds.includes(item.id)}
+                          onChange={() => toggleMergeParcel(item.id)}
+                          aria-label={`Select PID ${item.pid} for amalgamation`}
+                        />
                       </td>
                     )}
+                    <td className="px-5 py-4 font-semibold text-slate-900">{item.pid}</td>
+                    <td className="px-5 py-4 text-slate-700">
+                      {isEmployee || item.owners?.length > 1 ? formatOwners(item) : 'Sole owner'}
+                      {isEmployee && item.owners?.length === 1 && item.owner?.email ? (
+                        <span className="block text-xs text-slate-500">{item.owner.email}</span>
+                      ) : null}
+                    </td>
                     <td className="px-5 py-4 font-mono text-xs text-slate-700">{formatCoord(item.centroid)}</td>
                     <td className="px-5 py-4 text-slate-700">{Number(item.areaSqM || 0).toFixed(2)}</td>
                     <td className="px-5 py-4 text-slate-700">{Array.isArray(item.polygon) ? item.polygon.length : 0}</td>
-                    <td className="px-5 py-4 text-slate-700">{item.status || 'ACTIVE'}</td>
+                    <td className="px-5 py-4 text-slate-700">
+                      {item.status || 'ACTIVE'}
+                      {item.underLien && (
+                        <span className="ml-2 rounded-full border border-amber-200 bg-amber-50 px-2 py-0.5 text-xs font-semibold text-amber-700">
+                          Under lien
+                        </span>
+                      )}
+                    </td>
                     <td className="px-5 py-4 text-slate-600">{formatDateTime(item.createdAt)}</td>
                     <td className="px-5 py-4 font-mono text-xs text-slate-500" title={item.ledgerBlock?.hash || ''}>
                       {shortHash(item.ledgerBlock?.hash)}
@@ -255,7 +503,7 @@ export const LandRecords = ({ role = 'USER' }) => {
                 ))
               ) : (
                 <tr>
-                  <td colSpan={isEmployee ? 8 : 7} className="px-5 py-10 text-center text-slate-500">
+                  <td colSpan={isEmployee ? 9 : 8} className="px-5 py-10 text-center text-slate-500">
                     No parcel records found.
                   </td>
                 </tr>
@@ -0,0 +1,515 @@
+import React, { useEffect, useState } from 'react';
+
+import { Icons } from './Icons.jsx';
+import {
+  downloadLedgerExport,
+  downloadLedgerForensics,
+  fetchLedgerBlocks,
+  fetchLedgerEventTypes,
+  fetchLedgerForensics,
+} from '../services/ledgerService.js';
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = {
+  eventType: '',
+  entityId: '',
+  fromIndex: '',
+  toIndex: '',
+  from: '',
+  to: '',
+};
+
+const formatDateTime = (value) => {
+  if (!value) return 'NA';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? 'NA' : date.toLocaleString();
+};
+
+const shortHash = (hash = '') => {
+  if (!hash) return 'NA';
+  if (hash.length < 16) return hash;
+  return `${hash.slice(0, 8)}...${hash.slice(-8)}`;
+};
+
+const toIsoOrEmpty = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString();
+};
+
+const saveBlob = ({ blob, fileName }) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const FORENSIC_KIND_LABELS = {
+  MISSING_BLOCK: 'Missing block',
+  BLOCK_HASH_MISMATCH: 'Hash pointer mismatch',
+  BLOCK_TAMPERED: 'Tampered block',
+  BLOCK_SIGNATURE_INVALID: 'Bad signature',
+  ENTITY_MISMATCH: 'Wrong entity',
+  STALE_LEDGER_POINTER: 'Stale pointer',
+  SNAPSHOT_MISMATCH: 'Snapshot mismatch',
+  PAYLOAD_CONTRADICTION: 'Payload contradiction',
+};
+
+export const LedgerExplorer = () => {
+  const [draftFilters, setDraftFilters] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [eventTypes, setEventTypes] = useState([]);
+  const [blocks, setBlocks] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [forensics, setForensics] = useState(null);
+  const [isRunningForensics, setIsRunningForensics] = useState(false);
+  const [error, setError] = useState('');
+  const [expandedIndex, setExpandedIndex] = useState(null);
+
+  const requestParams = (cursor = null) => ({
+    eventType: filters.eventType,
+    entityId: filters.entityId.trim(),
+    fromIndex: filters.fromIndex,
+    toIndex: filters.toIndex,
+    from: toIsoOrEmpty(filters.from),
+    to: toIsoOrEmpty(filters.to),
+    cursor,
+    limit: PAGE_SIZE,
+  });
+
+  useEffect(() => {
+    let active = true;
+    fetchLedgerEventTypes()
+      .then((payload) => {
+        if (active) setEventTypes(Array.isArray(payload.items) ? payload.items : []);
+      })
+      .catch(() => {
+        if (active) setEventTypes([]);
+      });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    let active = true;
+    const load = async () => {
+      setIsLoading(true);
+      setError('');
+      setExpandedIndex(null);
+      try {
+        const payload = await fetchLedgerBlocks(requestParams());
+        if (!active) return;
+        setBlocks(Array.isArray(payload.items) ? payload.items : []);
+        setNextCursor(payload.nextCursor ?? null);
+      } catch (loadError) {
+        if (!active) return;
+        setError(loadError instanceof Error ? loadError.message : 'Failed to load ledger blocks.');
+        setBlocks([]);
+        setNextCursor(null);
+      } finally {
+        if (active) setIsLoading(false);
+      }
+    };
+    void load();
+    return () => {
+      active = false;
+    };
+  }, [filters]);
+
+  const handleLoadMore = async () => {
+    if (nextCursor === null) return;
+    setIsLoadingMore(true);
+    setError('');
+    try {
+      const payload = await fetchLedgerBlocks(requestParams(nextCursor));
+      setBlocks((prev) => [...prev, ...(Array.isArray(payload.items) ? payload.items : [])]);
+      setNextCursor(payload.nextCursor ?? null);
+    } catch (loadError) {
+      setError(loadError instanceof Error ? loadError.message : 'Failed to load more blocks.');
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    setError('');
+    try {
+      saveBlob(await downloadLedgerExport());
+    } catch (exportError) {
+      setError(exportError instanceof Error ? exportError.message : 'Failed to export ledger.');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleRunForensics = async () => {
+    setIsRunningForensics(true);
+    setError('');
+    try {
+      setForensics(await fetchLedgerForensics());
+    } catch (forensicsError) {
+      setError(forensicsError instanceof Error ? forensicsError.message : 'Failed to build forensics report.');
+    } finally {
+      setIsRunningForensics(false);
+    }
+  };
+
+  const handleDownloadForensics = async (format) => {
+    setError('');
+    try {
+      saveBlob(await downloadLedgerForensics(format));
+    } catch (downloadError) {
+      setError(downloadError instanceof Error ? downloadError.message : 'Failed to download forensics report.');
+    }
+  };
+
+  const handleApplyFilters = (event) => {
+    event.preventDefault();
+    setFilters({ ...draftFilters });
+  };
+
+  const handleResetFilters = () => {
+    setDraftFilters(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+  };
+
+  const followEntity = (value) => {
+    const next = { ...EMPTY_FILTERS, entityId: value };
+    setDraftFilters(next);
+    setFilters(next);
+  };
+
+  const inputClass =
+    'w-full rounded-lg border border-slate-300 px-3 py-2 text-sm outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100';
+
+  return (
+    <div className="space-y-6 p-6">
+      <section className="panel-surface rounded-2xl p-6 shadow-[0_14px_32px_rgba(15,23,42,0.08)]">
+        <p className="inline-flex items-center gap-2 rounded-full border border-blue-200 bg-blue-50 px-3 py-1 text-xs font-semibold uppercase tracking-[0.08em] text-blue-700">
+          <Icons.Ledger className="h-3.5 w-3.5" />
+          Audit Ledger
+        </p>
+        <h2 className="mt-3 font-display text-2xl font-bold text-slate-900">Ledger Explorer</h2>
+        <p className="mt-2 text-sm text-slate-600">
+          Filter chain blocks by event type, index range, time range, or entity id. Click an entity reference to follow every event touching it.
+        </p>
+      </section>
+
+      {error && (
+        <section className="rounded-xl border border-rose-200 bg-rose-50 px-4 py-3 text-sm text-rose-700">
+          {error}
+        </section>
+      )}
+
+      <section className="panel-surface rounded-2xl p-5">
+        <form onSubmit={handleApplyFilters} className="grid grid-cols-1 gap-3 md:grid-cols-3 xl:grid-cols-6">
+          <div className="xl:col-span-2">
+            <label className="mb-1 block text-xs font-semibold uppercase tracking-[0.06em] text-slate-500">Entity id</label>
+            <input
+              value={draftFilters.entityId}
+              onChange={(event) => setDraftFilters((prev) => ({ ...prev, entityId: event.target.value }))}
+              placeholder="claimId, disputeId, boundaryId, userId or PID"
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="mb-1 block text-xs font-semibold uppercase tracking-[0.06em] text-slate-500">Event type</label>
+            <select
+              value={draftFilters.eventType}
+              onChange={(event) => setDraftFilters((prev) => ({ ...prev, eventType: event.target.value }))}
+              className={`${inputClass} bg-white`}
+            >
+              <option value="">All events</option>
+              {eventTypes.map((item) => (
+                <option key={item.eventType} value={item.eventType}>
+                  {item.eventType} ({item.count})
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="mb-1 block text-xs font-semibold uppercase tracking-[0.06em] text-slate-500">From #</label>
+              <input
+                type="number"
+                min="0"
+                value={draftFilters.fromIndex}
+                onChange={(event) => setDraftFilters((prev) => ({ ...prev, fromIndex: event.target.value }))}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="mb-1 block text-xs font-semibold uppercase tracking-[0.06em] text-slate-500">To #</label>
+              <input
+                type="number"
+                min="0"
+                value={draftFilters.toIndex}
+                onChange={(event) => setDraftFilters((prev) => ({ ...prev, toIndex: event.target.value }))}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div>
+            <label className="mb-1 block text-xs font-semibold uppercase tracking-[0.06em] text-slate-500">From time</label>
+            <input
+              type="datetime-local"
+              value={draftFilters.from}
+              onChange={(event) => setDraftFilters((prev) => ({ ...prev, from: event.target.value }))}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="mb-1 block text-xs font-semibold uppercase tracking-[0.06em] text-slate-500">To time</label>
+            <input
+              type="datetime-local"
+              value={draftFilters.to}
+              onChange={(event) => setDraftFilters((prev) => ({ ...prev, to: event.target.value }))}
+              className={inputClass}
+            />
+          </div>
+          <div className="flex flex-wrap gap-2 md:col-span-3 xl:col-span-6">
+            <button
+              type="submit"
+              className="inline-flex items-center gap-2 rounded-lg bg-slate-900 px-4 py-2 text-sm font-semibold text-white transition hover:bg-slate-800"
+            >
+              <Icons.Filter className="h-4 w-4" />
+              Apply Filters
+            </button>
+            <button
+              type="button"
+              onClick={handleResetFilters}
+              className="rounded-lg border border-slate-300 px-4 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-100"
+            >
+              Reset
+            </button>
+            <button
+              type="button"
+              onClick={handleExport}
+              disabled={isExporting}
+              className="ml-auto inline-flex items-center gap-2 rounded-lg border border-slate-300 px-4 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-100 disabled:opacity-60"
+            >
+              <Icons.Download className="h-4 w-4" />
+              {isExporting ? 'Exporting...' : 'Export NDJSON'}
+            </button>
+          </div>
+        </form>
+      </section>
+
+      <section className="panel-surface rounded-2xl">
+        <div className="border-b border-slate-200 px-5 py-4">
+          <p className="text-sm text-slate-600">
+            Showing <span className="font-semibold text-slate-900">{blocks.length}</span> block(s)
+            {filters.entityId ? (
+              <>
+                {' '}touching <span className="font-mono text-xs text-slate-900">{filters.entityId}</span>
+              </>
+            ) : null}
+          </p>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full min-w-[980px] text-left text-sm">
+            <thead className="bg-slate-100/80 text-xs uppercase tracking-[0.06em] text-slate-500">
+              <tr>
+                <th className="px-5 py-3 font-semibold">Block</th>
+                <th className="px-5 py-3 font-semibold">Timestamp</th>
+                <th className="px-5 py-3 font-semibold">Event</th>
+                <th className="px-5 py-3 font-semibold">Entity References</th>
+                <th className="px-5 py-3 font-semibold">Hash</th>
+              </tr>
+            </thead>
+            <tbody>
+              {isLoading ? (
+                <tr>
+                  <td colSpan={5} className="px-5 py-10 text-center text-slate-500">
+                    Loading ledger...
+                  </td>
+                </tr>
+              ) : blocks.length ? (
+                blocks.map((block) => (
+                  <React.Fragment key={block.index}>
+                    <tr
+                      onClick={() => setExpandedIndex((prev) => (prev === block.index ? null : block.index))}
+                      className={`cursor-pointer border-t border-slate-100 transition ${
+                        expandedIndex === block.index ? 'bg-blue-50/70' : 'bg-white/85 hover:bg-white'
+                      }`}
+                    >
+                      <td className="px-5 py-3 font-semibold text-slate-900">#{block.index}</td>
+                      <td className="px-5 py-3 text-slate-600">{formatDateTime(block.timestamp)}</td>
+                      <td className="px-5 py-3 font-mono text-xs text-slate-700">{block.eventType}</td>
+                      <td className="px-5 py-3">
+                        <div className="flex flex-wrap gap-1">
+                          {(block.entityRefs || []).map((ref) => (
+                            <button
+                              key={`${ref.key}-${ref.value}`}
+                              type="button"
+                              onClick={(event) => {
+                                event.stopPropagation();
+                                followEntity(ref.value);
+                              }}
+                              className="rounded-full border border-slate-200 bg-slate-50 px-2 py-0.5 text-[11px] text-slate-600 transition hover:border-brand-300 hover:text-brand-700"
+                              title={`Follow ${ref.key} ${ref.value}`}
+                            >
+                              {ref.key}: {shortHash(ref.value)}
+                            </button>
+                          ))}
+                        </div>
+                      </td>
+                      <td className="px-5 py-3 font-mono text-xs text-slate-500" title={block.hash}>
+                        {shortHash(block.hash)}
+                      </td>
+                    </tr>
+                    {expandedIndex === block.index && (
+                      <tr className="border-t border-slate-100 bg-slate-50/80">
+                        <td colSpan={5} className="px-5 py-3">
+                          <p className="font-mono text-[11px] text-slate-500">previousHash: {block.previousHash}</p>
+                          <p className="font-mono text-[11px] text-slate-500">hash: {block.hash}</p>
+                          <pre className="mt-2 max-h-64 overflow-auto rounded-lg border border-slate-200 bg-white p-3 text-xs text-slate-700">
+                            {JSON.stringify(block.payload, null, 2)}
+                          </pre>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))
+              ) : (
+                <tr>
+                  <td colSpan={5} className="px-5 py-10 text-center text-slate-500">
+                    No ledger blocks match these filters.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {nextCursor !== null && !isLoading && (
+          <div className="border-t border-slate-200 px-5 py-4 text-center">
+            <button
+              type="button"
+              onClick={() => {
+                void handleLoadMore();
+              }}
+              disabled={isLoadingMore}
+              className="inline-flex items-center gap-2 rounded-lg border border-slate-300 px-4 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-100 disabled:opacity-60"
+            >
+              {isLoadingMore && <Icons.Spinner className="h-4 w-4 animate-spin" />}
+              {isLoadingMore ? 'Loading...' : 'Load older blocks'}
+            </button>
+          </div>
+        )}
+      </section>
+
+      <section className="panel-surface rounded-2xl p-5">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div>
+            <h3 className="font-display text-lg font-semibold text-slate-900">Tamper Forensics</h3>
+            <p className="text-sm text-slate-600">
+              Cross-check claims, parcels, boundaries, disputes and insights against the blocks they reference.
+            </p>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <button
+              type="button"
+              onClick={() => {
+                void handleRunForensics();
+              }}
+              disabled={isRunningForensics}
+              className="inline-flex items-center gap-2 rounded-lg bg-slate-900 px-4 py-2 text-sm font-semibold text-white transition hover:bg-slate-800 disabled:opacity-60"
+            >
+              {isRunningForensics ? <Icons.Spinner className="h-4 w-4 animate-spin" /> : <Icons.Shield className="h-4 w-4" />}
+              {isRunningForensics ? 'Scanning...' : 'Run Report'}
+            </button>
+            {['csv', 'json'].map((format) => (
+              <button
+                key={format}
+                type="button"
+                onClick={() => {
+                  void handleDownloadForensics(format);
+                }}
+                className="inline-flex items-center gap-2 rounded-lg border border-slate-300 px-4 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-100"
+              >
+                <Icons.Download className="h-4 w-4" />
+                {format.toUpperCase()}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {forensics && (
+          <div className="mt-4 space-y-4">
+            <div
+              className={`flex items-center gap-2 rounded-xl border px-4 py-3 text-sm font-semibold ${
+                forensics.clean
+                  ? 'border-emerald-200 bg-emerald-50 text-emerald-700'
+                  : 'border-rose-200 bg-rose-50 text-rose-700'
+              }`}
+            >
+              {forensics.clean ? <Icons.Verified className="h-4 w-4" /> : <Icons.Alert className="h-4 w-4" />}
+              {forensics.clean
+                ? `No divergence across ${forensics.chain.totalBlocks} blocks.`
+                : `${forensics.issues.length} row issue(s); chain ${forensics.chain.valid ? 'intact' : `broken: ${forensics.chain.reason}`}.`}
+            </div>
+
+            <div className="grid grid-cols-2 gap-3 md:grid-cols-3 xl:grid-cols-6">
+              {forensics.tables.map((table) => (
+                <div key={table.table} className="rounded-xl border border-slate-200 bg-white px-3 py-2">
+                  <p className="font-mono text-xs text-slate-500">{table.table}</p>
+                  <p className="text-sm font-semibold text-slate-900">
+                    {table.affectedRows} / {table.rowCount} rows flagged
+                  </p>
+                </div>
+              ))}
+            </div>
+
+            {forensics.issues.length > 0 && (
+              <div className="overflow-x-auto rounded-xl border border-slate-200">
+                <table className="w-full text-left text-sm">
+                  <thead className="bg-slate-50 text-xs uppercase tracking-[0.06em] text-slate-500">
+                    <tr>
+                      <th className="px-4 py-2">Table</th>
+                      <th className="px-4 py-2">Row</th>
+                      <th className="px-4 py-2">Issue</th>
+                      <th className="px-4 py-2">Block</th>
+                      <th className="px-4 py-2">Detail</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {forensics.issues.map((issue, position) => (
+                      <tr key={`${issue.table}-${issue.rowId}-${issue.kind}-${position}`} className="border-t border-slate-100">
+                        <td className="px-4 py-2 font-mono text-xs text-slate-600">{issue.table}</td>
+                        <td className="px-4 py-2">
+                          <button
+                            type="button"
+                            onClick={() => followEntity(String(issue.rowId))}
+                            className="font-mono text-xs text-brand-700 hover:underline"
+                            title={String(issue.rowId)}
+                          >
+                            {shortHash(String(issue.rowId))}
+                          </button>
+                        </td>
+                        <td className="px-4 py-2 text-xs font-semibold text-rose-700">
+                          {FORENSIC_KIND_LABELS[issue.kind] || issue.kind}
+                        </td>
+                        <td className="px-4 py-2 font-mono text-xs text-slate-600">#{issue.blockIndex}</td>
+                        <td className="px-4 py-2 text-xs text-slate-600">{issue.detail}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </section>
+    </div>
+  );
+};
@@ -0,0 +1,350 @@
+import React, { useEffect, useState } from 'react';
+
+import { Icons } from './Icons.jsx';
+import {
+  fetchEncumbranceCertificate,
+  fetchParcelEncumbrances,
+  registerParcelEncumbrance,
+  releaseParcelEncumbrance,
+} from '../services/landClaimService.js';
+
+const ENCUMBRANCE_TYPE_LABELS = {
+  MORTGAGE: 'Mortgage',
+  COURT_ATTACHMENT: 'Court attachment',
+  LEASE: 'Lease',
+};
+
+const EMPTY_FORM = {
+  encumbranceType: 'MORTGAGE',
+  holderName: '',
+  holderReference: '',
+  amount: '',
+  startsAt: '',
+  endsAt: '',
+  note: '',
+};
+
+const formatDate = (value) => {
+  if (!value) return 'NA';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? 'NA' : date.toLocaleDateString();
+};
+
+const statusLabel = (item) => {
+  if (item.status === 'RELEASED') return 'Released';
+  return item.inForce ? 'In force' : 'Expired';
+};
+
+const saveBlob = ({ blob, fileName }) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export const ParcelEncumbrances = ({ isEmployee, activeParcel, onEncumbrancesChanged }) => {
+  const [items, setItems] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [certificateFrom, setCertificateFrom] = useState('');
+  const [certificateTo, setCertificateTo] = useState('');
+  const [certificate, setCertificate] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [busyId, setBusyId] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const loadItems = async () => {
+    if (!activeParcel) {
+      setItems([]);
+      return;
+    }
+    try {
+      const payload = await fetchParcelEncumbrances({ parcelId: activeParcel.id });
+      setItems(Array.isArray(payload.items) ? payload.items : []);
+    } catch (loadError) {
+      setError(loadError instanceof Error ? loadError.message : 'Failed to load encumbrances.');
+    }
+  };
+
+  useEffect(() => {
+    setCertificate(null);
+    setError('');
+    setSuccess('');
+    void loadItems();
+  }, [activeParcel?.id]);
+
+  if (!activeParcel) return null;
+
+  const updateForm = (field) => (event) => setForm((prev) => ({ ...prev, [field]: event.target.value }));
+
+  const handleRegister = async (event) => {
+    event.preventDefault();
+    setError('');
+    setSuccess('');
+    setIsSubmitting(true);
+    try {
+      await registerParcelEncumbrance({
+        parcelId: activeParcel.id,
+        encumbranceType: form.encumbranceType,
+        holderName: form.holderName.trim(),
+        holderReference: form.holderReference.trim(),
+        amount: form.amount ? Number(form.amount) : null,
+        startsAt: form.startsAt || undefined,
+        endsAt: form.endsAt || undefined,
+        note: form.note.trim(),
+      });
+      setForm(EMPTY_FORM);
+      setSuccess(`${ENCUMBRANCE_TYPE_LABELS[form.encumbranceType]} registered against PID ${activeParcel.pid}.`);
+      await loadItems();
+      onEncumbrancesChanged?.();
+    } catch (submitError) {
+      setError(submitError instanceof Error ? submitError.message : 'Failed to register encumbrance.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRelease = async (item) => {
+    setError('');
+    setSuccess('');
+    const releaseNote = (window.prompt('Discharge deed, court order or surrender reference:', '') || '').trim();
+    if (!releaseNote) return;
+
+    setBusyId(item.id);
+    try {
+      await releaseParcelEncumbrance({ encumbranceId: item.id, releaseNote });
+      setSuccess(`${ENCUMBRANCE_TYPE_LABELS[item.encumbranceType] || item.encumbranceType} held by ${item.holderName} released.`);
+      await loadItems();
+      onEncumbrancesChanged?.();
+    } catch (releaseError) {
+      setError(releaseError instanceof Error ? releaseError.message : 'Failed to release encumbrance.');
+    } finally {
+      setBusyId('');
+    }
+  };
+
+  const handleCertificate = async (event) => {
+    event.preventDefault();
+    setError('');
+    try {
+      setCertificate(await fetchEncumbranceCertificate({ pid: activeParcel.pid, from: certificateFrom, to: certificateTo }));
+    } catch (certificateError) {
+      setCertificate(null);
+      setError(certificateError instanceof Error ? certificateError.message : 'Failed to issue encumbrance certificate.');
+    }
+  };
+
+  return (
+    <section className="panel-surface rounded-2xl p-5">
+      <h3 className="font-display text-lg font-bold text-slate-900">Encumbrances for PID {activeParcel.pid}</h3>
+      <p className="mt-1 text-xs text-slate-500">
+        Mortgages and court attachments block transfers until the registry records their release. Leases stay with the land.
+      </p>
+
+      {error && <p className="mt-3 rounded-lg border border-rose-200 bg-rose-50 px-3 py-2 text-xs text-rose-700">{error}</p>}
+      {success && (
+        <p className="mt-3 rounded-lg border border-emerald-200 bg-emerald-50 px-3 py-2 text-xs text-emerald-700">{success}</p>
+      )}
+
+      <div className="mt-4 grid grid-cols-1 gap-4 xl:grid-cols-2">
+        <ul className="max-h-[420px] space-y-2 overflow-y-auto text-xs">
+          {items.length ? (
+            items.map((item) => (
+              <li key={item.id} className="rounded-lg border border-slate-200 bg-white/90 p-3 text-slate-700">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <p className="font-semibold text-slate-900">
+                    {ENCUMBRANCE_TYPE_LABELS[item.encumbranceType] || item.encumbranceType} · {item.holderName}
+                    {item.holderReference ? ` · ${item.holderReference}` : ''}
+                    {item.amount !== null ? ` · INR ${item.amount.toLocaleString()}` : ''}
+                  </p>
+                  <span
+                    className={`rounded-full border px-2 py-0.5 font-semibold ${
+                      item.inForce && item.lien
+                        ? 'border-amber-200 bg-amber-50 text-amber-700'
+                        : 'border-slate-200 bg-slate-50 text-slate-600'
+                    }`}
+                  >
+                    {statusLabel(item)}
+                  </span>
+                </div>
+                <p className="mt-1 text-slate-500">
+                  {formatDate(item.startsAt)} to {item.endsAt ? formatDate(item.endsAt) : 'until released'}
+                  {' · '}
+                  <span className="font-mono">block #{item.ledgerBlock.index}</span>
+                </p>
+                {item.note && <p className="mt-1 whitespace-pre-wrap">{item.note}</p>}
+                {item.releaseNote && (
+                  <p className="mt-1">
+                    Released {formatDate(item.releasedAt)}
+                    {item.releasedBy ? ` by ${item.releasedBy.name}` : ''}: {item.releaseNote}
+                  </p>
+                )}
+                {isEmployee && item.status === 'ACTIVE' && (
+                  <button
+                    type="button"
+                    disabled={busyId === item.id}
+                    onClick={() => {
+                      void handleRelease(item);
+                    }}
+                    className="mt-2 rounded-lg border border-slate-300 px-3 py-1 font-semibold text-slate-700 transition hover:bg-slate-100 disabled:opacity-60"
+                  >
+                    Record Release
+                  </button>
+                )}
+              </li>
+            ))
+          ) : (
+            <li className="rounded-lg border border-dashed border-slate-300 px-3 py-6 text-center text-slate-500">
+              Nothing is registered against this parcel.
+            </li>
+          )}
+        </ul>
+
+        <div className="space-y-3">
+          {isEmployee && activeParcel.status === 'ACTIVE' && (
+            <form onSubmit={handleRegister} className="space-y-2 rounded-lg border border-slate-200 bg-white/85 p-3 text-xs">
+              <p className="font-semibold text-slate-800">Register encumbrance</p>
+              <div className="flex gap-2">
+                <select
+                  value={form.encumbranceType}
+                  onChange={updateForm('encumbranceType')}
+                  className="rounded-lg border border-slate-300 px-2 py-1.5 outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+                >
+                  {Object.entries(ENCUMBRANCE_TYPE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  value={form.holderName}
+                  onChange={updateForm('holderName')}
+                  placeholder="Bank, court or lessee"
+                  className="flex-1 rounded-lg border border-slate-300 px-2.5 py-1.5 outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+                />
+              </div>
+              <div className="flex gap-2">
+                <input
+                  value={form.holderReference}
+                  onChange={updateForm('holderReference')}
+                  placeholder="Loan account or case number"
+                  className="flex-1 rounded-lg border border-slate-300 px-2.5 py-1.5 outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+                />
+                <input
+                  type="number"
+                  min="1"
+                  step="0.01"
+                  value={form.amount}
+                  onChange={updateForm('amount')}
+                  placeholder={form.encumbranceType === 'MORTGAGE' ? 'Secured amount (INR)' : 'Amount (INR, optional)'}
+                  className="flex-1 rounded-lg border border-slate-300 px-2.5 py-1.5 outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+                />
+              </div>
+              <div className="flex items-center gap-2 text-slate-600">
+                <label className="flex flex-1 flex-col gap-1">
+                  Starts
+                  <input
+                    type="date"
+                    value={form.startsAt}
+                    onChange={updateForm('startsAt')}
+                    className="rounded-lg border border-slate-300 px-2.5 py-1.5 outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+                  />
+                </label>
+                <label className="flex flex-1 flex-col gap-1">
+                  Ends (optional)
+                  <input
+                    type="date"
+                    value={form.endsAt}
+                    onChange={updateForm('endsAt')}
+                    className="rounded-lg border border-slate-300 px-2.5 py-1.5 outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+                  />
+                </label>
+              </div>
+              <textarea
+                rows={2}
+                value={form.note}
+                onChange={updateForm('note')}
+                placeholder="Charge deed or court order details (optional)"
+                className="w-full rounded-lg border border-slate-300 px-2.5 py-1.5 outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+              />
+              <button
+                type="submit"
+                disabled={isSubmitting || !form.holderName.trim()}
+                className="inline-flex items-center gap-2 rounded-lg bg-slate-900 px-3 py-1.5 font-semibold text-white transition hover:bg-slate-800 disabled:opacity-60"
+              >
+                {isSubmitting && <Icons.Spinner className="h-3.5 w-3.5 animate-spin" />}
+                Register
+              </button>
+            </form>
+          )}
+
+          <form onSubmit={handleCertificate} className="space-y-2 rounded-lg border border-slate-200 bg-white/85 p-3 text-xs">
+            <p className="font-semibold text-slate-800">Encumbrance certificate</p>
+            <div className="flex items-end gap-2 text-slate-600">
+              <label className="flex flex-1 flex-col gap-1">
+                From (default: registration)
+                <input
+                  type="date"
+                  value={certificateFrom}
+                  onChange={(event) => setCertificateFrom(event.target.value)}
+                  className="rounded-lg border border-slate-300 px-2.5 py-1.5 outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+                />
+              </label>
+              <label className="flex flex-1 flex-col gap-1">
+                To (default: today)
+                <input
+                  type="date"
+                  value={certificateTo}
+                  onChange={(event) => setCertificateTo(event.target.value)}
+                  className="rounded-lg border border-slate-300 px-2.5 py-1.5 outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+                />
+              </label>
+              <button
+                type="submit"
+                className="rounded-lg border border-slate-300 px-3 py-1.5 font-semibold text-slate-700 transition hover:bg-slate-100"
+              >
+                Issue
+              </button>
+            </div>
+            {certificate && (
+              <div className="rounded-lg bg-slate-50 px-2.5 py-2 text-slate-600">
+                <p className="font-semibold text-slate-800">
+                  {certificate.nil
+                    ? `Nil encumbrance on PID ${certificate.pid}`
+                    : `${certificate.items.length} entr${certificate.items.length === 1 ? 'y' : 'ies'} against PID ${certificate.pid}`}
+                </p>
+                <p className="mt-0.5">
+                  {formatDate(certificate.from)} to {formatDate(certificate.to)} · issued {formatDate(certificate.issuedAt)}
+                </p>
+                <ul className="mt-1 space-y-0.5">
+                  {certificate.items.map((item) => (
+                    <li key={item.id}>
+                      {ENCUMBRANCE_TYPE_LABELS[item.encumbranceType] || item.encumbranceType} · {item.holderName} ·{' '}
+                      {formatDate(item.startsAt)} to{' '}
+                      {item.releasedAt ? `released ${formatDate(item.releasedAt)}` : item.endsAt ? formatDate(item.endsAt) : 'open'}
+                    </li>
+                  ))}
+                </ul>
+                <p className="mt-1 break-all font-mono text-[11px] text-slate-500">{certificate.certificateHash}</p>
+                <button
+                  type="button"
+                  onClick={() =>
+                    saveBlob({
+                      blob: new Blob([JSON.stringify(certificate, null, 2)], { type: 'application/json' }),
+                      fileName: `encumbrance-certificate-${certificate.pid}.json`,
+                    })
+                  }
+                  className="mt-2 rounded-lg border border-slate-300 px-3 py-1 font-semibold text-slate-700 transition hover:bg-slate-100"
+                >
+                  Download JSON
+                </button>
+              </div>
+            )}
+          </form>
+        </div>
+      </div>
+    </section>
+  );
+};
@@ -0,0 +1,202 @@
+import React, { useEffect, useState } from 'react';
+
+import { fetchParcelHistory } from '../services/landClaimService.js';
+
+const EVENT_LABELS = {
+  LAND_CLAIM_SUBMITTED: 'Claim submitted',
+  LAND_CLAIM_AMENDED: 'Claim amended',
+  LAND_CLAIM_FLAGGED: 'Claim flagged for overlap',
+  LAND_CLAIM_INFO_REQUESTED: 'Information requested',
+  LAND_CLAIM_INFO_PROVIDED: 'Information provided',
+  LAND_CLAIM_FIRST_APPROVAL: 'First approval recorded',
+  LAND_CLAIM_REVIEWED: 'Claim decided',
+  LAND_CLAIM_WITHDRAWN: 'Claim withdrawn',
+  LAND_CLAIM_CO_OWNER_ACCEPTED: 'Co-owner accepted',
+  LAND_CLAIM_CO_OWNER_DECLINED: 'Co-owner declined',
+  LAND_CLAIM_REOPENED: 'Claim reopened on appeal',
+  CLAIM_APPEAL_FILED: 'Appeal filed',
+  CLAIM_APPEAL_DECIDED: 'Appeal decided',
+  LAND_PARCEL_ASSIGNED: 'Parcel registered',
+  LAND_PARCEL_CREATED: 'Parcel created',
+  LAND_PARCEL_TRANSFERRED: 'Ownership changed',
+  LAND_PARCEL_RETIRED: 'Parcel retired',
+  PARCEL_SUBDIVIDED: 'Subdivided',
+  PARCEL_AMALGAMATED: 'Amalgamated',
+  PARCEL_TRANSFER_INITIATED: 'Transfer started',
+  PARCEL_TRANSFER_ACCEPTED: 'Transfer accepted by buyer',
+  PARCEL_TRANSFER_DECLINED: 'Transfer declined by buyer',
+  PARCEL_TRANSFER_CANCELLED: 'Transfer cancelled by seller',
+  PARCEL_TRANSFER_APPROVED: 'Transfer approved',
+  PARCEL_TRANSFER_REJECTED: 'Transfer rejected',
+  ENCUMBRANCE_REGISTERED: 'Encumbrance registered',
+  ENCUMBRANCE_RELEASED: 'Encumbrance released',
+  LAND_DISPUTE_CREATED: 'Dispute filed',
+  LAND_DISPUTE_STATUS_UPDATED: 'Dispute status changed',
+  GOV_BOUNDARY_CREATED: 'Boundary drawn',
+  GOV_BOUNDARY_PRESET_ADDED: 'Boundary loaded',
+  GOV_BOUNDARY_UPDATED: 'Boundary edited',
+  GOV_BOUNDARY_REMOVED: 'Boundary removed',
+};
+
+const CATEGORY_LABELS = {
+  CLAIM: 'Claim',
+  PARCEL: 'Registry',
+  LINEAGE: 'Lineage',
+  TRANSFER: 'Transfer',
+  ENCUMBRANCE: 'Encumbrance',
+  DISPUTE: 'Dispute',
+  BOUNDARY: 'Boundary',
+};
+
+const CATEGORY_TONES = {
+  CLAIM: 'bg-sky-500',
+  PARCEL: 'bg-emerald-500',
+  LINEAGE: 'bg-violet-500',
+  TRANSFER: 'bg-brand-500',
+  ENCUMBRANCE: 'bg-amber-500',
+  DISPUTE: 'bg-rose-500',
+  BOUNDARY: 'bg-slate-400',
+};
+
+const NOTE_FIELDS = ['claimNote', 'note', 'reviewNote', 'releaseNote', 'description'];
+
+const formatDateTime = (value) => {
+  if (!value) return 'NA';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? 'NA' : date.toLocaleString();
+};
+
+const describeEvent = ({ details }, users) => {
+  const name = (userId) => users[userId] || 'Unknown user';
+  const parts = [];
+  if (details.action) parts.push(`Decision: ${details.action}`);
+  if (details.fromStatus && details.toStatus) parts.push(`${details.fromStatus} → ${details.toStatus}`);
+  if (details.transferType) parts.push(details.transferType);
+  if (details.share && details.share !== '1/1') parts.push(`${details.share} share`);
+  if (details.transferredShare && details.transferredShare !== '1/1') parts.push(`${details.transferredShare} share`);
+  if (details.sellerUserId && details.buyerUserId) parts.push(`${name(details.sellerUserId)} to ${name(details.buyerUserId)}`);
+  if (Array.isArray(details.ownerShares)) {
+    parts.push(`Owners: ${details.ownerShares.map((item) => `${name(item.userId)} (${item.share})`).join(', ')}`);
+  } else if (details.ownerUserId) {
+    parts.push(`Owner: ${name(details.ownerUserId)}`);
+  }
+  if (details.previousOwnerUserId) parts.push(`previously ${name(details.previousOwnerUserId)}`);
+  if (details.encumbranceType) parts.push(`${details.encumbranceType}${details.holderName ? ` · ${details.holderName}` : ''}`);
+  if (details.amount !== undefined && details.amount !== null) parts.push(`INR ${Number(details.amount).toLocaleString()}`);
+  if (details.considerationAmount !== undefined && details.considerationAmount !== null) {
+    parts.push(`INR ${Number(details.considerationAmount).toLocaleString()}`);
+  }
+  if (details.disputeType) parts.push(details.disputeType);
+  if (details.code) parts.push(`${details.code}${details.name ? ` · ${details.name}` : ''}`);
+  if (details.reviewerUserId) parts.push(`by ${name(details.reviewerUserId)}`);
+  return parts.join(' · ');
+};
+
+export const ParcelHistory = ({ activeParcel, reloadKey = 0 }) => {
+  const [items, setItems] = useState([]);
+  const [users, setUsers] = useState({});
+  const [category, setCategory] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    if (!activeParcel) {
+      setItems([]);
+      return undefined;
+    }
+    let active = true;
+    const load = async () => {
+      setIsLoading(true);
+      setError('');
+      try {
+        const payload = await fetchParcelHistory({ parcelId: activeParcel.id });
+        if (!active) return;
+        setItems(Array.isArray(payload.items) ? payload.items : []);
+        setUsers(payload.users || {});
+      } catch (loadError) {
+        if (active) setError(loadError instanceof Error ? loadError.message : 'Failed to load parcel history.');
+      } finally {
+        if (active) setIsLoading(false);
+      }
+    };
+    void load();
+    return () => {
+      active = false;
+    };
+  }, [activeParcel?.id, reloadKey]);
+
+  if (!activeParcel) return null;
+
+  const visible = category ? items.filter((item) => item.category === category) : items;
+
+  return (
+    <section className="panel-surface rounded-2xl p-5">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h3 className="font-display text-lg font-bold text-slate-900">History of PID {activeParcel.pid}</h3>
+          <p className="mt-1 text-xs text-slate-500">
+            Every ledger event for this parcel and the parcels it came from, oldest first.
+          </p>
+        </div>
+        <select
+          value={category}
+          onChange={(event) => setCategory(event.target.value)}
+          className="rounded-lg border border-slate-300 px-2 py-1.5 text-xs outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+        >
+          <option value="">All events ({items.length})</option>
+          {Object.entries(CATEGORY_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label} ({items.filter((item) => item.category === value).length})
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && <p className="mt-3 rounded-lg border border-rose-200 bg-rose-50 px-3 py-2 text-xs text-rose-700">{error}</p>}
+
+      {isLoading && !items.length ? (
+        <p className="mt-3 text-xs text-slate-500">Loading history...</p>
+      ) : visible.length ? (
+        <ol className="mt-4 max-h-[520px] space-y-3 overflow-y-auto border-l border-slate-200 pl-4 text-xs text-slate-600">
+          {visible.map((item) => {
+            const description = describeEvent(item, users);
+            return (
+              <li key={item.ledgerBlock.index} className="relative">
+                <span
+                  className={`absolute -left-[21.5px] top-1 h-2.5 w-2.5 rounded-full ring-2 ring-white ${
+                    CATEGORY_TONES[item.category] || 'bg-slate-400'
+                  }`}
+                />
+                <p className="flex flex-wrap items-center gap-x-2 gap-y-0.5">
+                  <span className="font-semibold text-slate-800">{EVENT_LABELS[item.eventType] || item.eventType}</span>
+                  <span className="rounded-full border border-slate-200 bg-slate-50 px-1.5 py-px text-[11px] text-slate-500">
+                    {CATEGORY_LABELS[item.category] || item.category}
+                  </span>
+                  {item.inheritedFrom && <span className="text-slate-500">on PID {item.inheritedFrom.pid}</span>}
+                </p>
+                <p className="mt-0.5 text-slate-500">
+                  {formatDateTime(item.timestamp)}
+                  {' · '}
+                  <span className="font-mono" title={item.ledgerBlock.hash}>
+                    block #{item.ledgerBlock.index}
+                  </span>
+                </p>
+                {description && <p className="mt-0.5">{description}</p>}
+                {NOTE_FIELDS.filter((field) => item.details[field]).map((field) => (
+                  <p key={field} className="mt-0.5 whitespace-pre-wrap text-slate-500">
+                    {item.details[field]}
+                  </p>
+                ))}
+                {item.redactedFields.length > 0 && (
+                  <p className="mt-0.5 text-slate-400">Committed and hidden: {item.redactedFields.join(', ')}</p>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      ) : (
+        <p className="mt-3 text-xs text-slate-500">No ledger events match this filter.</p>
+      )}
+    </section>
+  );
+};
@@ -0,0 +1,93 @@
+import React, { useEffect, useState } from 'react';
+
+import { fetchParcelLineage } from '../services/landClaimService.js';
+
+const OPERATION_LABELS = {
+  SUBDIVISION: 'Subdivided',
+  AMALGAMATION: 'Amalgamated',
+};
+
+const formatDateTime = (value) => {
+  if (!value) return 'NA';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? 'NA' : date.toLocaleString();
+};
+
+const ParcelChip = ({ parcel, isActive, onSelect }) => (
+  <button
+    type="button"
+    onClick={() => onSelect?.(parcel)}
+    className={`rounded-full border px-2 py-0.5 font-semibold transition ${
+      isActive
+        ? 'border-brand-300 bg-brand-50 text-brand-700'
+        : parcel.status === 'RETIRED'
+          ? 'border-slate-200 bg-slate-100 text-slate-500 line-through'
+          : 'border-slate-300 bg-white text-slate-700 hover:bg-slate-100'
+    }`}
+    title={`${Number(parcel.areaSqM || 0).toFixed(2)} sq.m · ${parcel.status}`}
+  >
+    {parcel.pid}
+  </button>
+);
+
+export const ParcelLineage = ({ activeParcel, reloadKey = 0, onSelectParcel }) => {
+  const [operations, setOperations] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!activeParcel) {
+      setOperations([]);
+      return undefined;
+    }
+    let active = true;
+    const load = async () => {
+      setError('');
+      try {
+        const payload = await fetchParcelLineage({ parcelId: activeParcel.id });
+        if (active) setOperations(Array.isArray(payload.operations) ? payload.operations : []);
+      } catch (loadError) {
+        if (active) setError(loadError instanceof Error ? loadError.message : 'Failed to load parcel lineage.');
+      }
+    };
+    void load();
+    return () => {
+      active = false;
+    };
+  }, [activeParcel?.id, reloadKey]);
+
+  if (!activeParcel) return null;
+
+  return (
+    <div className="mt-3 rounded-lg border border-slate-200 bg-white/85 px-3 py-2 text-xs text-slate-600">
+      <p className="font-semibold text-slate-800">Lineage for PID {activeParcel.pid}</p>
+      {error && <p className="mt-1 text-rose-700">{error}</p>}
+      {operations.length ? (
+        <ol className="mt-2 space-y-2">
+          {operations.map((operation) => (
+            <li key={operation.operationId} className="rounded-lg bg-slate-50 px-2.5 py-1.5">
+              <p className="text-slate-500">
+                <span className="font-semibold text-slate-800">{OPERATION_LABELS[operation.operation] || operation.operation}</span>
+                {' · '}
+                {formatDateTime(operation.createdAt)}
+                {' · '}
+                <span className="font-mono">block #{operation.ledgerBlock.index}</span>
+              </p>
+              <div className="mt-1 flex flex-wrap items-center gap-1.5">
+                {operation.parents.map((parcel) => (
+                  <ParcelChip key={parcel.id} parcel={parcel} isActive={parcel.id === activeParcel.id} onSelect={onSelectParcel} />
+                ))}
+                <span className="text-slate-400">→</span>
+                {operation.children.map((parcel) => (
+                  <ParcelChip key={parcel.id} parcel={parcel} isActive={parcel.id === activeParcel.id} onSelect={onSelectParcel} />
+                ))}
+              </div>
+              {operation.note && <p className="mt-1 whitespace-pre-wrap">{operation.note}</p>}
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="mt-1 text-slate-500">Registered as drawn. No subdivision or amalgamation on record.</p>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,339 @@
+import React, { useEffect, useState } from 'react';
+
+import { Icons } from './Icons.jsx';
+import {
+  fetchParcelOwners,
+  fetchParcelTransfers,
+  initiateParcelTransfer,
+  updateParcelTransfer,
+} from '../services/landClaimService.js';
+
+const TRANSFER_TYPE_LABELS = {
+  SALE: 'Sale',
+  GIFT: 'Gift',
+  INHERITANCE: 'Inheritance',
+};
+
+const ACQUIRED_VIA_LABELS = {
+  ...TRANSFER_TYPE_LABELS,
+  CLAIM: 'Registered by claim',
+  RETAINED: 'Retained after partial transfer',
+  SUBDIVISION: 'Subdivided from parent',
+  AMALGAMATION: 'Amalgamated from parcels',
+};
+
+const TRANSFER_STATUS_LABELS = {
+  PENDING_BUYER: 'Awaiting buyer',
+  PENDING_APPROVAL: 'Awaiting registry approval',
+  COMPLETED: 'Completed',
+  DECLINED: 'Declined by buyer',
+  CANCELLED: 'Cancelled by seller',
+  REJECTED: 'Rejected by registry',
+};
+
+const ACTION_LABELS = {
+  ACCEPT: 'Accept',
+  DECLINE: 'Decline',
+  CANCEL: 'Cancel Transfer',
+  APPROVE: 'Approve by PID Match',
+  REJECT: 'Reject',
+};
+
+const ACTION_TONES = {
+  ACCEPT: 'border-emerald-200 bg-emerald-50 text-emerald-700 hover:bg-emerald-100',
+  APPROVE: 'border-emerald-200 bg-emerald-50 text-emerald-700 hover:bg-emerald-100',
+  DECLINE: 'border-rose-200 bg-rose-50 text-rose-700 hover:bg-rose-100',
+  REJECT: 'border-rose-200 bg-rose-50 text-rose-700 hover:bg-rose-100',
+  CANCEL: 'border-slate-300 text-slate-700 hover:bg-slate-100',
+};
+
+const formatDateTime = (value) => {
+  if (!value) return 'NA';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? 'NA' : date.toLocaleString();
+};
+
+export const ParcelTransfers = ({ isEmployee, userId, activeParcel, onOwnershipChanged }) => {
+  const [transfers, setTransfers] = useState([]);
+  const [owners, setOwners] = useState([]);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [busyTransferId, setBusyTransferId] = useState('');
+  const [buyerEmail, setBuyerEmail] = useState('');
+  const [transferType, setTransferType] = useState('SALE');
+  const [considerationAmount, setConsiderationAmount] = useState('');
+  const [share, setShare] = useState('');
+  const [note, setNote] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const loadTransfers = async () => {
+    try {
+      const payload = await fetchParcelTransfers();
+      setTransfers(Array.isArray(payload.items) ? payload.items : []);
+    } catch (loadError) {
+      setError(loadError instanceof Error ? loadError.message : 'Failed to load transfers.');
+    }
+  };
+
+  const loadOwners = async () => {
+    if (!activeParcel) {
+      setOwners([]);
+      return;
+    }
+    try {
+      const payload = await fetchParcelOwners({ parcelId: activeParcel.id });
+      setOwners(Array.isArray(payload.items) ? payload.items : []);
+    } catch (loadError) {
+      setError(loadError instanceof Error ? loadError.message : 'Failed to load ownership history.');
+    }
+  };
+
+  useEffect(() => {
+    void loadTransfers();
+  }, []);
+
+  useEffect(() => {
+    void loadOwners();
+  }, [activeParcel?.id, activeParcel?.ledgerBlock?.hash]);
+
+  const myShare = activeParcel?.owners?.find((owner) => owner.id === userId)?.share || '';
+  const isCoOwned = activeParcel?.owners?.length > 1;
+  const hasOpenTransfer = Boolean(
+    activeParcel &&
+      transfers.some(
+        (item) =>
+          item.parcelId === activeParcel.id &&
+          item.seller?.id === userId &&
+          ['PENDING_BUYER', 'PENDING_APPROVAL'].includes(item.status)
+      )
+  );
+
+  const handleInitiate = async (event) => {
+    event.preventDefault();
+    if (!activeParcel) return;
+    setError('');
+    setSuccess('');
+    if (!buyerEmail.trim()) {
+      setError('Buyer email is required.');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await initiateParcelTransfer({
+        parcelId: activeParcel.id,
+        buyerEmail: buyerEmail.trim(),
+        transferType,
+        considerationAmount: transferType === 'SALE' ? Number(considerationAmount) : null,
+        share: share.trim() || undefined,
+        note: note.trim(),
+      });
+      setBuyerEmail('');
+      setConsiderationAmount('');
+      setShare('');
+      setNote('');
+      setSuccess(`Transfer of PID ${activeParcel.pid} sent to the buyer for acceptance.`);
+      await loadTransfers();
+    } catch (submitError) {
+      setError(submitError instanceof Error ? submitError.message : 'Failed to start transfer.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleAction = async (transfer, action) => {
+    setError('');
+    setSuccess('');
+    let verifiedPid = '';
+    let reviewNote = '';
+    if (action === 'APPROVE') {
+      verifiedPid = window.prompt(`Type exact PID to approve the transfer (${transfer.pid}):`, transfer.pid || '') || '';
+      if (!verifiedPid) return;
+      reviewNote = window.prompt('Optional review note:', '') || '';
+    } else if (action === 'REJECT') {
+      reviewNote = (window.prompt('Reason for rejecting the transfer:', '') || '').trim();
+      if (!reviewNote) return;
+    } else if (!window.confirm(`${ACTION_LABELS[action]} the transfer of PID ${transfer.pid}?`)) {
+      return;
+    }
+
+    setBusyTransferId(transfer.id);
+    try {
+      const result = await updateParcelTransfer({ transferId: transfer.id, action, verifiedPid, reviewNote });
+      setSuccess(`Transfer of PID ${transfer.pid}: ${TRANSFER_STATUS_LABELS[result.item.status] || result.item.status}.`);
+      await loadTransfers();
+      if (result.parcel) onOwnershipChanged?.();
+    } catch (actionError) {
+      setError(actionError instanceof Error ? actionError.message : 'Failed to update transfer.');
+    } finally {
+      setBusyTransferId('');
+    }
+  };
+
+  return (
+    <section className="panel-surface rounded-2xl p-5">
+      <h3 className="font-display text-lg font-bold text-slate-900">Ownership Transfers</h3>
+      <p className="mt-1 text-xs text-slate-500">
+        The owner starts a sale, gift or inheritance transfer, the buyer accepts it, and the registry approves it before the owner changes.
+      </p>
+
+      {error && <p className="mt-3 rounded-lg border border-rose-200 bg-rose-50 px-3 py-2 text-xs text-rose-700">{error}</p>}
+      {success && (
+        <p className="mt-3 rounded-lg border border-emerald-200 bg-emerald-50 px-3 py-2 text-xs text-emerald-700">{success}</p>
+      )}
+
+      <div className="mt-4 grid grid-cols-1 gap-4 xl:grid-cols-2">
+        <div className="space-y-3">
+          {activeParcel && (
+            <div className="rounded-lg border border-slate-200 bg-white/85 p-3 text-xs text-slate-600">
+              <p className="font-semibold text-slate-800">Ownership history for PID {activeParcel.pid}</p>
+              <ol className="mt-2 space-y-1.5">
+                {owners.map((owner) => (
+                  <li key={owner.id} className="flex flex-wrap items-center justify-between gap-2">
+                    <span>
+                      <span className="font-semibold text-slate-800">{owner.owner.name}</span>
+                      {owner.share !== '1/1' ? ` · ${owner.share}` : ''}
+                      {' · '}
+                      {ACQUIRED_VIA_LABELS[owner.acquiredVia] || owner.acquiredVia}
+                    </span>
+                    <span className="text-slate-500">
+                      {formatDateTime(owner.startedAt)} to {owner.current ? 'present' : formatDateTime(owner.endedAt)}
+                      {' · '}
+                      <span className="font-mono">block #{owner.ledgerBlock.index}</span>
+                    </span>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
+
+          {!isEmployee && activeParcel && myShare && (
+            <form onSubmit={handleInitiate} className="space-y-2 rounded-lg border border-slate-200 bg-white/85 p-3 text-xs">
+              <p className="font-semibold text-slate-800">
+                Transfer PID {activeParcel.pid}
+                {isCoOwned ? ` · you hold ${myShare}` : ''}
+              </p>
+              {activeParcel.underLien ? (
+                <p className="text-slate-500">
+                  This parcel is under a mortgage or court attachment and cannot be transferred until it is released.
+                </p>
+              ) : hasOpenTransfer ? (
+                <p className="text-slate-500">You already have an open transfer on this parcel.</p>
+              ) : (
+                <>
+                  {isCoOwned && (
+                    <input
+                      value={share}
+                      onChange={(event) => setShare(event.target.value)}
+                      placeholder={`Share to transfer (default: all of ${myShare})`}
+                      className="w-full rounded-lg border border-slate-300 px-2.5 py-1.5 outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+                    />
+                  )}
+                  <div className="flex gap-2">
+                    <select
+                      value={transferType}
+                      onChange={(event) => setTransferType(event.target.value)}
+                      className="rounded-lg border border-slate-300 px-2 py-1.5 outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+                    >
+                      {Object.entries(TRANSFER_TYPE_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      type="email"
+                      value={buyerEmail}
+                      onChange={(event) => setBuyerEmail(event.target.value)}
+                      placeholder="Buyer account email"
+                      className="flex-1 rounded-lg border border-slate-300 px-2.5 py-1.5 outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+                    />
+                  </div>
+                  {transferType === 'SALE' && (
+                    <input
+                      type="number"
+                      min="1"
+                      step="0.01"
+                      value={considerationAmount}
+                      onChange={(event) => setConsiderationAmount(event.target.value)}
+                      placeholder="Sale consideration (INR)"
+                      className="w-full rounded-lg border border-slate-300 px-2.5 py-1.5 outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+                    />
+                  )}
+                  <textarea
+                    rows={2}
+                    value={note}
+                    onChange={(event) => setNote(event.target.value)}
+                    placeholder="Deed reference or notes (optional)"
+                    className="w-full rounded-lg border border-slate-300 px-2.5 py-1.5 outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+                  />
+                  <button
+                    type="submit"
+                    disabled={isSubmitting}
+                    className="inline-flex items-center gap-2 rounded-lg bg-slate-900 px-3 py-1.5 font-semibold text-white transition hover:bg-slate-800 disabled:opacity-60"
+                  >
+                    {isSubmitting && <Icons.Spinner className="h-3.5 w-3.5 animate-spin" />}
+                    Start Transfer
+                  </button>
+                </>
+              )}
+            </form>
+          )}
+        </div>
+
+        <ul className="max-h-[420px] space-y-2 overflow-y-auto text-xs">
+          {transfers.length ? (
+            transfers.map((transfer) => (
+              <li key={transfer.id} className="rounded-lg border border-slate-200 bg-white/90 p-3 text-slate-700">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <p className="font-semibold text-slate-900">
+                    PID {transfer.pid} · {TRANSFER_TYPE_LABELS[transfer.transferType] || transfer.transferType}
+                    {transfer.share !== '1/1' ? ` · ${transfer.share} share` : ''}
+                    {transfer.considerationAmount !== null ? ` · INR ${transfer.considerationAmount.toLocaleString()}` : ''}
+                  </p>
+                  <span className="rounded-full border border-slate-200 bg-slate-50 px-2 py-0.5 font-semibold text-slate-600">
+                    {TRANSFER_STATUS_LABELS[transfer.status] || transfer.status}
+                  </span>
+                </div>
+                <p className="mt-1 text-slate-500">
+                  {transfer.seller?.name} to {transfer.buyer?.name}
+                  {' · '}
+                  {formatDateTime(transfer.createdAt)}
+                  {' · '}
+                  <span className="font-mono">block #{transfer.ledgerBlock.index}</span>
+                </p>
+                {transfer.note && <p className="mt-1 whitespace-pre-wrap">{transfer.note}</p>}
+                {transfer.reviewNote && (
+                  <p className="mt-1">
+                    Registry note{transfer.reviewedBy ? ` by ${transfer.reviewedBy.name}` : ''}: {transfer.reviewNote}
+                  </p>
+                )}
+                {transfer.allowedActions?.length > 0 && (
+                  <div className="mt-2 flex flex-wrap gap-2">
+                    {transfer.allowedActions.map((action) => (
+                      <button
+                        key={action}
+                        type="button"
+                        disabled={busyTransferId === transfer.id}
+                        onClick={() => {
+                          void handleAction(transfer, action);
+                        }}
+                        className={`rounded-lg border px-3 py-1 font-semibold transition disabled:opacity-60 ${ACTION_TONES[action]}`}
+                      >
+                        {ACTION_LABELS[action]}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </li>
+            ))
+          ) : (
+            <li className="rounded-lg border border-dashed border-slate-300 px-3 py-6 text-center text-slate-500">
+              No ownership transfers yet.
+            </li>
+          )}
+        </ul>
+      </div>
+    </section>
+  );
+};
@@ -0,0 +1,197 @@
+import React, { useEffect, useState } from 'react';
+
+import { Icons } from './Icons.jsx';
+import { fetchLedgerReceipt } from '../services/ledgerService.js';
+
+export const RECEIPT_VERIFY_PATH = '/verify';
+
+export const buildReceiptVerifyUrl = (ref) => `${RECEIPT_VERIFY_PATH}?ref=${encodeURIComponent(String(ref))}`;
+
+const formatDateTime = (value) => {
+  if (!value) return 'NA';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? 'NA' : date.toLocaleString();
+};
+
+const readRefFromLocation = () => new URLSearchParams(window.location.search).get('ref') || '';
+
+const CheckRow = ({ label, value, detail }) => (
+  <div className="flex items-start justify-between gap-3 rounded-xl border border-slate-200 bg-white px-3 py-2">
+    <div className="min-w-0">
+      <p className="text-sm font-semibold text-slate-800">{label}</p>
+      {detail && <p className="break-all font-mono text-xs text-slate-500">{detail}</p>}
+    </div>
+    <span
+      className={`shrink-0 rounded-full border px-2.5 py-0.5 text-xs font-semibold ${
+        value === true
+          ? 'border-emerald-200 bg-emerald-50 text-emerald-700'
+          : value === false
+            ? 'border-rose-200 bg-rose-50 text-rose-700'
+            : 'border-slate-200 bg-slate-50 text-slate-600'
+      }`}
+    >
+      {value === true ? 'Pass' : value === false ? 'Fail' : 'N/A'}
+    </span>
+  </div>
+);
+
+export const ReceiptVerification = () => {
+  const [ref, setRef] = useState(readRefFromLocation);
+  const [result, setResult] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const [error, setError] = useState('');
+
+  const verifyReceipt = async (nextRef) => {
+    const trimmed = String(nextRef || '').trim();
+    if (!trimmed) {
+      setError('Enter the block hash from your receipt.');
+      return;
+    }
+
+    window.history.replaceState(null, '', buildReceiptVerifyUrl(trimmed));
+    setIsChecking(true);
+    setError('');
+    try {
+      setResult(await fetchLedgerReceipt(trimmed));
+    } catch (verifyError) {
+      setResult(null);
+      setError(verifyError instanceof Error ? verifyError.message : 'Failed to verify receipt.');
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  useEffect(() => {
+    const initialRef = readRefFromLocation();
+    if (initialRef) {
+      void verifyReceipt(initialRef);
+    }
+  }, []);
+
+  const block = result?.block;
+
+  return (
+    <div className="min-h-screen bg-[radial-gradient(900px_500px_at_10%_0%,rgba(16,95,65,0.15),transparent_55%),radial-gradient(1000px_560px_at_90%_0%,rgba(15,125,182,0.17),transparent_60%)] px-4 py-8">
+      <div className="mx-auto w-full max-w-3xl space-y-5">
+        <section className="panel-surface rounded-3xl border border-white/70 p-7 shadow-[0_24px_60px_rgba(15,23,42,0.11)] sm:p-8">
+          <p className="inline-flex items-center gap-2 rounded-full border border-brand-200 bg-brand-50 px-3 py-1 text-xs font-semibold uppercase tracking-[0.08em] text-brand-700">
+            <Icons.Ledger className="h-3.5 w-3.5" />
+            Public Receipt Check
+          </p>
+          <h1 className="mt-4 font-display text-3xl font-bold text-slate-900">Verify a ledger receipt</h1>
+          <p className="mt-2 text-sm text-slate-600">
+            Paste the block hash returned when you submitted a claim or dispute. No login is needed.
+          </p>
+
+          <form
+            onSubmit={(event) => {
+              event.preventDefault();
+              void verifyReceipt(ref);
+            }}
+            className="mt-6 flex flex-col gap-2 sm:flex-row"
+          >
+            <input
+              type="text"
+              value={ref}
+              onChange={(event) => setRef(event.target.value)}
+              className="w-full rounded-lg border border-slate-300 bg-white px-3 py-2.5 font-mono text-sm outline-none transition focus:border-brand-500 focus:ring-2 focus:ring-brand-100"
+              placeholder="64-character block hash"
+            />
+            <button
+              type="submit"
+              disabled={isChecking}
+              className="inline-flex items-center justify-center gap-2 rounded-lg bg-slate-900 px-4 py-2.5 text-sm font-semibold text-white transition hover:bg-slate-800 disabled:opacity-60"
+            >
+              {isChecking ? <Icons.Spinner className="h-4 w-4 animate-spin" /> : <Icons.Search className="h-4 w-4" />}
+              {isChecking ? 'Checking...' : 'Verify'}
+            </button>
+          </form>
+
+          {error && (
+            <p className="mt-4 rounded-lg border border-rose-200 bg-rose-50 px-3 py-2 text-sm text-rose-700">{error}</p>
+          )}
+
+          <a href="/" className="mt-4 inline-block text-xs font-semibold text-brand-700 hover:underline">
+            Back to sign in
+          </a>
+        </section>
+
+        {block && (
+          <section className="panel-surface space-y-4 rounded-3xl border border-white/70 p-7 shadow-[0_24px_60px_rgba(15,23,42,0.11)] sm:p-8">
+            <div
+              className={`flex items-center gap-2 rounded-xl border px-4 py-3 text-sm font-semibold ${
+                result.valid
+                  ? 'border-emerald-200 bg-emerald-50 text-emerald-700'
+                  : 'border-rose-200 bg-rose-50 text-rose-700'
+              }`}
+            >
+              {result.valid ? <Icons.Verified className="h-4 w-4" /> : <Icons.Alert className="h-4 w-4" />}
+              {result.valid
+                ? `Block #${block.index} is on the ledger and links correctly to its neighbours.`
+                : `Block #${block.index} failed verification.`}
+            </div>
+
+            <dl className="grid grid-cols-1 gap-3 text-sm sm:grid-cols-2">
+              <div>
+                <dt className="text-xs font-semibold uppercase tracking-[0.08em] text-slate-500">Event</dt>
+                <dd className="font-semibold text-slate-900">{block.eventType}</dd>
+              </div>
+              <div>
+                <dt className="text-xs font-semibold uppercase tracking-[0.08em] text-slate-500">Recorded</dt>
+                <dd className="text-slate-900">{formatDateTime(block.timestamp)}</dd>
+              </div>
+              <div className="sm:col-span-2">
+                <dt className="text-xs font-semibold uppercase tracking-[0.08em] text-slate-500">Block hash</dt>
+                <dd className="break-all font-mono text-xs text-slate-700">{block.hash}</dd>
+              </div>
+              {block.signature && (
+                <div className="sm:col-span-2">
+                  <dt className="text-xs font-semibold uppercase tracking-[0.08em] text-slate-500">
+                    Signature by {block.keyId}
+                  </dt>
+                  <dd className="break-all font-mono text-xs text-slate-700">{block.signature}</dd>
+                </div>
+              )}
+            </dl>
+
+            <div className="space-y-2">
+              <CheckRow label="Block hash matches its contents" value={result.checks.hashValid} />
+              <CheckRow
+                label="Server signature"
+                value={result.checks.signatureValid}
+                detail={result.checks.signatureIssue || block.keyId || 'Block predates ledger signing'}
+              />
+              <CheckRow
+                label="Links to previous block"
+                value={result.checks.linksToPrevious}
+                detail={block.index === 0 ? 'Genesis block' : null}
+              />
+              <CheckRow
+                label="Next block links back"
+                value={result.checks.linksToNext}
+                detail={result.isLatest ? 'Latest block on the ledger' : null}
+              />
+              <CheckRow
+                label="Sealed into a Merkle checkpoint"
+                value={result.checkpointed ? true : null}
+                detail={result.checkpointed ? null : 'Pending until the current checkpoint range fills'}
+              />
+            </div>
+
+            <div>
+              <p className="text-xs font-semibold uppercase tracking-[0.08em] text-slate-500">Payload</p>
+              <pre className="mt-1 max-h-80 overflow-auto rounded-xl border border-slate-200 bg-slate-50 p-3 font-mono text-xs text-slate-700">
+                {JSON.stringify(result.payload, null, 2)}
+              </pre>
+              {result.redactedFields.length > 0 && (
+                <p className="mt-1 text-xs text-slate-500">
+                  Personal details withheld: {result.redactedFields.join(', ')}
+                </p>
+              )}
+            </div>
+          </section>
+        )}
+      </div>
+    </div>
+  );
+};
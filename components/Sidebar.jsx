@@ -10,6 +10,7 @@ export const Sidebar = ({ currentView, onChangeView, isOpen, setIsOpen, user, on
         { id: AppView.EXPLORER, label: 'Geo-Explorer', icon: Icons.Map, hint: 'NDVI and parcel check' },
         { id: AppView.RECORDS, label: 'Land Registry', icon: Icons.Database, hint: 'All approved parcel ownership' },
         { id: AppView.DISPUTES, label: 'Land Claims', icon: Icons.Gavel, hint: 'PID query review and approvals' },
+        { id: AppView.LEDGER, label: 'Ledger Explorer', icon: Icons.Ledger, hint: 'Audit chain events by entity' },
         { id: AppView.SETTINGS, label: 'Settings', icon: Icons.Settings, hint: 'Profile and preferences' },
       ]
     : [
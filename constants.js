@@ -3,5 +3,6 @@ export const AppView = {
   EXPLORER: 'EXPLORER',
   RECORDS: 'RECORDS',
   DISPUTES: 'DISPUTES',
+  LEDGER: 'LEDGER',
   SETTINGS: 'SETTINGS'
 };
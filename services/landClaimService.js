@@ -21,6 +21,126 @@ export const fetchOwnedParcels = async (scope = '') => {
   return parseJsonResponse(response, 'Failed to load parcel registry.');
 };
 
+export const fetchParcelOwners = async ({ parcelId }) => {
+  const response = await fetch(buildApiUrl(`/api/land/parcels/${encodeURIComponent(parcelId)}/owners`), {
+    method: 'GET',
+    headers: authHeaders(),
+  });
+  return parseJsonResponse(response, 'Failed to load ownership history.');
+};
+
+export const initiateParcelTransfer = async ({ parcelId, buyerEmail, transferType, considerationAmount, share, note }) => {
+  const response = await fetch(buildApiUrl(`/api/land/parcels/${encodeURIComponent(parcelId)}/transfers`), {
+    method: 'POST',
+    headers: authHeaders(),
+    body: JSON.stringify({ buyerEmail, transferType, considerationAmount, share, note }),
+  });
+  return parseJsonResponse(response, 'Failed to start transfer.');
+};
+
+export const fetchParcelTransfers = async (params = {}) => {
+  const query = new URLSearchParams();
+  if (params.status) query.set('status', params.status);
+  if (params.parcelId) query.set('parcelId', params.parcelId);
+  const suffix = query.toString() ? `?${query.toString()}` : '';
+
+  const response = await fetch(buildApiUrl(`/api/land/transfers${suffix}`), {
+    method: 'GET',
+    headers: authHeaders(),
+  });
+  return parseJsonResponse(response, 'Failed to load transfers.');
+};
+
+export const updateParcelTransfer = async ({ transferId, action, verifiedPid, reviewNote }) => {
+  const response = await fetch(buildApiUrl(`/api/land/transfers/${encodeURIComponent(transferId)}`), {
+    method: 'PATCH',
+    headers: authHeaders(),
+    body: JSON.stringify({ action, verifiedPid, reviewNote }),
+  });
+  return parseJsonResponse(response, 'Failed to update transfer.');
+};
+
+export const fetchParcelLineage = async ({ parcelId }) => {
+  const response = await fetch(buildApiUrl(`/api/land/parcels/${encodeURIComponent(parcelId)}/lineage`), {
+    method: 'GET',
+    headers: authHeaders(),
+  });
+  return parseJsonResponse(response, 'Failed to load parcel lineage.');
+};
+
+export const fetchParcelHistory = async ({ parcelId }) => {
+  const response = await fetch(buildApiUrl(`/api/land/parcels/${encodeURIComponent(parcelId)}/history`), {
+    method: 'GET',
+    headers: authHeaders(),
+  });
+  return parseJsonResponse(response, 'Failed to load parcel history.');
+};
+
+export const subdivideParcel = async ({ parcelId, lines, childPids, note }) => {
+  const response = await fetch(buildApiUrl(`/api/land/parcels/${encodeURIComponent(parcelId)}/subdivide`), {
+    method: 'POST',
+    headers: authHeaders(),
+    body: JSON.stringify({ lines, childPids, note }),
+  });
+  return parseJsonResponse(response, 'Failed to subdivide parcel.');
+};
+
+export const amalgamateParcels = async ({ parcelIds, pid, note }) => {
+  const response = await fetch(buildApiUrl('/api/land/parcels/amalgamate'), {
+    method: 'POST',
+    headers: authHeaders(),
+    body: JSON.stringify({ parcelIds, pid, note }),
+  });
+  return parseJsonResponse(response, 'Failed to amalgamate parcels.');
+};
+
+export const fetchParcelEncumbrances = async ({ parcelId }) => {
+  const response = await fetch(buildApiUrl(`/api/land/parcels/${encodeURIComponent(parcelId)}/encumbrances`), {
+    method: 'GET',
+    headers: authHeaders(),
+  });
+  return parseJsonResponse(response, 'Failed to load encumbrances.');
+};
+
+export const registerParcelEncumbrance = async ({
+  parcelId,
+  encumbranceType,
+  holderName,
+  holderReference,
+  amount,
+  startsAt,
+  endsAt,
+  note,
+}) => {
+  const response = await fetch(buildApiUrl(`/api/land/parcels/${encodeURIComponent(parcelId)}/encumbrances`), {
+    method: 'POST',
+    headers: authHeaders(),
+    body: JSON.stringify({ encumbranceType, holderName, holderReference, amount, startsAt, endsAt, note }),
+  });
+  return parseJsonResponse(response, 'Failed to register encumbrance.');
+};
+
+export const releaseParcelEncumbrance = async ({ encumbranceId, releaseNote }) => {
+  const response = await fetch(buildApiUrl(`/api/land/encumbrances/${encodeURIComponent(encumbranceId)}/release`), {
+    method: 'POST',
+    headers: authHeaders(),
+    body: JSON.stringify({ releaseNote }),
+  });
+  return parseJsonResponse(response, 'Failed to release encumbrance.');
+};
+
+export const fetchEncumbranceCertificate = async ({ pid, from, to }) => {
+  const query = new URLSearchParams({ pid });
+  if (from) query.set('from', from);
+  if (to) query.set('to', to);
+
+  const response = await fetch(buildApiUrl(`/api/land/encumbrance-certificate?${query.toString()}`), {
+    method: 'GET',
+    headers: authHeaders(),
+  });
+  return parseJsonResponse(response, 'Failed to issue encumbrance certificate.');
+};
+
 export const fetchLandClaims = async (params = {}) => {
   const query = new URLSearchParams();
   if (params.scope) query.set('scope', params.scope);
@@ -34,15 +154,123 @@ export const fetchLandClaims = async (params = {}) => {
   return parseJsonResponse(response, 'Failed to load land claims.');
 };
 
-export const submitLandClaim = async ({ pid, claimNote, polygon }) => {
+export const submitLandClaim = async ({ pid, claimNote, polygon, documentIds = [], coOwners = [] }) => {
   const response = await fetch(buildApiUrl('/api/land/claims'), {
     method: 'POST',
     headers: authHeaders(),
-    body: JSON.stringify({ pid, claimNote, polygon }),
+    body: JSON.stringify({ pid, claimNote, polygon, documentIds, coOwners }),
   });
   return parseJsonResponse(response, 'Failed to submit land claim.');
 };
 
+export const previewLandClaim = async ({ pid, polygon }, { signal } = {}) => {
+  const response = await fetch(buildApiUrl('/api/land/claims/dry-run'), {
+    method: 'POST',
+    headers: authHeaders(),
+    body: JSON.stringify({ pid, polygon }),
+    signal,
+  });
+  return parseJsonResponse(response, 'Failed to check claim overlaps.');
+};
+
+export const amendLandClaim = async ({ claimId, claimNote, polygon }) => {
+  const response = await fetch(buildApiUrl(`/api/land/claims/${encodeURIComponent(claimId)}`), {
+    method: 'PATCH',
+    headers: authHeaders(),
+    body: JSON.stringify({ claimNote, polygon }),
+  });
+  return parseJsonResponse(response, 'Failed to amend land claim.');
+};
+
+export const withdrawLandClaim = async ({ claimId }) => {
+  const response = await fetch(buildApiUrl(`/api/land/claims/${encodeURIComponent(claimId)}/withdraw`), {
+    method: 'POST',
+    headers: authHeaders(),
+  });
+  return parseJsonResponse(response, 'Failed to withdraw land claim.');
+};
+
+export const fetchCoOwnerInvitations = async () => {
+  const response = await fetch(buildApiUrl('/api/land/claims/co-owner-invitations'), {
+    method: 'GET',
+    headers: authHeaders(),
+  });
+  return parseJsonResponse(response, 'Failed to load co-owner invitations.');
+};
+
+export const respondToCoOwnerInvitation = async ({ claimId, action }) => {
+  const response = await fetch(buildApiUrl(`/api/land/claims/${encodeURIComponent(claimId)}/co-owner-response`), {
+    method: 'POST',
+    headers: authHeaders(),
+    body: JSON.stringify({ action }),
+  });
+  return parseJsonResponse(response, 'Failed to record co-owner response.');
+};
+
+export const fetchLandClaimVersions = async ({ claimId }) => {
+  const response = await fetch(buildApiUrl(`/api/land/claims/${encodeURIComponent(claimId)}/versions`), {
+    method: 'GET',
+    headers: authHeaders(),
+  });
+  return parseJsonResponse(response, 'Failed to load claim versions.');
+};
+
+export const respondToClaimInfoRequest = async ({ claimId, note, evidenceUrls, documentIds = [] }) => {
+  const response = await fetch(buildApiUrl(`/api/land/claims/${encodeURIComponent(claimId)}/info-response`), {
+    method: 'POST',
+    headers: authHeaders(),
+    body: JSON.stringify({ note, evidenceUrls, documentIds }),
+  });
+  return parseJsonResponse(response, 'Failed to send response.');
+};
+
+export const fetchLandClaimEvents = async ({ claimId }) => {
+  const response = await fetch(buildApiUrl(`/api/land/claims/${encodeURIComponent(claimId)}/events`), {
+    method: 'GET',
+    headers: authHeaders(),
+  });
+  return parseJsonResponse(response, 'Failed to load claim events.');
+};
+
+export const uploadClaimDocument = async ({ file, kind }) => {
+  const response = await fetch(buildApiUrl(`/api/land/claim-documents?kind=${encodeURIComponent(kind)}`), {
+    method: 'POST',
+    headers: {
+      ...authHeaders(),
+      'Content-Type': file.type || 'application/octet-stream',
+      'X-File-Name': encodeURIComponent(file.name),
+    },
+    body: file,
+  });
+  return parseJsonResponse(response, 'Failed to upload document.');
+};
+
+export const verifyClaimDocuments = async ({ claimId }) => {
+  const response = await fetch(buildApiUrl(`/api/land/claims/${encodeURIComponent(claimId)}/documents/verify`), {
+    method: 'GET',
+    headers: authHeaders(),
+  });
+  return parseJsonResponse(response, 'Failed to verify claim documents.');
+};
+
+export const downloadClaimDocument = async ({ claimId, documentId }) => {
+  const response = await fetch(
+    buildApiUrl(`/api/land/claims/${encodeURIComponent(claimId)}/documents/${encodeURIComponent(documentId)}`),
+    {
+      method: 'GET',
+      headers: authHeaders(),
+    }
+  );
+  if (!response.ok) {
+    await parseJsonResponse(response, 'Failed to download document.');
+  }
+  return {
+    blob: await response.blob(),
+    sha256: response.headers.get('X-Content-SHA256'),
+    verified: response.headers.get('X-Content-Verified') === 'true',
+  };
+};
+
 export const reviewLandClaim = async ({ claimId, action, verifiedPid, reviewNote }) => {
   const response = await fetch(buildApiUrl(`/api/land/claims/${encodeURIComponent(claimId)}/review`), {
     method: 'PATCH',
@@ -52,6 +280,71 @@ export const reviewLandClaim = async ({ claimId, action, verifiedPid, reviewNote
   return parseJsonResponse(response, 'Failed to review claim.');
 };
 
+export const bulkReviewLandClaims = async ({ items }) => {
+  const response = await fetch(buildApiUrl('/api/land/claims/bulk-review'), {
+    method: 'POST',
+    headers: authHeaders(),
+    body: JSON.stringify({ items }),
+  });
+  return parseJsonResponse(response, 'Failed to review selected claims.');
+};
+
+export const fileClaimAppeal = async ({ claimId, grounds }) => {
+  const response = await fetch(buildApiUrl(`/api/land/claims/${encodeURIComponent(claimId)}/appeals`), {
+    method: 'POST',
+    headers: authHeaders(),
+    body: JSON.stringify({ grounds }),
+  });
+  return parseJsonResponse(response, 'Failed to file appeal.');
+};
+
+export const fetchClaimAppeals = async (params = {}) => {
+  const query = new URLSearchParams();
+  if (params.status) query.set('status', params.status);
+  if (params.claimId) query.set('claimId', params.claimId);
+  const suffix = query.toString() ? `?${query.toString()}` : '';
+
+  const response = await fetch(buildApiUrl(`/api/land/appeals${suffix}`), {
+    method: 'GET',
+    headers: authHeaders(),
+  });
+  return parseJsonResponse(response, 'Failed to load claim appeals.');
+};
+
+export const decideClaimAppeal = async ({ appealId, decision, decisionNote }) => {
+  const response = await fetch(buildApiUrl(`/api/land/appeals/${encodeURIComponent(appealId)}`), {
+    method: 'PATCH',
+    headers: authHeaders(),
+    body: JSON.stringify({ decision, decisionNote }),
+  });
+  return parseJsonResponse(response, 'Failed to decide appeal.');
+};
+
+export const fetchClaimReviewers = async () => {
+  const response = await fetch(buildApiUrl('/api/land/reviewers'), {
+    method: 'GET',
+    headers: authHeaders(),
+  });
+  return parseJsonResponse(response, 'Failed to load reviewers.');
+};
+
+export const assignLandClaim = async ({ claimId, assigneeUserId }) => {
+  const response = await fetch(buildApiUrl(`/api/land/claims/${encodeURIComponent(claimId)}/assignment`), {
+    method: 'PUT',
+    headers: authHeaders(),
+    body: JSON.stringify({ assigneeUserId }),
+  });
+  return parseJsonResponse(response, 'Failed to assign claim.');
+};
+
+export const autoAssignLandClaims = async () => {
+  const response = await fetch(buildApiUrl('/api/land/assignments/auto'), {
+    method: 'POST',
+    headers: authHeaders(),
+  });
+  return parseJsonResponse(response, 'Failed to auto-assign claims.');
+};
+
 export const fetchLandSummary = async () => {
   const response = await fetch(buildApiUrl('/api/land/summary'), {
     method: 'GET',
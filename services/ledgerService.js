@@ -0,0 +1,81 @@
+import { loadSession } from './authService.js';
+import { buildApiUrl, parseJsonResponse } from './apiClient.js';
+
+const authHeaders = () => {
+  const session = loadSession();
+  if (!session?.token) {
+    throw new Error('Authentication required.');
+  }
+  return {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${session.token}`,
+  };
+};
+
+export const fetchLedgerBlocks = async (params = {}) => {
+  const query = new URLSearchParams();
+  if (params.eventType) query.set('eventType', params.eventType);
+  if (params.entityId) query.set('entityId', params.entityId);
+  if (params.fromIndex !== undefined && params.fromIndex !== '') query.set('fromIndex', String(params.fromIndex));
+  if (params.toIndex !== undefined && params.toIndex !== '') query.set('toIndex', String(params.toIndex));
+  if (params.from) query.set('from', params.from);
+  if (params.to) query.set('to', params.to);
+  if (params.cursor !== undefined && params.cursor !== null) query.set('cursor', String(params.cursor));
+  if (params.limit) query.set('limit', String(params.limit));
+  if (params.order) query.set('order', params.order);
+  const suffix = query.toString() ? `?${query.toString()}` : '';
+
+  const response = await fetch(buildApiUrl(`/api/ledger/blocks${suffix}`), {
+    method: 'GET',
+    headers: authHeaders(),
+  });
+  return parseJsonResponse(response, 'Failed to load ledger blocks.');
+};
+
+export const fetchLedgerEventTypes = async () => {
+  const response = await fetch(buildApiUrl('/api/ledger/event-types'), {
+    method: 'GET',
+    headers: authHeaders(),
+  });
+  return parseJsonResponse(response, 'Failed to load ledger event types.');
+};
+
+const downloadLedgerFile = async (path, fallbackName, fallbackMessage) => {
+  const response = await fetch(buildApiUrl(path), {
+    method: 'GET',
+    headers: authHeaders(),
+  });
+  if (!response.ok) {
+    await parseJsonResponse(response, fallbackMessage);
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+  return { blob: await response.blob(), fileName };
+};
+
+export const downloadLedgerExport = () =>
+  downloadLedgerFile('/api/ledger/export', 'ledger-export.ndjson', 'Failed to export ledger.');
+
+export const fetchLedgerForensics = async () => {
+  const response = await fetch(buildApiUrl('/api/ledger/forensics'), {
+    method: 'GET',
+    headers: authHeaders(),
+  });
+  return parseJsonResponse(response, 'Failed to build forensics report.');
+};
+
+export const downloadLedgerForensics = (format = 'csv') =>
+  downloadLedgerFile(
+    `/api/ledger/forensics?format=${format}&download=true`,
+    `ledger-forensics.${format}`,
+    'Failed to download forensics report.'
+  );
+
+export const fetchLedgerReceipt = async (ref) => {
+  const response = await fetch(buildApiUrl(`/api/ledger/receipts/${encodeURIComponent(String(ref).trim())}`), {
+    method: 'GET',
+    headers: { 'Content-Type': 'application/json' },
+  });
+  return parseJsonResponse(response, 'Failed to verify receipt.');
+};